@@ -1,5 +1,7 @@
 const Agent = require('../models/Agent');
+const Meeting = require('../models/Meeting');
 const googleCalendar = require('../services/googleCalendar');
+const calendarWatchService = require('../services/calendarWatchService');
 
 // @desc    Get all agents
 // @route   GET /api/agents
@@ -114,12 +116,27 @@ const createAgent = async (req, res) => {
 
 // @desc    Update agent
 // @route   PUT /api/agents/:id
-// @access  Private
+// @access  Private (agents may only update their own profile)
 const updateAgent = async (req, res) => {
   try {
+    if (req.user.role === 'agent' && req.user.agent._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own agent profile'
+      });
+    }
+
+    // Lead routing is set by admins
+    const updates = { ...req.body };
+    if (req.user.role === 'agent') {
+      for (const field of ['territories', 'specialties', 'maxOpenLeads', 'lastAssignedAt']) {
+        delete updates[field];
+      }
+    }
+
     const agent = await Agent.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
@@ -189,7 +206,7 @@ const deleteAgent = async (req, res) => {
 // @access  Private
 const getAgentCalendarStatus = async (req, res) => {
   try {
-    const agent = await Agent.findById(req.params.id).select('googleCalendarId isActive');
+    const agent = await Agent.findById(req.params.id).select('googleCalendarId isActive calendarSync');
 
     if (!agent) {
       return res.status(404).json({
@@ -200,10 +217,17 @@ const getAgentCalendarStatus = async (req, res) => {
 
     const isConnected = !!(agent.googleCalendarId && agent.isActive);
 
+    // Meetings with a Google Calendar change waiting for the agent
+    const flaggedMeetings = await Meeting.countDocuments({
+      agent: agent._id,
+      'calendarFlag.reason': { $exists: true }
+    });
+
     res.status(200).json({
       success: true,
       isConnected: isConnected,
-      calendarId: agent.googleCalendarId
+      calendarId: agent.googleCalendarId,
+      sync: calendarWatchService.describe(agent, { flaggedMeetings })
     });
   } catch (error) {
     res.status(500).json({
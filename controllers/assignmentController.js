@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const AssignmentConfig = require('../models/AssignmentConfig');
+const Property = require('../models/Property');
+const assignmentService = require('../services/assignmentService');
+
+// Settings an admin may edit
+const EDITABLE_FIELDS = ['enabled', 'filters', 'picker', 'sourceRoutes'];
+
+// Lead fields the assignment rules look at
+const PREVIEW_FIELDS = ['name', 'email', 'source', 'sourceSystem', 'zipCode', 'preferredPropertyType', 'budget'];
+
+// @desc    Get the lead assignment configuration
+// @route   GET /api/assignment/config
+// @access  Private (Admin only)
+const getAssignmentConfig = async (req, res) => {
+  try {
+    const stored = await AssignmentConfig.findOne({ isDefault: true }).select('updatedAt updatedBy');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        configured: Boolean(stored),
+        updatedAt: stored ? stored.updatedAt : null,
+        config: assignmentService.config,
+        availableFilters: AssignmentConfig.FILTERS,
+        availablePickers: AssignmentConfig.PICKERS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update the lead assignment configuration
+// @route   PUT /api/assignment/config
+// @access  Private (Admin only)
+const updateAssignmentConfig = async (req, res) => {
+  try {
+    const unknown = Object.keys(req.body || {}).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown settings: ${unknown.join(', ')}`
+      });
+    }
+
+    // Omitted settings keep the values in effect
+    const merged = { ...assignmentService.config };
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] !== undefined) merged[key] = req.body[key];
+    }
+
+    let stored = await AssignmentConfig.findOne({ isDefault: true });
+    if (!stored) stored = new AssignmentConfig({ isDefault: true });
+
+    stored.set(merged);
+    stored.updatedBy = req.user._id;
+    await stored.save();
+
+    assignmentService.setConfig(stored);
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment configuration updated',
+      data: { config: assignmentService.config }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors
+        ? Object.values(error.errors).map(val => val.message)
+        : [error.message];
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Preview which agent would receive a lead, without assigning it
+// @route   POST /api/assignment/preview
+// @access  Private (Admin only)
+const previewAssignment = async (req, res) => {
+  try {
+    const lead = {};
+    for (const field of PREVIEW_FIELDS) {
+      if (req.body[field] !== undefined) lead[field] = req.body[field];
+    }
+
+    let property = null;
+    if (req.body.propertyId) {
+      if (!mongoose.Types.ObjectId.isValid(req.body.propertyId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid property ID'
+        });
+      }
+
+      property = await Property.findById(req.body.propertyId).select('address addressDetails');
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Property not found'
+        });
+      }
+    }
+
+    const { agent, trace } = await assignmentService.selectAgent(lead, { property });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: assignmentService.config.enabled,
+        agent,
+        trace
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getAssignmentConfig,
+  updateAssignmentConfig,
+  previewAssignment
+};
@@ -0,0 +1,199 @@
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+
+// Build the token pair response and persist the new refresh token
+const issueTokens = async (user) => {
+  const accessToken = tokenService.signAccessToken(user);
+  const refresh = tokenService.generateRefreshToken();
+
+  user.pruneRefreshTokens();
+  user.refreshTokens.push({ tokenHash: refresh.tokenHash, expiresAt: refresh.expiresAt });
+  await user.save();
+
+  return {
+    accessToken,
+    refreshToken: refresh.token,
+    tokenType: 'Bearer',
+    expiresIn: tokenService.accessTokenTtl
+  };
+};
+
+// @desc    Log in with email and password
+// @route   POST /api/auth/login
+// @access  Public
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() })
+      .select('+password +refreshTokens');
+
+    if (!user || !user.isActive || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    user.lastLogin = new Date();
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          agent: user.agent
+        },
+        ...tokens
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires valid refresh token)
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = tokenService.hashToken(refreshToken);
+    const user = await User.findOne({ 'refreshTokens.tokenHash': tokenHash })
+      .select('+refreshTokens');
+
+    const stored = user && user.refreshTokens.find(token => token.tokenHash === tokenHash);
+
+    if (!user || !user.isActive || !stored || stored.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Rotate: the presented refresh token can only be used once
+    user.refreshTokens = user.refreshTokens.filter(token => token.tokenHash !== tokenHash);
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Log out (revoke a refresh token, or all sessions)
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    const { refreshToken, allSessions = false } = req.body;
+
+    const user = await User.findById(req.user._id).select('+refreshTokens');
+
+    if (allSessions) {
+      user.refreshTokens = [];
+    } else if (refreshToken) {
+      const tokenHash = tokenService.hashToken(refreshToken);
+      user.refreshTokens = user.refreshTokens.filter(token => token.tokenHash !== tokenHash);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the authenticated user
+// @route   GET /api/auth/me
+// @access  Private
+const getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+};
+
+// @desc    Create a user account
+// @route   POST /api/auth/register
+// @access  Private (Admin only)
+const register = async (req, res) => {
+  try {
+    const { name, email, password, role, agent } = req.body;
+
+    const user = await User.create({ name, email, password, role, agent });
+
+    res.status(201).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  login,
+  refresh,
+  logout,
+  getMe,
+  register
+};
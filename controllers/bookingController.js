@@ -5,6 +5,24 @@ const Property = require('../models/Property');
 const googleCalendar = require('../services/googleCalendar');
 const notificationService = require('../services/notificationService');
 const socketService = require('../services/socketService');
+const dedupeService = require('../services/dedupeService');
+const activityService = require('../services/activityService');
+const scoringService = require('../services/scoringService');
+const insightService = require('../services/insightService');
+const assignmentService = require('../services/assignmentService');
+const reminderService = require('../services/reminderService');
+const availabilityService = require('../services/availabilityService');
+const meetingLinkService = require('../services/meetingLinkService');
+const calendarSyncService = require('../services/calendarSyncService');
+
+// Lead as shown to whoever submitted the public form: what they typed, never the contact
+// details stored on a returning lead
+const bookingLead = (lead, fields) => ({
+  id: lead._id,
+  name: fields.name,
+  email: fields.email,
+  status: lead.status
+});
 
 // @desc    Create automated booking (lead + meeting)
 // @route   POST /api/booking/request-visit
@@ -24,6 +42,7 @@ const createAutomatedBooking = async (req, res) => {
       preferredPropertyType,
       timeline,
       notes,
+      zipCode,
 
       // Property and meeting preferences
       propertyId,
@@ -48,35 +67,31 @@ const createAutomatedBooking = async (req, res) => {
       });
     }
 
-    // Check if lead already exists
-    let lead = await Lead.findOne({ email }).session(session);
-    if (lead) {
-      return res.status(409).json({
-        success: false,
-        message: 'A lead with this email already exists. Please contact us directly.',
-        existingLead: {
-          id: lead._id,
-          name: lead.name,
-          status: lead.status
-        }
-      });
-    }
-
-    // Create lead
-    lead = await Lead.create([{
+    const leadFields = {
       name,
       email,
       phone,
       source,
-      assignedTo: 'Auto-assigned', // Will be updated when agent is assigned
       budget: budget ? parseInt(budget) : undefined,
       preferredPropertyType,
       timeline,
       notes,
-      status: 'New'
-    }], { session });
+      zipCode
+    };
+
+    // Returning visitors are matched to their existing lead instead of being turned away
+    let lead = await dedupeService.findMatchForIncoming(leadFields, { session });
+    const returningLead = Boolean(lead);
 
-    lead = lead[0]; // Since create returns an array
+    if (lead) {
+      // Submitting the form again is not contact, so lastContacted is left alone
+      dedupeService.applyIncoming(lead, leadFields);
+      await lead.save({ session });
+    } else {
+      lead = await Lead.create([leadFields], { session }); // Starts in the pipeline's first stage
+      lead = lead[0]; // Since create returns an array
+      await assignmentService.assignLead(lead, { property, session });
+    }
 
     // Find available agents
     const availableAgents = await Agent.find({
@@ -84,6 +99,11 @@ const createAutomatedBooking = async (req, res) => {
       googleCalendarId: { $exists: true } // Must have Google Calendar connected
     }).session(session);
 
+    // Offer the visit to the lead's own agent first when possible
+    if (lead.agent) {
+      availableAgents.sort((a, b) => Number(b._id.equals(lead.agent)) - Number(a._id.equals(lead.agent)));
+    }
+
     if (availableAgents.length === 0) {
       // No agents available, create lead only
       await session.commitTransaction();
@@ -93,12 +113,8 @@ const createAutomatedBooking = async (req, res) => {
         success: true,
         message: 'Lead created successfully. No agents currently available for booking.',
         data: {
-          lead: {
-            id: lead._id,
-            name: lead.name,
-            email: lead.email,
-            status: lead.status
-          },
+          lead: bookingLead(lead, leadFields),
+          returningLead,
           bookingStatus: 'lead_only'
         }
       });
@@ -157,33 +173,32 @@ const createAutomatedBooking = async (req, res) => {
         success: true,
         message: 'Lead created successfully. No available time slots found.',
         data: {
-          lead: {
-            id: lead._id,
-            name: lead.name,
-            email: lead.email,
-            status: lead.status
-          },
+          lead: bookingLead(lead, leadFields),
+          returningLead,
           bookingStatus: 'lead_only'
         }
       });
     }
 
-    // Update lead assignment
-    lead.assignedTo = selectedAgent.name;
-    await lead.save({ session });
+    // Leads without an owner go to the agent hosting the visit
+    if (!lead.agent) {
+      lead.agent = selectedAgent._id;
+      await lead.save({ session });
+    }
 
     // Create meeting
     const meeting = await Meeting.create([{
-      leadName: lead.name,
-      propertyAddress: property.address,
+      lead: lead._id,
+      property: property._id,
       dateTime: selectedSlot.start,
       status: 'Scheduled',
-      assignedTo: selectedAgent.name,
+      agent: selectedAgent._id,
       notes: `Auto-booked via website form. ${notes || ''}`.trim()
     }], { session });
 
     // Create calendar event (skip if no valid Google Calendar tokens)
     let calendarEvent = null;
+    let calendarFailure = null;
     try {
       const eventDetails = {
         title: `Property Viewing - ${property.address}`,
@@ -201,17 +216,34 @@ const createAutomatedBooking = async (req, res) => {
     } catch (calendarError) {
       console.warn('Google Calendar integration failed, proceeding without calendar event:', calendarError.message);
       calendarEvent = { eventId: null, htmlLink: null };
+      calendarFailure = calendarError;
     }
 
     // Update meeting with calendar event ID
-    meeting[0].calendarEventId = calendarEvent.eventId;
-    await meeting[0].save({ session });
+    if (calendarEvent.eventId) {
+      meeting[0].calendarEventId = calendarEvent.eventId;
+      meeting[0].calendarHtmlLink = calendarEvent.htmlLink;
+      meeting[0].calendarAgent = selectedAgent._id;
+      await meeting[0].save({ session });
+    }
 
     // Update agent stats
     selectedAgent.totalMeetings += 1;
     await selectedAgent.save({ session });
 
-    // Send notifications
+    await session.commitTransaction();
+    session.endSession();
+
+    await activityService.record('meeting_booked', {
+      lead,
+      agent: selectedAgent,
+      meeting: meeting[0],
+      summary: `Viewing of ${property.address} booked for ${selectedSlot.start.toLocaleString()}`,
+      details: { source: 'automated_booking', returningLead }
+    });
+
+    // Sent once committed: the lead's contact history is written outside the transaction,
+    // and nobody is told about a booking that didn't save
     try {
       // Send confirmation to lead
       await notificationService.sendMeetingConfirmation(
@@ -232,7 +264,12 @@ const createAutomatedBooking = async (req, res) => {
       // Send SMS if phone provided
       if (lead.phone) {
         const smsMessage = `Hi ${lead.name}! Your property viewing at ${property.address} is confirmed for ${selectedSlot.start.toLocaleString()}. RealtyFlow`;
-        await notificationService.sendSMS(lead.phone, smsMessage);
+        await notificationService.sendSMS(lead.phone, smsMessage, {
+          lead,
+          agent: selectedAgent,
+          meeting: meeting[0],
+          summary: 'Booking confirmation SMS sent'
+        });
       }
 
       // Send real-time in-app notifications
@@ -271,19 +308,19 @@ const createAutomatedBooking = async (req, res) => {
       // Don't fail the booking if notifications fail
     }
 
-    await session.commitTransaction();
-    session.endSession();
+    await reminderService.scheduleForMeeting(meeting[0]);
+    if (calendarFailure) {
+      // The event is created on a later retry
+      await calendarSyncService.recordFailure(meeting[0]._id, { action: 'sync' }, calendarFailure);
+    }
+    await scoringService.rescoreLeadById(lead._id);
+    await insightService.refreshLeadById(lead._id);
 
     res.status(201).json({
       success: true,
       message: 'Booking created successfully!',
       data: {
-        lead: {
-          id: lead._id,
-          name: lead.name,
-          email: lead.email,
-          status: lead.status
-        },
+        lead: bookingLead(lead, leadFields),
         meeting: {
           id: meeting[0]._id,
           dateTime: meeting[0].dateTime,
@@ -299,6 +336,7 @@ const createAutomatedBooking = async (req, res) => {
           address: property.address,
           price: property.price
         },
+        returningLead,
         bookingStatus: 'fully_booked'
       }
     });
@@ -350,10 +388,7 @@ const getAvailableSlots = async (req, res) => {
     }
 
     // Get available agents
-    const availableAgents = await Agent.find({
-      isActive: true,
-      googleCalendarId: { $exists: true }
-    });
+    const availableAgents = await availabilityService.bookableAgents();
 
     if (availableAgents.length === 0) {
       return res.status(200).json({
@@ -363,41 +398,161 @@ const getAvailableSlots = async (req, res) => {
       });
     }
 
-    const requestedDate = new Date(date);
-    const allSlots = [];
+    // Slots from all available agents, sorted by time
+    const allSlots = await availabilityService.getSlots(availableAgents, new Date(date));
 
-    // Get slots from all available agents
-    for (const agent of availableAgents) {
-      const agentSlots = await googleCalendar.getAvailableSlots(
-        agent._id,
-        requestedDate,
-        agent.meetingDuration
-      );
+    res.status(200).json({
+      success: true,
+      count: allSlots.length,
+      data: allSlots
+    });
 
-      // Add agent info to slots
-      const slotsWithAgent = agentSlots.map(slot => ({
-        ...slot,
-        agent: {
-          id: agent._id,
-          name: agent.name,
-          email: agent.email
-        }
-      }));
+  } catch (error) {
+    console.error('Error getting available slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
-      allSlots.push(...slotsWithAgent);
+// @desc    View a booking from the link in the confirmation email
+// @route   GET /api/booking/manage/:token
+// @access  Public (signed link)
+const getManagedBooking = async (req, res) => {
+  try {
+    const { meeting, statusCode, message } = await meetingLinkService.resolve(req.params.token);
+    if (!meeting) {
+      return res.status(statusCode).json({ success: false, message });
     }
 
-    // Sort slots by time
-    allSlots.sort((a, b) => a.start.getTime() - b.start.getTime());
+    res.status(200).json({
+      success: true,
+      data: meetingLinkService.describe(meeting)
+    });
+
+  } catch (error) {
+    console.error('Error viewing managed booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the agent's open slots on a date to reschedule a booking into
+// @route   GET /api/booking/manage/:token/slots
+// @access  Public (signed link)
+const getRescheduleSlots = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+
+    const { meeting, statusCode, message } = await meetingLinkService.resolve(req.params.token);
+    if (!meeting) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const slots = await meetingLinkService.getSlots(meeting, new Date(date));
 
     res.status(200).json({
       success: true,
-      count: allSlots.length,
-      data: allSlots
+      count: slots.length,
+      data: slots
     });
 
   } catch (error) {
-    console.error('Error getting available slots:', error);
+    console.error('Error getting reschedule slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Move a booking to another open slot
+// @route   POST /api/booking/manage/:token/reschedule
+// @access  Public (signed link)
+const rescheduleBooking = async (req, res) => {
+  try {
+    const { meeting: found, statusCode, message } = await meetingLinkService.resolve(req.params.token);
+    if (!found) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const result = await meetingLinkService.reschedule(found, (req.body || {}).dateTime);
+    if (!result.meeting) {
+      return res.status(result.statusCode).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking rescheduled. A new confirmation email is on its way.',
+      data: meetingLinkService.describe(result.meeting)
+    });
+
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Cancel a booking
+// @route   POST /api/booking/manage/:token/cancel
+// @access  Public (signed link)
+const cancelBooking = async (req, res) => {
+  try {
+    const { meeting: found, statusCode, message } = await meetingLinkService.resolve(req.params.token);
+    if (!found) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const result = await meetingLinkService.cancel(found, (req.body || {}).reason);
+    if (!result.meeting) {
+      return res.status(result.statusCode).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking cancelled',
+      data: meetingLinkService.describe(result.meeting)
+    });
+
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server Error',
@@ -462,5 +617,9 @@ const getBookingStats = async (req, res) => {
 module.exports = {
   createAutomatedBooking,
   getAvailableSlots,
+  getManagedBooking,
+  getRescheduleSlots,
+  rescheduleBooking,
+  cancelBooking,
   getBookingStats
 };
\ No newline at end of file
@@ -1,17 +1,40 @@
 const Lead = require('../models/Lead');
-const socketService = require('../services/socketService');
+const webhookVerifier = require('../services/webhookVerifier');
+const leadIngestion = require('../services/leadIngestion');
+const dedupeService = require('../services/dedupeService');
+const activityService = require('../services/activityService');
+const pipelineService = require('../services/pipelineService');
+const boardService = require('../services/boardService');
+const scoringService = require('../services/scoringService');
+const insightService = require('../services/insightService');
+const assignmentService = require('../services/assignmentService');
+const matchingService = require('../services/matchingService');
+const Activity = require('../models/Activity');
+const WebhookLog = require('../models/WebhookLog');
+const SavedSearch = require('../models/SavedSearch');
+const { getAgentScope, canAccessAssignment } = require('../middleware/auth');
+
+// Agent fields included whenever a lead is returned
+const agentPopulate = { path: 'agent', select: 'name email phone' };
 
 // @desc    Get all leads
 // @route   GET /api/leads
 // @access  Private
 const getLeads = async (req, res) => {
   try {
-    const { status, assignedTo, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { status, agent, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
     // Build filter object
     let filter = {};
     if (status) filter.status = status;
-    if (assignedTo) filter.assignedTo = assignedTo;
+
+    // Agents only ever see their own leads
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) {
+      filter.agent = agentScope;
+    } else if (agent) {
+      filter.agent = agent;
+    }
 
     // Build sort object
     const sort = {};
@@ -24,6 +47,7 @@ const getLeads = async (req, res) => {
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
+      .populate(agentPopulate)
       .select('-__v'); // Exclude version field
 
     const total = await Lead.countDocuments(filter);
@@ -50,7 +74,13 @@ const getLeads = async (req, res) => {
 // @access  Private
 const getLead = async (req, res) => {
   try {
-    const lead = await Lead.findById(req.params.id);
+    const lead = await Lead.findById(req.params.id)
+      .populate(agentPopulate)
+      .populate({
+        path: 'meetings',
+        select: 'dateTime status property',
+        populate: { path: 'property', select: 'address price' }
+      });
 
     if (!lead) {
       return res.status(404).json({
@@ -59,6 +89,13 @@ const getLead = async (req, res) => {
       });
     }
 
+    if (!canAccessAssignment(req, lead.agent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this lead'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: lead
@@ -77,7 +114,14 @@ const getLead = async (req, res) => {
 // @access  Private
 const createLead = async (req, res) => {
   try {
+    // Leads created by an agent belong to that agent
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) req.body.agent = agentScope;
+
     const lead = await Lead.create(req.body);
+    await assignmentService.assignLead(lead);
+    await scoringService.rescoreLead(lead);
+    await insightService.refreshLead(lead);
 
     res.status(201).json({
       success: true,
@@ -114,14 +158,45 @@ const createLead = async (req, res) => {
 // @access  Private
 const updateLead = async (req, res) => {
   try {
+    const updates = { ...req.body };
+
+    const existing = await Lead.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (!canAccessAssignment(req, existing.agent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this lead'
+      });
+    }
+
+    // Agents cannot hand their leads to someone else
+    if (getAgentScope(req) !== null) delete updates.agent;
+
+    if (updates.status !== undefined && updates.status !== existing.status) {
+      const transition = pipelineService.canTransition(existing.status, updates.status);
+      if (!transition.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: transition.reason
+        });
+      }
+    }
+
     const lead = await Lead.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
       }
-    );
+    ).populate(agentPopulate);
 
     if (!lead) {
       return res.status(404).json({
@@ -130,6 +205,10 @@ const updateLead = async (req, res) => {
       });
     }
 
+    await activityService.recordStatusChange(lead, existing.status, lead.status, { actor: req.user._id });
+    await scoringService.rescoreLead(lead);
+    await insightService.refreshLead(lead);
+
     res.status(200).json({
       success: true,
       data: lead
@@ -166,7 +245,15 @@ const deleteLead = async (req, res) => {
       });
     }
 
+    if (!canAccessAssignment(req, lead.agent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this lead'
+      });
+    }
+
     await lead.deleteOne();
+    await SavedSearch.deleteMany({ lead: lead._id });
 
     res.status(200).json({
       success: true,
@@ -181,31 +268,69 @@ const deleteLead = async (req, res) => {
   }
 };
 
-// @desc    Update lead status (for drag-and-drop)
+// @desc    Move a lead between or within board columns (for drag-and-drop).
+//          afterId/beforeId name the cards the lead is dropped between
 // @route   PATCH /api/leads/:id/status
 // @access  Private
 const updateLeadStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, afterId, beforeId } = req.body;
+
+    if (!status || !pipelineService.isValidStage(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status value',
+        validStatuses: pipelineService.getStageNames()
+      });
+    }
+
+    const existing = await Lead.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (!canAccessAssignment(req, existing.agent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this lead'
+      });
+    }
 
-    if (!status || !['New', 'Contacted', 'Nurturing', 'Closed'].includes(status)) {
+    const transition = pipelineService.canTransition(existing.status, status);
+    if (!transition.allowed) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status value'
+        message: transition.reason
       });
     }
 
+    // A status move is not contact with the lead, so lastContacted is left alone
+    const updates = { status };
+
+    // Cards moved to another column without neighbours go to the top
+    if (status !== existing.status || afterId || beforeId) {
+      const placement = await boardService.resolvePosition(existing._id, status, { afterId, beforeId });
+      if (placement.statusCode) {
+        return res.status(placement.statusCode).json({
+          success: false,
+          message: placement.message
+        });
+      }
+      updates.position = placement.position;
+    }
+
     const lead = await Lead.findByIdAndUpdate(
       req.params.id,
-      {
-        status,
-        lastContacted: new Date() // Update last contacted when status changes
-      },
+      updates,
       {
         new: true,
         runValidators: true
       }
-    );
+    ).populate(agentPopulate);
 
     if (!lead) {
       return res.status(404).json({
@@ -214,6 +339,8 @@ const updateLeadStatus = async (req, res) => {
       });
     }
 
+    await activityService.recordStatusChange(lead, existing.status, status, { actor: req.user._id });
+
     res.status(200).json({
       success: true,
       data: lead
@@ -234,15 +361,21 @@ const getLeadsByStatus = async (req, res) => {
   try {
     const { status } = req.params;
 
-    if (!['New', 'Contacted', 'Nurturing', 'Closed'].includes(status)) {
+    if (!pipelineService.isValidStage(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status value'
+        message: 'Invalid status value',
+        validStatuses: pipelineService.getStageNames()
       });
     }
 
-    const leads = await Lead.find({ status })
-      .sort({ createdAt: -1 })
+    const filter = { status };
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) filter.agent = agentScope;
+
+    const leads = await Lead.find(filter)
+      .sort({ position: 1, _id: 1 })
+      .populate(agentPopulate)
       .select('-__v');
 
     res.status(200).json({
@@ -259,170 +392,346 @@ const getLeadsByStatus = async (req, res) => {
   }
 };
 
-// @desc    Handle webhook lead ingestion from external sources
-// @route   POST /api/leads/webhook
-// @access  Public (with signature verification)
-const handleWebhookLead = async (req, res) => {
+// @desc    Get the Kanban board: every stage with its count and a page of cards.
+//          Pass stage and cursor to load the next page of a single column
+// @route   GET /api/leads/board
+// @access  Private
+const getLeadBoard = async (req, res) => {
   try {
-    const {
-      // Lead information from webhook
-      name,
-      email,
-      phone,
-      source = 'Webhook',
-      propertyId,
-      preferredDateTime,
-      budget,
-      preferredPropertyType,
-      timeline,
-      notes,
-      // Webhook metadata
-      sourceSystem, // 'REA', 'website', 'crm', etc.
-      externalId, // External system reference ID
-      signature, // For signature verification
-      timestamp,
-    } = req.body;
-
-    // Basic validation
-    if (!name || !email) {
-      return res.status(400).json({
+    const { agent, stage, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = {};
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) {
+      filter.agent = agentScope;
+    } else if (agent) {
+      filter.agent = agent;
+    }
+
+    if (stage) {
+      if (!pipelineService.isValidStage(stage)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid stage',
+          validStatuses: pipelineService.getStageNames()
+        });
+      }
+
+      const decoded = cursor ? boardService.decodeCursor(cursor) : null;
+      if (cursor && !decoded) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      const column = await boardService.getColumn(stage, { filter, limit, cursor: decoded });
+
+      return res.status(200).json({
+        success: true,
+        data: { name: stage, ...column }
+      });
+    }
+
+    const columns = await boardService.getBoard({ filter, limit });
+
+    res.status(200).json({
+      success: true,
+      data: columns
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Find likely duplicates of a lead
+// @route   GET /api/leads/:id/duplicates
+// @access  Private
+const getLeadDuplicates = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
         success: false,
-        message: 'Name and email are required'
+        message: 'Lead not found'
       });
     }
 
-    // Optional signature verification (implement based on your webhook provider)
-    // This is a basic example - implement proper signature verification for production
-    if (process.env.WEBHOOK_SECRET && signature) {
-      // Verify webhook signature here
-      // Implementation depends on the webhook provider (REA, Zapier, etc.)
+    if (!canAccessAssignment(req, lead.agent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this lead'
+      });
     }
 
-    // Check if lead already exists
-    let lead = await Lead.findOne({ email });
-    if (lead) {
-      // Update existing lead with new information
-      lead.source = source;
-      lead.lastContacted = new Date();
-      if (notes) lead.notes = notes;
-      if (budget) lead.budget = parseInt(budget);
-      if (preferredPropertyType) lead.preferredPropertyType = preferredPropertyType;
-      if (timeline) lead.timeline = timeline;
-      if (externalId) lead.externalId = externalId;
-      if (sourceSystem) lead.sourceSystem = sourceSystem;
+    // Agents only see candidates from their own pipeline
+    const filter = {};
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) filter.agent = agentScope;
 
-      await lead.save();
+    const minScore = req.query.minScore ? parseInt(req.query.minScore) : undefined;
+    const matches = await dedupeService.findDuplicates(lead, { minScore, filter });
 
-      return res.status(200).json({
-        success: true,
-        message: 'Lead updated successfully',
-        data: {
-          lead: {
-            id: lead._id,
-            name: lead.name,
-            email: lead.email,
-            status: lead.status
-          },
-          action: 'updated'
-        }
-      });
-    }
-
-    // Create new lead
-    lead = await Lead.create({
-      name,
-      email,
-      phone,
-      source,
-      assignedTo: 'Auto-assigned', // Will be updated when agent is assigned
-      budget: budget ? parseInt(budget) : undefined,
-      preferredPropertyType,
-      timeline,
-      notes,
-      status: 'New',
-      externalId,
-      sourceSystem,
-      lastContacted: new Date()
-    });
-
-    // If propertyId is provided and preferredDateTime, attempt automated booking
-    if (propertyId && preferredDateTime) {
-      try {
-        // Import booking controller to reuse logic
-        const { createAutomatedBooking } = require('./bookingController');
-
-        // Create a mock request object for the booking
-        const mockReq = {
-          body: {
-            name: lead.name,
-            email: lead.email,
-            phone: lead.phone,
-            propertyId,
-            preferredDateTime,
-            budget,
-            preferredPropertyType,
-            timeline,
-            notes
-          }
-        };
-
-        const mockRes = {
-          status: (code) => ({
-            json: (data) => {
-              console.log('Automated booking result:', data);
-              return data;
-            }
-          })
-        };
-
-        // Attempt automated booking
-        await createAutomatedBooking(mockReq, mockRes);
-      } catch (bookingError) {
-        console.error('Automated booking failed for webhook lead:', bookingError);
-        // Continue with lead creation even if booking fails
+    res.status(200).json({
+      success: true,
+      count: matches.length,
+      data: matches.map(match => ({
+        score: match.score,
+        reasons: match.reasons,
+        lead: match.lead
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get available properties ranked for a lead
+// @route   GET /api/leads/:id/matches
+// @access  Private
+const getLeadMatches = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (!canAccessAssignment(req, lead.agent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this lead'
+      });
+    }
+
+    // Query parameters refine the lead's own preferences
+    const criteria = {};
+    for (const field of ['minPrice', 'maxPrice', 'minBedrooms', 'minBathrooms', 'minSqft']) {
+      if (req.query[field] === undefined) continue;
+      const value = Number(req.query[field]);
+      if (isNaN(value) || value < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative number`
+        });
       }
+      criteria[field] = value;
+    }
+    if (req.query.propertyType) {
+      criteria.propertyTypes = req.query.propertyType.split(',').map(type => type.trim()).filter(Boolean);
     }
 
-    // Send real-time notification for new lead
-    socketService.notifyUserType('admin', 'newLead', {
-      type: 'new_lead',
-      title: 'New Lead Created',
-      message: `${lead.name} submitted a new lead from ${lead.source}`,
-      data: {
-        id: lead._id,
-        name: lead.name,
-        email: lead.email,
-        source: lead.source,
-        status: lead.status
-      },
-      timestamp: new Date()
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    const result = await matchingService.findMatchesForLead(lead, { criteria, limit });
+
+    res.status(200).json({
+      success: true,
+      count: result.matches.length,
+      criteria: result.criteria,
+      data: result.matches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
 
-    res.status(201).json({
+// @desc    Merge duplicate leads into a surviving lead
+// @route   POST /api/leads/merge
+// @access  Private
+const mergeLeads = async (req, res) => {
+  try {
+    const { survivorId, duplicateIds } = req.body;
+
+    if (!survivorId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'survivorId and a non-empty duplicateIds array are required'
+      });
+    }
+
+    const mergeSet = await dedupeService.loadMergeSet(survivorId, duplicateIds);
+    if (mergeSet.statusCode) {
+      return res.status(mergeSet.statusCode).json({
+        success: false,
+        message: mergeSet.message
+      });
+    }
+
+    // Agents may only merge leads that are all theirs
+    const { survivor, duplicates } = mergeSet;
+    if (![survivor, ...duplicates].every(lead => canAccessAssignment(req, lead.agent))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to merge these leads'
+      });
+    }
+
+    const merge = await dedupeService.mergeLeads(survivor, duplicates, { mergedBy: req.user._id });
+    await scoringService.rescoreLead(survivor);
+    await insightService.refreshLead(survivor);
+    await survivor.populate(agentPopulate);
+
+    res.status(200).json({
       success: true,
-      message: 'Lead created successfully',
+      message: `${duplicates.length} lead(s) merged successfully`,
       data: {
-        lead: {
-          id: lead._id,
-          name: lead.name,
-          email: lead.email,
-          status: lead.status
-        },
-        action: 'created'
+        lead: survivor,
+        mergeId: merge._id,
+        fieldsTaken: merge.fieldsTaken,
+        meetingsMoved: merge.meetingsMoved
       }
     });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
 
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Activity types that can be logged by hand; the rest are written by the system
+const MANUAL_ACTIVITY_TYPES = ['note', 'call'];
+
+// @desc    Get a lead's activity timeline
+// @route   GET /api/leads/:id/activities
+// @access  Private
+const getLeadActivities = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (!canAccessAssignment(req, lead.agent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this lead'
+      });
+    }
+
+    const { type, page = 1, limit = 20 } = req.query;
+    const types = type ? type.split(',').map(value => value.trim()).filter(Boolean) : [];
+
+    const invalidTypes = types.filter(value => !Activity.TYPES.includes(value));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid activity type: ${invalidTypes.join(', ')}`
+      });
+    }
+
+    const { activities, total } = await activityService.getTimeline(lead._id, {
+      types,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: activities.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: activities
+    });
   } catch (error) {
-    console.error('Error handling webhook lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
-    if (error.code === 11000) {
-      // Duplicate email error
+// @desc    Log a note or call against a lead
+// @route   POST /api/leads/:id/activities
+// @access  Private
+const addLeadActivity = async (req, res) => {
+  try {
+    const { type = 'note', body, summary } = req.body;
+
+    if (!MANUAL_ACTIVITY_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'Lead with this email already exists'
+        message: `Activity type must be one of: ${MANUAL_ACTIVITY_TYPES.join(', ')}`
+      });
+    }
+
+    if (!body && !summary) {
+      return res.status(400).json({
+        success: false,
+        message: 'Activity body or summary is required'
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
       });
     }
 
+    if (!canAccessAssignment(req, lead.agent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this lead'
+      });
+    }
+
+    // Written directly so validation errors reach the caller
+    const activity = await Activity.create({
+      lead: lead._id,
+      type,
+      summary: summary || (type === 'call' ? 'Call logged' : 'Note added'),
+      body,
+      agent: lead.agent,
+      actor: req.user._id
+    });
+
+    if (type === 'call') {
+      await Lead.updateOne({ _id: lead._id }, { lastContacted: activity.createdAt });
+    }
+    await scoringService.rescoreLeadById(lead._id);
+    await insightService.refreshLeadById(lead._id);
+
+    res.status(201).json({
+      success: true,
+      data: activity
+    });
+  } catch (error) {
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(val => val.message);
       return res.status(400).json({
@@ -440,17 +749,195 @@ const handleWebhookLead = async (req, res) => {
   }
 };
 
-// @desc    Get webhook logs/events (for debugging)
+// Persist a webhook log entry without letting logging failures break the response
+const saveWebhookLog = async (log) => {
+  try {
+    await log.save();
+  } catch (logError) {
+    console.error('Failed to save webhook log:', logError);
+  }
+};
+
+// Map ingestion errors to a status code and response body
+const webhookErrorResponse = (error) => {
+  if (error.code === 11000) {
+    // Duplicate email error
+    return {
+      statusCode: 400,
+      body: { success: false, message: 'Lead with this email already exists' }
+    };
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return {
+      statusCode: 400,
+      body: { success: false, message: 'Validation Error', errors: messages }
+    };
+  }
+
+  return {
+    statusCode: 500,
+    body: {
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+  };
+};
+
+// Response body for a successful ingestion
+const ingestionResponse = (result) => ({
+  success: true,
+  message: result.message,
+  data: {
+    lead: {
+      id: result.lead._id,
+      name: result.lead.name,
+      email: result.lead.email,
+      status: result.lead.status
+    },
+    action: result.action
+  }
+});
+
+// @desc    Handle webhook lead ingestion from external sources
+// @route   POST /api/leads/webhook
+// @access  Public (with signature verification)
+const handleWebhookLead = async (req, res) => {
+  let verification = null;
+  let nonceClaimed = false;
+
+  const log = new WebhookLog({
+    payload: req.body,
+    rawBody: req.rawBody ? req.rawBody.toString('utf8') : undefined,
+    headers: WebhookLog.sanitizeHeaders(req.headers),
+    action: 'rejected'
+  });
+
+  // Record the outcome and send the response
+  const finish = async (statusCode, body) => {
+    log.statusCode = statusCode;
+    if (!body.success) log.error = body.message;
+    await saveWebhookLog(log);
+    res.status(statusCode).json(body);
+  };
+
+  try {
+    // Verify HMAC signature and timestamp over the raw body
+    verification = webhookVerifier.verify(req);
+    log.sourceSystem = verification.sourceSystem;
+    log.deliveryId = verification.nonce;
+    log.verification = {
+      verified: verification.verified,
+      valid: verification.valid,
+      reason: verification.reason
+    };
+
+    if (!verification.valid) {
+      return finish(verification.statusCode, {
+        success: false,
+        message: verification.reason
+      });
+    }
+
+    // Reject deliveries we've already processed (provider retries, replays)
+    nonceClaimed = await webhookVerifier.claimNonce(verification.sourceSystem, verification.nonce);
+    if (!nonceClaimed) {
+      return finish(409, {
+        success: false,
+        message: 'Duplicate webhook delivery'
+      });
+    }
+
+    const result = await leadIngestion.ingestWebhookLead(req.body || {}, {
+      sourceSystem: verification.sourceSystem
+    });
+
+    log.action = result.action;
+    if (result.action === 'rejected') {
+      await webhookVerifier.releaseNonce(verification.sourceSystem, verification.nonce);
+      return finish(result.statusCode, {
+        success: false,
+        message: result.message
+      });
+    }
+
+    log.lead = result.lead._id;
+    await finish(result.statusCode, ingestionResponse(result));
+
+    // Refreshed once this delivery is logged so repeat-source insights count it. The
+    // response has already gone out, so a failure here must not reach the handler below
+    insightService.refreshLead(result.lead)
+      .catch(refreshError => console.error('Failed to refresh insights for webhook lead:', refreshError));
+  } catch (error) {
+    console.error('Error handling webhook lead:', error);
+
+    // Let the provider retry a delivery that failed on our side
+    if (nonceClaimed) {
+      await webhookVerifier.releaseNonce(verification.sourceSystem, verification.nonce)
+        .catch(releaseError => console.error('Failed to release webhook nonce:', releaseError));
+    }
+
+    log.action = 'rejected';
+    const { statusCode, body } = webhookErrorResponse(error);
+    log.error = error.message;
+    log.statusCode = statusCode;
+    await saveWebhookLog(log);
+    res.status(statusCode).json(body);
+  }
+};
+
+// @desc    Get webhook delivery logs (filterable, paginated)
 // @route   GET /api/leads/webhook/logs
 // @access  Private (Admin only)
 const getWebhookLogs = async (req, res) => {
   try {
-    // This would typically query a WebhookLog model
-    // For now, return a placeholder response
+    const {
+      sourceSystem,
+      action,
+      verified,
+      lead,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20,
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build filter object
+    let filter = {};
+    if (sourceSystem) filter.sourceSystem = sourceSystem;
+    if (action) filter.action = action;
+    if (verified !== undefined) filter['verification.verified'] = verified === 'true';
+    if (lead) filter.lead = lead;
+
+    // Date range filter
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const logs = await WebhookLog.find(filter)
+      .sort({ createdAt: sortOrder === 'asc' ? 1 : -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('lead', 'name email status')
+      .select('-__v');
+
+    const total = await WebhookLog.countDocuments(filter);
+
     res.status(200).json({
       success: true,
-      message: 'Webhook logging not yet implemented',
-      data: []
+      count: logs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: logs
     });
   } catch (error) {
     res.status(500).json({
@@ -461,6 +948,109 @@ const getWebhookLogs = async (req, res) => {
   }
 };
 
+// @desc    Get a single webhook delivery, including the raw body
+// @route   GET /api/leads/webhook/logs/:logId
+// @access  Private (Admin only)
+const getWebhookLog = async (req, res) => {
+  try {
+    const log = await WebhookLog.findById(req.params.logId)
+      .select('+rawBody')
+      .populate('lead', 'name email status');
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook log not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Re-run a stored delivery through the ingestion pipeline
+// @route   POST /api/leads/webhook/logs/:logId/replay
+// @access  Private (Admin only)
+const replayWebhookLog = async (req, res) => {
+  try {
+    const original = await WebhookLog.findById(req.params.logId);
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook log not found'
+      });
+    }
+
+    // Never replay something we couldn't authenticate in the first place
+    if (!original.verification || !original.verification.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deliveries that failed verification cannot be replayed'
+      });
+    }
+
+    const log = new WebhookLog({
+      sourceSystem: original.sourceSystem,
+      payload: original.payload,
+      deliveryId: original.deliveryId,
+      verification: {
+        verified: original.verification.verified,
+        valid: true,
+        reason: 'Replay of a previously verified delivery'
+      },
+      action: 'rejected',
+      replayOf: original._id,
+      replayedBy: req.user._id
+    });
+
+    try {
+      const result = await leadIngestion.ingestWebhookLead(original.payload || {}, {
+        sourceSystem: original.sourceSystem
+      });
+
+      log.action = result.action;
+      log.statusCode = result.statusCode;
+
+      if (result.action === 'rejected') {
+        log.error = result.message;
+        await saveWebhookLog(log);
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message,
+          logId: log._id
+        });
+      }
+
+      log.lead = result.lead._id;
+      await saveWebhookLog(log);
+
+      res.status(result.statusCode).json({ ...ingestionResponse(result), logId: log._id });
+    } catch (error) {
+      const { statusCode, body } = webhookErrorResponse(error);
+      log.error = error.message;
+      log.statusCode = statusCode;
+      await saveWebhookLog(log);
+      res.status(statusCode).json({ ...body, logId: log._id });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getLeads,
   getLead,
@@ -469,6 +1059,14 @@ module.exports = {
   deleteLead,
   updateLeadStatus,
   getLeadsByStatus,
+  getLeadBoard,
+  getLeadDuplicates,
+  getLeadMatches,
+  mergeLeads,
+  getLeadActivities,
+  addLeadActivity,
   handleWebhookLead,
-  getWebhookLogs
+  getWebhookLogs,
+  getWebhookLog,
+  replayWebhookLog
 };
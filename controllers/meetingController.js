@@ -1,4 +1,78 @@
 const Meeting = require('../models/Meeting');
+const Lead = require('../models/Lead');
+const { getAgentScope, canAccessAssignment } = require('../middleware/auth');
+const activityService = require('../services/activityService');
+const scoringService = require('../services/scoringService');
+const insightService = require('../services/insightService');
+const reminderService = require('../services/reminderService');
+const calendarSyncService = require('../services/calendarSyncService');
+
+// Referenced documents included whenever a meeting is returned
+const meetingPopulate = [
+  { path: 'lead', select: 'name email phone status' },
+  { path: 'property', select: 'address price status' },
+  { path: 'agent', select: 'name email phone' }
+];
+
+// Fields whose changes are copied to the meeting's calendar event
+const CALENDAR_FIELDS = ['dateTime', 'status', 'agent', 'lead', 'property'];
+
+// Managed by calendarSyncService, never set through the API
+const CALENDAR_STATE_FIELDS = ['calendarEventId', 'calendarHtmlLink', 'calendarAgent'];
+
+// Compare a field before and after an update; references may be populated
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  return value && value._id ? value._id : value;
+};
+const sameValue = (a, b) => String(comparable(a)) === String(comparable(b));
+
+// Load a meeting and confirm the caller owns it; sends the error response and returns null otherwise
+const findAccessibleMeeting = async (req, res, action) => {
+  const meeting = await Meeting.findById(req.params.id).populate(meetingPopulate);
+
+  if (!meeting) {
+    res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+    return null;
+  }
+
+  if (!canAccessAssignment(req, meeting.agent)) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this meeting`
+    });
+    return null;
+  }
+
+  return meeting;
+};
+
+// Confirm an agent may book the given lead; sends the error response and returns false otherwise
+const checkLeadAccess = async (req, res, leadId) => {
+  if (!leadId || getAgentScope(req) === null) return true;
+
+  const lead = await Lead.findById(leadId).select('agent');
+  if (!lead) {
+    res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+    return false;
+  }
+
+  if (!canAccessAssignment(req, lead.agent)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to book meetings for this lead'
+    });
+    return false;
+  }
+
+  return true;
+};
 
 // @desc    Get all meetings
 // @route   GET /api/meetings
@@ -7,8 +81,9 @@ const getMeetings = async (req, res) => {
   try {
     const {
       status,
-      assignedTo,
-      leadName,
+      agent,
+      lead,
+      property,
       startDate,
       endDate,
       page = 1,
@@ -20,8 +95,16 @@ const getMeetings = async (req, res) => {
     // Build filter object
     let filter = {};
     if (status) filter.status = status;
-    if (assignedTo) filter.assignedTo = new RegExp(assignedTo, 'i');
-    if (leadName) filter.leadName = new RegExp(leadName, 'i');
+    if (lead) filter.lead = lead;
+    if (property) filter.property = property;
+
+    // Agents only ever see their own meetings
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) {
+      filter.agent = agentScope;
+    } else if (agent) {
+      filter.agent = agent;
+    }
 
     // Date range filter
     if (startDate || endDate) {
@@ -41,6 +124,7 @@ const getMeetings = async (req, res) => {
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
+      .populate(meetingPopulate)
       .select('-__v');
 
     const total = await Meeting.countDocuments(filter);
@@ -67,14 +151,8 @@ const getMeetings = async (req, res) => {
 // @access  Private
 const getMeeting = async (req, res) => {
   try {
-    const meeting = await Meeting.findById(req.params.id);
-
-    if (!meeting) {
-      return res.status(404).json({
-        success: false,
-        message: 'Meeting not found'
-      });
-    }
+    const meeting = await findAccessibleMeeting(req, res, 'access');
+    if (!meeting) return;
 
     res.status(200).json({
       success: true,
@@ -94,20 +172,25 @@ const getMeeting = async (req, res) => {
 // @access  Private
 const createMeeting = async (req, res) => {
   try {
+    // Agents can only book meetings for themselves
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) req.body.agent = agentScope;
+    if (!(await checkLeadAccess(req, res, req.body.lead))) return;
+
     // Check for scheduling conflicts
-    const { dateTime, assignedTo } = req.body;
+    const { dateTime, agent } = req.body;
     const meetingStart = new Date(dateTime);
     const meetingEnd = new Date(meetingStart.getTime() + 60 * 60 * 1000); // 1 hour meeting
 
     // Find meetings that might conflict
     const conflictingMeetings = await Meeting.find({
-      assignedTo,
+      agent,
       status: 'Scheduled',
       dateTime: {
         $lt: meetingEnd,
         $gte: new Date(meetingStart.getTime() - 60 * 60 * 1000) // Check 1 hour before
       }
-    });
+    }).populate(meetingPopulate);
 
     if (conflictingMeetings.length > 0) {
       return res.status(409).json({
@@ -115,14 +198,30 @@ const createMeeting = async (req, res) => {
         message: 'Scheduling conflict detected',
         conflicts: conflictingMeetings.map(m => ({
           id: m._id,
-          leadName: m.leadName,
+          lead: m.lead,
           dateTime: m.dateTime,
-          propertyAddress: m.propertyAddress
+          property: m.property
         }))
       });
     }
 
-    const meeting = await Meeting.create(req.body);
+    const fields = { ...req.body };
+    CALENDAR_STATE_FIELDS.forEach(field => delete fields[field]);
+
+    const meeting = await Meeting.create(fields);
+    await calendarSyncService.syncMeeting(meeting._id);
+    await meeting.populate(meetingPopulate);
+
+    await activityService.record('meeting_booked', {
+      lead: meeting.lead,
+      agent: meeting.agent,
+      meeting,
+      actor: req.user._id,
+      summary: `Meeting booked for ${meeting.dateTime.toLocaleString()}${meeting.property ? ` at ${meeting.property.address}` : ''}`
+    });
+    await reminderService.scheduleForMeeting(meeting);
+    await scoringService.rescoreLeadById(meeting.lead);
+    await insightService.refreshLeadById(meeting.lead);
 
     res.status(201).json({
       success: true,
@@ -151,14 +250,23 @@ const createMeeting = async (req, res) => {
 // @access  Private
 const updateMeeting = async (req, res) => {
   try {
+    const existing = await findAccessibleMeeting(req, res, 'update');
+    if (!existing) return;
+
+    // Agents cannot hand their meetings to someone else
+    const updates = { ...req.body };
+    if (getAgentScope(req) !== null) delete updates.agent;
+    CALENDAR_STATE_FIELDS.forEach(field => delete updates[field]);
+    if (!(await checkLeadAccess(req, res, updates.lead))) return;
+
     const meeting = await Meeting.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
       }
-    );
+    ).populate(meetingPopulate);
 
     if (!meeting) {
       return res.status(404).json({
@@ -167,6 +275,20 @@ const updateMeeting = async (req, res) => {
       });
     }
 
+    if (meeting.status !== existing.status || meeting.dateTime.getTime() !== existing.dateTime.getTime()) {
+      await reminderService.scheduleForMeeting(meeting);
+    }
+
+    if (CALENDAR_FIELDS.some(field => !sameValue(meeting[field], existing[field]))) {
+      await calendarSyncService.syncMeeting(meeting._id);
+    }
+
+    if (meeting.status !== existing.status) {
+      await activityService.recordMeetingStatus(meeting, { actor: req.user._id });
+      await scoringService.rescoreLeadById(meeting.lead);
+      await insightService.refreshLeadById(meeting.lead);
+    }
+
     res.status(200).json({
       success: true,
       data: meeting
@@ -194,16 +316,14 @@ const updateMeeting = async (req, res) => {
 // @access  Private
 const deleteMeeting = async (req, res) => {
   try {
-    const meeting = await Meeting.findById(req.params.id);
-
-    if (!meeting) {
-      return res.status(404).json({
-        success: false,
-        message: 'Meeting not found'
-      });
-    }
+    const meeting = await findAccessibleMeeting(req, res, 'delete');
+    if (!meeting) return;
 
     await meeting.deleteOne();
+    await reminderService.cancelForMeeting(meeting._id, 'Meeting deleted');
+    await calendarSyncService.removeEvent(meeting);
+    await scoringService.rescoreLeadById(meeting.lead);
+    await insightService.refreshLeadById(meeting.lead);
 
     res.status(200).json({
       success: true,
@@ -224,7 +344,12 @@ const deleteMeeting = async (req, res) => {
 const getUpcomingMeetings = async (req, res) => {
   try {
     const hoursAhead = parseInt(req.query.hours) || 24;
-    const upcomingMeetings = await Meeting.findUpcoming(hoursAhead);
+    const query = Meeting.findUpcoming(hoursAhead);
+
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) query.where({ agent: agentScope });
+
+    const upcomingMeetings = await query.populate(meetingPopulate);
 
     res.status(200).json({
       success: true,
@@ -247,18 +372,21 @@ const updateMeetingStatus = async (req, res) => {
   try {
     const { status } = req.body;
 
-    if (!['Scheduled', 'Completed', 'Missed'].includes(status)) {
+    if (!['Scheduled', 'Completed', 'Missed', 'Cancelled'].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be Scheduled, Completed, or Missed'
+        message: 'Invalid status. Must be Scheduled, Completed, Missed, or Cancelled'
       });
     }
 
+    const existing = await findAccessibleMeeting(req, res, 'update');
+    if (!existing) return;
+
     const meeting = await Meeting.findByIdAndUpdate(
       req.params.id,
       { status },
       { new: true, runValidators: true }
-    );
+    ).populate(meetingPopulate);
 
     if (!meeting) {
       return res.status(404).json({
@@ -267,6 +395,14 @@ const updateMeetingStatus = async (req, res) => {
       });
     }
 
+    if (status !== existing.status) {
+      await reminderService.scheduleForMeeting(meeting);
+      await calendarSyncService.syncMeeting(meeting._id);
+      await activityService.recordMeetingStatus(meeting, { actor: req.user._id });
+      await scoringService.rescoreLeadById(meeting.lead);
+      await insightService.refreshLeadById(meeting.lead);
+    }
+
     res.status(200).json({
       success: true,
       data: meeting
@@ -280,6 +416,30 @@ const updateMeetingStatus = async (req, res) => {
   }
 };
 
+// @desc    Get a meeting's reminders and whether they went out
+// @route   GET /api/meetings/:id/reminders
+// @access  Private
+const getMeetingReminders = async (req, res) => {
+  try {
+    const meeting = await findAccessibleMeeting(req, res, 'access');
+    if (!meeting) return;
+
+    const reminders = await reminderService.getJobs(meeting._id);
+
+    res.status(200).json({
+      success: true,
+      count: reminders.length,
+      data: reminders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getMeetings,
   getMeeting,
@@ -287,5 +447,6 @@ module.exports = {
   updateMeeting,
   deleteMeeting,
   getUpcomingMeetings,
-  updateMeetingStatus
+  updateMeetingStatus,
+  getMeetingReminders
 };
\ No newline at end of file
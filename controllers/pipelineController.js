@@ -0,0 +1,112 @@
+const Pipeline = require('../models/Pipeline');
+const Lead = require('../models/Lead');
+const pipelineService = require('../services/pipelineService');
+
+// @desc    Get the lead pipeline stages
+// @route   GET /api/pipeline
+// @access  Private
+const getPipeline = async (req, res) => {
+  try {
+    const pipeline = await Pipeline.findOne({ isDefault: true }).select('-__v');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: pipeline ? pipeline._id : null,
+        name: pipeline ? pipeline.name : 'Default',
+        configured: Boolean(pipeline),
+        stages: pipelineService.getStages()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Replace the lead pipeline stages
+// @route   PUT /api/pipeline
+// @access  Private (Admin only)
+const updatePipeline = async (req, res) => {
+  try {
+    const { name, stages } = req.body;
+
+    if (!Array.isArray(stages) || stages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'stages must be a non-empty array'
+      });
+    }
+
+    // Stages default to the order they were sent in
+    const orderedStages = stages.map((stage, index) => ({
+      ...stage,
+      order: stage.order !== undefined ? stage.order : index
+    }));
+
+    // Refuse to drop stages that leads are still sitting in
+    const keptNames = orderedStages.map(stage => stage.name);
+    const removed = pipelineService.getStageNames().filter(stageName => !keptNames.includes(stageName));
+    if (removed.length > 0) {
+      const inUse = await Lead.aggregate([
+        { $match: { status: { $in: removed } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+
+      if (inUse.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Move leads out of these stages before removing them',
+          stagesInUse: inUse.map(entry => ({ stage: entry._id, leads: entry.count }))
+        });
+      }
+    }
+
+    let pipeline = await Pipeline.findOne({ isDefault: true });
+    if (!pipeline) {
+      pipeline = new Pipeline({ name: name || 'Default', isDefault: true });
+    } else if (name) {
+      pipeline.name = name;
+    }
+
+    pipeline.stages = orderedStages;
+    pipeline.updatedBy = req.user._id;
+    await pipeline.save();
+
+    pipelineService.setStages(pipeline.stages, pipeline._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pipeline updated successfully',
+      data: {
+        id: pipeline._id,
+        name: pipeline.name,
+        configured: true,
+        stages: pipelineService.getStages()
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getPipeline,
+  updatePipeline
+};
@@ -1,13 +1,24 @@
 const Property = require('../models/Property');
-const cloudinary = require('cloudinary').v2;
+const matchingService = require('../services/matchingService');
+const propertySearchService = require('../services/propertySearchService');
+const geocodingService = require('../services/geocodingService');
+const propertyHistoryService = require('../services/propertyHistoryService');
+const PropertyHistory = require('../models/PropertyHistory');
+const mediaService = require('../services/mediaService');
+const geo = require('../utils/geo');
+const { getAgentScope } = require('../middleware/auth');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 
-// @desc    Get all properties
+// Most a radius search may cover
+const MAX_RADIUS_KM = 500;
+
+// @desc    Get all properties. Geo queries: lat, lng and radiusKm (default 10) for a radius
+//          search, nearest first unless sortBy is given; or bbox=minLng,minLat,maxLng,maxLat
 // @route   GET /api/properties
 // @access  Private
 const getProperties = async (req, res) => {
   try {
-    const { status, propertyType, minPrice, maxPrice, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { status, propertyType, minPrice, maxPrice, lat, lng, radiusKm = 10, bbox, page = 1, limit = 10, sortBy, sortOrder = 'desc' } = req.query;
 
     // Build filter object
     let filter = {};
@@ -19,14 +30,52 @@ const getProperties = async (req, res) => {
       if (maxPrice) filter.price.$lte = parseInt(maxPrice);
     }
 
+    // Geo filters; a radius search sorts nearest first, which countDocuments can't do
+    let center = null;
+    let findFilter = filter;
+    if ((lat !== undefined || lng !== undefined) && bbox !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use either lat/lng or bbox, not both'
+      });
+    }
+    if (lat !== undefined || lng !== undefined) {
+      center = geo.parsePoint(lat, lng);
+      const radius = Number(radiusKm);
+      if (!center) {
+        return res.status(400).json({
+          success: false,
+          message: 'lat and lng must both be given as valid coordinates'
+        });
+      }
+      if (isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+        return res.status(400).json({
+          success: false,
+          message: `radiusKm must be between 0 and ${MAX_RADIUS_KM}`
+        });
+      }
+
+      filter.location = geo.withinRadius(center, radius);
+      if (!sortBy) findFilter = { ...filter, location: geo.nearest(center, radius) };
+    } else if (bbox !== undefined) {
+      const box = geo.parseBbox(bbox);
+      if (!box) {
+        return res.status(400).json({
+          success: false,
+          message: 'bbox must be minLng,minLat,maxLng,maxLat enclosing a non-empty area'
+        });
+      }
+      Object.assign(filter, geo.withinBbox(box));
+    }
+
     // Build sort object
     const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    if (!center || sortBy) sort[sortBy || 'createdAt'] = sortOrder === 'desc' ? -1 : 1;
 
     // Pagination
     const skip = (page - 1) * limit;
 
-    const properties = await Property.find(filter)
+    const properties = await Property.find(findFilter)
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
@@ -40,7 +89,46 @@ const getProperties = async (req, res) => {
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: parseInt(page),
-      data: properties
+      data: center
+        ? properties.map(property => ({
+          ...property.toJSON(),
+          distanceKm: Math.round(geo.distanceKm(center, property.location.coordinates) * 100) / 100
+        }))
+        : properties
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Full-text and faceted property search
+// @route   GET /api/properties/search
+// @access  Private
+const searchProperties = async (req, res) => {
+  try {
+    const { criteria, errors } = propertySearchService.parseQuery(req.query);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search',
+        errors
+      });
+    }
+
+    const { properties, total, facets } = await propertySearchService.search(criteria);
+
+    res.status(200).json({
+      success: true,
+      count: properties.length,
+      total,
+      totalPages: Math.ceil(total / criteria.limit),
+      currentPage: criteria.page,
+      data: properties,
+      facets
     });
   } catch (error) {
     res.status(500).json({
@@ -82,6 +170,10 @@ const getProperty = async (req, res) => {
 // @route   POST /api/properties
 // @access  Private
 const createProperty = async (req, res) => {
+  // Files already in the media store, removed again if the property isn't created
+  let uploadedFiles = [];
+  let uploadResults;
+
   try {
     let propertyData = req.body;
 
@@ -103,34 +195,7 @@ const createProperty = async (req, res) => {
 
     // Handle file uploads if files are present
     if (req.files && req.files.length > 0) {
-      const uploadedFiles = [];
-
-      for (const file of req.files) {
-        try {
-          // Upload to Cloudinary
-          const result = await cloudinary.uploader.upload(file.path, {
-            folder: 'realtyflow/properties',
-            resource_type: 'auto', // Auto-detect image/video
-            public_id: `property_${Date.now()}_${file.filename}`,
-            transformation: [
-              { width: 1200, height: 800, crop: 'limit' }, // Resize for web
-              { quality: 'auto' } // Auto quality optimization
-            ]
-          });
-
-          uploadedFiles.push({
-            url: result.secure_url,
-            public_id: result.public_id,
-            type: file.mimetype.startsWith('video/') ? 'video' : 'image',
-            filename: file.filename,
-            size: file.size,
-            uploadedAt: new Date()
-          });
-        } catch (uploadError) {
-          console.error('Cloudinary upload error:', uploadError);
-          // Continue with other files if one fails
-        }
-      }
+      ({ uploaded: uploadedFiles, results: uploadResults } = await mediaService.uploadFiles(req.files));
 
       // Set the uploaded files as the property images
       if (uploadedFiles.length > 0) {
@@ -138,13 +203,21 @@ const createProperty = async (req, res) => {
       }
     }
 
+    // Fill in structured address parts and coordinates
+    Object.assign(propertyData, await geocodingService.locate(propertyData));
+
     const property = await Property.create(propertyData);
+    await propertyHistoryService.recordChanges(property, null, { actor: req.user._id });
+    await matchingService.notifySavedSearches(property);
 
     res.status(201).json({
       success: true,
-      data: property
+      data: property,
+      uploads: uploadResults
     });
   } catch (error) {
+    await mediaService.destroyAll(uploadedFiles);
+
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(val => val.message);
       return res.status(400).json({
@@ -167,6 +240,29 @@ const createProperty = async (req, res) => {
 // @access  Private
 const updateProperty = async (req, res) => {
   try {
+    const previous = await Property.findById(req.params.id).select('price status addressDetails');
+
+    // Listing dates follow status transitions
+    if (previous && req.body.status !== undefined) {
+      Object.assign(req.body, propertyHistoryService.statusUpdates(previous.status, req.body.status));
+    }
+
+    // Re-geocode when the address changes, unless the client sets the location itself
+    const addressChanged = req.body.address !== undefined || req.body.addressDetails !== undefined;
+    if (previous && addressChanged && req.body.location === undefined) {
+      // Changed parts on their own are merged into the stored ones
+      const addressDetails = req.body.address !== undefined
+        ? req.body.addressDetails
+        : { ...(previous.toObject().addressDetails || {}), ...req.body.addressDetails };
+      Object.assign(req.body, await geocodingService.locate(
+        { address: req.body.address, addressDetails },
+        { clearOnMiss: true }
+      ));
+    }
+    if (req.body.location && req.body.location.coordinates) {
+      req.body.location = { type: 'Point', coordinates: req.body.location.coordinates };
+    }
+
     const property = await Property.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -183,6 +279,15 @@ const updateProperty = async (req, res) => {
       });
     }
 
+    if (previous) {
+      await propertyHistoryService.recordChanges(property, previous, { actor: req.user._id });
+    }
+
+    // Price changes can bring a property into range of saved searches
+    if (previous && previous.price !== property.price) {
+      await matchingService.notifySavedSearches(property, { previousPrice: previous.price });
+    }
+
     res.status(200).json({
       success: true,
       data: property
@@ -221,6 +326,13 @@ const deleteProperty = async (req, res) => {
 
     await property.deleteOne();
 
+    // Media goes with the property; leftovers are logged for manual cleanup
+    const failed = await mediaService.destroyAll(property.images);
+    if (failed.length > 0) {
+      console.error(`Property ${property._id} deleted with ${failed.length} media file(s) left behind:`,
+        failed.map(item => mediaService.publicIdFor(item)).join(', '));
+    }
+
     res.status(200).json({
       success: true,
       message: 'Property deleted successfully'
@@ -258,40 +370,14 @@ const uploadPropertyFiles = async (req, res) => {
       });
     }
 
-    // Upload files to Cloudinary
-    const uploadedFiles = [];
-
-    for (const file of files) {
-      try {
-        // Upload to Cloudinary
-        const result = await cloudinary.uploader.upload(file.path, {
-          folder: 'realtyflow/properties',
-          resource_type: 'auto', // Auto-detect image/video
-          public_id: `${propertyId}_${Date.now()}_${file.filename}`,
-          transformation: [
-            { width: 1200, height: 800, crop: 'limit' }, // Resize for web
-            { quality: 'auto' } // Auto quality optimization
-          ]
-        });
-
-        uploadedFiles.push({
-          url: result.secure_url,
-          public_id: result.public_id,
-          type: file.mimetype.startsWith('video/') ? 'video' : 'image',
-          filename: file.filename,
-          size: file.size,
-          uploadedAt: new Date()
-        });
-      } catch (uploadError) {
-        console.error('Cloudinary upload error:', uploadError);
-        // Continue with other files if one fails
-      }
-    }
+    // Upload files to the media store
+    const { uploaded: uploadedFiles, results } = await mediaService.uploadFiles(files, { prefix: propertyId });
 
     if (uploadedFiles.length === 0) {
-      return res.status(500).json({
+      return res.status(502).json({
         success: false,
-        message: 'Failed to upload any files to Cloudinary'
+        message: 'Failed to upload any files',
+        results
       });
     }
 
@@ -305,8 +391,12 @@ const uploadPropertyFiles = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `${uploadedFiles.length} file(s) uploaded successfully`,
-      data: uploadedFiles
+      message: uploadedFiles.length === files.length
+        ? `${uploadedFiles.length} file(s) uploaded successfully`
+        : `${uploadedFiles.length} of ${files.length} file(s) uploaded successfully`,
+      // Saved items, with the ids the media endpoints take
+      data: property.images.slice(-uploadedFiles.length),
+      results
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -318,11 +408,110 @@ const uploadPropertyFiles = async (req, res) => {
   }
 };
 
+// @desc    Get open leads likely to want a property, best fit first
+// @route   GET /api/properties/:id/interested-leads
+// @access  Private
+const getInterestedLeads = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // Agents only see their own leads
+    const filter = {};
+    const agentScope = getAgentScope(req);
+    if (agentScope !== null) filter.agent = agentScope;
+
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const leads = await matchingService.findInterestedLeads(property, { filter, limit });
+
+    res.status(200).json({
+      success: true,
+      count: leads.length,
+      data: leads
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a property's price and status history
+// @route   GET /api/properties/:id/history
+// @access  Private
+const getPropertyHistory = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('price originalPrice status statusChangedAt listedAt offMarketAt createdAt');
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const { field, page = 1, limit = 20 } = req.query;
+    const fields = field ? field.split(',').map(value => value.trim()).filter(Boolean) : [];
+
+    const invalidFields = fields.filter(value => !PropertyHistory.TRACKED_FIELDS.includes(value));
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid history field: ${invalidFields.join(', ')}`
+      });
+    }
+
+    const { entries, total } = await propertyHistoryService.getHistory(property._id, {
+      fields,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      summary: {
+        status: property.status,
+        statusChangedAt: property.statusChangedAt || null,
+        listedAt: property.listedAt || property.createdAt,
+        offMarketAt: property.offMarketAt || null,
+        daysOnMarket: property.daysOnMarket,
+        originalPrice: property.originalPrice !== undefined ? property.originalPrice : null,
+        currentPrice: property.price,
+        priceChange: property.priceChange,
+        priceChangePercent: property.priceChangePercent
+      },
+      data: entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getProperties,
+  searchProperties,
   getProperty,
   createProperty,
   updateProperty,
   deleteProperty,
-  uploadPropertyFiles
+  uploadPropertyFiles,
+  getInterestedLeads,
+  getPropertyHistory
 };
\ No newline at end of file
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const mediaService = require('../services/mediaService');
+
+// Load the property from :id and the media item from :mediaId when the route has one.
+// Returns { property, item } or { statusCode, message }
+const loadMedia = async (req) => {
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    return { statusCode: 404, message: 'Property not found' };
+  }
+  if (req.params.mediaId === undefined) {
+    return { property };
+  }
+
+  const item = mongoose.isValidObjectId(req.params.mediaId) ? property.images.id(req.params.mediaId) : null;
+  if (!item) {
+    return { statusCode: 404, message: 'Media item not found' };
+  }
+  return { property, item };
+};
+
+const validationResponse = (res, error) => {
+  const messages = Object.values(error.errors).map(val => val.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation Error',
+    errors: messages
+  });
+};
+
+// @desc    Reorder a property's media
+// @route   PUT /api/properties/:id/media/order
+// @access  Private
+const reorderMedia = async (req, res) => {
+  try {
+    const { property, statusCode, message } = await loadMedia(req);
+    if (!property) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    // Every item exactly once, in the new order
+    const { order } = req.body;
+    const current = property.images.map(item => item._id.toString());
+    const requested = Array.isArray(order) ? order.map(String) : [];
+    const complete = requested.length === current.length &&
+      new Set(requested).size === requested.length &&
+      requested.every(id => current.includes(id));
+
+    if (!complete) {
+      return res.status(400).json({
+        success: false,
+        message: 'order must list every media item id exactly once'
+      });
+    }
+
+    property.images = requested.map(id => property.images.id(id));
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      data: property.images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Make a media item the property's cover image
+// @route   PUT /api/properties/:id/media/:mediaId/cover
+// @access  Private
+const setCoverImage = async (req, res) => {
+  try {
+    const { property, item, statusCode, message } = await loadMedia(req);
+    if (!item) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    if (item.type !== 'image') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only images can be the cover'
+      });
+    }
+
+    property.images.forEach(image => { image.isCover = image._id.equals(item._id); });
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      data: property.images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Edit a media item's caption and alt text
+// @route   PUT /api/properties/:id/media/:mediaId
+// @access  Private
+const updateMedia = async (req, res) => {
+  try {
+    const { property, item, statusCode, message } = await loadMedia(req);
+    if (!item) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    for (const field of ['caption', 'altText']) {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    }
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete a media item and its stored files
+// @route   DELETE /api/properties/:id/media/:mediaId
+// @access  Private
+const deleteMedia = async (req, res) => {
+  try {
+    const { property, item, statusCode, message } = await loadMedia(req);
+    if (!item) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    // Keep the item while its asset still exists, so the delete can be retried
+    if (!(await mediaService.destroy(item))) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to delete the file from the media store'
+      });
+    }
+
+    item.deleteOne();
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Media item deleted successfully',
+      data: property.images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  reorderMedia,
+  setCoverImage,
+  updateMedia,
+  deleteMedia
+};
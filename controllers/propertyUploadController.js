@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const UploadSession = require('../models/UploadSession');
+const chunkedUploadService = require('../services/chunkedUploadService');
+
+// Load the property from :id and, when the route has one, its live upload from :uploadId.
+// Returns { property, session } or { statusCode, message }
+const loadUpload = async (req) => {
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    return { statusCode: 404, message: 'Property not found' };
+  }
+  if (req.params.uploadId === undefined) {
+    return { property };
+  }
+
+  const session = mongoose.isValidObjectId(req.params.uploadId)
+    ? await UploadSession.findOne({ _id: req.params.uploadId, property: property._id })
+    : null;
+  // Expired sessions linger until MongoDB's TTL monitor gets to them
+  if (!session || session.expiresAt <= new Date()) {
+    return { statusCode: 404, message: 'Upload not found or expired' };
+  }
+  return { property, session };
+};
+
+// @desc    Start a chunked upload of one large file
+// @route   POST /api/properties/:id/uploads
+// @access  Private
+const startUpload = async (req, res) => {
+  try {
+    const { property, statusCode, message } = await loadUpload(req);
+    if (!property) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const { session, errors } = await chunkedUploadService.createSession(property, req.body || {}, { user: req.user });
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: chunkedUploadService.describe(session)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a chunked upload's progress, to resume it
+// @route   GET /api/properties/:id/uploads/:uploadId
+// @access  Private
+const getUpload = async (req, res) => {
+  try {
+    const { session, statusCode, message } = await loadUpload(req);
+    if (!session) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: chunkedUploadService.describe(session)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Send one chunk as the raw request body
+// @route   PUT /api/properties/:id/uploads/:uploadId/chunks/:index
+// @access  Private
+const uploadChunk = async (req, res) => {
+  try {
+    const { session, statusCode, message } = await loadUpload(req);
+    if (!session) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const index = Number(req.params.index);
+    const { session: updated, error } = await chunkedUploadService.writeChunk(session, index, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: chunkedUploadService.describe(updated)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Finish a chunked upload and add the file to the property
+// @route   POST /api/properties/:id/uploads/:uploadId/complete
+// @access  Private
+const completeUpload = async (req, res) => {
+  try {
+    const { property, session, statusCode, message } = await loadUpload(req);
+    if (!session) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const missing = chunkedUploadService.missingChunks(session);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${missing.length} chunk(s) still missing`,
+        data: chunkedUploadService.describe(session)
+      });
+    }
+
+    const { item, result, busy } = await chunkedUploadService.complete(session, property);
+    if (busy) {
+      return res.status(409).json({
+        success: false,
+        message: 'This upload is already being completed'
+      });
+    }
+    if (!item) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to upload the file',
+        results: [result]
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: item,
+      results: [result]
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Abandon a chunked upload
+// @route   DELETE /api/properties/:id/uploads/:uploadId
+// @access  Private
+const cancelUpload = async (req, res) => {
+  try {
+    const { session, statusCode, message } = await loadUpload(req);
+    if (!session) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    await chunkedUploadService.abort(session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  startUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+};
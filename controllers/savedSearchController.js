@@ -0,0 +1,210 @@
+const Lead = require('../models/Lead');
+const SavedSearch = require('../models/SavedSearch');
+const matchingService = require('../services/matchingService');
+const { canAccessAssignment } = require('../middleware/auth');
+
+// Fields a client may set on a saved search
+const EDITABLE_FIELDS = ['name', 'criteria', 'isActive', 'notifyLead'];
+
+const pick = (body) => {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// Load the lead from :id and check the caller may see it.
+// Returns { lead } or { statusCode, message }
+const loadLead = async (req) => {
+  const lead = await Lead.findById(req.params.id).select('name email budget preferredPropertyType agent');
+  if (!lead) {
+    return { statusCode: 404, message: 'Lead not found' };
+  }
+  if (!canAccessAssignment(req, lead.agent)) {
+    return { statusCode: 403, message: 'Not authorized to access this lead' };
+  }
+  return { lead };
+};
+
+const validationResponse = (res, error) => {
+  const messages = Object.values(error.errors).map(val => val.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation Error',
+    errors: messages
+  });
+};
+
+// @desc    Get a lead's saved searches
+// @route   GET /api/leads/:id/saved-searches
+// @access  Private
+const getSavedSearches = async (req, res) => {
+  try {
+    const { lead, statusCode, message } = await loadLead(req);
+    if (!lead) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const searches = await SavedSearch.find({ lead: lead._id })
+      .sort({ createdAt: -1 })
+      .select('-notified');
+
+    res.status(200).json({
+      success: true,
+      count: searches.length,
+      data: searches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Save a property search for a lead
+// @route   POST /api/leads/:id/saved-searches
+// @access  Private
+const createSavedSearch = async (req, res) => {
+  try {
+    const { lead, statusCode, message } = await loadLead(req);
+    if (!lead) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const search = await SavedSearch.create({
+      ...pick(req.body),
+      lead: lead._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: search
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update a saved search
+// @route   PUT /api/leads/:id/saved-searches/:searchId
+// @access  Private
+const updateSavedSearch = async (req, res) => {
+  try {
+    const { lead, statusCode, message } = await loadLead(req);
+    if (!lead) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const search = await SavedSearch.findOne({ _id: req.params.searchId, lead: lead._id });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    search.set(pick(req.body));
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      data: search
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/leads/:id/saved-searches/:searchId
+// @access  Private
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const { lead, statusCode, message } = await loadLead(req);
+    if (!lead) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.searchId, lead: lead._id });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Run a saved search now
+// @route   GET /api/leads/:id/saved-searches/:searchId/matches
+// @access  Private
+const getSavedSearchMatches = async (req, res) => {
+  try {
+    const { lead, statusCode, message } = await loadLead(req);
+    if (!lead) {
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    const search = await SavedSearch.findOne({ _id: req.params.searchId, lead: lead._id });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    const matches = await matchingService.rankProperties(search.criteria.toObject(), lead, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: matches.length,
+      data: matches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchMatches
+};
@@ -0,0 +1,107 @@
+const ScoringRules = require('../models/ScoringRules');
+const scoringService = require('../services/scoringService');
+
+// Rule groups an admin may edit
+const EDITABLE_RULES = ['budgetMatch', 'timeline', 'sourceQuality', 'meetingAttendance', 'recency', 'activity', 'priorityThresholds'];
+
+// @desc    Get the lead scoring rules
+// @route   GET /api/scoring/rules
+// @access  Private (Admin only)
+const getScoringRules = async (req, res) => {
+  try {
+    const stored = await ScoringRules.findOne({ isDefault: true }).select('updatedAt updatedBy');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        configured: Boolean(stored),
+        updatedAt: stored ? stored.updatedAt : null,
+        rules: scoringService.rules
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update the lead scoring rules (partial updates per rule group)
+// @route   PUT /api/scoring/rules
+// @access  Private (Admin only)
+const updateScoringRules = async (req, res) => {
+  try {
+    const unknown = Object.keys(req.body || {}).filter(key => !EDITABLE_RULES.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown rule groups: ${unknown.join(', ')}`
+      });
+    }
+
+    // Start from the rules in effect so omitted groups and fields keep their values
+    const merged = { ...scoringService.rules };
+    for (const key of EDITABLE_RULES) {
+      if (req.body[key]) merged[key] = { ...merged[key], ...req.body[key] };
+    }
+
+    let stored = await ScoringRules.findOne({ isDefault: true });
+    if (!stored) stored = new ScoringRules({ isDefault: true });
+
+    stored.set(merged);
+    stored.updatedBy = req.user._id;
+    await stored.save();
+
+    scoringService.setRules(stored.toObject());
+
+    res.status(200).json({
+      success: true,
+      message: 'Scoring rules updated. Rescore leads to apply them to existing leads.',
+      data: { rules: scoringService.rules }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Recalculate scores for every lead
+// @route   POST /api/scoring/rescore
+// @access  Private (Admin only)
+const rescoreLeads = async (req, res) => {
+  try {
+    const summary = await scoringService.rescoreAll();
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.scored} lead(s) rescored`,
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getScoringRules,
+  updateScoringRules,
+  rescoreLeads
+};
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const SlaConfig = require('../models/SlaConfig');
+const SlaBreach = require('../models/SlaBreach');
+const slaService = require('../services/slaService');
+
+// Settings an admin may edit
+const EDITABLE_FIELDS = ['enabled', 'defaultMinutes', 'sources', 'escalation', 'maxAgeHours'];
+
+// Parse optional from/to query dates. Returns { from, to } or { message }
+const parseRange = (query) => {
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      return { message: `Invalid ${key} date` };
+    }
+    range[key] = date;
+  }
+  return range;
+};
+
+// @desc    Get the lead response time (SLA) configuration
+// @route   GET /api/sla/config
+// @access  Private (Admin only)
+const getSlaConfig = async (req, res) => {
+  try {
+    const stored = await SlaConfig.findOne({ isDefault: true }).select('updatedAt updatedBy');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        configured: Boolean(stored),
+        updatedAt: stored ? stored.updatedAt : null,
+        config: slaService.config,
+        availableActions: SlaConfig.ESCALATION_ACTIONS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update the lead response time (SLA) configuration
+// @route   PUT /api/sla/config
+// @access  Private (Admin only)
+const updateSlaConfig = async (req, res) => {
+  try {
+    const unknown = Object.keys(req.body || {}).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown settings: ${unknown.join(', ')}`
+      });
+    }
+
+    // Omitted settings keep the values in effect
+    const merged = { ...slaService.config };
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] !== undefined) merged[key] = req.body[key];
+    }
+
+    let stored = await SlaConfig.findOne({ isDefault: true });
+    if (!stored) stored = new SlaConfig({ isDefault: true });
+
+    stored.set(merged);
+    stored.updatedBy = req.user._id;
+    await stored.save();
+
+    slaService.setConfig(stored);
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA configuration updated',
+      data: { config: slaService.config }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors
+        ? Object.values(error.errors).map(val => val.message)
+        : [error.message];
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List SLA breaches with their escalation history
+// @route   GET /api/sla/breaches
+// @access  Private (Admin only)
+const getSlaBreaches = async (req, res) => {
+  try {
+    const { status, source, agent, page = 1, limit = 20 } = req.query;
+
+    const range = parseRange(req.query);
+    if (range.message) {
+      return res.status(400).json({
+        success: false,
+        message: range.message
+      });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (source) filter.source = source;
+    if (agent) {
+      if (!mongoose.Types.ObjectId.isValid(agent)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid agent ID'
+        });
+      }
+      filter.agent = agent;
+    }
+    if (range.from || range.to) {
+      filter.createdAt = {};
+      if (range.from) filter.createdAt.$gte = range.from;
+      if (range.to) filter.createdAt.$lte = range.to;
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [breaches, total] = await Promise.all([
+      SlaBreach.find(filter)
+        .populate('lead', 'name email phone source status')
+        .populate('agent', 'name email')
+        .populate('escalations.agent', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      SlaBreach.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: breaches.length,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
+      data: breaches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Breach counts and response times per source and agent
+// @route   GET /api/sla/report
+// @access  Private (Admin only)
+const getSlaReport = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.message) {
+      return res.status(400).json({
+        success: false,
+        message: range.message
+      });
+    }
+
+    const report = await slaService.getReport(range);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getSlaConfig,
+  updateSlaConfig,
+  getSlaBreaches,
+  getSlaReport
+};
@@ -0,0 +1,93 @@
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+
+// Require a valid access token and attach the authenticated user to req.user
+const authMiddleware = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token provided'
+    });
+  }
+
+  let payload;
+  try {
+    payload = tokenService.verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Not authorized, invalid token'
+    });
+  }
+
+  try {
+    const user = await User.findById(payload.sub).populate('agent', 'name email isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user is inactive or no longer exists'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Restrict a route to the given roles (must run after authMiddleware). Agent accounts
+// must be linked to an agent profile, which scopes everything they can see.
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  if (req.user.role === 'agent' && !req.user.agent) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account is not linked to an agent profile'
+    });
+  }
+  next();
+};
+
+// Common role guards
+const adminOnly = authorize('admin');
+const agentOrAdmin = authorize('admin', 'agent');
+
+// Agent ID that scopes the caller's leads and meetings (null means full visibility); authorize
+// has already turned away agent accounts with no linked agent
+const getAgentScope = (req) => {
+  if (req.user && req.user.role === 'agent') {
+    return req.user.agent._id.toString();
+  }
+  return null;
+};
+
+// Whether the caller may see or edit a record assigned to the given agent (ID or populated doc)
+const canAccessAssignment = (req, agent) => {
+  const scope = getAgentScope(req);
+  if (scope === null) return true;
+  if (!agent) return false;
+  return (agent._id || agent).toString() === scope;
+};
+
+module.exports = {
+  authMiddleware,
+  authorize,
+  adminOnly,
+  agentOrAdmin,
+  getAgentScope,
+  canAccessAssignment
+};
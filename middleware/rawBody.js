@@ -0,0 +1,8 @@
+// body-parser `verify` hook that keeps the unparsed request body for signature checks
+const captureRawBody = (req, res, buf) => {
+  if (buf && buf.length) {
+    req.rawBody = buf;
+  }
+};
+
+module.exports = { captureRawBody };
@@ -3,6 +3,10 @@ const path = require('path');
 const fs = require('fs');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const cloudinary = require('cloudinary').v2;
+const { removeFile } = require('../utils/tempFiles');
+
+// Largest single file, whether uploaded at once or in chunks
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
 
 // Create uploads directory if it doesn't exist (for temporary storage before Cloudinary upload)
 const uploadsDir = path.join(__dirname, '../uploads');
@@ -50,17 +54,32 @@ const localUpload = multer({
   storage: localStorage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: MAX_FILE_SIZE,
     files: 20 // Maximum 20 files
   }
 });
 
+// Remove the request's temporary files once the response is done, however the handler
+// ended. Runs ahead of multer so it also covers requests rejected before the upload
+const cleanupTempFiles = (req, res, next) => {
+  let cleaned = false;
+  const cleanup = () => {
+    if (cleaned) return;
+    cleaned = true;
+    const files = [].concat(req.file || [], req.files || []);
+    for (const file of files) removeFile(file.path);
+  };
+  res.on('finish', cleanup);
+  res.on('close', cleanup);
+  next();
+};
+
 // Upload middleware for direct Cloudinary upload
 const cloudinaryUpload = multer({
   storage: cloudinaryStorage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: MAX_FILE_SIZE,
     files: 20 // Maximum 20 files
   }
 });
@@ -69,9 +88,11 @@ const cloudinaryUpload = multer({
 module.exports = {
   localUpload,
   cloudinaryUpload,
-  uploadSingle: localUpload.single('file'),
-  uploadMultiple: localUpload.array('files', 20),
+  cleanupTempFiles,
+  uploadSingle: [cleanupTempFiles, localUpload.single('file')],
+  uploadMultiple: [cleanupTempFiles, localUpload.array('files', 20)],
   cloudinarySingle: cloudinaryUpload.single('file'),
   cloudinaryMultiple: cloudinaryUpload.array('files', 20),
-  uploadsDir
+  uploadsDir,
+  MAX_FILE_SIZE
 };
\ No newline at end of file
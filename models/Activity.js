@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = [
+  'status_change',
+  'note',
+  'call',
+  'email_sent',
+  'sms_sent',
+  'meeting_booked',
+  'meeting_completed',
+  'meeting_missed',
+  'meeting_rescheduled',
+  'meeting_cancelled',
+  'webhook_update'
+];
+
+// Append-only timeline entry for a lead
+const activitySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required']
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: [true, 'Activity type is required']
+  },
+  summary: {
+    type: String,
+    required: [true, 'Activity summary is required'],
+    trim: true,
+    maxlength: [500, 'Summary cannot exceed 500 characters']
+  },
+  // Free text for notes and call logs
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Body cannot exceed 5000 characters']
+  },
+  // Type-specific data, e.g. { from, to } for status changes
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent'
+  },
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting'
+  },
+  // User who performed the action; empty for system and webhook entries
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+activitySchema.index({ lead: 1, createdAt: -1 });
+activitySchema.index({ lead: 1, type: 1, createdAt: -1 });
+
+// Entries are never edited once written. updateMany stays available so merges
+// can re-point a duplicate's timeline at the surviving lead
+activitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Activities are append-only and cannot be modified'));
+  }
+  next();
+});
+
+activitySchema.pre(['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Activities are append-only and cannot be modified'));
+});
+
+activitySchema.statics.TYPES = ACTIVITY_TYPES;
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -36,6 +36,21 @@ const agentSchema = new mongoose.Schema({
   googleTokenExpiry: {
     type: Date
   },
+  // Changes pulled back from Google Calendar (see calendarWatchService)
+  calendarSync: {
+    // Google's cursor for the next incremental sync
+    syncToken: { type: String, select: false },
+    // Push notification (watch) channel
+    channelId: { type: String, index: true, sparse: true },
+    channelToken: { type: String, select: false },
+    resourceId: { type: String },
+    channelExpiresAt: { type: Date },
+    lastNotificationAt: { type: Date },
+    lastSyncedAt: { type: Date },
+    lastFullSyncAt: { type: Date },
+    lastSyncStatus: { type: String, enum: ['ok', 'failed'] },
+    lastError: { type: String }
+  },
   // Availability preferences
   workingHours: {
     start: { type: String, default: '09:00' }, // 9 AM
@@ -63,6 +78,24 @@ const agentSchema = new mongoose.Schema({
     min: 0,
     max: 60
   },
+  // Lead assignment routing
+  territories: [{
+    type: String, // ZIP codes or ZIP prefixes, e.g. '94110' or '941'
+    trim: true
+  }],
+  specialties: [{
+    type: String, // Property types, matching Property.propertyType
+    trim: true
+  }],
+  // Open leads above which least-loaded assignment skips this agent (unset = no cap)
+  maxOpenLeads: {
+    type: Number,
+    min: [0, 'Max open leads cannot be negative']
+  },
+  // Round-robin bookkeeping
+  lastAssignedAt: {
+    type: Date
+  },
   // Performance metrics
   totalMeetings: {
     type: Number,
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const FILTERS = ['source', 'territory', 'specialty'];
+const PICKERS = ['roundRobin', 'leastLoaded'];
+
+// How new leads are routed to agents; one document marked isDefault is used
+const assignmentConfigSchema = new mongoose.Schema({
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Narrow the agent pool in this order; a filter that matches nobody is skipped
+  filters: [{
+    type: String,
+    enum: FILTERS
+  }],
+  // Choose one agent from whoever is left
+  picker: {
+    type: String,
+    enum: PICKERS,
+    default: 'leastLoaded'
+  },
+  // Source-based routing: leads from a source (Lead.source or Lead.sourceSystem) go to these agents
+  sourceRoutes: [{
+    _id: false,
+    source: { type: String, required: true, trim: true },
+    agents: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Agent' }]
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+assignmentConfigSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+assignmentConfigSchema.statics.FILTERS = FILTERS;
+assignmentConfigSchema.statics.PICKERS = PICKERS;
+
+module.exports = mongoose.model('AssignmentConfig', assignmentConfigSchema);
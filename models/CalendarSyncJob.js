@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A Google Calendar change that failed and is waiting to be retried (see calendarSyncService).
+// Each meeting has at most one job, holding the latest change: 'sync' brings the event in
+// line with the meeting, 'delete' removes the event of a meeting that no longer exists.
+const calendarSyncJobSchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: [true, 'Meeting is required']
+  },
+  action: {
+    type: String,
+    enum: ['sync', 'delete'],
+    required: true
+  },
+  // For deletes, whose calendar holds the event and which event it is
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent'
+  },
+  eventId: {
+    type: String
+  },
+  // failed: out of attempts; kept so the failure stays visible
+  status: {
+    type: String,
+    enum: ['pending', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+calendarSyncJobSchema.index({ meeting: 1 }, { unique: true });
+calendarSyncJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('CalendarSyncJob', calendarSyncJobSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { normalizeEmail, normalizePhone } = require('../utils/normalize');
+const pipelineService = require('../services/pipelineService');
 
 const leadSchema = new mongoose.Schema({
   name: {
@@ -20,10 +22,22 @@ const leadSchema = new mongoose.Schema({
     trim: true,
     maxlength: [20, 'Phone number cannot be more than 20 characters']
   },
+  // Name of a stage in the configured pipeline
   status: {
     type: String,
-    enum: ['New', 'Contacted', 'Nurturing', 'Closed'],
-    default: 'New'
+    validate: {
+      validator: function(value) {
+        return pipelineService.isValidStage(value);
+      },
+      message: props => `${props.value} is not a valid pipeline stage`
+    },
+    default: () => pipelineService.initialStage()
+  },
+  // Manual order within the board column (ascending). New leads land at the top;
+  // drag-and-drop places a card between its neighbours
+  position: {
+    type: Number,
+    default: () => -Date.now()
   },
   source: {
     type: String,
@@ -31,10 +45,10 @@ const leadSchema = new mongoose.Schema({
     enum: ['Zillow', 'Realtor.com', 'Website', 'Referral', 'Organic', 'Other'],
     default: 'Website'
   },
-  assignedTo: {
-    type: String,
-    required: [true, 'Agent assignment is required'],
-    trim: true
+  // Agent responsible for this lead (unset until assigned)
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent'
   },
   lastContacted: {
     type: Date,
@@ -58,6 +72,12 @@ const leadSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Budget cannot be negative']
   },
+  // Area the lead is looking in; used for territory-based assignment
+  zipCode: {
+    type: String,
+    trim: true,
+    maxlength: [10, 'ZIP code cannot be more than 10 characters']
+  },
   preferredPropertyType: {
     type: String,
     trim: true,
@@ -72,6 +92,10 @@ const leadSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'AI insight cannot be more than 500 characters']
   }],
+  // When aiInsights were last generated (drives the scheduled refresh)
+  aiInsightsUpdatedAt: {
+    type: Date
+  },
   notes: {
     type: String,
     maxlength: [1000, 'Notes cannot be more than 1000 characters']
@@ -83,8 +107,16 @@ const leadSchema = new mongoose.Schema({
   },
   sourceSystem: {
     type: String,
-    enum: ['REA', 'website', 'crm', 'zapier', 'api', 'other'],
+    enum: ['REA', 'zillow', 'website', 'crm', 'zapier', 'api', 'other'],
     default: 'website'
+  },
+  // Canonical contact keys used for duplicate detection (maintained by hooks)
+  emailNormalized: {
+    type: String,
+    select: false
+  },
+  phoneE164: {
+    type: String
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt
@@ -94,8 +126,34 @@ const leadSchema = new mongoose.Schema({
 
 // Index for better query performance
 leadSchema.index({ status: 1 });
-leadSchema.index({ assignedTo: 1 });
+leadSchema.index({ status: 1, position: 1, _id: 1 });
+leadSchema.index({ agent: 1 });
 leadSchema.index({ createdAt: -1 });
+leadSchema.index({ emailNormalized: 1 });
+leadSchema.index({ phoneE164: 1 });
+leadSchema.index({ sourceSystem: 1, externalId: 1 });
+leadSchema.index({ aiInsightsUpdatedAt: 1 });
+
+// Keep duplicate-matching keys in sync with email and phone
+leadSchema.pre('save', function() {
+  if (this.isModified('email')) this.emailNormalized = normalizeEmail(this.email);
+  if (this.isModified('phone')) this.phoneE164 = normalizePhone(this.phone);
+});
+
+leadSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate() || {};
+  const fields = update.$set || update;
+
+  if (fields.email !== undefined) fields.emailNormalized = normalizeEmail(fields.email);
+  if (fields.phone !== undefined) fields.phoneE164 = normalizePhone(fields.phone);
+});
+
+// Virtual for meetings booked with this lead (populate with .populate('meetings'))
+leadSchema.virtual('meetings', {
+  ref: 'Meeting',
+  localField: '_id',
+  foreignField: 'lead'
+});
 
 // Virtual for days since last contact
 leadSchema.virtual('daysSinceLastContact').get(function() {
@@ -114,8 +172,8 @@ leadSchema.statics.getLeadsByStatus = function(status) {
 };
 
 // Static method to get leads by agent
-leadSchema.statics.getLeadsByAgent = function(agentName) {
-  return this.find({ assignedTo: agentName });
+leadSchema.statics.getLeadsByAgent = function(agentId) {
+  return this.find({ agent: agentId });
 };
 
 module.exports = mongoose.model('Lead', leadSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Audit record of a duplicate merge; keeps full snapshots of the removed leads
+const leadMergeSchema = new mongoose.Schema({
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Surviving lead is required']
+  },
+  mergedLeads: [{
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  }],
+  // Survivor fields that were filled in from a merged lead
+  fieldsTaken: [{
+    field: { type: String },
+    from: { type: mongoose.Schema.Types.ObjectId },
+    value: { type: mongoose.Schema.Types.Mixed }
+  }],
+  meetingsMoved: {
+    type: Number,
+    default: 0
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leadMergeSchema.index({ survivor: 1, createdAt: -1 });
+leadMergeSchema.index({ 'mergedLeads.leadId': 1 });
+
+module.exports = mongoose.model('LeadMerge', leadMergeSchema);
@@ -1,15 +1,15 @@
 const mongoose = require('mongoose');
 
 const meetingSchema = new mongoose.Schema({
-  leadName: {
-    type: String,
-    required: [true, 'Lead name is required'],
-    trim: true
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required']
   },
-  propertyAddress: {
-    type: String,
-    required: [true, 'Property address is required'],
-    trim: true
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property is required']
   },
   dateTime: {
     type: Date,
@@ -23,17 +23,51 @@ const meetingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Scheduled', 'Completed', 'Missed'],
+    enum: ['Scheduled', 'Completed', 'Missed', 'Cancelled'],
     default: 'Scheduled'
   },
-  notes: {
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
     type: String,
-    trim: true
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
   },
-  assignedTo: {
+  notes: {
     type: String,
-    required: [true, 'Assigned agent is required'],
     trim: true
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: [true, 'Assigned agent is required']
+  },
+  // Event on the agent's Google Calendar, kept in step by calendarSyncService
+  calendarEventId: {
+    type: String
+  },
+  calendarHtmlLink: {
+    type: String
+  },
+  // Whose calendar holds the event; differs from agent until a reassignment has synced
+  calendarAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent'
+  },
+  // A change made in Google Calendar that couldn't be applied to the meeting and needs a
+  // person to look at it; cleared the next time the meeting syncs out to the calendar
+  calendarFlag: {
+    reason: {
+      type: String,
+      enum: ['event_deleted', 'event_moved']
+    },
+    message: {
+      type: String
+    },
+    flaggedAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true,
@@ -43,8 +77,10 @@ const meetingSchema = new mongoose.Schema({
 
 // Index for efficient queries
 meetingSchema.index({ dateTime: 1, status: 1 });
-meetingSchema.index({ leadName: 1 });
-meetingSchema.index({ assignedTo: 1 });
+meetingSchema.index({ lead: 1 });
+meetingSchema.index({ property: 1 });
+meetingSchema.index({ agent: 1, dateTime: 1 });
+meetingSchema.index({ calendarEventId: 1 }, { sparse: true });
 
 // Virtual for formatted date
 meetingSchema.virtual('formattedDate').get(function() {
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const stageSchema = new mongoose.Schema({
+  // Stored on Lead.status, so renaming a stage requires migrating leads
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    maxlength: [50, 'Stage name cannot be more than 50 characters']
+  },
+  order: {
+    type: Number,
+    required: [true, 'Stage order is required']
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #2563eb'],
+    default: '#6b7280'
+  },
+  // open stages are in progress; won/lost stages close the lead
+  outcome: {
+    type: String,
+    enum: ['open', 'won', 'lost'],
+    default: 'open'
+  },
+  // Stage names a lead may move to from here; empty allows any stage
+  allowedTransitions: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+const pipelineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pipeline name is required'],
+    trim: true,
+    maxlength: [100, 'Pipeline name cannot be more than 100 characters']
+  },
+  // The pipeline leads are validated against
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  stages: {
+    type: [stageSchema],
+    validate: {
+      validator: function(stages) {
+        return stages.length > 0;
+      },
+      message: 'A pipeline needs at least one stage'
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Only one default pipeline
+pipelineSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Stage names must be unique and transitions must point at real stages
+pipelineSchema.pre('validate', function() {
+  const names = this.stages.map(stage => stage.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+
+  if (duplicates.length > 0) {
+    this.invalidate('stages', `Duplicate stage names: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  for (const stage of this.stages) {
+    const unknown = (stage.allowedTransitions || []).filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+      this.invalidate('stages', `Stage ${stage.name} allows transitions to unknown stages: ${unknown.join(', ')}`);
+    }
+  }
+});
+
+// Stages in board order
+pipelineSchema.methods.sortedStages = function() {
+  return [...this.stages].sort((a, b) => a.order - b.order);
+};
+
+module.exports = mongoose.model('Pipeline', pipelineSchema);
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const propertyHistoryService = require('../services/propertyHistoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A locally generated rendition of an image
+const derivativeSchema = new mongoose.Schema({
+  url: { type: String, trim: true },
+  width: { type: Number },
+  height: { type: Number }
+}, { _id: false });
 
 const propertySchema = new mongoose.Schema({
   address: {
@@ -7,11 +17,44 @@ const propertySchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Address cannot be more than 200 characters']
   },
+  // Structured parts of the address, filled in by geocoding where not given
+  addressDetails: {
+    street: { type: String, trim: true, maxlength: [200, 'Street cannot be more than 200 characters'] },
+    city: { type: String, trim: true, maxlength: [100, 'City cannot be more than 100 characters'] },
+    state: { type: String, trim: true, maxlength: [100, 'State cannot be more than 100 characters'] },
+    postalCode: { type: String, trim: true, maxlength: [20, 'Postal code cannot be more than 20 characters'] },
+    country: { type: String, trim: true, maxlength: [100, 'Country cannot be more than 100 characters'] }
+  },
+  // GeoJSON point; coordinates are [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (coordinates) => coordinates.length === 2 &&
+          coordinates[0] >= -180 && coordinates[0] <= 180 &&
+          coordinates[1] >= -90 && coordinates[1] <= 90,
+        message: 'Coordinates must be [longitude, latitude] within valid ranges'
+      }
+    }
+  },
+  geocodedAt: {
+    type: Date
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Price the property was first listed at
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
   bedrooms: {
     type: Number,
     min: [0, 'Bedrooms cannot be negative'],
@@ -44,12 +87,55 @@ const propertySchema = new mongoose.Schema({
     size: {
       type: Number
     },
+    // Id of the file in its media store, needed to delete it
+    public_id: {
+      type: String,
+      trim: true
+    },
+    // Media store holding the file (see services/storage); empty means Cloudinary
+    storage: {
+      type: String,
+      trim: true
+    },
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Caption cannot be more than 300 characters']
+    },
+    altText: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Alt text cannot be more than 300 characters']
+    },
+    isCover: {
+      type: Boolean,
+      default: false
+    },
+    // Pixel size of the photo, or of the video's frames
+    width: {
+      type: Number
+    },
+    height: {
+      type: Number
+    },
+    // Video length in seconds
+    duration: {
+      type: Number
+    },
+    // Responsive WebP versions made by mediaPipeline; for videos, of the poster frame
+    derivatives: {
+      thumbnail: derivativeSchema,
+      card: derivativeSchema,
+      full: derivativeSchema
+    },
+    // Still frame shown before a video plays
+    poster: derivativeSchema,
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
-  // Keep imageUrl for backward compatibility
+  // Keep imageUrl for backward compatibility; it mirrors the cover image
   imageUrl: {
     type: String,
     trim: true
@@ -68,6 +154,16 @@ const propertySchema = new mongoose.Schema({
     enum: ['Available', 'Pending', 'Sold', 'Off Market'],
     default: 'Available'
   },
+  statusChangedAt: {
+    type: Date
+  },
+  // Start of the current listing, and when it last left 'Available' (see propertyHistoryService)
+  listedAt: {
+    type: Date
+  },
+  offMarketAt: {
+    type: Date
+  },
   yearBuilt: {
     type: Number,
     min: [1800, 'Year built cannot be before 1800'],
@@ -89,6 +185,47 @@ propertySchema.index({ price: 1 });
 propertySchema.index({ status: 1 });
 propertySchema.index({ propertyType: 1 });
 propertySchema.index({ createdAt: -1 });
+propertySchema.index({ location: '2dsphere' });
+propertySchema.index({ 'addressDetails.postalCode': 1 });
+
+// Full-text search over listing text (see propertySearchService)
+propertySchema.index(
+  { address: 'text', features: 'text', description: 'text' },
+  { name: 'property_text', weights: { address: 5, features: 3, description: 1 } }
+);
+
+// The 2dsphere index rejects points without a type
+propertySchema.pre('validate', function() {
+  if (this.location && this.location.coordinates && this.location.coordinates.length > 0) {
+    this.location.type = 'Point';
+  }
+});
+
+// Listing values for new properties
+propertySchema.pre('validate', function() {
+  if (!this.isNew) return;
+  const now = new Date();
+  if (this.originalPrice === undefined) this.originalPrice = this.price;
+  if (!this.listedAt) this.listedAt = now;
+  if (this.status !== 'Available' && !this.offMarketAt) this.offMarketAt = now;
+});
+
+// One cover image at most, mirrored into the legacy imageUrl
+propertySchema.pre('validate', function() {
+  if (!this.isModified('images')) return;
+  const covers = this.images.filter(item => item.isCover);
+  covers.slice(1).forEach(item => { item.isCover = false; });
+  const cover = this.coverImage;
+  this.imageUrl = cover ? cover.url : undefined;
+});
+
+// The marked cover image, else the first image
+propertySchema.virtual('coverImage').get(function() {
+  if (!this.images || this.images.length === 0) return null;
+  return this.images.find(item => item.isCover) ||
+    this.images.find(item => item.type === 'image') ||
+    null;
+});
 
 // Virtual for price per square foot
 propertySchema.virtual('pricePerSqft').get(function() {
@@ -98,10 +235,33 @@ propertySchema.virtual('pricePerSqft').get(function() {
   return null;
 });
 
-// Instance method to update status
-propertySchema.methods.updateStatus = function(newStatus) {
-  this.status = newStatus;
-  return this.save();
+// Whole days of the current listing, up to when it went off market.
+// Properties listed before listedAt was tracked count from createdAt
+propertySchema.virtual('daysOnMarket').get(function() {
+  const listedAt = this.listedAt || this.createdAt;
+  if (!listedAt) return null;
+  const end = this.offMarketAt || new Date();
+  return Math.max(0, Math.floor((end - listedAt) / DAY_MS));
+});
+
+// Current price against the original listing price
+propertySchema.virtual('priceChange').get(function() {
+  if (this.price === undefined || this.originalPrice === undefined || this.originalPrice === null) return null;
+  return this.price - this.originalPrice;
+});
+
+propertySchema.virtual('priceChangePercent').get(function() {
+  if (this.price === undefined || !this.originalPrice) return null;
+  return Math.round(((this.price - this.originalPrice) / this.originalPrice) * 10000) / 100;
+});
+
+// Instance method to update status, recording the transition
+propertySchema.methods.updateStatus = async function(newStatus, { actor } = {}) {
+  const before = { status: this.status };
+  this.set(propertyHistoryService.statusUpdates(this.status, newStatus));
+  await this.save();
+  await propertyHistoryService.recordChanges(this, before, { actor });
+  return this;
 };
 
 // Static method to get properties by status
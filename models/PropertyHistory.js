@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Property fields whose changes are kept
+const TRACKED_FIELDS = ['price', 'status'];
+
+// Append-only record of a property's price changes and status transitions
+const propertyHistorySchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property is required']
+  },
+  field: {
+    type: String,
+    enum: TRACKED_FIELDS,
+    required: [true, 'Field is required']
+  },
+  // Empty for the value a property was listed with
+  from: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // User who made the change; empty for system changes
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+propertyHistorySchema.index({ property: 1, createdAt: -1 });
+propertyHistorySchema.index({ property: 1, field: 1, createdAt: -1 });
+
+// Entries are never edited once written
+propertyHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Property history is append-only and cannot be modified'));
+  }
+  next();
+});
+
+propertyHistorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Property history is append-only and cannot be modified'));
+});
+
+propertyHistorySchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('PropertyHistory', propertyHistorySchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A meeting reminder queued to go out a set time before the meeting (see reminderService).
+// Jobs are kept once finished so a reminder is never sent twice, even across restarts.
+const reminderJobSchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: [true, 'Meeting is required']
+  },
+  // How long before the meeting the reminder goes out
+  offsetMinutes: {
+    type: Number,
+    required: true,
+    min: [1, 'Reminder offset must be at least a minute']
+  },
+  // Meeting time the job was scheduled for; a moved meeting gets a fresh reminder
+  meetingTime: {
+    type: Date,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  // sending: claimed by a scheduler run and in flight
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  // Outcome per channel: sent, skipped (e.g. no phone number) or failed
+  email: {
+    type: String,
+    enum: ['sent', 'skipped', 'failed']
+  },
+  sms: {
+    type: String,
+    enum: ['sent', 'skipped', 'failed']
+  },
+  lastError: {
+    type: String
+  },
+  cancelReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// One reminder per offset per meeting
+reminderJobSchema.index({ meeting: 1, offsetMinutes: 1 }, { unique: true });
+reminderJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('ReminderJob', reminderJobSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Property = require('./Property');
+
+// Property criteria a lead is waiting on. New or re-priced properties that match
+// trigger a notification (see matchingService.notifySavedSearches).
+const savedSearchSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [100, 'Search name cannot be more than 100 characters']
+  },
+  // Every criterion is optional; unset ones match any property
+  criteria: {
+    minPrice: { type: Number, min: [0, 'Price cannot be negative'] },
+    maxPrice: { type: Number, min: [0, 'Price cannot be negative'] },
+    propertyTypes: [{
+      type: String,
+      enum: Property.schema.path('propertyType').enumValues
+    }],
+    minBedrooms: { type: Number, min: [0, 'Bedrooms cannot be negative'] },
+    minBathrooms: { type: Number, min: [0, 'Bathrooms cannot be negative'] },
+    minSqft: { type: Number, min: [0, 'Square footage cannot be negative'] }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Also email the lead, not just their agent
+  notifyLead: {
+    type: Boolean,
+    default: false
+  },
+  // Properties already notified and the price at the time, so only price changes notify again
+  notified: [{
+    _id: false,
+    property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+    price: { type: Number },
+    notifiedAt: { type: Date, default: Date.now }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ lead: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1 });
+
+savedSearchSchema.pre('validate', function() {
+  const { minPrice, maxPrice } = this.criteria || {};
+  if (minPrice !== undefined && minPrice !== null && maxPrice !== undefined && maxPrice !== null && minPrice > maxPrice) {
+    this.invalidate('criteria.maxPrice', 'Maximum price must be at least the minimum price');
+  }
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const weight = {
+  type: Number,
+  min: [0, 'Weight cannot be negative'],
+  max: [100, 'Weight cannot be more than 100']
+};
+
+// Rule inputs are normalised to 0..1 before weighting
+const unit = {
+  type: Number,
+  min: [0, 'Value cannot be negative'],
+  max: [1, 'Value cannot be more than 1']
+};
+
+// Lead scoring configuration; one document marked isDefault is used
+const scoringRulesSchema = new mongoose.Schema({
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Budget compared with prices of available properties of the preferred type
+  budgetMatch: {
+    weight,
+    belowPercent: { type: Number, min: 0, max: 100 }, // how far under budget still matches
+    abovePercent: { type: Number, min: 0, max: 100 }, // how far over budget still matches
+    targetMatches: { type: Number, min: 1 } // matches needed for the full value
+  },
+  // First keyword pattern (case-insensitive regex) found in Lead.timeline wins
+  timeline: {
+    weight,
+    keywords: [{
+      _id: false,
+      pattern: { type: String, required: true },
+      value: unit
+    }],
+    defaultValue: unit
+  },
+  // Value per Lead.source
+  sourceQuality: {
+    weight,
+    values: { type: Map, of: unit },
+    defaultValue: unit
+  },
+  meetingAttendance: {
+    weight,
+    completedValue: unit,
+    scheduledValue: unit,
+    missedPenalty: unit
+  },
+  // Value halves every halfLifeDays since lastContacted
+  recency: {
+    weight,
+    halfLifeDays: { type: Number, min: 1 }
+  },
+  // Activities within windowDays; saturation activities give the full value
+  activity: {
+    weight,
+    windowDays: { type: Number, min: 1 },
+    saturation: { type: Number, min: 1 }
+  },
+  // Minimum score for each priority; anything lower is 'low'
+  priorityThresholds: {
+    hot: { type: Number, min: 0, max: 100 },
+    high: { type: Number, min: 0, max: 100 },
+    medium: { type: Number, min: 0, max: 100 }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scoringRulesSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Keyword patterns are compiled at scoring time, so reject broken ones up front
+scoringRulesSchema.pre('validate', function() {
+  for (const keyword of (this.timeline && this.timeline.keywords) || []) {
+    try {
+      new RegExp(keyword.pattern, 'i');
+    } catch {
+      this.invalidate('timeline.keywords', `Invalid timeline pattern: ${keyword.pattern}`);
+    }
+  }
+
+  const thresholds = this.priorityThresholds || {};
+  if (thresholds.hot !== undefined && thresholds.high !== undefined && thresholds.medium !== undefined &&
+      !(thresholds.hot >= thresholds.high && thresholds.high >= thresholds.medium)) {
+    this.invalidate('priorityThresholds', 'Priority thresholds must satisfy hot >= high >= medium');
+  }
+});
+
+module.exports = mongoose.model('ScoringRules', scoringRulesSchema);
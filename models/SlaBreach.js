@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A lead that was not contacted within its response time, and the escalations that followed.
+// Kept after resolution for reporting.
+const slaBreachSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required']
+  },
+  source: {
+    type: String,
+    trim: true
+  },
+  // Agent responsible when the deadline passed
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent'
+  },
+  targetMinutes: {
+    type: Number,
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  // contacted: first contact logged; stage_changed: moved out of the first stage without contact
+  resolution: {
+    type: String,
+    enum: ['contacted', 'stage_changed', 'lead_deleted']
+  },
+  // Minutes from lead creation to resolution
+  responseMinutes: {
+    type: Number
+  },
+  escalations: [{
+    _id: false,
+    action: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    agent: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+    result: { type: String, enum: ['sent', 'skipped', 'failed'] },
+    detail: { type: String }
+  }]
+}, {
+  timestamps: true
+});
+
+// One breach per lead
+slaBreachSchema.index({ lead: 1 }, { unique: true });
+slaBreachSchema.index({ status: 1, dueAt: 1 });
+slaBreachSchema.index({ createdAt: -1 });
+slaBreachSchema.index({ agent: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SlaBreach', slaBreachSchema);
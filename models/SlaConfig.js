@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ESCALATION_ACTIONS = ['notifyAgent', 'emailAgent', 'reassign', 'notifyAdmins'];
+
+const minutes = {
+  type: Number,
+  min: [1, 'Response time must be at least 1 minute']
+};
+
+// Response time targets for new leads and what happens when they are missed;
+// one document marked isDefault is used
+const slaConfigSchema = new mongoose.Schema({
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Minutes to first contact for sources without their own target
+  defaultMinutes: minutes,
+  // Per-source targets, matched against Lead.source or Lead.sourceSystem
+  sources: [{
+    _id: false,
+    source: { type: String, required: true, trim: true },
+    minutes: { ...minutes, required: true }
+  }],
+  // Steps run in order once a lead is afterMinutes past its deadline
+  escalation: [{
+    _id: false,
+    action: { type: String, enum: ESCALATION_ACTIONS, required: true },
+    afterMinutes: { type: Number, min: 0, required: true }
+  }],
+  // Leads older than this are not tracked, so old data does not flood escalations
+  maxAgeHours: {
+    type: Number,
+    min: [1, 'Tracking window must be at least 1 hour']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+slaConfigSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+slaConfigSchema.pre('validate', function() {
+  const sources = (this.sources || []).map(entry => entry.source);
+  if (new Set(sources).size !== sources.length) {
+    this.invalidate('sources', 'Each source can only have one response time');
+  }
+
+  const delays = (this.escalation || []).map(step => step.afterMinutes);
+  if (delays.some((delay, index) => index > 0 && delay < delays[index - 1])) {
+    this.invalidate('escalation', 'Escalation steps must be in order of afterMinutes');
+  }
+});
+
+slaConfigSchema.statics.ESCALATION_ACTIONS = ESCALATION_ACTIONS;
+
+module.exports = mongoose.model('SlaConfig', slaConfigSchema);
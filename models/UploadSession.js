@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A file being uploaded to a property in chunks (see chunkedUploadService).
+// The chunks themselves live on disk until the upload completes.
+const uploadSessionSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true,
+    maxlength: [255, 'Filename cannot be more than 255 characters']
+  },
+  mimetype: {
+    type: String,
+    required: [true, 'File type is required'],
+    match: [/^(image|video)\//, 'Only image and video files are allowed']
+  },
+  size: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [1, 'File cannot be empty']
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  // Indexes of the chunks written so far; a client resumes by sending the rest
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
+  // Set while a request is completing the upload, so a second one can't add the file again
+  completingAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ property: 1, createdAt: -1 });
+
+// Abandoned uploads disappear; their chunks are swept from disk separately
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false // Never include the hash in regular queries
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'agent'],
+    default: 'agent'
+  },
+  // Agent profile this login belongs to (required for agent users)
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent',
+    required: [
+      function() { return this.role === 'agent'; },
+      'Agent users must be linked to an agent profile'
+    ]
+  },
+  // Hashed refresh tokens, one per active session
+  refreshTokens: {
+    type: [{
+      tokenHash: { type: String, required: true },
+      expiresAt: { type: Date, required: true },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.refreshTokens;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+userSchema.index({ agent: 1 });
+
+// Hash password before saving
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, 12);
+});
+
+// Instance method to compare a candidate password with the stored hash
+userSchema.methods.matchPassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to drop expired refresh tokens
+userSchema.methods.pruneRefreshTokens = function() {
+  const now = new Date();
+  this.refreshTokens = (this.refreshTokens || []).filter(token => token.expiresAt > now);
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const webhookLogSchema = new mongoose.Schema({
+  sourceSystem: {
+    type: String,
+    trim: true
+  },
+  // Parsed JSON payload as received
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Exact bytes that were signed, kept for auditing signature failures
+  rawBody: {
+    type: String,
+    select: false
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  deliveryId: {
+    type: String,
+    trim: true
+  },
+  verification: {
+    verified: { type: Boolean, default: false },
+    valid: { type: Boolean, default: false },
+    reason: { type: String }
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'rejected'],
+    required: [true, 'Webhook action is required']
+  },
+  statusCode: {
+    type: Number
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  error: {
+    type: String
+  },
+  // Set when this entry was produced by replaying an earlier delivery
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookLog'
+  },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for log filtering
+webhookLogSchema.index({ createdAt: -1 });
+webhookLogSchema.index({ sourceSystem: 1, action: 1, createdAt: -1 });
+webhookLogSchema.index({ lead: 1 });
+
+// Headers that must never be persisted
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+// Static helper to copy request headers without credentials
+webhookLogSchema.statics.sanitizeHeaders = function(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([key]) => !SENSITIVE_HEADERS.includes(key.toLowerCase()))
+  );
+};
+
+module.exports = mongoose.model('WebhookLog', webhookLogSchema);
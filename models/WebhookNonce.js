@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Delivery identifiers already accepted from a webhook source (replay protection)
+const webhookNonceSchema = new mongoose.Schema({
+  sourceSystem: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A nonce can only be claimed once per source
+webhookNonceSchema.index({ sourceSystem: 1, nonce: 1 }, { unique: true });
+
+// Let MongoDB purge nonces once they fall outside the replay window (WEBHOOK_REPLAY_WINDOW_HOURS)
+webhookNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookNonce', webhookNonceSchema);
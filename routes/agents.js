@@ -10,18 +10,19 @@ const {
   getAgentAvailableSlots,
   getAgentUpcomingEvents
 } = require('../controllers/agentController');
+const { authMiddleware, adminOnly, agentOrAdmin } = require('../middleware/auth');
 
-// All routes require authentication (middleware would be added here)
-// router.use(authMiddleware);
+// All routes require authentication
+router.use(authMiddleware, agentOrAdmin);
 
 router.route('/')
-  .get(getAgents)
-  .post(createAgent);
+  .get(adminOnly, getAgents)
+  .post(adminOnly, createAgent);
 
 router.route('/:id')
   .get(getAgent)
   .put(updateAgent)
-  .delete(deleteAgent);
+  .delete(adminOnly, deleteAgent);
 
 // Agent-specific routes
 router.get('/:id/calendar-status', getAgentCalendarStatus);
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAssignmentConfig,
+  updateAssignmentConfig,
+  previewAssignment
+} = require('../controllers/assignmentController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+
+// Assignment configuration is admin only
+router.use(authMiddleware, adminOnly);
+
+router.route('/config')
+  .get(getAssignmentConfig)
+  .put(updateAssignmentConfig);
+
+router.post('/preview', previewAssignment);
+
+module.exports = router;
@@ -1,18 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const googleCalendar = require('../services/googleCalendar');
+const calendarWatchService = require('../services/calendarWatchService');
+const { authMiddleware, authorize, adminOnly } = require('../middleware/auth');
+const {
+  login,
+  refresh,
+  logout,
+  getMe,
+  register
+} = require('../controllers/authController');
+
+// Session routes
+router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', authMiddleware, logout);
+router.get('/me', authMiddleware, getMe);
+router.post('/register', authMiddleware, adminOnly, register);
+
+const agentOnly = [authMiddleware, authorize('agent')];
+
+// Agents may only manage their own calendar connection
+const resolveAgentId = (req, requestedId) => {
+  const ownAgentId = req.user.agent._id.toString();
+  if (requestedId && requestedId !== ownAgentId) return null;
+  return ownAgentId;
+};
 
 // @desc    Initiate Google Calendar OAuth
 // @route   GET /api/auth/google
 // @access  Private (Agent only)
-router.get('/google', (req, res) => {
+router.get('/google', agentOnly, (req, res) => {
   try {
-    const { agentId } = req.query;
+    const agentId = resolveAgentId(req, req.query.agentId);
 
     if (!agentId) {
-      return res.status(400).json({
+      return res.status(403).json({
         success: false,
-        message: 'Agent ID is required'
+        message: 'You can only connect your own calendar'
       });
     }
 
@@ -48,6 +73,9 @@ router.get('/google/callback', async (req, res) => {
 
     await googleCalendar.handleCallback(code, agentId);
 
+    // Start receiving changes made in the calendar
+    await calendarWatchService.connect(agentId);
+
     // Redirect to success page or frontend
     res.send(`
       <h1>Success!</h1>
@@ -76,17 +104,18 @@ router.get('/google/callback', async (req, res) => {
 // @desc    Disconnect Google Calendar
 // @route   DELETE /api/auth/google
 // @access  Private (Agent only)
-router.delete('/google', async (req, res) => {
+router.delete('/google', agentOnly, async (req, res) => {
   try {
-    const { agentId } = req.body;
+    const agentId = resolveAgentId(req, req.body && req.body.agentId);
 
     if (!agentId) {
-      return res.status(400).json({
+      return res.status(403).json({
         success: false,
-        message: 'Agent ID is required'
+        message: 'You can only disconnect your own calendar'
       });
     }
 
+    await calendarWatchService.stopWatch(agentId);
     const result = await googleCalendar.disconnectCalendar(agentId);
 
     res.status(200).json(result);
@@ -99,17 +128,42 @@ router.delete('/google', async (req, res) => {
   }
 });
 
+// @desc    Receive Google Calendar change notifications (watch channel webhook)
+// @route   POST /api/auth/google/notifications
+// @access  Public (verified by channel token)
+router.post('/google/notifications', async (req, res) => {
+  try {
+    const { statusCode, message } = await calendarWatchService.handleNotification({
+      channelId: req.get('X-Goog-Channel-ID'),
+      token: req.get('X-Goog-Channel-Token'),
+      resourceId: req.get('X-Goog-Resource-ID'),
+      state: req.get('X-Goog-Resource-State')
+    });
+
+    res.status(statusCode).json({
+      success: statusCode === 200,
+      message
+    });
+  } catch (error) {
+    console.error('Error handling calendar notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to handle calendar notification'
+    });
+  }
+});
+
 // @desc    Check Google Calendar connection status
 // @route   GET /api/auth/google/status
 // @access  Private (Agent only)
-router.get('/google/status', async (req, res) => {
+router.get('/google/status', agentOnly, async (req, res) => {
   try {
-    const { agentId } = req.query;
+    const agentId = resolveAgentId(req, req.query.agentId);
 
     if (!agentId) {
-      return res.status(400).json({
+      return res.status(403).json({
         success: false,
-        message: 'Agent ID is required'
+        message: 'You can only view your own calendar status'
       });
     }
 
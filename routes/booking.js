@@ -3,14 +3,25 @@ const router = express.Router();
 const {
   createAutomatedBooking,
   getAvailableSlots,
+  getManagedBooking,
+  getRescheduleSlots,
+  rescheduleBooking,
+  cancelBooking,
   getBookingStats
 } = require('../controllers/bookingController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
 
 // Public routes (for lead forms)
 router.post('/request-visit', createAutomatedBooking);
 router.get('/available-slots', getAvailableSlots);
 
+// Public routes authorized by the signed link in the lead's confirmation email
+router.get('/manage/:token', getManagedBooking);
+router.get('/manage/:token/slots', getRescheduleSlots);
+router.post('/manage/:token/reschedule', rescheduleBooking);
+router.post('/manage/:token/cancel', cancelBooking);
+
 // Private routes (require authentication)
-router.get('/stats', getBookingStats);
+router.get('/stats', authMiddleware, adminOnly, getBookingStats);
 
 module.exports = router;
\ No newline at end of file
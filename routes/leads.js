@@ -8,17 +8,39 @@ const {
   deleteLead,
   updateLeadStatus,
   getLeadsByStatus,
+  getLeadBoard,
+  getLeadDuplicates,
+  getLeadMatches,
+  mergeLeads,
+  getLeadActivities,
+  addLeadActivity,
   handleWebhookLead,
-  getWebhookLogs
+  getWebhookLogs,
+  getWebhookLog,
+  replayWebhookLog
 } = require('../controllers/leadController');
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchMatches
+} = require('../controllers/savedSearchController');
+const { authMiddleware, adminOnly, agentOrAdmin } = require('../middleware/auth');
+
+// Public webhook (verified by signature, not by user token)
+router.post('/webhook', handleWebhookLead);
 
-// All routes require authentication (middleware would be added here)
-// router.use(authMiddleware);
+// All remaining routes require authentication
+router.use(authMiddleware, agentOrAdmin);
 
 router.route('/')
   .get(getLeads)
   .post(createLead);
 
+router.get('/board', getLeadBoard);
+router.post('/merge', mergeLeads);
+
 router.route('/:id')
   .get(getLead)
   .put(updateLead)
@@ -27,12 +49,29 @@ router.route('/:id')
 router.route('/:id/status')
   .patch(updateLeadStatus);
 
+router.get('/:id/duplicates', getLeadDuplicates);
+router.get('/:id/matches', getLeadMatches);
+
+router.route('/:id/activities')
+  .get(getLeadActivities)
+  .post(addLeadActivity);
+
+router.route('/:id/saved-searches')
+  .get(getSavedSearches)
+  .post(createSavedSearch);
+
+router.route('/:id/saved-searches/:searchId')
+  .put(updateSavedSearch)
+  .delete(deleteSavedSearch);
+
+router.get('/:id/saved-searches/:searchId/matches', getSavedSearchMatches);
+
 router.route('/status/:status')
   .get(getLeadsByStatus);
 
-// Webhook routes
-router.post('/webhook', handleWebhookLead);
-router.get('/webhook/logs', getWebhookLogs);
+// Webhook administration
+router.get('/webhook/logs', adminOnly, getWebhookLogs);
+router.get('/webhook/logs/:logId', adminOnly, getWebhookLog);
+router.post('/webhook/logs/:logId/replay', adminOnly, replayWebhookLog);
 
-module.exports = router;
 module.exports = router;
\ No newline at end of file
@@ -7,23 +7,28 @@ const {
   updateMeeting,
   deleteMeeting,
   getUpcomingMeetings,
-  updateMeetingStatus
+  updateMeetingStatus,
+  getMeetingReminders
 } = require('../controllers/meetingController');
+const { authMiddleware, agentOrAdmin } = require('../middleware/auth');
 
-// All routes require authentication (middleware would be added here)
-// router.use(authMiddleware);
+// All routes require authentication
+router.use(authMiddleware, agentOrAdmin);
 
 router.route('/')
   .get(getMeetings)
   .post(createMeeting);
 
+// Must be registered before /:id so "upcoming" isn't treated as an ID
+router.get('/upcoming', getUpcomingMeetings);
+
 router.route('/:id')
   .get(getMeeting)
   .put(updateMeeting)
   .delete(deleteMeeting);
 
 // Additional routes
-router.get('/upcoming', getUpcomingMeetings);
 router.patch('/:id/status', updateMeetingStatus);
+router.get('/:id/reminders', getMeetingReminders);
 
 module.exports = router;
\ No newline at end of file
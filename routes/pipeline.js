@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPipeline,
+  updatePipeline
+} = require('../controllers/pipelineController');
+const { authMiddleware, adminOnly, agentOrAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authMiddleware, agentOrAdmin);
+
+router.route('/')
+  .get(getPipeline)
+  .put(adminOnly, updatePipeline);
+
+module.exports = router;
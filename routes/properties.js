@@ -1,22 +1,42 @@
 const express = require('express');
 const router = express.Router();
+const chunkedUploadService = require('../services/chunkedUploadService');
 const {
   getProperties,
+  searchProperties,
   getProperty,
   createProperty,
   updateProperty,
   deleteProperty,
-  uploadPropertyFiles
+  uploadPropertyFiles,
+  getInterestedLeads,
+  getPropertyHistory
 } = require('../controllers/propertyController');
+const {
+  reorderMedia,
+  setCoverImage,
+  updateMedia,
+  deleteMedia
+} = require('../controllers/propertyMediaController');
+const {
+  startUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+} = require('../controllers/propertyUploadController');
 const { uploadMultiple } = require('../middleware/upload');
+const { authMiddleware, agentOrAdmin } = require('../middleware/auth');
 
-// All routes require authentication (middleware would be added here)
-// router.use(authMiddleware);
+// All routes require authentication
+router.use(authMiddleware, agentOrAdmin);
 
 router.route('/')
   .get(getProperties)
   .post(uploadMultiple, createProperty);
 
+router.get('/search', searchProperties);
+
 router.route('/:id')
   .get(getProperty)
   .put(updateProperty)
@@ -25,4 +45,26 @@ router.route('/:id')
 // File upload route
 router.post('/:id/upload', uploadMultiple, uploadPropertyFiles);
 
+// Chunked uploads for large files; chunks arrive as raw request bodies
+router.post('/:id/uploads', startUpload);
+router.route('/:id/uploads/:uploadId')
+  .get(getUpload)
+  .delete(cancelUpload);
+router.put(
+  '/:id/uploads/:uploadId/chunks/:index',
+  express.raw({ type: () => true, limit: chunkedUploadService.maxChunkSize }),
+  uploadChunk
+);
+router.post('/:id/uploads/:uploadId/complete', completeUpload);
+
+// Media management
+router.put('/:id/media/order', reorderMedia);
+router.put('/:id/media/:mediaId/cover', setCoverImage);
+router.route('/:id/media/:mediaId')
+  .put(updateMedia)
+  .delete(deleteMedia);
+
+router.get('/:id/interested-leads', getInterestedLeads);
+router.get('/:id/history', getPropertyHistory);
+
 module.exports = router;
\ No newline at end of file
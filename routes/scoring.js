@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getScoringRules,
+  updateScoringRules,
+  rescoreLeads
+} = require('../controllers/scoringController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+
+// Scoring configuration is admin only
+router.use(authMiddleware, adminOnly);
+
+router.route('/rules')
+  .get(getScoringRules)
+  .put(updateScoringRules);
+
+router.post('/rescore', rescoreLeads);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSlaConfig,
+  updateSlaConfig,
+  getSlaBreaches,
+  getSlaReport
+} = require('../controllers/slaController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+
+// SLA settings and reporting are admin only
+router.use(authMiddleware, adminOnly);
+
+router.route('/config')
+  .get(getSlaConfig)
+  .put(updateSlaConfig);
+
+router.get('/breaches', getSlaBreaches);
+router.get('/report', getSlaReport);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// Create (or reset) an admin login.
+// Usage: node scripts/createAdmin.js <email> <password> [name]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+const run = async () => {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: node scripts/createAdmin.js <email> <password> [name]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+  if (user) {
+    user.password = password;
+    user.role = 'admin';
+    user.isActive = true;
+  } else {
+    user = new User({ name, email, password, role: 'admin' });
+  }
+
+  await user.save();
+  console.log(`Admin user ready: ${user.email}`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Failed to create admin user:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+// Geocode existing properties: fill in addressDetails and a location point from the
+// free-text address, using the configured geocoder (GEOCODER_PROVIDER).
+//
+// Usage: node scripts/geocodeProperties.js [--dry-run] [--force]
+//   --dry-run  report what would change without writing
+//   --force    also re-geocode properties that already have a location
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Property = require('../models/Property');
+const geocodingService = require('../services/geocodingService');
+
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+
+const run = async () => {
+  await connectDB();
+
+  const filter = force ? {} : { 'location.coordinates': { $exists: false } };
+  const report = { located: 0, detailsOnly: 0, unresolved: [] };
+
+  for await (const property of Property.find(filter).cursor()) {
+    const updates = await geocodingService.locate({
+      address: property.address,
+      addressDetails: property.toObject().addressDetails
+    });
+
+    if (updates.location) {
+      report.located += 1;
+    } else {
+      report.unresolved.push(`${property._id}: ${property.address}`);
+      if (updates.addressDetails && Object.keys(updates.addressDetails).length > 0) report.detailsOnly += 1;
+    }
+
+    if (!dryRun && Object.keys(updates).length > 0) {
+      await Property.updateOne({ _id: property._id }, { $set: updates });
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Property geocoding complete (provider: ${geocodingService.providerName})`);
+  console.log(`- Located: ${report.located}`);
+  console.log(`- Address parts only: ${report.detailsOnly}`);
+  if (report.unresolved.length > 0) {
+    console.log(`- Not resolved by the geocoder (${report.unresolved.length}):`);
+    report.unresolved.forEach(entry => console.log(`    ${entry}`));
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Property geocoding failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
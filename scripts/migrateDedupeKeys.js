@@ -0,0 +1,80 @@
+// Backfill the duplicate-matching keys on leads saved before they existed:
+//   Lead.email  -> Lead.emailNormalized
+//   Lead.phone  -> Lead.phoneE164
+// New and edited leads get them from the Lead model's hooks.
+//
+// Usage: node scripts/migrateDedupeKeys.js [--dry-run]
+//   --dry-run  report what would change without writing
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Lead = require('../models/Lead');
+const { normalizeEmail, normalizePhone } = require('../utils/normalize');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await connectDB();
+
+  const report = { scanned: 0, email: 0, phone: 0, unparsedPhones: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    if (!dryRun && batch.length > 0) await Lead.collection.bulkWrite(batch, { ordered: false });
+    batch = [];
+  };
+
+  // Raw collection, so leads the current schema would reject are still covered
+  const cursor = Lead.collection.find(
+    {
+      $or: [
+        { email: { $exists: true }, emailNormalized: { $exists: false } },
+        { phone: { $nin: [null, ''] }, phoneE164: { $exists: false } }
+      ]
+    },
+    { projection: { email: 1, phone: 1, emailNormalized: 1, phoneE164: 1 } }
+  );
+
+  for await (const lead of cursor) {
+    report.scanned += 1;
+    const set = {};
+
+    if (lead.email && lead.emailNormalized === undefined) {
+      set.emailNormalized = normalizeEmail(lead.email);
+      report.email += 1;
+    }
+    if (lead.phone && lead.phoneE164 === undefined) {
+      const phone = normalizePhone(lead.phone);
+      if (phone) {
+        set.phoneE164 = phone;
+        report.phone += 1;
+      } else {
+        report.unparsedPhones += 1;
+      }
+    }
+
+    if (Object.keys(set).length > 0) {
+      batch.push({ updateOne: { filter: { _id: lead._id }, update: { $set: set } } });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+  }
+  await flush();
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Dedupe key backfill complete`);
+  console.log(`- Leads scanned: ${report.scanned}`);
+  console.log(`- Normalized emails set: ${report.email}`);
+  console.log(`- E.164 phones set: ${report.phone}`);
+  if (report.unparsedPhones > 0) {
+    console.log(`- Phones that could not be parsed, left unmatched by phone: ${report.unparsedPhones}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Dedupe key backfill failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
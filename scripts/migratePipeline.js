@@ -0,0 +1,90 @@
+// Seed the default lead pipeline and move leads off the legacy hard-coded statuses:
+//   New, Contacted, Nurturing  -> stages of the same name
+//   Closed                     -> Closed Won (or the stage given with --closed-as)
+// and give leads without a board position one that keeps newest-first order.
+//
+// Usage: node scripts/migratePipeline.js [--dry-run] [--closed-as="Closed Lost"]
+//   --dry-run    report what would change without writing
+//   --closed-as  stage that legacy 'Closed' leads are moved to
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const pipelineService = require('../services/pipelineService');
+
+const dryRun = process.argv.includes('--dry-run');
+const closedAsArg = process.argv.find(arg => arg.startsWith('--closed-as='));
+const closedAs = closedAsArg ? closedAsArg.split('=').slice(1).join('=') : 'Closed Won';
+
+const LEGACY_STATUS_MAP = {
+  New: 'New',
+  Contacted: 'Contacted',
+  Nurturing: 'Nurturing',
+  Closed: closedAs
+};
+
+const run = async () => {
+  await connectDB();
+
+  let pipeline = await Pipeline.findOne({ isDefault: true });
+  const seeded = !pipeline;
+  if (!pipeline) {
+    pipeline = new Pipeline({ name: 'Default', isDefault: true, stages: pipelineService.defaultStages });
+    if (!dryRun) await pipeline.save();
+  }
+
+  const stageNames = pipeline.stages.map(stage => stage.name);
+  if (!stageNames.includes(closedAs)) {
+    throw new Error(`--closed-as stage "${closedAs}" is not in the pipeline (${stageNames.join(', ')})`);
+  }
+
+  const report = { moved: [], unmapped: [] };
+
+  // Count through the raw collection so statuses the schema now rejects are still seen
+  const counts = await Lead.collection.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]).toArray();
+
+  for (const { _id: status, count } of counts) {
+    if (stageNames.includes(status)) continue;
+
+    const target = LEGACY_STATUS_MAP[status];
+    if (!target || !stageNames.includes(target)) {
+      report.unmapped.push(`${status === null || status === undefined ? '(no status)' : status}: ${count} lead(s)`);
+      continue;
+    }
+
+    if (!dryRun) await Lead.collection.updateMany({ status }, { $set: { status: target } });
+    report.moved.push(`${status} -> ${target}: ${count} lead(s)`);
+  }
+
+  // Same ordering as the schema default: newer leads sit higher in their column
+  const unpositioned = { position: { $exists: false } };
+  const positionsBackfilled = await Lead.collection.countDocuments(unpositioned);
+  if (!dryRun && positionsBackfilled > 0) {
+    await Lead.collection.updateMany(unpositioned, [
+      { $set: { position: { $multiply: [{ $toLong: { $ifNull: ['$createdAt', '$$NOW'] } }, -1] } } }
+    ]);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Pipeline migration complete`);
+  console.log(`- Pipeline: ${seeded ? 'seeded with default stages' : 'already configured'}`);
+  console.log(`- Stages: ${stageNames.join(', ')}`);
+  console.log(`- Statuses moved (${report.moved.length}):`);
+  report.moved.forEach(entry => console.log(`    ${entry}`));
+  console.log(`- Board positions backfilled: ${positionsBackfilled}`);
+
+  if (report.unmapped.length > 0) {
+    console.log(`- Unmapped statuses, fix by hand (${report.unmapped.length}):`);
+    report.unmapped.forEach(entry => console.log(`    ${entry}`));
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Pipeline migration failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+// Backfill ObjectId references from the legacy free-text fields:
+//   Lead.assignedTo (agent name)        -> Lead.agent
+//   Meeting.assignedTo (agent name)     -> Meeting.agent
+//   Meeting.leadName                    -> Meeting.lead
+//   Meeting.propertyAddress             -> Meeting.property
+//
+// Usage: node scripts/migrateReferences.js [--dry-run] [--prune]
+//   --dry-run  report what would change without writing
+//   --prune    remove the legacy string fields once every reference on a document resolved
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Agent = require('../models/Agent');
+const Lead = require('../models/Lead');
+const Meeting = require('../models/Meeting');
+const Property = require('../models/Property');
+
+const dryRun = process.argv.includes('--dry-run');
+const prune = process.argv.includes('--prune');
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+// Build a lookup of normalized key -> [ids]; keys that map to several ids are ambiguous
+const buildIndex = (docs, key) => {
+  const index = new Map();
+  for (const doc of docs) {
+    const value = normalize(doc[key]);
+    if (!value) continue;
+    if (!index.has(value)) index.set(value, []);
+    index.get(value).push(doc._id);
+  }
+  return index;
+};
+
+// Resolve a legacy string to a single id, recording misses and ambiguities
+const resolve = (index, value, report, label) => {
+  const matches = index.get(normalize(value)) || [];
+  if (matches.length === 1) return matches[0];
+
+  const bucket = matches.length === 0 ? report.unresolved : report.ambiguous;
+  bucket.push(`${label}: "${value}"`);
+  return null;
+};
+
+const migrateLeads = async (agentIndex, report) => {
+  // Legacy fields are no longer in the schema, so read them through the raw collection
+  const leads = await Lead.collection.find({
+    assignedTo: { $type: 'string' },
+    agent: { $exists: false }
+  }).toArray();
+
+  for (const lead of leads) {
+    // Placeholder values written before any agent was assigned
+    if (['', 'auto-assigned', 'unassigned'].includes(normalize(lead.assignedTo))) {
+      report.leads.skipped += 1;
+      if (prune && !dryRun) {
+        await Lead.collection.updateOne({ _id: lead._id }, { $unset: { assignedTo: '' } });
+      }
+      continue;
+    }
+
+    const agentId = resolve(agentIndex, lead.assignedTo, report, `Lead ${lead._id} agent`);
+    if (!agentId) continue;
+
+    const update = { $set: { agent: agentId } };
+    if (prune) update.$unset = { assignedTo: '' };
+
+    if (!dryRun) await Lead.collection.updateOne({ _id: lead._id }, update);
+    report.leads.updated += 1;
+  }
+};
+
+const migrateMeetings = async (agentIndex, report) => {
+  const [leads, properties] = await Promise.all([
+    Lead.collection.find({}, { projection: { name: 1 } }).toArray(),
+    Property.collection.find({}, { projection: { address: 1 } }).toArray()
+  ]);
+  const leadIndex = buildIndex(leads, 'name');
+  const propertyIndex = buildIndex(properties, 'address');
+
+  const meetings = await Meeting.collection.find({
+    $or: [
+      { agent: { $exists: false }, assignedTo: { $type: 'string' } },
+      { lead: { $exists: false }, leadName: { $type: 'string' } },
+      { property: { $exists: false }, propertyAddress: { $type: 'string' } }
+    ]
+  }).toArray();
+
+  for (const meeting of meetings) {
+    const set = {};
+    const unset = {};
+    let complete = true;
+
+    const fields = [
+      ['agent', 'assignedTo', agentIndex],
+      ['lead', 'leadName', leadIndex],
+      ['property', 'propertyAddress', propertyIndex]
+    ];
+
+    for (const [refField, legacyField, index] of fields) {
+      if (meeting[refField]) {
+        unset[legacyField] = '';
+        continue;
+      }
+      if (typeof meeting[legacyField] !== 'string') continue;
+
+      const id = resolve(index, meeting[legacyField], report, `Meeting ${meeting._id} ${refField}`);
+      if (id) {
+        set[refField] = id;
+        unset[legacyField] = '';
+      } else {
+        complete = false;
+      }
+    }
+
+    if (Object.keys(set).length === 0 && !(prune && complete)) continue;
+
+    const update = {};
+    if (Object.keys(set).length > 0) update.$set = set;
+    if (prune && complete) update.$unset = unset;
+
+    if (!dryRun) await Meeting.collection.updateOne({ _id: meeting._id }, update);
+    report.meetings.updated += 1;
+  }
+};
+
+const run = async () => {
+  await connectDB();
+
+  const report = {
+    leads: { updated: 0, skipped: 0 },
+    meetings: { updated: 0 },
+    unresolved: [],
+    ambiguous: []
+  };
+
+  const agents = await Agent.find({}).select('name');
+  const agentIndex = buildIndex(agents, 'name');
+
+  await migrateLeads(agentIndex, report);
+  await migrateMeetings(agentIndex, report);
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Reference migration complete`);
+  console.log(`- Leads updated: ${report.leads.updated} (placeholders skipped: ${report.leads.skipped})`);
+  console.log(`- Meetings updated: ${report.meetings.updated}`);
+
+  if (report.unresolved.length > 0) {
+    console.log(`- Unresolved (${report.unresolved.length}):`);
+    report.unresolved.forEach(entry => console.log(`    ${entry}`));
+  }
+  if (report.ambiguous.length > 0) {
+    console.log(`- Ambiguous, several matches (${report.ambiguous.length}):`);
+    report.ambiguous.forEach(entry => console.log(`    ${entry}`));
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Reference migration failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
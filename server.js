@@ -5,6 +5,16 @@ const http = require('http');
 require('dotenv').config();
 const connectDB = require('./config/database');
 const socketService = require('./services/socketService');
+const pipelineService = require('./services/pipelineService');
+const scoringService = require('./services/scoringService');
+const insightService = require('./services/insightService');
+const assignmentService = require('./services/assignmentService');
+const slaService = require('./services/slaService');
+const chunkedUploadService = require('./services/chunkedUploadService');
+const reminderService = require('./services/reminderService');
+const calendarSyncService = require('./services/calendarSyncService');
+const calendarWatchService = require('./services/calendarWatchService');
+const { captureRawBody } = require('./middleware/rawBody');
 
 // Cloudinary configuration
 const cloudinary = require('cloudinary').v2;
@@ -21,12 +31,17 @@ const PORT = process.env.PORT || 5000;
 // Initialize Socket.IO
 socketService.initialize(server);
 
-// Connect to database
-connectDB();
+// Connect to database, then load the configured lead pipeline, scoring, assignment and SLA settings
+connectDB().then(() => Promise.all([
+  pipelineService.load(),
+  scoringService.load(),
+  assignmentService.load(),
+  slaService.load()
+]));
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody })); // Keep raw body for webhook signatures
 
 // Serve static files from uploads directory
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -38,6 +53,10 @@ app.use('/api/meetings', require('./routes/meetings'));
 app.use('/api/booking', require('./routes/booking'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/agents', require('./routes/agents'));
+app.use('/api/pipeline', require('./routes/pipeline'));
+app.use('/api/scoring', require('./routes/scoring'));
+app.use('/api/assignment', require('./routes/assignment'));
+app.use('/api/sla', require('./routes/sla'));
 console.log('Routes registered successfully');
 console.log('Available routes:');
 console.log('- /api/leads');
@@ -46,6 +65,10 @@ console.log('- /api/meetings');
 console.log('- /api/booking');
 console.log('- /api/auth');
 console.log('- /api/agents');
+console.log('- /api/pipeline');
+console.log('- /api/scoring');
+console.log('- /api/assignment');
+console.log('- /api/sla');
 
 // Basic route
 app.get('/', (req, res) => {
@@ -79,5 +102,23 @@ if (require.main === module) {
   server.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`WebSocket server initialized`);
+
+    // Keep time-based lead insights current
+    insightService.startScheduler();
+
+    // Watch for new leads waiting too long for first contact
+    slaService.startScheduler();
+
+    // Clear abandoned chunked uploads and leftover temporary files
+    chunkedUploadService.startScheduler();
+
+    // Send meeting reminders as they come due
+    reminderService.startScheduler();
+
+    // Retry Google Calendar changes that failed
+    calendarSyncService.startScheduler();
+
+    // Pull changes made in agents' Google Calendars and keep their watch channels open
+    calendarWatchService.startScheduler();
   });
 }
\ No newline at end of file
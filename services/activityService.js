@@ -0,0 +1,94 @@
+const Activity = require('../models/Activity');
+const Lead = require('../models/Lead');
+
+// Activity types that count as reaching out to the lead. Automated emails and texts
+// (confirmations, reminders, saved-search matches) are logged with details.automated
+// and don't count
+const CONTACT_TYPES = ['call', 'email_sent', 'sms_sent', 'meeting_completed'];
+
+// Accept either a populated document or a bare id
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Writes lead timeline entries from every code path that touches a lead
+class ActivityService {
+  // Record an activity; failures are logged and never break the caller.
+  // Returns the Activity document, or null when nothing was written
+  async record(type, { lead, agent, meeting, actor, summary, body, details } = {}) {
+    const leadId = idOf(lead);
+    if (!leadId) return null;
+
+    try {
+      const activity = await Activity.create({
+        lead: leadId,
+        type,
+        summary,
+        body,
+        details,
+        agent: idOf(agent),
+        meeting: idOf(meeting),
+        actor: idOf(actor)
+      });
+
+      // lastContacted reflects real outreach only
+      if (CONTACT_TYPES.includes(type) && !(details && details.automated)) {
+        await Lead.updateOne({ _id: leadId }, { lastContacted: activity.createdAt });
+      }
+
+      return activity;
+    } catch (error) {
+      console.error(`Failed to record ${type} activity for lead ${leadId}:`, error.message);
+      return null;
+    }
+  }
+
+  async recordStatusChange(lead, from, to, { actor } = {}) {
+    if (from === to) return null;
+
+    return this.record('status_change', {
+      lead,
+      agent: lead.agent,
+      actor,
+      summary: `Status changed from ${from} to ${to}`,
+      details: { from, to }
+    });
+  }
+
+  // Meeting status transitions that belong on the timeline
+  async recordMeetingStatus(meeting, { actor } = {}) {
+    const types = { Completed: 'meeting_completed', Missed: 'meeting_missed', Cancelled: 'meeting_cancelled' };
+    const type = types[meeting.status];
+    if (!type) return null;
+
+    return this.record(type, {
+      lead: meeting.lead,
+      agent: meeting.agent,
+      meeting,
+      actor,
+      summary: `Meeting on ${new Date(meeting.dateTime).toLocaleString()} marked ${meeting.status.toLowerCase()}`,
+      details: { dateTime: meeting.dateTime }
+    });
+  }
+
+  // Paginated timeline for a lead, newest first
+  async getTimeline(leadId, { types, page = 1, limit = 20 } = {}) {
+    const filter = { lead: leadId };
+    if (types && types.length > 0) filter.type = { $in: types };
+
+    const skip = (page - 1) * limit;
+
+    const [activities, total] = await Promise.all([
+      Activity.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email')
+        .populate('agent', 'name email')
+        .populate('meeting', 'dateTime status'),
+      Activity.countDocuments(filter)
+    ]);
+
+    return { activities, total };
+  }
+}
+
+module.exports = new ActivityService();
@@ -0,0 +1,204 @@
+const Agent = require('../models/Agent');
+const Lead = require('../models/Lead');
+const AssignmentConfig = require('../models/AssignmentConfig');
+const pipelineService = require('./pipelineService');
+const { loadDefaultSettings } = require('../utils/settings');
+
+// Used until an admin saves a configuration
+const DEFAULT_CONFIG = {
+  enabled: true,
+  filters: ['source', 'territory', 'specialty'],
+  picker: 'leastLoaded',
+  sourceRoutes: []
+};
+
+const ZIP_PATTERN = /\b(\d{5})(?:-\d{4})?\b/;
+
+const toConfig = (stored = {}) => ({
+  enabled: stored.enabled !== undefined ? stored.enabled : DEFAULT_CONFIG.enabled,
+  filters: [...(stored.filters || DEFAULT_CONFIG.filters)],
+  picker: stored.picker || DEFAULT_CONFIG.picker,
+  sourceRoutes: (stored.sourceRoutes || []).map(route => ({
+    source: route.source,
+    agents: (route.agents || []).map(id => id.toString())
+  }))
+});
+
+// Filters narrow the candidate pool. Each returns the matching agents (possibly none)
+// and a short explanation for previews.
+const filters = {
+  source: (candidates, { lead }, config) => {
+    const route = config.sourceRoutes.find(entry =>
+      [lead.source, lead.sourceSystem].filter(Boolean).includes(entry.source)
+    );
+    if (!route) return { agents: [], reason: 'no route for this source' };
+
+    const agents = candidates.filter(agent => route.agents.includes(agent._id.toString()));
+    return {
+      agents,
+      reason: agents.length > 0 ? `routed by source ${route.source}` : `no available agents on the ${route.source} route`
+    };
+  },
+
+  // Longest matching territory wins, so '94110' beats '941'
+  territory: (candidates, { zipCode }) => {
+    if (!zipCode) return { agents: [], reason: 'lead has no ZIP code' };
+
+    let bestLength = 0;
+    let agents = [];
+    for (const agent of candidates) {
+      const length = Math.max(0, ...(agent.territories || [])
+        .filter(territory => zipCode.startsWith(territory))
+        .map(territory => territory.length));
+
+      if (length > bestLength) {
+        bestLength = length;
+        agents = [agent];
+      } else if (length > 0 && length === bestLength) {
+        agents.push(agent);
+      }
+    }
+
+    return { agents, reason: agents.length > 0 ? `territory covers ${zipCode}` : `no territory covers ${zipCode}` };
+  },
+
+  specialty: (candidates, { lead }) => {
+    if (!lead.preferredPropertyType) return { agents: [], reason: 'lead has no property type' };
+
+    const wanted = lead.preferredPropertyType.toLowerCase();
+    const agents = candidates.filter(agent =>
+      (agent.specialties || []).some(specialty => specialty.toLowerCase() === wanted)
+    );
+    return {
+      agents,
+      reason: agents.length > 0
+        ? `specialises in ${lead.preferredPropertyType}`
+        : `no ${lead.preferredPropertyType} specialist`
+    };
+  }
+};
+
+// Pickers choose one agent. Ties fall back to agent id so results are repeatable
+const pickers = {
+  roundRobin: (candidates) => [...candidates].sort((a, b) => {
+    const aTime = a.lastAssignedAt ? new Date(a.lastAssignedAt).getTime() : 0;
+    const bTime = b.lastAssignedAt ? new Date(b.lastAssignedAt).getTime() : 0;
+    return aTime - bTime || a._id.toString().localeCompare(b._id.toString());
+  })[0],
+
+  leastLoaded: (candidates, { openLeads }) => [...candidates].sort((a, b) =>
+    (openLeads.get(a._id.toString()) || 0) - (openLeads.get(b._id.toString()) || 0) ||
+    a._id.toString().localeCompare(b._id.toString())
+  )[0]
+};
+
+// Chooses the agent for a new lead: configured filters narrow the pool, then a picker
+// (round-robin or least-loaded) selects one.
+class AssignmentService {
+  constructor() {
+    this.config = toConfig();
+  }
+
+  async load() {
+    const stored = await loadDefaultSettings(AssignmentConfig, 'assignment config');
+    if (stored) this.config = toConfig(stored);
+    return this.config;
+  }
+
+  setConfig(stored) {
+    this.config = toConfig(stored);
+  }
+
+  zipCodeFor(lead, property) {
+    if (lead.zipCode) return String(lead.zipCode).trim();
+    if (property && property.addressDetails && property.addressDetails.postalCode) {
+      return property.addressDetails.postalCode;
+    }
+    const match = property && property.address ? property.address.match(ZIP_PATTERN) : null;
+    return match ? match[1] : null;
+  }
+
+  // Open (not won/lost) leads per agent id
+  async countOpenLeads(agentIds) {
+    const openStages = pipelineService.getStages()
+      .filter(stage => stage.outcome === 'open')
+      .map(stage => stage.name);
+
+    const counts = await Lead.aggregate([
+      { $match: { agent: { $in: agentIds }, status: { $in: openStages } } },
+      { $group: { _id: '$agent', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+  }
+
+  // Work out which agent would get a lead without changing anything; agents listed in
+  // exclude are never chosen. Returns { agent, trace } where trace lists each step taken
+  async selectAgent(lead, { property, config = this.config, exclude = [] } = {}) {
+    const trace = [];
+
+    let candidates = await Agent.find({ isActive: true, _id: { $nin: exclude.filter(Boolean) } })
+      .select('name email territories specialties maxOpenLeads lastAssignedAt');
+
+    if (candidates.length === 0) {
+      trace.push({ step: 'candidates', result: 'No active agents' });
+      return { agent: null, trace };
+    }
+
+    const openLeads = await this.countOpenLeads(candidates.map(agent => agent._id));
+
+    // Agents at capacity only take leads when everyone is
+    const withCapacity = candidates.filter(agent =>
+      agent.maxOpenLeads === undefined || agent.maxOpenLeads === null ||
+      (openLeads.get(agent._id.toString()) || 0) < agent.maxOpenLeads
+    );
+    if (withCapacity.length > 0 && withCapacity.length < candidates.length) {
+      trace.push({ step: 'capacity', result: `${candidates.length - withCapacity.length} agent(s) at capacity skipped` });
+      candidates = withCapacity;
+    }
+
+    const context = { lead, zipCode: this.zipCodeFor(lead, property), openLeads };
+
+    for (const name of config.filters) {
+      const { agents, reason } = filters[name](candidates, context, config);
+      if (agents.length === 0) {
+        trace.push({ step: name, result: `Skipped: ${reason}` });
+        continue;
+      }
+      trace.push({ step: name, result: `${agents.map(agent => agent.name).join(', ')} (${reason})` });
+      candidates = agents;
+    }
+
+    const agent = pickers[config.picker](candidates, context);
+    trace.push({
+      step: config.picker,
+      result: config.picker === 'leastLoaded'
+        ? `${agent.name} has ${openLeads.get(agent._id.toString()) || 0} open lead(s)`
+        : `${agent.name} was assigned least recently`
+    });
+
+    return { agent, trace };
+  }
+
+  // Assign an agent to a lead document that has none. Saves the lead unless save is false.
+  // Never throws; returns the chosen agent or null
+  async assignLead(lead, { property, save = true, session } = {}) {
+    if (lead.agent || !this.config.enabled) return null;
+
+    try {
+      const { agent } = await this.selectAgent(lead, { property });
+      if (!agent) return null;
+
+      lead.agent = agent._id;
+      if (save) await lead.save({ session });
+      await Agent.updateOne({ _id: agent._id }, { lastAssignedAt: new Date() }, { session });
+
+      return agent;
+    } catch (error) {
+      console.error(`Failed to assign lead ${lead._id}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new AssignmentService();
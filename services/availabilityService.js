@@ -0,0 +1,41 @@
+const Agent = require('../models/Agent');
+const googleCalendar = require('./googleCalendar');
+
+// Open viewing slots across agents' Google Calendars, shared by the public slot picker and
+// lead self-service rescheduling
+class AvailabilityService {
+  // Active agents with Google Calendar connected
+  bookableAgents(filter = {}) {
+    return Agent.find({
+      ...filter,
+      isActive: true,
+      googleCalendarId: { $exists: true }
+    });
+  }
+
+  // Free slots on a date for each agent, earliest first, each with the agent it belongs to
+  async getSlots(agents, date) {
+    const allSlots = [];
+
+    for (const agent of agents) {
+      const agentSlots = await googleCalendar.getAvailableSlots(
+        agent._id,
+        date,
+        agent.meetingDuration
+      );
+
+      allSlots.push(...agentSlots.map(slot => ({
+        ...slot,
+        agent: {
+          id: agent._id,
+          name: agent.name,
+          email: agent.email
+        }
+      })));
+    }
+
+    return allSlots.sort((a, b) => a.start.getTime() - b.start.getTime());
+  }
+}
+
+module.exports = new AvailabilityService();
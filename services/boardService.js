@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const pipelineService = require('./pipelineService');
+
+// Gap left between cards when a column is renumbered
+const POSITION_STEP = 1024;
+
+// Renumber a column once neighbouring positions get closer than this
+const MIN_GAP = 1e-6;
+
+// Card fields returned on the board
+const CARD_FIELDS = 'name email phone status position source budget priority score lastContacted agent createdAt';
+
+// Builds Kanban columns from pipeline stages with cursor-paginated cards
+class BoardService {
+  // Opaque cursor pointing just after the given card
+  encodeCursor(lead) {
+    return Buffer.from(JSON.stringify({ p: lead.position, id: lead._id.toString() })).toString('base64url');
+  }
+
+  // Returns { p, id } or null when the cursor is malformed
+  decodeCursor(cursor) {
+    try {
+      const { p, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof p !== 'number' || !mongoose.Types.ObjectId.isValid(id)) return null;
+      return { p, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+      return null;
+    }
+  }
+
+  // One page of cards for a stage, in board order
+  async getColumn(stage, { filter = {}, limit = 20, cursor = null } = {}) {
+    const query = { ...filter, status: stage };
+    if (cursor) {
+      query.$or = [
+        { position: { $gt: cursor.p } },
+        { position: cursor.p, _id: { $gt: cursor.id } }
+      ];
+    }
+
+    // Fetch one extra card to know whether another page exists
+    const leads = await Lead.find(query)
+      .sort({ position: 1, _id: 1 })
+      .limit(limit + 1)
+      .populate('agent', 'name email')
+      .select(CARD_FIELDS);
+
+    const hasMore = leads.length > limit;
+    const cards = hasMore ? leads.slice(0, limit) : leads;
+
+    return {
+      leads: cards,
+      nextCursor: hasMore ? this.encodeCursor(cards[cards.length - 1]) : null
+    };
+  }
+
+  // Every pipeline stage with its total count and first page of cards
+  async getBoard({ filter = {}, limit = 20 } = {}) {
+    const stages = pipelineService.getStages();
+
+    return Promise.all(stages.map(async (stage) => ({
+      name: stage.name,
+      order: stage.order,
+      color: stage.color,
+      outcome: stage.outcome,
+      count: await Lead.countDocuments({ ...filter, status: stage.name }),
+      ...(await this.getColumn(stage.name, { filter, limit }))
+    })));
+  }
+
+  // Work out a card's position from the cards that should sit directly above (afterId)
+  // and below (beforeId) it. With neither, the card goes to the top of the column.
+  // Returns { position } or { statusCode, message }
+  async resolvePosition(leadId, status, { afterId, beforeId } = {}) {
+    const neighbourIds = [afterId, beforeId].filter(Boolean);
+    if (neighbourIds.some(id => id.toString() === leadId.toString())) {
+      return { statusCode: 400, message: 'A lead cannot be placed next to itself' };
+    }
+
+    const neighbours = neighbourIds.length > 0
+      ? await Lead.find({ _id: { $in: neighbourIds } }).select('status position')
+      : [];
+
+    const find = (id) => neighbours.find(lead => lead._id.toString() === id.toString());
+    let above = afterId ? find(afterId) : null;
+    let below = beforeId ? find(beforeId) : null;
+
+    if ((afterId && !above) || (beforeId && !below)) {
+      return { statusCode: 404, message: 'Neighbouring lead not found' };
+    }
+    if ([above, below].some(lead => lead && lead.status !== status)) {
+      return { statusCode: 400, message: 'Neighbouring leads must be in the target stage' };
+    }
+
+    if (above && below && above.position > below.position) {
+      return { statusCode: 400, message: 'afterId must be above beforeId in the column' };
+    }
+
+    const others = { status, _id: { $ne: leadId } };
+
+    // Fill in whichever neighbour the client left out
+    if (above && !below) {
+      below = await Lead.findOne({ ...others, position: { $gt: above.position } })
+        .sort({ position: 1 })
+        .select('position');
+    } else if (below && !above) {
+      above = await Lead.findOne({ ...others, position: { $lt: below.position } })
+        .sort({ position: -1 })
+        .select('position');
+    } else if (!above && !below) {
+      below = await Lead.findOne(others).sort({ position: 1 }).select('position');
+    }
+
+    if (above && below) {
+      if (below.position - above.position < MIN_GAP) {
+        // Out of room between the two cards: spread the column out and try again
+        await this.rebalance(status);
+        return this.resolvePosition(leadId, status, { afterId: above._id, beforeId: below._id });
+      }
+      return { position: (above.position + below.position) / 2 };
+    }
+
+    if (above) return { position: above.position + POSITION_STEP };
+    if (below) return { position: below.position - POSITION_STEP };
+    return { position: 0 };
+  }
+
+  // Renumber a column with even gaps, keeping the current order
+  async rebalance(status) {
+    const leads = await Lead.find({ status }).sort({ position: 1, _id: 1 }).select('_id');
+
+    if (leads.length === 0) return;
+
+    await Lead.bulkWrite(leads.map((lead, index) => ({
+      updateOne: {
+        filter: { _id: lead._id },
+        update: { $set: { position: (index + 1) * POSITION_STEP } }
+      }
+    })));
+  }
+}
+
+module.exports = new BoardService();
@@ -0,0 +1,209 @@
+const Meeting = require('../models/Meeting');
+const CalendarSyncJob = require('../models/CalendarSyncJob');
+const googleCalendar = require('./googleCalendar');
+const { runEvery } = require('../utils/scheduler');
+
+const MINUTE_MS = 60 * 1000;
+
+// Attempts before a change is given up on; the wait doubles each time (5, 10, 20, 40, 80 minutes)
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MINUTES = 5;
+
+// Most jobs retried per scheduler run
+const BATCH_SIZE = 50;
+
+const MEETING_POPULATE = [
+  { path: 'lead', select: 'name email' },
+  { path: 'agent', select: 'name email timezone meetingDuration googleCalendarId' },
+  { path: 'property', select: 'address' }
+];
+
+// Keeps each meeting's event on its agent's Google Calendar in step with the meeting.
+// Calendar errors never fail the change that caused them; they are recorded as a
+// CalendarSyncJob and retried by the scheduler.
+class CalendarSyncService {
+  constructor() {
+    this.scheduler = null;
+  }
+
+  get retryIntervalMinutes() {
+    return parseInt(process.env.CALENDAR_SYNC_INTERVAL_MINUTES) || 5;
+  }
+
+  // Event fields for a meeting. Staff notes stay out, since the lead is an attendee;
+  // finished meetings keep their event, labelled with the outcome
+  eventDetails(meeting) {
+    const { lead, agent, property } = meeting;
+    const label = meeting.status === 'Scheduled' ? '' : ` (${meeting.status})`;
+
+    return {
+      title: `Property Viewing - ${property.address}${label}`,
+      description: `Meeting with ${lead.name} (${lead.email}) to view property at ${property.address}.`,
+      start: meeting.dateTime,
+      end: new Date(meeting.dateTime.getTime() + (agent.meetingDuration || 60) * MINUTE_MS),
+      timezone: agent.timezone,
+      attendees: [
+        { email: lead.email, displayName: lead.name },
+        { email: agent.email, displayName: agent.name }
+      ]
+    };
+  }
+
+  // Bring a meeting's calendar event in line with the meeting: created while it is scheduled,
+  // updated on any change, removed when it is cancelled or moves to another agent.
+  // Never throws; returns true when the calendar is in step and false when the change was
+  // recorded for retry
+  async syncMeeting(meetingId, { retryOf = null, now = new Date() } = {}) {
+    try {
+      const meeting = await Meeting.findById(meetingId).populate(MEETING_POPULATE);
+      if (meeting) {
+        await this.applyToCalendar(meeting);
+      }
+      await CalendarSyncJob.deleteOne({ meeting: meetingId });
+      return true;
+    } catch (error) {
+      await this.recordFailure(meetingId, { action: 'sync' }, error, { retryOf, now });
+      return false;
+    }
+  }
+
+  // Remove the event of a meeting that has been deleted. Never throws; returns as syncMeeting
+  async removeEvent(meeting, { retryOf = null, now = new Date() } = {}) {
+    const agentId = meeting.calendarAgent || (meeting.agent && meeting.agent._id) || meeting.agent;
+    const eventId = meeting.calendarEventId;
+
+    try {
+      if (eventId) {
+        await googleCalendar.deleteEvent(agentId, eventId);
+      }
+      await CalendarSyncJob.deleteOne({ meeting: meeting._id });
+      return true;
+    } catch (error) {
+      await this.recordFailure(meeting._id, { action: 'delete', agent: agentId, eventId }, error, { retryOf, now });
+      return false;
+    }
+  }
+
+  async applyToCalendar(meeting) {
+    const agent = meeting.agent;
+    const wanted = meeting.status !== 'Cancelled' &&
+      Boolean(meeting.lead && meeting.property && agent && agent.googleCalendarId);
+
+    let eventId = meeting.calendarEventId;
+    const holder = meeting.calendarAgent || (agent && agent._id);
+
+    // Cancelled, or the event is on a previous agent's calendar
+    if (eventId && (!wanted || !holder.equals(agent._id))) {
+      await googleCalendar.deleteEvent(holder, eventId);
+      await this.saveEvent(meeting, null);
+      eventId = null;
+    }
+    if (!wanted) return;
+
+    const details = this.eventDetails(meeting);
+
+    if (eventId) {
+      try {
+        const event = await googleCalendar.updateEvent(agent._id, eventId, details);
+        await this.saveEvent(meeting, { eventId, htmlLink: event.htmlLink, agent: agent._id });
+        return;
+      } catch (error) {
+        // Deleted from the calendar by hand; a scheduled meeting gets a new one below
+        if (error.code !== 404 && error.code !== 410) throw error;
+        await this.saveEvent(meeting, null);
+      }
+    }
+
+    // Meetings already over don't get a new event
+    if (meeting.status !== 'Scheduled') return;
+
+    const event = await googleCalendar.createEvent(agent._id, details);
+    await this.saveEvent(meeting, { eventId: event.eventId, htmlLink: event.htmlLink, agent: agent._id });
+  }
+
+  // Written directly, since saving the document would re-check that its date is in the future
+  async saveEvent(meeting, event) {
+    const fields = event
+      ? { calendarEventId: event.eventId, calendarHtmlLink: event.htmlLink, calendarAgent: event.agent }
+      : { calendarEventId: undefined, calendarHtmlLink: undefined, calendarAgent: undefined };
+
+    // Syncing out settles any change flagged from Google Calendar
+    await Meeting.updateOne(
+      { _id: meeting._id },
+      event
+        ? { $set: fields, $unset: { calendarFlag: '' } }
+        : { $unset: { calendarEventId: '', calendarHtmlLink: '', calendarAgent: '', calendarFlag: '' } }
+    );
+    Object.assign(meeting, fields);
+  }
+
+  // Record a failed change so the scheduler retries it; a newer change to the same meeting
+  // replaces the older one and starts its attempts over
+  async recordFailure(meetingId, { action, agent, eventId }, error, { retryOf = null, now = new Date() } = {}) {
+    const attempts = retryOf ? retryOf.attempts + 1 : 1;
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    const reason = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+
+    console.error(`Calendar ${action} failed for meeting ${meetingId} (attempt ${attempts}):`, reason);
+
+    const set = { action, attempts, lastError: reason, status: exhausted ? 'failed' : 'pending' };
+    const unset = {};
+    if (exhausted) {
+      unset.nextAttemptAt = '';
+    } else {
+      set.nextAttemptAt = new Date(now.getTime() + RETRY_BASE_MINUTES * 2 ** (attempts - 1) * MINUTE_MS);
+    }
+    if (action === 'delete') {
+      set.agent = agent;
+      set.eventId = eventId;
+    } else {
+      unset.agent = '';
+      unset.eventId = '';
+    }
+
+    try {
+      await CalendarSyncJob.updateOne({ meeting: meetingId }, { $set: set, $unset: unset }, { upsert: true });
+    } catch (recordError) {
+      console.error(`Could not record calendar ${action} failure for meeting ${meetingId}:`, recordError.message);
+    }
+  }
+
+  // Retry the changes that have come due. Returns { synced, failed }
+  async retryDue(now = new Date()) {
+    const jobs = await CalendarSyncJob.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE);
+
+    const summary = { synced: 0, failed: 0 };
+    for (const job of jobs) {
+      const synced = job.action === 'delete'
+        ? await this.removeEvent(
+          { _id: job.meeting, calendarAgent: job.agent, calendarEventId: job.eventId },
+          { retryOf: job, now }
+        )
+        : await this.syncMeeting(job.meeting, { retryOf: job, now });
+      summary[synced ? 'synced' : 'failed'] += 1;
+    }
+    return summary;
+  }
+
+  startScheduler() {
+    if (this.scheduler) return;
+
+    this.scheduler = runEvery('Calendar sync retry run', this.retryIntervalMinutes * 60 * 1000, async () => {
+      const summary = await this.retryDue();
+      if (summary.synced || summary.failed) {
+        console.log(`Calendar sync retries: ${summary.synced} synced, ${summary.failed} still failing`);
+      }
+    });
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      this.scheduler.stop();
+      this.scheduler = null;
+    }
+  }
+}
+
+module.exports = new CalendarSyncService();
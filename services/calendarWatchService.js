@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const Agent = require('../models/Agent');
+const Lead = require('../models/Lead');
+const Meeting = require('../models/Meeting');
+const CalendarSyncJob = require('../models/CalendarSyncJob');
+const googleCalendar = require('./googleCalendar');
+const reminderService = require('./reminderService');
+const activityService = require('./activityService');
+const socketService = require('./socketService');
+const insightService = require('./insightService');
+const notificationService = require('./notificationService');
+const { runEvery } = require('../utils/scheduler');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Lifetime asked for on new watch channels (Google caps it, at a week for events)
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Channels are replaced once they are this close to expiring
+const CHANNEL_RENEW_BEFORE_MS = DAY_MS;
+
+const timingSafeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Pulls changes made in agents' Google Calendars back into meetings. Google posts to the
+// watch channel webhook (POST /api/auth/google/notifications) when a calendar changes, and
+// each agent is then synced incrementally with Calendar sync tokens. The scheduler renews
+// channels and syncs every agent periodically, which also covers missed notifications.
+// Events moved in Google move their meeting and re-send the lead's confirmation; events
+// deleted, or moves that can't be applied, flag the meeting for the agent to look at.
+class CalendarWatchService {
+  constructor() {
+    this.scheduler = null;
+    this.inFlight = new Map(); // agentId -> running sync
+    this.rerun = new Set(); // agents notified again while syncing
+  }
+
+  get checkIntervalMinutes() {
+    return parseInt(process.env.CALENDAR_WATCH_INTERVAL_MINUTES) || 15;
+  }
+
+  // Public HTTPS address for notifications (GOOGLE_WEBHOOK_URL, or derived from BASE_URL).
+  // Google only posts to HTTPS, so without one agents are only synced on the schedule
+  get webhookUrl() {
+    const url = process.env.GOOGLE_WEBHOOK_URL ||
+      (process.env.BASE_URL ? `${process.env.BASE_URL.replace(/\/$/, '')}/api/auth/google/notifications` : null);
+    return url && url.startsWith('https://') ? url : null;
+  }
+
+  // Sync one agent, one run at a time per agent; a request during a run queues one more
+  // run afterwards. Never throws; returns the summary of the last run, or null on failure
+  syncAgent(agentId, now) {
+    const key = String(agentId);
+
+    if (this.inFlight.has(key)) {
+      this.rerun.add(key);
+      return this.inFlight.get(key);
+    }
+
+    const run = (async () => {
+      let summary;
+      try {
+        do {
+          this.rerun.delete(key);
+          summary = await this.runSync(agentId, now || new Date());
+        } while (this.rerun.has(key));
+        return summary;
+      } catch (error) {
+        console.error(`Calendar sync failed for agent ${key}:`, error.message);
+        return null;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, run);
+    return run;
+  }
+
+  // Apply every change since the agent's sync token, starting over with a full sync when
+  // there is no token or Google has expired it.
+  // Returns { full, events, moved, flagged } or null on failure
+  async runSync(agentId, now = new Date()) {
+    const agent = await Agent.findById(agentId).select('googleCalendarId +calendarSync.syncToken');
+    if (!agent || !agent.googleCalendarId) return null;
+
+    let syncToken = agent.calendarSync ? agent.calendarSync.syncToken : undefined;
+    const summary = { full: !syncToken, events: 0, moved: 0, flagged: 0 };
+
+    try {
+      let pageToken;
+      let nextSyncToken;
+
+      while (true) {
+        let page;
+        try {
+          page = await googleCalendar.listEventChanges(agent._id, { syncToken, pageToken });
+        } catch (error) {
+          if (error.code !== 410 || !syncToken) throw error;
+          syncToken = undefined;
+          pageToken = undefined;
+          summary.full = true;
+          continue;
+        }
+
+        for (const event of page.items) {
+          const outcome = await this.applyEvent(agent, event, now);
+          summary.events += 1;
+          if (outcome) summary[outcome] += 1;
+        }
+
+        if (!page.nextPageToken) {
+          nextSyncToken = page.nextSyncToken;
+          break;
+        }
+        pageToken = page.nextPageToken;
+      }
+
+      const set = {
+        'calendarSync.lastSyncedAt': now,
+        'calendarSync.lastSyncStatus': 'ok'
+      };
+      if (nextSyncToken) set['calendarSync.syncToken'] = nextSyncToken;
+      if (summary.full) set['calendarSync.lastFullSyncAt'] = now;
+
+      await Agent.updateOne({ _id: agent._id }, { $set: set, $unset: { 'calendarSync.lastError': '' } });
+      return summary;
+    } catch (error) {
+      const reason = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+      console.error(`Calendar sync failed for agent ${agent._id}:`, reason);
+      await Agent.updateOne({ _id: agent._id }, {
+        $set: { 'calendarSync.lastSyncStatus': 'failed', 'calendarSync.lastError': reason }
+      }).catch(() => {});
+      return null;
+    }
+  }
+
+  // Bring one changed event into its meeting, if it belongs to one.
+  // Returns 'moved', 'flagged' or null when nothing changed
+  async applyEvent(agent, event, now = new Date()) {
+    const meeting = await Meeting.findOne({ calendarEventId: event.id })
+      .populate('property', 'address');
+    if (!meeting) return null;
+
+    // Only the calendar holding the event speaks for it
+    const holder = meeting.calendarAgent || meeting.agent;
+    if (!holder || !holder.equals(agent._id)) return null;
+
+    // Our own change hasn't reached Google yet, so the event is behind the meeting
+    if (await CalendarSyncJob.exists({ meeting: meeting._id, status: 'pending' })) return null;
+
+    if (event.status === 'cancelled') {
+      if (meeting.status !== 'Scheduled') {
+        await Meeting.updateOne({ _id: meeting._id }, { $unset: { calendarEventId: '', calendarHtmlLink: '', calendarAgent: '' } });
+        return null;
+      }
+      const flagged = await this.flag(meeting, 'event_deleted', 'The calendar event was deleted in Google Calendar. Cancel or reschedule the meeting.', now, {
+        $unset: { calendarEventId: '', calendarHtmlLink: '', calendarAgent: '' }
+      });
+      return flagged ? 'flagged' : null;
+    }
+
+    const start = event.start && event.start.dateTime ? new Date(event.start.dateTime) : null;
+    if (start && start.getTime() === meeting.dateTime.getTime()) return null;
+
+    if (!start || meeting.status !== 'Scheduled' || start <= now) {
+      const message = start
+        ? `The calendar event was moved to ${start.toLocaleString()} in Google Calendar; the meeting was left unchanged.`
+        : 'The calendar event was changed to an all-day event in Google Calendar; the meeting time was left unchanged.';
+      const flagged = await this.flag(meeting, 'event_moved', message, now);
+      return flagged ? 'flagged' : null;
+    }
+
+    const previousDateTime = meeting.dateTime;
+    await Meeting.updateOne({ _id: meeting._id }, { $set: { dateTime: start }, $unset: { calendarFlag: '' } });
+    meeting.dateTime = start;
+
+    await reminderService.scheduleForMeeting(meeting);
+    await activityService.record('meeting_rescheduled', {
+      lead: meeting.lead,
+      agent: meeting.agent,
+      meeting,
+      summary: `Viewing${meeting.property ? ` of ${meeting.property.address}` : ''} moved from ${previousDateTime.toLocaleString()} to ${start.toLocaleString()} in Google Calendar`,
+      details: { from: previousDateTime, to: start, via: 'google_calendar' }
+    });
+    await this.confirmMove(meeting);
+    await insightService.refreshLeadById(meeting.lead);
+
+    return 'moved';
+  }
+
+  // The lead's self-service links are tied to the meeting time, so a move sends a fresh
+  // confirmation with new ones. A failed email doesn't undo the move
+  async confirmMove(meeting) {
+    try {
+      const [lead, agent] = await Promise.all([
+        Lead.findById(meeting.lead).select('name email phone'),
+        Agent.findById(meeting.agent).select('name email phone')
+      ]);
+      if (!lead || !agent || !meeting.property) return;
+
+      await notificationService.sendMeetingConfirmation(lead, agent, meeting, meeting.property, { rescheduled: true });
+    } catch (error) {
+      console.error(`Error sending reschedule confirmation for meeting ${meeting._id}:`, error.message);
+    }
+  }
+
+  // Flag a meeting for the agent, in the database and over the socket. Returns false when it
+  // already carries this flag, e.g. when a full sync sees the same event again
+  async flag(meeting, reason, message, now, update = {}) {
+    if (meeting.calendarFlag && meeting.calendarFlag.message === message) return false;
+
+    await Meeting.updateOne({ _id: meeting._id }, {
+      ...update,
+      $set: { calendarFlag: { reason, message, flaggedAt: now } }
+    });
+
+    socketService.notifyUser(meeting.agent.toString(), 'meetingFlagged', {
+      type: 'meeting_flagged',
+      title: 'Meeting Needs Attention',
+      message: `${meeting.property ? `${meeting.property.address}: ` : ''}${message}`,
+      data: { id: meeting._id, dateTime: meeting.dateTime, reason },
+      timestamp: new Date()
+    });
+    return true;
+  }
+
+  // Open a notification channel for the agent unless a current one has time left, then stop
+  // the one it replaces. Never throws; returns true when a channel is in place
+  async ensureWatch(agentId, now = new Date()) {
+    const address = this.webhookUrl;
+    if (!address) return false;
+
+    const agent = await Agent.findById(agentId).select('googleCalendarId calendarSync');
+    if (!agent || !agent.googleCalendarId) return false;
+
+    const current = agent.calendarSync || {};
+    if (current.channelId && current.channelExpiresAt &&
+        current.channelExpiresAt.getTime() - now.getTime() > CHANNEL_RENEW_BEFORE_MS) {
+      return true;
+    }
+
+    try {
+      const id = crypto.randomUUID();
+      const token = crypto.randomBytes(24).toString('hex');
+      const channel = await googleCalendar.watchEvents(agent._id, { id, token, address, ttlSeconds: CHANNEL_TTL_SECONDS });
+
+      await Agent.updateOne({ _id: agent._id }, {
+        $set: {
+          'calendarSync.channelId': id,
+          'calendarSync.channelToken': token,
+          'calendarSync.resourceId': channel.resourceId,
+          'calendarSync.channelExpiresAt': channel.expiresAt
+        }
+      });
+    } catch (error) {
+      console.error(`Could not watch calendar for agent ${agent._id}:`, error.message);
+      return false;
+    }
+
+    if (current.channelId) {
+      await googleCalendar.stopChannel(agent._id, current.channelId, current.resourceId)
+        .catch(error => console.error(`Could not stop old calendar channel for agent ${agent._id}:`, error.message));
+    }
+    return true;
+  }
+
+  // Stop the agent's channel and forget its sync state, e.g. before disconnecting.
+  // Never throws
+  async stopWatch(agentId) {
+    try {
+      const agent = await Agent.findById(agentId).select('calendarSync');
+      const current = (agent && agent.calendarSync) || {};
+      if (current.channelId) {
+        await googleCalendar.stopChannel(agent._id, current.channelId, current.resourceId);
+      }
+    } catch (error) {
+      console.error(`Could not stop calendar channel for agent ${agentId}:`, error.message);
+    }
+    await Agent.updateOne({ _id: agentId }, { $unset: { calendarSync: '' } }).catch(() => {});
+  }
+
+  // Called once an agent connects their calendar. Never throws
+  async connect(agentId) {
+    await this.ensureWatch(agentId);
+    await this.syncAgent(agentId);
+  }
+
+  // Check a push notification and sync the agent it is for. The sync runs after the
+  // response, since Google expects a quick reply. Returns { statusCode, message }
+  async handleNotification({ channelId, token, resourceId, state }, now = new Date()) {
+    if (!channelId) {
+      return { statusCode: 400, message: 'Missing channel ID' };
+    }
+
+    const agent = await Agent.findOne({ 'calendarSync.channelId': channelId })
+      .select('+calendarSync.channelToken');
+    if (!agent) {
+      return { statusCode: 404, message: 'Unknown channel' };
+    }
+
+    const channel = agent.calendarSync;
+    // The first ('sync') message can arrive before the resource ID is stored
+    if (!timingSafeEqual(token, channel.channelToken) ||
+        (channel.resourceId && resourceId !== channel.resourceId)) {
+      return { statusCode: 401, message: 'Invalid channel token' };
+    }
+
+    await Agent.updateOne({ _id: agent._id }, { $set: { 'calendarSync.lastNotificationAt': now } });
+
+    // 'sync' only confirms a new channel
+    if (state !== 'sync') {
+      this.syncAgent(agent._id);
+    }
+    return { statusCode: 200, message: 'OK' };
+  }
+
+  // Sync state shown on GET /api/agents/:id/calendar-status
+  describe(agent, { flaggedMeetings = 0 } = {}, now = new Date()) {
+    const sync = agent.calendarSync || {};
+    return {
+      status: sync.lastSyncStatus || 'never_synced',
+      lastSyncedAt: sync.lastSyncedAt || null,
+      lastFullSyncAt: sync.lastFullSyncAt || null,
+      lastError: sync.lastError || null,
+      lastNotificationAt: sync.lastNotificationAt || null,
+      watch: {
+        active: Boolean(sync.channelId && sync.channelExpiresAt && sync.channelExpiresAt > now),
+        expiresAt: sync.channelExpiresAt || null
+      },
+      flaggedMeetings
+    };
+  }
+
+  startScheduler() {
+    if (this.scheduler) return;
+
+    if (!this.webhookUrl) {
+      console.log('Google Calendar push notifications disabled (no HTTPS GOOGLE_WEBHOOK_URL or BASE_URL) - syncing on schedule only');
+    }
+
+    this.scheduler = runEvery('Calendar sync run', this.checkIntervalMinutes * 60 * 1000, async () => {
+      const agents = await Agent.find({ isActive: true, googleCalendarId: { $exists: true } }).select('_id');
+      let moved = 0;
+      let flagged = 0;
+      for (const agent of agents) {
+        await this.ensureWatch(agent._id);
+        const summary = await this.syncAgent(agent._id);
+        if (summary) {
+          moved += summary.moved;
+          flagged += summary.flagged;
+        }
+      }
+      if (moved || flagged) {
+        console.log(`Calendar sync: ${moved} meeting(s) moved, ${flagged} flagged`);
+      }
+    });
+    this.scheduler.tick();
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      this.scheduler.stop();
+      this.scheduler = null;
+    }
+  }
+}
+
+module.exports = new CalendarWatchService();
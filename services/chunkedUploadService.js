@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const mediaService = require('./mediaService');
+const { uploadsDir, MAX_FILE_SIZE } = require('../middleware/upload');
+const { removeFile, removeOlderThan } = require('../utils/tempFiles');
+const { runEvery } = require('../utils/scheduler');
+
+const MB = 1024 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Chunk sizes a client may pick; only the last chunk may be smaller
+const DEFAULT_CHUNK_SIZE = 5 * MB;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 10 * MB;
+
+// Temporary files older than this belong to requests that died mid-upload
+const TEMP_FILE_MAX_AGE_MS = HOUR_MS;
+
+// A completion still running after this is taken to have died, and may be claimed again
+const COMPLETION_CLAIM_MS = HOUR_MS / 2;
+
+// Large files uploaded a chunk at a time, so a dropped connection only costs the chunk in
+// flight. Chunks are kept under uploads/chunks/<session id>/ until the file is complete,
+// then go to the media store like any other upload.
+class ChunkedUploadService {
+  constructor() {
+    this.scheduler = null;
+  }
+
+  get chunksDir() {
+    return path.join(uploadsDir, 'chunks');
+  }
+
+  // How long an upload may sit idle before it is abandoned
+  get sessionHours() {
+    return parseInt(process.env.UPLOAD_SESSION_HOURS) || 24;
+  }
+
+  // Body size limit for chunk requests
+  get maxChunkSize() {
+    return MAX_CHUNK_SIZE;
+  }
+
+  get sweepIntervalMinutes() {
+    return parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES) || 60;
+  }
+
+  expiresAt(now = new Date()) {
+    return new Date(now.getTime() + this.sessionHours * HOUR_MS);
+  }
+
+  // Validate a new upload. Returns { fields } or { errors }
+  parseSession({ filename, mimetype, size, chunkSize } = {}) {
+    const errors = [];
+    const fields = {
+      filename: filename ? path.basename(String(filename)) : '',
+      mimetype: String(mimetype || ''),
+      size: Number(size),
+      chunkSize: chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(chunkSize)
+    };
+
+    if (!fields.filename) errors.push('filename is required');
+    if (!/^(image|video)\//.test(fields.mimetype)) errors.push('Only image and video files are allowed');
+    if (!Number.isInteger(fields.size) || fields.size < 1) {
+      errors.push('size must be a positive whole number of bytes');
+    } else if (fields.size > MAX_FILE_SIZE) {
+      errors.push(`size cannot be more than ${MAX_FILE_SIZE / MB}MB`);
+    }
+    if (!Number.isInteger(fields.chunkSize) || fields.chunkSize < MIN_CHUNK_SIZE || fields.chunkSize > MAX_CHUNK_SIZE) {
+      errors.push(`chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+    }
+
+    return errors.length > 0 ? { errors } : { fields };
+  }
+
+  // Returns { session } or { errors }
+  async createSession(property, body, { user } = {}) {
+    const { fields, errors } = this.parseSession(body);
+    if (errors) return { errors };
+
+    const session = await UploadSession.create({
+      ...fields,
+      property: property._id,
+      totalChunks: Math.ceil(fields.size / fields.chunkSize),
+      createdBy: user ? user._id : undefined,
+      expiresAt: this.expiresAt()
+    });
+    return { session };
+  }
+
+  sessionDir(session) {
+    return path.join(this.chunksDir, session._id.toString());
+  }
+
+  // Bytes chunk index must hold
+  expectedChunkSize(session, index) {
+    return index === session.totalChunks - 1
+      ? session.size - session.chunkSize * (session.totalChunks - 1)
+      : session.chunkSize;
+  }
+
+  missingChunks(session) {
+    const received = new Set(session.receivedChunks);
+    const missing = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (!received.has(index)) missing.push(index);
+    }
+    return missing;
+  }
+
+  // Progress report for clients resuming an upload
+  describe(session) {
+    return {
+      uploadId: session._id,
+      filename: session.filename,
+      mimetype: session.mimetype,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+      missingChunks: this.missingChunks(session),
+      expiresAt: session.expiresAt
+    };
+  }
+
+  // Store one chunk; sending a chunk again replaces it. Returns { session } or { error }
+  async writeChunk(session, index, data) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      return { error: `Chunk index must be between 0 and ${session.totalChunks - 1}` };
+    }
+    const expected = this.expectedChunkSize(session, index);
+    if (!Buffer.isBuffer(data) || data.length !== expected) {
+      return { error: `Chunk ${index} must be ${expected} bytes` };
+    }
+
+    const dir = this.sessionDir(session);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, String(index)), data);
+
+    // $addToSet keeps parallel chunk requests from overwriting each other
+    const updated = await UploadSession.findByIdAndUpdate(
+      session._id,
+      { $addToSet: { receivedChunks: index }, expiresAt: this.expiresAt() },
+      { new: true }
+    );
+    if (!updated) return { error: 'Upload has expired' };
+    return { session: updated };
+  }
+
+  // Join the chunks into one temporary file. Returns its path
+  async assemble(session) {
+    const dir = this.sessionDir(session);
+    const target = path.join(uploadsDir, `chunked-${session._id}${path.extname(session.filename)}`);
+
+    // One chunk in memory at a time
+    await fs.promises.writeFile(target, Buffer.alloc(0));
+    try {
+      for (let index = 0; index < session.totalChunks; index++) {
+        await fs.promises.appendFile(target, await fs.promises.readFile(path.join(dir, String(index))));
+      }
+    } catch (error) {
+      await removeFile(target);
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(target);
+    if (size !== session.size) {
+      await removeFile(target);
+      throw new Error(`Assembled file is ${size} bytes, expected ${session.size}`);
+    }
+    return target;
+  }
+
+  // Send the finished file to the media store and add it to the property.
+  // Returns { item, result }, or { result } alone when the store rejected the file; the
+  // chunks are kept then, so completing can be retried. Returns { busy: true } when another
+  // request is already completing the upload (or has finished it)
+  async complete(session, property, now = new Date()) {
+    // Claimed atomically, so concurrent requests can't assemble and add the file twice
+    const claimed = await UploadSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        $or: [
+          { completingAt: null },
+          { completingAt: { $lte: new Date(now.getTime() - COMPLETION_CLAIM_MS) } }
+        ]
+      },
+      { $set: { completingAt: now } },
+      { new: true }
+    );
+    if (!claimed) return { busy: true };
+
+    try {
+      const filePath = await this.assemble(session);
+
+      const { uploaded, results } = await mediaService.uploadFiles([{
+        path: filePath,
+        filename: path.basename(filePath),
+        originalname: session.filename,
+        mimetype: session.mimetype,
+        size: session.size
+      }], { prefix: property._id.toString() });
+
+      if (uploaded.length === 0) {
+        await this.release(session);
+        return { result: results[0] };
+      }
+
+      property.images.push(uploaded[0]);
+      await property.save();
+      await this.abort(session);
+
+      return { item: property.images[property.images.length - 1], result: results[0] };
+    } catch (error) {
+      await this.release(session);
+      throw error;
+    }
+  }
+
+  // Let a failed completion be retried
+  async release(session) {
+    await UploadSession.updateOne({ _id: session._id }, { $unset: { completingAt: '' } });
+  }
+
+  // Drop a session and its chunks
+  async abort(session) {
+    await UploadSession.deleteOne({ _id: session._id });
+    await removeFile(this.sessionDir(session));
+  }
+
+  // Remove expired sessions, chunk directories without a session, and temporary files
+  // left by requests that died mid-upload. Returns { sessions, chunkDirs, tempFiles }
+  async sweep(now = new Date()) {
+    const expired = await UploadSession.find({ expiresAt: { $lte: now } }).select('_id');
+    for (const session of expired) await this.abort(session);
+
+    let chunkDirs = 0;
+    const names = await fs.promises.readdir(this.chunksDir).catch(() => []);
+    const ids = names.filter(name => mongoose.isValidObjectId(name));
+    const live = new Set((await UploadSession.find({ _id: { $in: ids } }).select('_id'))
+      .map(session => session._id.toString()));
+    for (const name of names) {
+      if (live.has(name)) continue;
+      await removeFile(path.join(this.chunksDir, name));
+      chunkDirs += 1;
+    }
+
+    const tempFiles = await removeOlderThan(uploadsDir, new Date(now.getTime() - TEMP_FILE_MAX_AGE_MS), {
+      keep: ['chunks', 'media', 'derivatives']
+    });
+
+    return { sessions: expired.length, chunkDirs, tempFiles };
+  }
+
+  startScheduler() {
+    if (this.scheduler) return;
+
+    this.scheduler = runEvery('Upload sweep', this.sweepIntervalMinutes * 60 * 1000, async () => {
+      const { sessions, chunkDirs, tempFiles } = await this.sweep();
+      if (sessions || chunkDirs || tempFiles) {
+        console.log(`Upload sweep: ${sessions} expired upload(s), ${chunkDirs} chunk folder(s), ${tempFiles} temporary file(s) removed`);
+      }
+    });
+    this.scheduler.tick();
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      this.scheduler.stop();
+      this.scheduler = null;
+    }
+  }
+}
+
+module.exports = new ChunkedUploadService();
@@ -0,0 +1,268 @@
+const Lead = require('../models/Lead');
+const LeadMerge = require('../models/LeadMerge');
+const Meeting = require('../models/Meeting');
+const WebhookLog = require('../models/WebhookLog');
+const Activity = require('../models/Activity');
+const SavedSearch = require('../models/SavedSearch');
+const { normalizeEmail, normalizePhone } = require('../utils/normalize');
+
+// Points contributed by each matching signal (total is capped at 100)
+const WEIGHTS = {
+  externalId: 60,
+  email: 60,
+  phone: 35,
+  nameStrong: 25, // similarity >= 0.9
+  nameWeak: 10 // similarity >= 0.8
+};
+
+// Fields copied onto the survivor when it has no value of its own
+const FILLABLE_FIELDS = ['phone', 'budget', 'preferredPropertyType', 'timeline', 'externalId', 'agent', 'score', 'priority', 'engagementScore'];
+
+const NOTES_MAX_LENGTH = 1000;
+
+// Scores likely duplicate leads and merges them into a surviving record
+class DedupeService {
+  get minScore() {
+    return parseInt(process.env.DEDUPE_MIN_SCORE) || 40;
+  }
+
+  // Score at which an incoming submission is treated as the same person
+  get matchScore() {
+    return parseInt(process.env.DEDUPE_MATCH_SCORE) || 60;
+  }
+
+  // Lowercase, strip punctuation and sort tokens so "Doe, John" matches "john doe"
+  normalizeName(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .sort()
+      .join(' ');
+  }
+
+  // Jaro-Winkler similarity between two strings (0..1)
+  jaroWinkler(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      const start = Math.max(0, i - matchWindow);
+      const end = Math.min(i + matchWindow + 1, b.length);
+      for (let j = start; j < end; j++) {
+        if (bMatches[j] || a[i] !== b[j]) continue;
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (!aMatches[i]) continue;
+      while (!bMatches[k]) k++;
+      if (a[i] !== b[k]) transpositions++;
+      k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+  }
+
+  nameSimilarity(a, b) {
+    return this.jaroWinkler(this.normalizeName(a), this.normalizeName(b));
+  }
+
+  // Score how likely two leads (or lead-shaped objects) are the same person.
+  // Returns { score: 0..100, reasons: [{ field, detail }] }
+  scorePair(a, b) {
+    const reasons = [];
+    let score = 0;
+
+    if (a.externalId && b.externalId && a.externalId === b.externalId &&
+        (a.sourceSystem || 'website') === (b.sourceSystem || 'website')) {
+      score += WEIGHTS.externalId;
+      reasons.push({ field: 'externalId', detail: `Same ${a.sourceSystem || 'website'} ID ${a.externalId}` });
+    }
+
+    const emailA = normalizeEmail(a.email);
+    if (emailA && emailA === normalizeEmail(b.email)) {
+      score += WEIGHTS.email;
+      reasons.push({ field: 'email', detail: `Email matches ${emailA}` });
+    }
+
+    const phoneA = a.phoneE164 || normalizePhone(a.phone);
+    const phoneB = b.phoneE164 || normalizePhone(b.phone);
+    if (phoneA && phoneA === phoneB) {
+      score += WEIGHTS.phone;
+      reasons.push({ field: 'phone', detail: `Phone matches ${phoneA}` });
+    }
+
+    const similarity = this.nameSimilarity(a.name, b.name);
+    if (similarity >= 0.9) {
+      score += WEIGHTS.nameStrong;
+      reasons.push({ field: 'name', detail: `Name similarity ${Math.round(similarity * 100)}%` });
+    } else if (similarity >= 0.8) {
+      score += WEIGHTS.nameWeak;
+      reasons.push({ field: 'name', detail: `Name similarity ${Math.round(similarity * 100)}%` });
+    }
+
+    return { score: Math.min(100, score), reasons };
+  }
+
+  // Query for leads sharing at least one identifying signal
+  async findCandidates(lead, extraFilter = {}, { session } = {}) {
+    const or = [];
+    const email = normalizeEmail(lead.email);
+    const phone = lead.phoneE164 || normalizePhone(lead.phone);
+    const firstNameToken = this.normalizeName(lead.name).split(' ')[0];
+
+    if (email) {
+      or.push({ emailNormalized: email });
+      // Leads saved before emailNormalized existed still match on their exact address
+      // until `npm run migrate:dedupe-keys` has filled it in
+      or.push({ email: String(lead.email).trim().toLowerCase() });
+    }
+    if (phone) or.push({ phoneE164: phone });
+    if (lead.externalId) or.push({ externalId: lead.externalId });
+    if (firstNameToken && firstNameToken.length > 1) {
+      const escaped = firstNameToken.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      or.push({ name: new RegExp(`\\b${escaped}`, 'i') });
+    }
+
+    if (or.length === 0) return [];
+
+    const filter = { $or: or, ...extraFilter };
+    if (lead._id) filter._id = { $ne: lead._id };
+
+    const query = Lead.find(filter).limit(50);
+    return session ? query.session(session) : query;
+  }
+
+  // Likely duplicates of a lead, best match first
+  async findDuplicates(lead, { minScore = this.minScore, filter = {}, session } = {}) {
+    const candidates = await this.findCandidates(lead, filter, { session });
+
+    return candidates
+      .map(candidate => ({ lead: candidate, ...this.scorePair(lead, candidate) }))
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Existing lead that an incoming submission belongs to, if any. Submissions come from
+  // public forms and webhooks, so a phone number and a similar name are not enough: the
+  // email or external ID has to match too, or anyone could book in someone else's name
+  async findMatchForIncoming(fields, { session } = {}) {
+    const matches = await this.findDuplicates(fields, { minScore: this.matchScore, session });
+    const best = matches.find(match =>
+      match.reasons.some(reason => reason.field === 'email' || reason.field === 'externalId')
+    );
+    return best ? best.lead : null;
+  }
+
+  // Append text to notes without repeating it and within the schema limit
+  appendNotes(existing, addition) {
+    if (!addition) return existing;
+    if (!existing) return addition.slice(0, NOTES_MAX_LENGTH);
+    if (existing.includes(addition)) return existing;
+    return `${existing}\n---\n${addition}`.slice(0, NOTES_MAX_LENGTH);
+  }
+
+  // Fold a new submission into an existing lead: fill blanks and append notes, never overwrite
+  applyIncoming(lead, fields) {
+    for (const field of ['phone', 'budget', 'preferredPropertyType', 'timeline', 'externalId']) {
+      if ((lead[field] === undefined || lead[field] === null || lead[field] === '') && fields[field]) {
+        lead[field] = fields[field];
+      }
+    }
+    lead.notes = this.appendNotes(lead.notes, fields.notes);
+    return lead;
+  }
+
+  // Load the leads taking part in a merge.
+  // Returns { survivor, duplicates } or { statusCode, message } when something is missing
+  async loadMergeSet(survivorId, duplicateIds) {
+    const survivor = await Lead.findById(survivorId);
+    if (!survivor) {
+      return { statusCode: 404, message: 'Surviving lead not found' };
+    }
+
+    const ids = [...new Set(duplicateIds.map(String))].filter(id => id !== survivor._id.toString());
+    if (ids.length === 0) {
+      return { statusCode: 400, message: 'At least one duplicate lead is required' };
+    }
+
+    const duplicates = await Lead.find({ _id: { $in: ids } });
+    if (duplicates.length !== ids.length) {
+      return { statusCode: 404, message: 'One or more duplicate leads were not found' };
+    }
+
+    return { survivor, duplicates };
+  }
+
+  // Merge duplicates into the survivor and record an audit entry. Returns the LeadMerge document
+  async mergeLeads(survivor, duplicates, { mergedBy } = {}) {
+    const ids = duplicates.map(duplicate => duplicate._id);
+
+    const fieldsTaken = [];
+
+    // Oldest first so the earliest information wins when filling blanks
+    duplicates.sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const duplicate of duplicates) {
+      for (const field of FILLABLE_FIELDS) {
+        const current = survivor[field];
+        const incoming = duplicate[field];
+        if ((current === undefined || current === null || current === '') &&
+            incoming !== undefined && incoming !== null && incoming !== '') {
+          survivor[field] = incoming;
+          fieldsTaken.push({ field, from: duplicate._id, value: incoming });
+        }
+      }
+
+      survivor.notes = this.appendNotes(survivor.notes, duplicate.notes);
+      survivor.aiInsights = [...new Set([...(survivor.aiInsights || []), ...(duplicate.aiInsights || [])])];
+
+      if (duplicate.lastContacted && (!survivor.lastContacted || duplicate.lastContacted > survivor.lastContacted)) {
+        survivor.lastContacted = duplicate.lastContacted;
+      }
+    }
+
+    // Survivor first, then related records, then the duplicates: a failure part way leaves
+    // the duplicates in place rather than losing them
+    await survivor.save();
+
+    const meetingResult = await Meeting.updateMany({ lead: { $in: ids } }, { lead: survivor._id });
+    await WebhookLog.updateMany({ lead: { $in: ids } }, { lead: survivor._id });
+    await Activity.updateMany({ lead: { $in: ids } }, { lead: survivor._id });
+    await SavedSearch.updateMany({ lead: { $in: ids } }, { lead: survivor._id });
+
+    const merge = await LeadMerge.create({
+      survivor: survivor._id,
+      mergedLeads: duplicates.map(duplicate => ({ leadId: duplicate._id, snapshot: duplicate.toObject() })),
+      fieldsTaken,
+      meetingsMoved: meetingResult.modifiedCount || 0,
+      mergedBy
+    });
+
+    await Lead.deleteMany({ _id: { $in: ids } });
+
+    return merge;
+  }
+}
+
+module.exports = new DedupeService();
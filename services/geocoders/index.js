@@ -0,0 +1,31 @@
+const staticProvider = require('./staticProvider');
+
+// Geocoders keyed by name; each exposes geocode(address) resolving to
+// { lat, lng, components: { street, city, state, postalCode, country } } or null
+const providers = new Map([
+  ['static', staticProvider]
+]);
+
+// Register (or replace) a geocoder, e.g. one backed by a mapping API
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.geocode !== 'function') {
+    throw new Error('Geocoding provider must implement geocode(address)');
+  }
+  providers.set(name, provider);
+};
+
+// Provider by name. Unknown names throw rather than quietly using the static table, so a
+// misspelt GEOCODER_PROVIDER doesn't leave every new property without a location
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown geocoding provider "${name}" (expected one of: ${[...providers.keys()].join(', ')})`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  defaultProvider: staticProvider
+};
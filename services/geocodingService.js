@@ -0,0 +1,107 @@
+const geocoders = require('./geocoders');
+
+const DETAIL_FIELDS = ['street', 'city', 'state', 'postalCode', 'country'];
+
+// "IL 62704", "62704", "ON M5V 2T6" and similar trailing state/postal code parts
+const STATE_POSTAL_PATTERN = /^([A-Za-z .]*?)\s*(\d{5}(?:-\d{4})?|[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d|\d{4})$/;
+
+// Only the known detail fields that hold a value
+const pickDetails = (details = {}) => {
+  const picked = {};
+  for (const field of DETAIL_FIELDS) {
+    if (details[field] !== undefined && details[field] !== null && String(details[field]).trim() !== '') {
+      picked[field] = String(details[field]).trim();
+    }
+  }
+  return picked;
+};
+
+// Turns addresses into coordinates and structured parts through the configured provider
+// (GEOCODER_PROVIDER, default 'static'). Lookups only throw for an unknown provider; an
+// address the provider can't resolve simply leaves the property without a location.
+class GeocodingService {
+  get providerName() {
+    return process.env.GEOCODER_PROVIDER || 'static';
+  }
+
+  // Best-effort split of a one-line address such as "12 Main St, Springfield, IL 62704, USA"
+  parseAddress(address) {
+    const parts = String(address || '').split(',').map(part => part.trim()).filter(Boolean);
+    const details = {};
+    if (parts.length < 2) return details;
+
+    details.street = parts.shift();
+
+    const postalIndex = parts.findIndex(part => STATE_POSTAL_PATTERN.test(part));
+    if (postalIndex !== -1) {
+      const [, state, postalCode] = parts[postalIndex].match(STATE_POSTAL_PATTERN);
+      if (state) details.state = state.trim();
+      details.postalCode = postalCode;
+      if (postalIndex > 0) details.city = parts.slice(0, postalIndex).join(', ');
+      if (postalIndex < parts.length - 1) details.country = parts.slice(postalIndex + 1).join(', ');
+    } else {
+      details.city = parts[0];
+      if (parts.length > 1) details.state = parts[1];
+      if (parts.length > 2) details.country = parts.slice(2).join(', ');
+    }
+
+    return details;
+  }
+
+  // One-line address from structured parts
+  formatAddress(details = {}) {
+    const { street, city, state, postalCode, country } = pickDetails(details);
+    const region = [state, postalCode].filter(Boolean).join(' ');
+    return [street, city, region, country].filter(Boolean).join(', ');
+  }
+
+  // Resolves to { lat, lng, components } or null
+  async geocode(address) {
+    if (!address) return null;
+
+    const provider = geocoders.getProvider(this.providerName);
+    try {
+      const result = await provider.geocode(address);
+      if (!result || typeof result.lat !== 'number' || typeof result.lng !== 'number') return null;
+      return result;
+    } catch (error) {
+      console.error(`Geocoding failed for "${address}":`, error.message);
+      return null;
+    }
+  }
+
+  // Property fields to set for an address: address (when built from parts), addressDetails,
+  // and location/geocodedAt when the address resolves. Given details and an explicit location
+  // always win. With clearOnMiss, an address that can't be resolved clears the old location.
+  async locate({ address, addressDetails, location } = {}, { clearOnMiss = false } = {}) {
+    const updates = {};
+    const given = pickDetails(addressDetails);
+
+    if (!address && Object.keys(given).length > 0) {
+      address = this.formatAddress(given);
+      updates.address = address;
+    }
+    if (!address) return updates;
+
+    const hasLocation = Boolean(location && location.coordinates && location.coordinates.length === 2);
+    const result = hasLocation ? null : await this.geocode(address);
+
+    updates.addressDetails = {
+      ...this.parseAddress(address),
+      ...pickDetails(result ? result.components : {}),
+      ...given
+    };
+
+    if (result) {
+      updates.location = { type: 'Point', coordinates: [result.lng, result.lat] };
+      updates.geocodedAt = new Date();
+    } else if (!hasLocation && clearOnMiss) {
+      updates.location = null;
+      updates.geocodedAt = null;
+    }
+
+    return updates;
+  }
+}
+
+module.exports = new GeocodingService();
@@ -236,7 +236,70 @@ class GoogleCalendarService {
       };
     } catch (error) {
       console.error('Error creating calendar event:', error);
-      throw new Error('Failed to create calendar event');
+      throw Object.assign(new Error('Failed to create calendar event'), { code: error.code, cause: error });
+    }
+  }
+
+  // Move an event or change its details; attendees are emailed about the change
+  async updateEvent(agentId, eventId, eventDetails) {
+    try {
+      const calendarId = await this.setAgentCredentials(agentId);
+
+      const event = {};
+      if (eventDetails.title) event.summary = eventDetails.title;
+      if (eventDetails.description) event.description = eventDetails.description;
+      if (eventDetails.start) {
+        event.start = {
+          dateTime: eventDetails.start.toISOString(),
+          timeZone: eventDetails.timezone || 'America/New_York'
+        };
+      }
+      if (eventDetails.end) {
+        event.end = {
+          dateTime: eventDetails.end.toISOString(),
+          timeZone: eventDetails.timezone || 'America/New_York'
+        };
+      }
+      if (eventDetails.attendees) event.attendees = eventDetails.attendees;
+
+      const response = await this.calendar.events.patch({
+        calendarId: calendarId,
+        eventId: eventId,
+        resource: event,
+        sendUpdates: 'all'
+      });
+
+      return {
+        success: true,
+        eventId: response.data.id,
+        htmlLink: response.data.htmlLink
+      };
+    } catch (error) {
+      console.error('Error updating calendar event:', error);
+      // code lets callers tell a deleted event (404/410) from an outage
+      throw Object.assign(new Error('Failed to update calendar event'), { code: error.code, cause: error });
+    }
+  }
+
+  // Delete an event; attendees are emailed the cancellation
+  async deleteEvent(agentId, eventId) {
+    try {
+      const calendarId = await this.setAgentCredentials(agentId);
+
+      await this.calendar.events.delete({
+        calendarId: calendarId,
+        eventId: eventId,
+        sendUpdates: 'all'
+      });
+
+      return { success: true };
+    } catch (error) {
+      // Already gone from the calendar
+      if (error.code === 404 || error.code === 410) {
+        return { success: true };
+      }
+      console.error('Error deleting calendar event:', error);
+      throw Object.assign(new Error('Failed to delete calendar event'), { code: error.code, cause: error });
     }
   }
 
@@ -260,6 +323,83 @@ class GoogleCalendarService {
     }
   }
 
+  // One page of events changed since a sync token, or of all events when there is none yet
+  // (a full sync). The last page carries the next sync token. Throws with code 410 once
+  // Google has expired the token and a full sync is needed
+  async listEventChanges(agentId, { syncToken, pageToken } = {}) {
+    try {
+      const calendarId = await this.setAgentCredentials(agentId);
+
+      const params = {
+        calendarId: calendarId,
+        maxResults: 250,
+        pageToken: pageToken
+      };
+      if (syncToken) {
+        params.syncToken = syncToken; // Deleted events are always included
+      } else {
+        params.showDeleted = false;
+      }
+
+      const response = await this.calendar.events.list(params);
+
+      return {
+        items: response.data.items || [],
+        nextPageToken: response.data.nextPageToken,
+        nextSyncToken: response.data.nextSyncToken
+      };
+    } catch (error) {
+      console.error('Error listing calendar changes:', error);
+      throw Object.assign(new Error('Failed to list calendar changes'), { code: error.code, cause: error });
+    }
+  }
+
+  // Ask Google to post change notifications for the agent's calendar to a webhook
+  async watchEvents(agentId, { id, token, address, ttlSeconds }) {
+    try {
+      const calendarId = await this.setAgentCredentials(agentId);
+
+      const response = await this.calendar.events.watch({
+        calendarId: calendarId,
+        requestBody: {
+          id: id,
+          type: 'web_hook',
+          address: address,
+          token: token,
+          params: { ttl: String(ttlSeconds) }
+        }
+      });
+
+      return {
+        resourceId: response.data.resourceId,
+        expiresAt: response.data.expiration ? new Date(Number(response.data.expiration)) : null
+      };
+    } catch (error) {
+      console.error('Error watching calendar:', error);
+      throw Object.assign(new Error('Failed to watch calendar'), { code: error.code, cause: error });
+    }
+  }
+
+  // Stop a notification channel
+  async stopChannel(agentId, channelId, resourceId) {
+    try {
+      await this.setAgentCredentials(agentId);
+
+      await this.calendar.channels.stop({
+        requestBody: { id: channelId, resourceId: resourceId }
+      });
+
+      return { success: true };
+    } catch (error) {
+      // Already expired or stopped
+      if (error.code === 404) {
+        return { success: true };
+      }
+      console.error('Error stopping calendar channel:', error);
+      throw Object.assign(new Error('Failed to stop calendar channel'), { code: error.code, cause: error });
+    }
+  }
+
   // Disconnect Google Calendar
   async disconnectCalendar(agentId) {
     try {
@@ -268,7 +408,8 @@ class GoogleCalendarService {
           googleCalendarId: 1,
           googleAccessToken: 1,
           googleRefreshToken: 1,
-          googleTokenExpiry: 1
+          googleTokenExpiry: 1,
+          calendarSync: 1
         }
       });
 
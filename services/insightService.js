@@ -0,0 +1,193 @@
+const Lead = require('../models/Lead');
+const Meeting = require('../models/Meeting');
+const Property = require('../models/Property');
+const Activity = require('../models/Activity');
+const WebhookLog = require('../models/WebhookLog');
+const insights = require('./insights');
+const scoringService = require('./scoringService');
+const { runEvery } = require('../utils/scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lead.aiInsights limits
+const MAX_INSIGHTS = 10;
+const MAX_INSIGHT_LENGTH = 500;
+
+// Generates Lead.aiInsights through the configured provider (INSIGHT_PROVIDER, default 'rules').
+// A failing provider falls back to the built-in rules so insights keep working offline.
+class InsightService {
+  constructor() {
+    this.scheduler = null;
+  }
+
+  get providerName() {
+    return process.env.INSIGHT_PROVIDER || 'rules';
+  }
+
+  get contactThresholdDays() {
+    return parseInt(process.env.INSIGHT_CONTACT_THRESHOLD_DAYS) || 7;
+  }
+
+  // Minutes between scheduled refreshes
+  get refreshIntervalMinutes() {
+    return parseInt(process.env.INSIGHT_REFRESH_INTERVAL_MINUTES) || 360;
+  }
+
+  // Everything a provider needs to know about a lead
+  async buildContext(lead) {
+    const now = new Date();
+    const activityWindowDays = 30;
+    const { belowPercent, abovePercent } = scoringService.rules.budgetMatch;
+
+    const [meetingCounts, nextMeeting, deliveries, recentActivities] = await Promise.all([
+      Meeting.aggregate([
+        { $match: { lead: lead._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Meeting.findOne({ lead: lead._id, status: 'Scheduled', dateTime: { $gte: now } })
+        .sort({ dateTime: 1 })
+        .select('dateTime'),
+      WebhookLog.aggregate([
+        { $match: { lead: lead._id, action: { $in: ['created', 'updated'] }, replayOf: { $exists: false } } },
+        { $group: { _id: '$sourceSystem', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      Activity.countDocuments({ lead: lead._id, createdAt: { $gte: new Date(now.getTime() - activityWindowDays * DAY_MS) } })
+    ]);
+
+    const meetings = { completed: 0, missed: 0, scheduled: 0, nextScheduledAt: nextMeeting ? nextMeeting.dateTime : null };
+    for (const { _id: status, count } of meetingCounts) {
+      meetings[(status || '').toLowerCase()] = count;
+    }
+
+    const matchingProperties = { total: 0, propertyType: null };
+    if (lead.budget) {
+      const filter = {
+        status: 'Available',
+        price: {
+          $gte: Math.round(lead.budget * (1 - belowPercent / 100)),
+          $lte: Math.round(lead.budget * (1 + abovePercent / 100))
+        }
+      };
+      if (Property.schema.path('propertyType').enumValues.includes(lead.preferredPropertyType)) {
+        filter.propertyType = lead.preferredPropertyType;
+        matchingProperties.propertyType = lead.preferredPropertyType;
+      }
+      matchingProperties.total = await Property.countDocuments(filter);
+    }
+
+    const daysSinceContact = lead.lastContacted
+      ? Math.floor((now - new Date(lead.lastContacted)) / DAY_MS)
+      : null;
+
+    return {
+      now,
+      lead: typeof lead.toObject === 'function' ? lead.toObject() : lead,
+      matchingProperties,
+      meetings,
+      daysSinceContact,
+      contactThresholdDays: this.contactThresholdDays,
+      sourceDeliveries: deliveries.map(({ _id, count }) => ({ sourceSystem: _id, count })),
+      recentActivities,
+      activityWindowDays
+    };
+  }
+
+  // Insight strings for a lead without saving them
+  async generate(lead) {
+    const context = await this.buildContext(lead);
+    const provider = insights.getProvider(this.providerName);
+
+    let results;
+    try {
+      results = await provider.generate(context);
+    } catch (error) {
+      if (provider === insights.defaultProvider) throw error;
+      console.error(`Insight provider ${provider.name} failed, using built-in rules:`, error.message);
+      results = await insights.defaultProvider.generate(context);
+    }
+
+    return [...new Set((results || []).filter(Boolean).map(String))]
+      .slice(0, MAX_INSIGHTS)
+      .map(insight => insight.slice(0, MAX_INSIGHT_LENGTH));
+  }
+
+  // Regenerate and store a lead's insights, copying them onto the document.
+  // Never throws; returns the insights or null
+  async refreshLead(lead) {
+    try {
+      const aiInsights = await this.generate(lead);
+      const aiInsightsUpdatedAt = new Date();
+
+      await Lead.updateOne({ _id: lead._id }, { aiInsights, aiInsightsUpdatedAt }, { timestamps: false });
+
+      if (typeof lead.set === 'function') {
+        lead.set({ aiInsights, aiInsightsUpdatedAt });
+      } else {
+        Object.assign(lead, { aiInsights, aiInsightsUpdatedAt });
+      }
+
+      return aiInsights;
+    } catch (error) {
+      console.error(`Failed to generate insights for lead ${lead._id}:`, error.message);
+      return null;
+    }
+  }
+
+  async refreshLeadById(leadId) {
+    try {
+      const lead = await Lead.findById(leadId && leadId._id ? leadId._id : leadId);
+      return lead ? this.refreshLead(lead) : null;
+    } catch (error) {
+      console.error(`Failed to generate insights for lead ${leadId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Refresh leads whose insights are missing or older than the refresh interval,
+  // oldest first. Returns { refreshed, failed }
+  async refreshStale({ limit = 200 } = {}) {
+    const cutoff = new Date(Date.now() - this.refreshIntervalMinutes * 60 * 1000);
+    const summary = { refreshed: 0, failed: 0 };
+
+    const leads = await Lead.find({
+      $or: [
+        { aiInsightsUpdatedAt: { $exists: false } },
+        { aiInsightsUpdatedAt: { $lt: cutoff } }
+      ]
+    })
+      .sort({ aiInsightsUpdatedAt: 1 })
+      .limit(limit);
+
+    for (const lead of leads) {
+      const result = await this.refreshLead(lead);
+      if (result) summary.refreshed += 1;
+      else summary.failed += 1;
+    }
+
+    return summary;
+  }
+
+  // Periodically refresh stale insights so time-based ones ("no contact in N days") stay current
+  startScheduler() {
+    if (this.scheduler) return;
+
+    // Check every quarter of the refresh interval so no lead waits much longer than it
+    const everyMs = Math.max(60 * 1000, (this.refreshIntervalMinutes * 60 * 1000) / 4);
+    this.scheduler = runEvery('Scheduled insight refresh', everyMs, async () => {
+      const { refreshed, failed } = await this.refreshStale();
+      if (refreshed || failed) {
+        console.log(`Lead insights refreshed: ${refreshed} (failed: ${failed})`);
+      }
+    });
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      this.scheduler.stop();
+      this.scheduler = null;
+    }
+  }
+}
+
+module.exports = new InsightService();
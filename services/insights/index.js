@@ -0,0 +1,23 @@
+const ruleBasedProvider = require('./ruleBasedProvider');
+
+// Insight providers keyed by name; each exposes generate(context) resolving to an array of strings
+const providers = new Map([
+  ['rules', ruleBasedProvider]
+]);
+
+// Register (or replace) a provider, e.g. one backed by a remote model
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.generate !== 'function') {
+    throw new Error('Insight provider must implement generate(context)');
+  }
+  providers.set(name, provider);
+};
+
+// Provider by name; unknown names fall back to the built-in rules
+const getProvider = (name) => providers.get(name) || ruleBasedProvider;
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  defaultProvider: ruleBasedProvider
+};
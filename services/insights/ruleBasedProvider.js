@@ -0,0 +1,81 @@
+// Built-in insight rules. Works entirely from the context gathered by insightService,
+// so it needs no network access and always gives the same output for the same data.
+
+const PLURAL_TYPES = {
+  Land: 'land listings',
+  Commercial: 'commercial properties',
+  Other: 'properties'
+};
+
+const SOURCE_NAMES = {
+  zillow: 'Zillow',
+  REA: 'Realtor.com',
+  zapier: 'Zapier',
+  website: 'the website',
+  crm: 'the CRM',
+  api: 'the API',
+  other: 'an integration'
+};
+
+const pluralType = (type, count) => {
+  if (!type) return count === 1 ? 'property' : 'properties';
+  if (PLURAL_TYPES[type]) return PLURAL_TYPES[type];
+  return count === 1 ? type : `${type}s`;
+};
+
+const times = (count) => {
+  if (count === 1) return 'once';
+  if (count === 2) return 'twice';
+  return `${count} times`;
+};
+
+const viewings = (count) => `${count} viewing${count === 1 ? '' : 's'}`;
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+
+const rules = [
+  // Budget against available inventory
+  ({ lead, matchingProperties }) => {
+    if (!lead.budget) return 'No budget on file';
+    if (matchingProperties.total === 0) return `No available properties near the ${formatMoney(lead.budget)} budget`;
+
+    const type = matchingProperties.propertyType;
+    return `Budget fits ${matchingProperties.total} available ${pluralType(type, matchingProperties.total)}`;
+  },
+
+  ({ daysSinceContact, contactThresholdDays }) => {
+    if (daysSinceContact === null) return 'Never contacted';
+    if (daysSinceContact >= contactThresholdDays) return `No contact in ${daysSinceContact} days`;
+    return null;
+  },
+
+  ({ meetings }) => (meetings.missed > 0 ? `Missed ${viewings(meetings.missed)}` : null),
+
+  ({ meetings }) => (meetings.completed > 0 ? `Attended ${viewings(meetings.completed)}` : null),
+
+  ({ meetings }) => (meetings.nextScheduledAt
+    ? `Viewing booked for ${new Date(meetings.nextScheduledAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : null),
+
+  // Repeat enquiries through the same channel
+  ({ sourceDeliveries }) => sourceDeliveries
+    .filter(({ count }) => count >= 2)
+    .map(({ sourceSystem, count }) => `Came via ${SOURCE_NAMES[sourceSystem] || sourceSystem} ${times(count)}`),
+
+  ({ lead }) => (lead.priority && lead.score !== undefined && lead.score !== null
+    ? `Scored ${lead.score}/100 (${lead.priority} priority)`
+    : null),
+
+  ({ recentActivities, activityWindowDays }) => (recentActivities >= 5
+    ? `${recentActivities} touchpoints in the last ${activityWindowDays} days`
+    : null)
+];
+
+const generate = async (context) => rules
+  .flatMap(rule => rule(context))
+  .filter(Boolean);
+
+module.exports = {
+  name: 'rules',
+  generate
+};
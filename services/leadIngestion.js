@@ -0,0 +1,165 @@
+const Lead = require('../models/Lead');
+const socketService = require('./socketService');
+const webhookAdapters = require('./webhookAdapters');
+const dedupeService = require('./dedupeService');
+const activityService = require('./activityService');
+const scoringService = require('./scoringService');
+const assignmentService = require('./assignmentService');
+
+// Turns a verified webhook payload into a created or updated lead.
+// Shared by live deliveries and replays from the webhook log.
+class LeadIngestionService {
+  // Returns { action: 'created' | 'updated' | 'rejected', statusCode, message, lead }
+  async ingestWebhookLead(payload, { sourceSystem }) {
+    // Translate the provider's native payload into Lead fields
+    const fields = webhookAdapters.toLead(sourceSystem, payload);
+    const {
+      name,
+      email,
+      phone,
+      source,
+      propertyId,
+      preferredDateTime,
+      budget,
+      preferredPropertyType,
+      timeline,
+      notes,
+      zipCode,
+      externalId // External system reference ID
+    } = fields;
+
+    // Basic validation
+    if (!name || !email) {
+      return {
+        action: 'rejected',
+        statusCode: 400,
+        message: 'Name and email are required'
+      };
+    }
+
+    // Match against existing leads (email, phone, external ID, name)
+    let lead = await dedupeService.findMatchForIncoming({ ...fields, sourceSystem });
+    if (lead) {
+      // Fill gaps and append notes; the original source attribution is kept
+      // A new submission is the lead reaching us, not us contacting them, so lastContacted
+      // (which the response-time SLA watches) is left alone
+      dedupeService.applyIncoming(lead, fields);
+
+      await lead.save();
+      await scoringService.rescoreLead(lead);
+
+      await activityService.record('webhook_update', {
+        lead,
+        agent: lead.agent,
+        summary: `Lead updated from ${sourceSystem} webhook`,
+        body: notes,
+        details: { action: 'updated', sourceSystem, externalId }
+      });
+
+      if (propertyId && preferredDateTime) {
+        await this.attemptBooking(lead, fields);
+      }
+
+      return {
+        action: 'updated',
+        statusCode: 200,
+        message: 'Lead updated successfully',
+        lead
+      };
+    }
+
+    // Create new lead
+    lead = await Lead.create({
+      name,
+      email,
+      phone,
+      source,
+      budget,
+      preferredPropertyType,
+      timeline,
+      notes,
+      zipCode,
+      externalId,
+      sourceSystem
+    });
+    await assignmentService.assignLead(lead);
+    await scoringService.rescoreLead(lead);
+
+    await activityService.record('webhook_update', {
+      lead,
+      summary: `Lead created from ${sourceSystem} webhook`,
+      body: notes,
+      details: { action: 'created', sourceSystem, externalId }
+    });
+
+    // If propertyId is provided and preferredDateTime, attempt automated booking
+    if (propertyId && preferredDateTime) {
+      await this.attemptBooking(lead, fields);
+    }
+
+    // Send real-time notification for new lead
+    socketService.notifyUserType('admin', 'newLead', {
+      type: 'new_lead',
+      title: 'New Lead Created',
+      message: `${lead.name} submitted a new lead from ${lead.source}`,
+      data: {
+        id: lead._id,
+        name: lead.name,
+        email: lead.email,
+        source: lead.source,
+        status: lead.status
+      },
+      timestamp: new Date()
+    });
+
+    return {
+      action: 'created',
+      statusCode: 201,
+      message: 'Lead created successfully',
+      lead
+    };
+  }
+
+  // Book a viewing for a freshly ingested lead; failures never block ingestion
+  async attemptBooking(lead, fields) {
+    try {
+      // Required lazily: the booking controller pulls in calendar and notification services
+      const { createAutomatedBooking } = require('../controllers/bookingController');
+
+      // Create a mock request object for the booking
+      const mockReq = {
+        body: {
+          name: lead.name,
+          email: lead.email,
+          phone: lead.phone,
+          propertyId: fields.propertyId,
+          preferredDateTime: fields.preferredDateTime,
+          budget: fields.budget,
+          preferredPropertyType: fields.preferredPropertyType,
+          timeline: fields.timeline,
+          notes: fields.notes
+        }
+      };
+
+      // Only the outcome is logged; the response echoes the lead's contact details
+      const mockRes = {
+        status: (code) => ({
+          json: (data) => {
+            if (!data.success) {
+              console.error(`Automated booking for webhook lead ${lead._id} was not made (${code}): ${data.message}`);
+            }
+            return data;
+          }
+        })
+      };
+
+      // Attempt automated booking
+      await createAutomatedBooking(mockReq, mockRes);
+    } catch (bookingError) {
+      console.error('Automated booking failed for webhook lead:', bookingError);
+      // Continue with lead creation even if booking fails
+    }
+  }
+}
+
+module.exports = new LeadIngestionService();
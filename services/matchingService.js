@@ -0,0 +1,265 @@
+const Lead = require('../models/Lead');
+const Property = require('../models/Property');
+const SavedSearch = require('../models/SavedSearch');
+const pipelineService = require('./pipelineService');
+const scoringService = require('./scoringService');
+const socketService = require('./socketService');
+const notificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most candidates fetched before ranking in memory
+const MAX_CANDIDATES = 200;
+
+// Listings newer than this get a freshness boost
+const FRESH_DAYS = 14;
+
+const PROPERTY_TYPES = Property.schema.path('propertyType').enumValues;
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// How close a price is to a budget, 0..1, with a short explanation
+const priceFit = (price, budget) => {
+  if (!budget) return { value: 1, reason: null };
+
+  const difference = (price - budget) / budget;
+  const percent = Math.round(Math.abs(difference) * 100);
+  return {
+    value: clamp(1 - Math.abs(difference)),
+    reason: percent === 0 ? 'Priced at budget' : `Priced ${percent}% ${difference < 0 ? 'under' : 'over'} budget`
+  };
+};
+
+// Connects leads and properties: ranked matches in both directions, and saved search notifications
+class MatchingService {
+  // Price window around a budget, shared with the scoring rules' budget match
+  budgetRange(budget) {
+    const { belowPercent, abovePercent } = scoringService.rules.budgetMatch;
+    return {
+      min: Math.round(budget * (1 - belowPercent / 100)),
+      max: Math.round(budget * (1 + abovePercent / 100))
+    };
+  }
+
+  // Search criteria implied by a lead's own preferences
+  criteriaForLead(lead) {
+    const criteria = {};
+    if (lead.budget) {
+      const { min, max } = this.budgetRange(lead.budget);
+      criteria.minPrice = min;
+      criteria.maxPrice = max;
+    }
+    if (PROPERTY_TYPES.includes(lead.preferredPropertyType)) {
+      criteria.propertyTypes = [lead.preferredPropertyType];
+    }
+    return criteria;
+  }
+
+  // Available properties meeting the criteria
+  propertyFilter(criteria = {}) {
+    const filter = { status: 'Available' };
+
+    if (isSet(criteria.minPrice) || isSet(criteria.maxPrice)) {
+      filter.price = {};
+      if (isSet(criteria.minPrice)) filter.price.$gte = criteria.minPrice;
+      if (isSet(criteria.maxPrice)) filter.price.$lte = criteria.maxPrice;
+    }
+    if (criteria.propertyTypes && criteria.propertyTypes.length > 0) {
+      filter.propertyType = { $in: criteria.propertyTypes };
+    }
+    if (isSet(criteria.minBedrooms)) filter.bedrooms = { $gte: criteria.minBedrooms };
+    if (isSet(criteria.minBathrooms)) filter.bathrooms = { $gte: criteria.minBathrooms };
+    if (isSet(criteria.minSqft)) filter.sqft = { $gte: criteria.minSqft };
+
+    return filter;
+  }
+
+  // Active saved searches whose criteria a property meets
+  savedSearchFilter(property) {
+    const unsetOr = (path, condition) => ({ $or: [{ [path]: null }, { [path]: condition }] });
+
+    return {
+      isActive: true,
+      $and: [
+        unsetOr('criteria.minPrice', { $lte: property.price }),
+        unsetOr('criteria.maxPrice', { $gte: property.price }),
+        {
+          $or: [
+            { 'criteria.propertyTypes': { $exists: false } },
+            { 'criteria.propertyTypes': { $size: 0 } },
+            { 'criteria.propertyTypes': property.propertyType }
+          ]
+        },
+        unsetOr('criteria.minBedrooms', { $lte: property.bedrooms || 0 }),
+        unsetOr('criteria.minBathrooms', { $lte: property.bathrooms || 0 }),
+        unsetOr('criteria.minSqft', { $lte: property.sqft || 0 })
+      ]
+    };
+  }
+
+  // 0..100 fit of a property for a lead, with the reasons behind it
+  rankProperty(property, lead, now = new Date()) {
+    const reasons = [];
+
+    const price = priceFit(property.price, lead.budget);
+    if (price.reason) reasons.push(price.reason);
+
+    if (lead.preferredPropertyType && property.propertyType === lead.preferredPropertyType) {
+      reasons.push(`Preferred type (${property.propertyType})`);
+    }
+
+    const ageDays = property.createdAt ? (now - new Date(property.createdAt)) / DAY_MS : Infinity;
+    const fresh = ageDays <= FRESH_DAYS;
+    if (fresh) reasons.push('Recently listed');
+
+    return {
+      score: Math.round((price.value * 0.8 + (fresh ? 0.2 : 0)) * 100),
+      reasons
+    };
+  }
+
+  // Available properties meeting criteria, ranked for a lead. Returns [{ property, score, reasons }]
+  async rankProperties(criteria, lead, { limit = 10 } = {}) {
+    const properties = await Property.find(this.propertyFilter(criteria))
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES);
+
+    const now = new Date();
+    return properties
+      .map(property => ({ property, ...this.rankProperty(property, lead, now) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Properties for a lead's own preferences; criteria override individual preferences.
+  // Returns { criteria, matches }
+  async findMatchesForLead(lead, { criteria: overrides = {}, limit = 10 } = {}) {
+    const criteria = { ...this.criteriaForLead(lead), ...overrides };
+    return { criteria, matches: await this.rankProperties(criteria, lead, { limit }) };
+  }
+
+  // Open leads whose budget and preferred type fit a property, or whose saved searches match it.
+  // filter narrows the leads considered (e.g. an agent's own). Returns [{ lead, score, reasons }]
+  async findInterestedLeads(property, { filter = {}, limit = 20 } = {}) {
+    const { belowPercent, abovePercent } = scoringService.rules.budgetMatch;
+    const openStages = pipelineService.getStages()
+      .filter(stage => stage.outcome === 'open')
+      .map(stage => stage.name);
+
+    // A budget B matches prices in [B * (1 - below), B * (1 + above)]
+    const budget = { $gte: Math.floor(property.price / (1 + abovePercent / 100)) };
+    if (belowPercent < 100) budget.$lte = Math.ceil(property.price / (1 - belowPercent / 100));
+
+    const searches = await SavedSearch.find(this.savedSearchFilter(property)).select('lead name');
+    const searchesByLead = new Map();
+    for (const search of searches) {
+      const key = search.lead.toString();
+      searchesByLead.set(key, [...(searchesByLead.get(key) || []), search.name]);
+    }
+
+    const leads = await Lead.find({
+      ...filter,
+      status: { $in: openStages },
+      $or: [
+        {
+          budget,
+          $or: [
+            { preferredPropertyType: property.propertyType },
+            { preferredPropertyType: { $nin: PROPERTY_TYPES } }
+          ]
+        },
+        { _id: { $in: searches.map(search => search.lead) } }
+      ]
+    })
+      .populate('agent', 'name email')
+      .select('name email phone status budget preferredPropertyType score priority agent')
+      .limit(MAX_CANDIDATES);
+
+    return leads
+      .map(lead => {
+        const reasons = [];
+        const price = priceFit(property.price, lead.budget);
+        if (price.reason) reasons.push(price.reason.replace('Priced', 'Property priced'));
+        if (lead.preferredPropertyType === property.propertyType) {
+          reasons.push(`Prefers ${property.propertyType}`);
+        }
+
+        const searchNames = searchesByLead.get(lead._id.toString()) || [];
+        for (const name of searchNames) reasons.push(`Saved search "${name}"`);
+
+        const score = Math.round((
+          (lead.budget ? price.value : 0.5) * 0.6 +
+          (searchNames.length > 0 ? 0.2 : 0) +
+          ((lead.score || 0) / 100) * 0.2
+        ) * 100);
+
+        return { lead, score, reasons };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Notify saved searches matching a new or re-priced property. Each search hears about a
+  // property once per price. Never throws; returns the number of searches notified
+  async notifySavedSearches(property, { previousPrice = null } = {}) {
+    if (property.status !== 'Available') return 0;
+
+    let notified = 0;
+    try {
+      const searches = await SavedSearch.find(this.savedSearchFilter(property))
+        .populate('lead', 'name email agent');
+
+      for (const search of searches) {
+        const lead = search.lead;
+        const entry = search.notified.find(item => item.property.toString() === property._id.toString());
+        if (!lead || (entry && entry.price === property.price)) continue;
+
+        try {
+          const repriced = previousPrice !== null && previousPrice !== property.price;
+          const notification = {
+            type: 'saved_search_match',
+            title: repriced ? 'Matching Property Re-priced' : 'New Property Match',
+            message: `${property.address} matches ${lead.name}'s saved search "${search.name}"`,
+            data: {
+              leadId: lead._id,
+              searchId: search._id,
+              propertyId: property._id,
+              price: property.price,
+              previousPrice: repriced ? previousPrice : null
+            },
+            timestamp: new Date()
+          };
+
+          if (lead.agent) {
+            socketService.notifyUser(lead.agent.toString(), 'savedSearchMatch', notification);
+          } else {
+            socketService.notifyUserType('admin', 'savedSearchMatch', notification);
+          }
+
+          if (search.notifyLead) {
+            await notificationService.sendPropertyMatch(lead, property, search, repriced ? previousPrice : null);
+          }
+
+          if (entry) {
+            entry.price = property.price;
+            entry.notifiedAt = new Date();
+          } else {
+            search.notified.push({ property: property._id, price: property.price });
+          }
+          await search.save();
+          notified += 1;
+        } catch (error) {
+          console.error(`Failed to notify saved search ${search._id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to check saved searches for property ${property._id}:`, error.message);
+    }
+
+    return notified;
+  }
+}
+
+module.exports = new MatchingService();
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const { removeFile } = require('../utils/tempFiles');
+
+// Responsive sizes made for every photo and video poster, largest last
+const DERIVATIVES = {
+  thumbnail: { width: 320, height: 240 },
+  card: { width: 640, height: 480 },
+  full: { width: 1200, height: 800 }
+};
+
+// Where in a video the poster frame is taken from, in seconds
+const POSTER_OFFSET_SECONDS = 1;
+
+// Longest ffmpeg/ffprobe may run on one file
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+
+const run = (command, args) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+    if (error) return reject(error);
+    resolve(stdout);
+  });
+});
+
+// Local processing of uploaded media, independent of the media store: metadata-free photos,
+// responsive derivatives and video poster frames. Derivatives are written to
+// MEDIA_DERIVATIVES_DIR (default uploads/derivatives, served by server.js under /uploads)
+// and linked through MEDIA_DERIVATIVES_URL. Videos need ffmpeg and ffprobe on the PATH,
+// or at FFMPEG_PATH and FFPROBE_PATH.
+class MediaPipeline {
+  get derivativesDir() {
+    return process.env.MEDIA_DERIVATIVES_DIR || path.join(__dirname, '../uploads/derivatives');
+  }
+
+  get baseUrl() {
+    return (process.env.MEDIA_DERIVATIVES_URL || '/uploads/derivatives').replace(/\/$/, '');
+  }
+
+  get ffmpegPath() {
+    return process.env.FFMPEG_PATH || 'ffmpeg';
+  }
+
+  get ffprobePath() {
+    return process.env.FFPROBE_PATH || 'ffprobe';
+  }
+
+  // Copy of a photo with EXIF, GPS and other metadata removed, turned upright first since
+  // the orientation tag goes too. Returns { path, width, height }
+  async sanitizeImage(filePath) {
+    const { dir, name, ext } = path.parse(filePath);
+    const target = path.join(dir, `${name}-clean${ext}`);
+
+    // Without withMetadata(), sharp writes no metadata at all
+    const info = await sharp(filePath, { animated: true }).rotate().toFile(target);
+    return { path: target, width: info.width, height: info.pageHeight || info.height };
+  }
+
+  // Write every derivative of an image as WebP.
+  // Returns { thumbnail, card, full }, each { url, width, height }
+  async createDerivatives(sourcePath, baseName) {
+    await fs.promises.mkdir(this.derivativesDir, { recursive: true });
+
+    const derivatives = {};
+    for (const [size, { width, height }] of Object.entries(DERIVATIVES)) {
+      const filename = `${baseName}-${size}.webp`;
+      const info = await sharp(sourcePath)
+        .rotate()
+        .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toFile(path.join(this.derivativesDir, filename));
+
+      derivatives[size] = { url: `${this.baseUrl}/${filename}`, width: info.width, height: info.height };
+    }
+    return derivatives;
+  }
+
+  // Dimensions and duration of a video's first video stream
+  async probeVideo(filePath) {
+    const output = await run(this.ffprobePath, [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=width,height:format=duration',
+      '-of', 'json',
+      filePath
+    ]);
+    const data = JSON.parse(output);
+    const stream = (data.streams && data.streams[0]) || {};
+    const duration = data.format ? parseFloat(data.format.duration) : NaN;
+    return {
+      width: stream.width,
+      height: stream.height,
+      duration: isNaN(duration) ? undefined : Math.round(duration * 10) / 10
+    };
+  }
+
+  // Grab a frame as a JPEG poster, from the start for clips shorter than the usual offset.
+  // Returns the poster's path
+  async extractPoster(filePath, baseName, { duration } = {}) {
+    await fs.promises.mkdir(this.derivativesDir, { recursive: true });
+    const target = path.join(this.derivativesDir, `${baseName}-poster.jpg`);
+    const offset = duration !== undefined && duration <= POSTER_OFFSET_SECONDS ? 0 : POSTER_OFFSET_SECONDS;
+
+    await run(this.ffmpegPath, [
+      '-y',
+      '-ss', String(offset),
+      '-i', filePath,
+      '-frames:v', '1',
+      '-map_metadata', '-1',
+      target
+    ]);
+    return target;
+  }
+
+  // Process an uploaded file before it goes to the media store. Returns
+  // { uploadPath, tempPaths, fields }: the file to store in place of the upload, extra
+  // temporary files to remove afterwards, and fields for the Property.images entry.
+  // Photos that can't be read are rejected, since their metadata can't be removed;
+  // a video whose poster can't be made is stored without one
+  async process(file, { baseName }) {
+    if (!file.mimetype.startsWith('video/')) {
+      let clean;
+      try {
+        clean = await this.sanitizeImage(file.path);
+      } catch (error) {
+        throw new Error(`Could not process image: ${error.message}`);
+      }
+
+      try {
+        return {
+          uploadPath: clean.path,
+          tempPaths: [clean.path],
+          fields: {
+            width: clean.width,
+            height: clean.height,
+            derivatives: await this.createDerivatives(clean.path, baseName)
+          }
+        };
+      } catch (error) {
+        await removeFile(clean.path);
+        await this.removeFiles(baseName);
+        throw new Error(`Could not process image: ${error.message}`);
+      }
+    }
+
+    const fields = {};
+    try {
+      Object.assign(fields, await this.probeVideo(file.path));
+      const posterPath = await this.extractPoster(file.path, baseName, fields);
+      const poster = await sharp(posterPath).metadata();
+      fields.poster = {
+        url: `${this.baseUrl}/${path.basename(posterPath)}`,
+        width: poster.width,
+        height: poster.height
+      };
+      fields.derivatives = await this.createDerivatives(posterPath, baseName);
+    } catch (error) {
+      console.error(`Could not make a poster for ${file.originalname || file.filename}:`, error.message);
+      delete fields.poster;
+      delete fields.derivatives;
+      await this.removeFiles(baseName);
+    }
+
+    return { uploadPath: file.path, tempPaths: [], fields };
+  }
+
+  // Derivative and poster files written for a base name
+  async removeFiles(baseName) {
+    const names = [...Object.keys(DERIVATIVES).map(size => `${baseName}-${size}.webp`), `${baseName}-poster.jpg`];
+    for (const name of names) {
+      await removeFile(path.join(this.derivativesDir, name));
+    }
+  }
+
+  // Remove the local files behind an images entry's derivatives and poster
+  async removeDerivatives(item) {
+    const entries = [
+      ...Object.keys(DERIVATIVES).map(size => item.derivatives && item.derivatives[size]),
+      item.poster
+    ];
+    for (const entry of entries) {
+      if (!entry || !entry.url || !entry.url.startsWith(`${this.baseUrl}/`)) continue;
+      await removeFile(path.join(this.derivativesDir, path.basename(decodeURIComponent(entry.url))));
+    }
+  }
+}
+
+module.exports = new MediaPipeline();
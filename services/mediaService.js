@@ -0,0 +1,96 @@
+const path = require('path');
+const storage = require('./storage');
+const mediaPipeline = require('./mediaPipeline');
+const { removeFile } = require('../utils/tempFiles');
+
+// Property photos and videos in the configured media store (MEDIA_STORAGE, default 'cloudinary'):
+// uploads that always clean up their temporary files, and deletes that never leave orphaned assets
+class MediaService {
+  get storeName() {
+    return process.env.MEDIA_STORAGE || 'cloudinary';
+  }
+
+  // Process multer files (see mediaPipeline), upload them and remove their temporary
+  // copies. Returns { uploaded, results }:
+  // image subdocuments for the files that made it, and one result per file
+  // ({ filename, status: 'succeeded' | 'failed', reason })
+  async uploadFiles(files, { prefix = 'property' } = {}) {
+    const storeName = this.storeName;
+    const uploaded = [];
+    const results = [];
+
+    for (const file of files) {
+      const filename = file.originalname || file.filename;
+      const type = file.mimetype.startsWith('video/') ? 'video' : 'image';
+      const baseName = `${prefix}_${Date.now()}_${path.parse(file.filename).name}`;
+      let processed = null;
+
+      try {
+        // Resolved per file so a misconfigured store fails each file and still cleans up
+        const store = storage.getStore(storeName);
+        processed = await mediaPipeline.process(file, { baseName });
+        const { url, publicId } = await store.upload(processed.uploadPath, {
+          publicId: baseName,
+          resourceType: type
+        });
+
+        uploaded.push({
+          url,
+          public_id: publicId,
+          storage: store.name,
+          type,
+          filename: file.filename,
+          size: file.size,
+          ...processed.fields,
+          uploadedAt: new Date()
+        });
+        results.push({ filename, status: 'succeeded' });
+      } catch (error) {
+        console.error(`Upload of ${filename} to ${storeName} failed:`, error.message);
+        results.push({ filename, status: 'failed', reason: error.message || 'Upload failed' });
+        if (processed) await mediaPipeline.removeFiles(baseName);
+      } finally {
+        await removeFile(file.path);
+        for (const tempPath of (processed ? processed.tempPaths : [])) await removeFile(tempPath);
+      }
+    }
+
+    return { uploaded, results };
+  }
+
+  // Stored public_id, or the one in the URL for items uploaded before it was kept
+  publicIdFor(item) {
+    if (item.public_id) return item.public_id;
+    const store = storage.getStore(item.storage || 'cloudinary');
+    return typeof store.publicIdFromUrl === 'function' ? store.publicIdFromUrl(item.url) : null;
+  }
+
+  // Delete an item's file from the store it was uploaded to. Resolves true once it is gone
+  // (or was never in a store), false when the store refused; never throws
+  async destroy(item) {
+    const publicId = this.publicIdFor(item);
+    if (!publicId) return true;
+
+    try {
+      const destroyed = await storage.getStore(item.storage || 'cloudinary').destroy(publicId, {
+        resourceType: item.type === 'video' ? 'video' : 'image'
+      });
+      if (destroyed) await mediaPipeline.removeDerivatives(item);
+      return destroyed;
+    } catch (error) {
+      console.error(`Failed to delete media ${publicId}:`, error.message);
+      return false;
+    }
+  }
+
+  // Delete every item's file. Returns the items that could not be deleted
+  async destroyAll(items = []) {
+    const failed = [];
+    for (const item of items) {
+      if (!(await this.destroy(item))) failed.push(item);
+    }
+    return failed;
+  }
+}
+
+module.exports = new MediaService();
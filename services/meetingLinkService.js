@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const tokenService = require('./tokenService');
+const calendarSyncService = require('./calendarSyncService');
+const availabilityService = require('./availabilityService');
+const notificationService = require('./notificationService');
+const socketService = require('./socketService');
+const activityService = require('./activityService');
+const reminderService = require('./reminderService');
+const scoringService = require('./scoringService');
+const insightService = require('./insightService');
+
+const MEETING_POPULATE = [
+  { path: 'lead', select: 'name email phone' },
+  { path: 'agent', select: 'name email phone timezone meetingDuration' },
+  { path: 'property', select: 'address price' }
+];
+
+// Self-service changes made through the signed links in a lead's confirmation email
+// (see notificationService.meetingLinks). Each change updates the meeting, the agent's
+// Google Calendar event and reminders, and tells the agent by socket and email.
+// Once the meeting itself is saved, a failure in any of those is logged, not returned.
+class MeetingLinkService {
+  // Meeting behind a link token. Returns { meeting } or { statusCode, message }
+  async resolve(token) {
+    let payload;
+    try {
+      payload = tokenService.verifyMeetingToken(token);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { statusCode: 410, message: 'This link has expired' };
+      }
+      return { statusCode: 401, message: 'Invalid link' };
+    }
+
+    const meeting = mongoose.isValidObjectId(payload.sub)
+      ? await Meeting.findById(payload.sub).populate(MEETING_POPULATE)
+      : null;
+    if (!meeting) {
+      return { statusCode: 404, message: 'Meeting not found' };
+    }
+    if (meeting.dateTime.getTime() !== payload.at) {
+      return { statusCode: 410, message: 'This link is out of date. Please use the one in your latest confirmation email' };
+    }
+    return { meeting };
+  }
+
+  // What the lead is shown; internal notes stay private
+  describe(meeting, now = new Date()) {
+    return {
+      id: meeting._id,
+      dateTime: meeting.dateTime,
+      status: meeting.status,
+      canChange: this.canChange(meeting, now),
+      property: meeting.property ? { address: meeting.property.address } : null,
+      agent: meeting.agent
+        ? { name: meeting.agent.name, email: meeting.agent.email, phone: meeting.agent.phone }
+        : null,
+      lead: meeting.lead ? { name: meeting.lead.name } : null
+    };
+  }
+
+  // Upcoming and still scheduled, with the lead, agent and property it was booked for
+  canChange(meeting, now = new Date()) {
+    return meeting.status === 'Scheduled' && meeting.dateTime > now &&
+      Boolean(meeting.lead && meeting.agent && meeting.property);
+  }
+
+  // The meeting agent's open slots on a date that are still ahead
+  async getSlots(meeting, date, now = new Date()) {
+    if (!this.canChange(meeting, now)) return [];
+    const slots = await availabilityService.getSlots([meeting.agent], date);
+    return slots.filter(slot => slot.start > now);
+  }
+
+  // Move the meeting to one of the agent's open slots.
+  // Returns { meeting } or { statusCode, message }
+  async reschedule(meeting, dateTime, now = new Date()) {
+    if (!this.canChange(meeting, now)) {
+      return { statusCode: 409, message: 'This viewing can no longer be changed' };
+    }
+
+    const requested = new Date(dateTime);
+    if (!dateTime || isNaN(requested.getTime())) {
+      return { statusCode: 400, message: 'A valid dateTime is required' };
+    }
+    if (requested.getTime() === meeting.dateTime.getTime()) {
+      return { statusCode: 400, message: 'The viewing is already booked for that time' };
+    }
+
+    const slots = await this.getSlots(meeting, requested, now);
+    const slot = slots.find(candidate => candidate.start.getTime() === requested.getTime());
+    if (!slot) {
+      return { statusCode: 409, message: 'That time is no longer available' };
+    }
+
+    const previousDateTime = meeting.dateTime;
+    if (!(await this.applyChange(meeting, { dateTime: slot.start }))) {
+      return { statusCode: 409, message: 'This viewing has just been changed. Please reload the page' };
+    }
+
+    await this.followUp(meeting, 'syncing the calendar', () => calendarSyncService.syncMeeting(meeting._id));
+    await this.followUp(meeting, 'rescheduling reminders', () => reminderService.scheduleForMeeting(meeting));
+    await this.followUp(meeting, 'recording activity', () => activityService.record('meeting_rescheduled', {
+      lead: meeting.lead,
+      agent: meeting.agent,
+      meeting,
+      summary: `Viewing of ${meeting.property.address} moved from ${previousDateTime.toLocaleString()} to ${meeting.dateTime.toLocaleString()} by the lead`,
+      details: { from: previousDateTime, to: meeting.dateTime, via: 'lead_link' }
+    }));
+
+    await this.notify(meeting, {
+      event: 'meetingRescheduled',
+      type: 'meeting_rescheduled',
+      title: 'Meeting Rescheduled',
+      message: `${meeting.lead.name} moved their viewing of ${meeting.property.address} to ${meeting.dateTime.toLocaleString()}`,
+      previousDateTime
+    });
+    await this.refreshLead(meeting);
+
+    return { meeting };
+  }
+
+  // Cancel the meeting and remove it from the agent's calendar.
+  // Returns { meeting } or { statusCode, message }
+  async cancel(meeting, reason, now = new Date()) {
+    if (!this.canChange(meeting, now)) {
+      return { statusCode: 409, message: 'This viewing can no longer be changed' };
+    }
+
+    const changes = { status: 'Cancelled', cancelledAt: now };
+    if (reason) changes.cancelReason = String(reason);
+    if (!(await this.applyChange(meeting, changes))) {
+      return { statusCode: 409, message: 'This viewing has just been changed. Please reload the page' };
+    }
+
+    await this.followUp(meeting, 'syncing the calendar', () => calendarSyncService.syncMeeting(meeting._id));
+    await this.followUp(meeting, 'cancelling reminders', () =>
+      reminderService.cancelForMeeting(meeting._id, 'Meeting cancelled by the lead'));
+    await this.followUp(meeting, 'recording activity', () => activityService.record('meeting_cancelled', {
+      lead: meeting.lead,
+      agent: meeting.agent,
+      meeting,
+      summary: `Viewing of ${meeting.property.address} on ${meeting.dateTime.toLocaleString()} cancelled by the lead`,
+      body: meeting.cancelReason,
+      details: { dateTime: meeting.dateTime, via: 'lead_link' }
+    }));
+
+    await this.notify(meeting, {
+      event: 'meetingCancelled',
+      type: 'meeting_cancelled',
+      title: 'Meeting Cancelled',
+      message: `${meeting.lead.name} cancelled their viewing of ${meeting.property.address} on ${meeting.dateTime.toLocaleString()}`,
+      reason: meeting.cancelReason
+    });
+    await this.refreshLead(meeting);
+
+    return { meeting };
+  }
+
+  // Save changes only if the meeting is still scheduled for the time it was loaded with, so
+  // two changes made at once can't both go through. Returns false when the other one won
+  async applyChange(meeting, changes) {
+    const updated = await Meeting.findOneAndUpdate(
+      { _id: meeting._id, status: 'Scheduled', dateTime: meeting.dateTime },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return false;
+
+    Object.assign(meeting, changes);
+    return true;
+  }
+
+  async followUp(meeting, action, work) {
+    try {
+      await work();
+    } catch (error) {
+      console.error(`Error ${action} for meeting ${meeting._id}:`, error.message);
+    }
+  }
+
+  // Socket and email to the agent, plus fresh links for the lead after a reschedule.
+  // A failed notification doesn't undo the change
+  async notify(meeting, { event, type, title, message, previousDateTime, reason }) {
+    const { lead, agent, property } = meeting;
+
+    socketService.notifyUser(agent._id.toString(), event, {
+      type,
+      title,
+      message,
+      data: {
+        id: meeting._id,
+        leadName: lead.name,
+        propertyAddress: property.address,
+        dateTime: meeting.dateTime,
+        previousDateTime,
+        status: meeting.status
+      },
+      timestamp: new Date()
+    });
+
+    try {
+      await notificationService.notifyAgentOfMeetingChange(agent, lead, meeting, property, { previousDateTime, reason });
+      if (meeting.status === 'Scheduled') {
+        await notificationService.sendMeetingConfirmation(lead, agent, meeting, property, { rescheduled: true });
+      }
+    } catch (notificationError) {
+      console.error(`Error sending notifications for meeting ${meeting._id}:`, notificationError.message);
+    }
+  }
+
+  async refreshLead(meeting) {
+    await this.followUp(meeting, 'rescoring the lead', () => scoringService.rescoreLeadById(meeting.lead._id));
+    await this.followUp(meeting, 'refreshing lead insights', () => insightService.refreshLeadById(meeting.lead._id));
+  }
+}
+
+module.exports = new MeetingLinkService();
@@ -1,5 +1,7 @@
 const nodemailer = require('nodemailer');
 const twilio = require('twilio');
+const activityService = require('./activityService');
+const tokenService = require('./tokenService');
 
 class NotificationService {
   constructor() {
@@ -24,8 +26,10 @@ class NotificationService {
     }
   }
 
-  // Send email notification
-  async sendEmail(to, subject, html, text = null) {
+  // Send email notification.
+  // Pass activity ({ lead, agent, meeting, summary }) to log the email on the lead's timeline;
+  // it is logged as automated, so it doesn't count as contacting the lead
+  async sendEmail(to, subject, html, text = null, activity = null) {
     try {
       const mailOptions = {
         from: `"RealtyFlow" <${process.env.EMAIL_USER}>`,
@@ -37,6 +41,15 @@ class NotificationService {
 
       const result = await this.emailTransporter.sendMail(mailOptions);
       console.log('Email sent successfully:', result.messageId);
+
+      if (activity) {
+        await activityService.record('email_sent', {
+          ...activity,
+          summary: activity.summary || `Email sent: ${subject}`,
+          details: { to, subject, messageId: result.messageId, automated: true }
+        });
+      }
+
       return { success: true, messageId: result.messageId };
     } catch (error) {
       console.error('Error sending email:', error);
@@ -44,8 +57,8 @@ class NotificationService {
     }
   }
 
-  // Send SMS notification
-  async sendSMS(to, message) {
+  // Send SMS notification; activity works as in sendEmail
+  async sendSMS(to, message, activity = null) {
     // Check if SMS service is configured
     if (!this.smsClient) {
       console.log('SMS service not configured - skipping SMS notification');
@@ -60,6 +73,16 @@ class NotificationService {
       });
 
       console.log('SMS sent successfully:', result.sid);
+
+      if (activity) {
+        await activityService.record('sms_sent', {
+          ...activity,
+          summary: activity.summary || 'SMS sent',
+          body: message,
+          details: { to, messageId: result.sid, automated: true }
+        });
+      }
+
       return { success: true, messageId: result.sid };
     } catch (error) {
       console.error('Error sending SMS:', error);
@@ -68,12 +91,35 @@ class NotificationService {
   }
 
   // Send meeting confirmation email
-  async sendMeetingConfirmation(lead, agent, meeting, property) {
-    const subject = `Meeting Confirmed: Property Viewing - ${property.address}`;
+  // Signed links a lead uses to view, reschedule or cancel a meeting, opened in the frontend
+  // at MEETING_LINK_URL. Null when links can't be signed (e.g. JWT_SECRET is not set)
+  meetingLinks(meeting) {
+    let token;
+    try {
+      token = encodeURIComponent(tokenService.signMeetingToken(meeting));
+    } catch (error) {
+      console.error('Could not sign meeting links:', error.message);
+      return null;
+    }
+
+    const baseUrl = (process.env.MEETING_LINK_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/booking/manage`).replace(/\/$/, '');
+    return {
+      view: `${baseUrl}?token=${token}`,
+      reschedule: `${baseUrl}?token=${token}&action=reschedule`,
+      cancel: `${baseUrl}?token=${token}&action=cancel`
+    };
+  }
+
+  // Also sent after a lead reschedules, with { rescheduled: true }, so they get fresh links
+  async sendMeetingConfirmation(lead, agent, meeting, property, { rescheduled = false } = {}) {
+    const subject = rescheduled
+      ? `Meeting Rescheduled: Property Viewing - ${property.address}`
+      : `Meeting Confirmed: Property Viewing - ${property.address}`;
+    const links = this.meetingLinks(meeting);
 
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #2563eb;">Meeting Confirmed!</h2>
+        <h2 style="color: #2563eb;">${rescheduled ? 'Meeting Rescheduled' : 'Meeting Confirmed!'}</h2>
 
         <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3>Property Viewing Details</h3>
@@ -93,9 +139,18 @@ class NotificationService {
           </ul>
         </div>
 
+        ${links ? `
+        <p>
+          <a href="${links.view}" style="color: #2563eb;">View your booking</a> &middot;
+          <a href="${links.reschedule}" style="color: #2563eb;">Reschedule</a> &middot;
+          <a href="${links.cancel}" style="color: #dc2626;">Cancel</a>
+        </p>
+        <p style="color: #6b7280; font-size: 14px;">
+          These links are personal to you and work until your viewing starts. For anything else, please contact your agent directly.
+        </p>` : `
         <p style="color: #6b7280; font-size: 14px;">
           If you need to reschedule or have questions, please contact your agent directly.
-        </p>
+        </p>`}
 
         <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
         <p style="color: #9ca3af; font-size: 12px;">
@@ -104,19 +159,35 @@ class NotificationService {
       </div>
     `;
 
-    return await this.sendEmail(lead.email, subject, html);
+    return await this.sendEmail(lead.email, subject, html, null, {
+      lead,
+      agent,
+      meeting,
+      summary: rescheduled ? 'Rescheduled meeting confirmation email sent' : 'Meeting confirmation email sent'
+    });
+  }
+
+  // "30 minutes", "24 hours", "3 days"; a reminder running a minute late still reads "24 hours"
+  formatMinutes(minutes) {
+    const [count, unit] = minutes < 120
+      ? [Math.round(minutes), 'minute']
+      : minutes < 72 * 60
+        ? [Math.round(minutes / 60), 'hour']
+        : [Math.round(minutes / (24 * 60)), 'day'];
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
   }
 
   // Send meeting reminder email
   async sendMeetingReminder(lead, agent, meeting, property, minutesUntil = 30) {
-    const subject = `Reminder: Property Viewing in ${minutesUntil} minutes`;
+    const startsIn = this.formatMinutes(minutesUntil);
+    const subject = `Reminder: Property Viewing in ${startsIn}`;
 
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #dc2626;">Meeting Reminder</h2>
 
         <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3>Your property viewing starts in ${minutesUntil} minutes!</h3>
+          <h3>Your property viewing starts in ${startsIn}!</h3>
           <p><strong>Property:</strong> ${property.address}</p>
           <p><strong>Time:</strong> ${meeting.dateTime.toLocaleString()}</p>
           <p><strong>Agent:</strong> ${agent.name}</p>
@@ -131,15 +202,26 @@ class NotificationService {
       </div>
     `;
 
-    return await this.sendEmail(lead.email, subject, html);
+    return await this.sendEmail(lead.email, subject, html, null, {
+      lead,
+      agent,
+      meeting,
+      summary: `Meeting reminder email sent (${startsIn} before)`
+    });
   }
 
   // Send SMS reminder
   async sendSMSReminder(lead, meeting, property, minutesUntil = 30) {
-    const message = `Reminder: Your property viewing at ${property.address} starts in ${minutesUntil} minutes (${meeting.dateTime.toLocaleString()}). RealtyFlow`;
+    const startsIn = this.formatMinutes(minutesUntil);
+    const message = `Reminder: Your property viewing at ${property.address} starts in ${startsIn} (${meeting.dateTime.toLocaleString()}). RealtyFlow`;
 
     if (lead.phone) {
-      return await this.sendSMS(lead.phone, message);
+      return await this.sendSMS(lead.phone, message, {
+        lead,
+        agent: meeting.agent,
+        meeting,
+        summary: `Meeting reminder SMS sent (${startsIn} before)`
+      });
     }
   }
 
@@ -180,6 +262,104 @@ class NotificationService {
     return await this.sendEmail(agent.email, subject, html);
   }
 
+  // Tell an agent that a lead rescheduled or cancelled a meeting through their links.
+  // The lead's details and reason come from the public booking pages, so they are escaped
+  async notifyAgentOfMeetingChange(agent, lead, meeting, property, { previousDateTime, reason } = {}) {
+    const cancelled = meeting.status === 'Cancelled';
+    const subject = cancelled
+      ? `Meeting Cancelled: ${lead.name} - ${property.address}`
+      : `Meeting Rescheduled: ${lead.name} - ${property.address}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${cancelled ? '#dc2626' : '#2563eb'};">${cancelled ? 'Meeting Cancelled' : 'Meeting Rescheduled'}</h2>
+
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Client:</strong> ${this.escapeHtml(lead.name)}</p>
+          <p><strong>Email:</strong> ${this.escapeHtml(lead.email)}</p>
+          ${lead.phone ? `<p><strong>Phone:</strong> ${this.escapeHtml(lead.phone)}</p>` : ''}
+          <p><strong>Property:</strong> ${property.address}</p>
+          ${cancelled
+            ? `<p><strong>Date & Time:</strong> ${meeting.dateTime.toLocaleString()}</p>`
+            : `<p><strong>New Date & Time:</strong> ${meeting.dateTime.toLocaleString()}</p>
+          ${previousDateTime ? `<p><strong>Previously:</strong> ${new Date(previousDateTime).toLocaleString()}</p>` : ''}`}
+          ${reason ? `<p><strong>Reason:</strong> ${this.escapeHtml(reason)}</p>` : ''}
+        </div>
+
+        <p>${cancelled ? 'The event has been removed from your Google Calendar.' : 'Your Google Calendar event has been moved.'}</p>
+
+        <p style="color: #9ca3af; font-size: 12px;">
+          RealtyFlow - Automated Meeting Management
+        </p>
+      </div>
+    `;
+
+    return await this.sendEmail(agent.email, subject, html);
+  }
+
+  // Warn an agent or admin that a new lead has gone uncontacted past its response time
+  async sendSlaBreachNotice(to, lead, breach) {
+    const minutesWaiting = Math.round((Date.now() - new Date(lead.createdAt).getTime()) / 60000);
+    const subject = `Lead waiting for contact: ${lead.name}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc2626;">Lead Response Overdue</h2>
+
+        <div style="background-color: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Client:</strong> ${this.escapeHtml(lead.name)}</p>
+          <p><strong>Email:</strong> ${this.escapeHtml(lead.email)}</p>
+          ${lead.phone ? `<p><strong>Phone:</strong> ${this.escapeHtml(lead.phone)}</p>` : ''}
+          <p><strong>Source:</strong> ${this.escapeHtml(lead.source)}</p>
+          <p><strong>Waiting:</strong> ${minutesWaiting} minutes (target ${breach.targetMinutes} minutes)</p>
+        </div>
+
+        <p>Please contact this lead as soon as possible.</p>
+
+        <p style="color: #9ca3af; font-size: 12px;">
+          RealtyFlow - Lead Response Tracking
+        </p>
+      </div>
+    `;
+
+    return await this.sendEmail(to, subject, html);
+  }
+
+  // Tell a lead about a property matching one of their saved searches
+  async sendPropertyMatch(lead, property, search, previousPrice = null) {
+    const priceDropped = previousPrice !== null && property.price < previousPrice;
+    const subject = priceDropped
+      ? `Price Reduced: ${property.address}`
+      : `New Property Match: ${property.address}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">${priceDropped ? 'A Property You May Like Just Got Cheaper' : 'A New Property Matches Your Search'}</h2>
+
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Property:</strong> ${property.address}</p>
+          <p><strong>Price:</strong> $${property.price.toLocaleString()}${priceDropped ? ` (was $${previousPrice.toLocaleString()})` : ''}</p>
+          <p><strong>Type:</strong> ${property.propertyType}</p>
+          ${property.bedrooms !== undefined ? `<p><strong>Bedrooms:</strong> ${property.bedrooms}</p>` : ''}
+          ${property.bathrooms !== undefined ? `<p><strong>Bathrooms:</strong> ${property.bathrooms}</p>` : ''}
+        </div>
+
+        <p>This property matches your saved search "${search.name}". Reply to your agent to arrange a viewing.</p>
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+        <p style="color: #9ca3af; font-size: 12px;">
+          This is an automated message from RealtyFlow. Please do not reply to this email.
+        </p>
+      </div>
+    `;
+
+    return await this.sendEmail(lead.email, subject, html, null, {
+      lead,
+      agent: lead.agent,
+      summary: `Saved search match sent: ${property.address}`
+    });
+  }
+
   // Send bulk notifications (for reminders, etc.)
   async sendBulkReminders(reminders) {
     const results = [];
@@ -223,6 +403,16 @@ class NotificationService {
     return results;
   }
 
+  // Make text safe to place in an email body
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   // Strip HTML for text version
   stripHtml(html) {
     return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
@@ -0,0 +1,103 @@
+const Pipeline = require('../models/Pipeline');
+const { loadDefaultSettings } = require('../utils/settings');
+
+// Stages used until a pipeline has been configured, and seeded by the migration
+const DEFAULT_STAGES = [
+  { name: 'New', order: 0, color: '#3b82f6', outcome: 'open' },
+  { name: 'Contacted', order: 1, color: '#8b5cf6', outcome: 'open' },
+  { name: 'Nurturing', order: 2, color: '#f59e0b', outcome: 'open' },
+  { name: 'Qualified', order: 3, color: '#06b6d4', outcome: 'open' },
+  { name: 'Showing Scheduled', order: 4, color: '#6366f1', outcome: 'open' },
+  { name: 'Offer Made', order: 5, color: '#ec4899', outcome: 'open' },
+  { name: 'Closed Won', order: 6, color: '#10b981', outcome: 'won' },
+  { name: 'Closed Lost', order: 7, color: '#ef4444', outcome: 'lost' }
+];
+
+// Plain stage objects sorted by order
+const toStages = (stages) => stages
+  .map(stage => ({
+    name: stage.name,
+    order: stage.order,
+    color: stage.color,
+    outcome: stage.outcome || 'open',
+    allowedTransitions: [...(stage.allowedTransitions || [])]
+  }))
+  .sort((a, b) => a.order - b.order);
+
+// Holds the active pipeline's stages in memory so status validation stays synchronous
+class PipelineService {
+  constructor() {
+    this.stages = toStages(DEFAULT_STAGES);
+    this.pipelineId = null;
+  }
+
+  get defaultStages() {
+    return toStages(DEFAULT_STAGES);
+  }
+
+  // Refresh the cache from the default pipeline; keeps the current stages on failure
+  async load() {
+    const pipeline = await loadDefaultSettings(Pipeline, 'pipeline stages');
+    if (pipeline) {
+      this.setStages(pipeline.stages, pipeline._id);
+    }
+    return this.stages;
+  }
+
+  setStages(stages, pipelineId = null) {
+    this.stages = toStages(stages);
+    this.pipelineId = pipelineId;
+  }
+
+  getStages() {
+    return this.stages;
+  }
+
+  getStageNames() {
+    return this.stages.map(stage => stage.name);
+  }
+
+  getStage(name) {
+    return this.stages.find(stage => stage.name === name) || null;
+  }
+
+  isValidStage(name) {
+    return Boolean(this.getStage(name));
+  }
+
+  // Stage new leads start in
+  initialStage() {
+    const open = this.stages.find(stage => stage.outcome === 'open');
+    return (open || this.stages[0]).name;
+  }
+
+  isClosed(name) {
+    const stage = this.getStage(name);
+    return Boolean(stage && stage.outcome !== 'open');
+  }
+
+  // Returns { allowed, reason }
+  canTransition(from, to) {
+    const target = this.getStage(to);
+    if (!target) {
+      return { allowed: false, reason: `${to} is not a valid pipeline stage` };
+    }
+
+    // Unknown or missing current stage (e.g. legacy data) may move anywhere
+    const current = this.getStage(from);
+    if (!current || from === to || current.allowedTransitions.length === 0) {
+      return { allowed: true };
+    }
+
+    if (!current.allowedTransitions.includes(to)) {
+      return {
+        allowed: false,
+        reason: `Cannot move from ${from} to ${to}. Allowed: ${current.allowedTransitions.join(', ')}`
+      };
+    }
+
+    return { allowed: true };
+  }
+}
+
+module.exports = new PipelineService();
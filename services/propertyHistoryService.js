@@ -0,0 +1,76 @@
+const PropertyHistory = require('../models/PropertyHistory');
+
+// Accept either a populated document or a bare id
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Keeps the price and status history behind a property's days on market and price changes
+class PropertyHistoryService {
+  // Listing date fields to set alongside a status change. A property leaving 'Available'
+  // goes off market; coming back from 'Sold' or 'Off Market' starts a new listing, while
+  // a fallen-through 'Pending' sale resumes the old one
+  statusUpdates(from, to, now = new Date()) {
+    if (from === to) return {};
+
+    const updates = { status: to, statusChangedAt: now };
+    if (to === 'Available') {
+      updates.offMarketAt = null;
+      if (from !== 'Pending') updates.listedAt = now;
+    } else if (from === 'Available') {
+      updates.offMarketAt = now;
+    }
+    return updates;
+  }
+
+  // [{ field, from, to }] for tracked fields that differ between before and the property.
+  // Fields missing from before are skipped; without before, the listing values are
+  // recorded with an empty from
+  changesFor(property, before = null) {
+    const changes = [];
+    for (const field of PropertyHistory.TRACKED_FIELDS) {
+      const from = before ? before[field] : null;
+      const to = property[field];
+      if (to === undefined || from === undefined || (before && from === to)) continue;
+      changes.push({ field, from, to });
+    }
+    return changes;
+  }
+
+  // Record how a property changed from before; failures are logged and never break the
+  // caller. Returns the entries written
+  async recordChanges(property, before = null, { actor } = {}) {
+    const changes = this.changesFor(property, before);
+    if (changes.length === 0) return [];
+
+    try {
+      return await PropertyHistory.insertMany(changes.map(change => ({
+        ...change,
+        property: property._id,
+        actor: idOf(actor)
+      })));
+    } catch (error) {
+      console.error(`Failed to record history for property ${property._id}:`, error.message);
+      return [];
+    }
+  }
+
+  // Paginated history for a property, newest first
+  async getHistory(propertyId, { fields, page = 1, limit = 20 } = {}) {
+    const filter = { property: propertyId };
+    if (fields && fields.length > 0) filter.field = { $in: fields };
+
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      PropertyHistory.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email'),
+      PropertyHistory.countDocuments(filter)
+    ]);
+
+    return { entries, total };
+  }
+}
+
+module.exports = new PropertyHistoryService();
@@ -0,0 +1,207 @@
+const Property = require('../models/Property');
+
+// Numeric query parameters
+const NUMBER_PARAMS = [
+  'minPrice', 'maxPrice',
+  'minBedrooms', 'minBathrooms',
+  'minSqft', 'maxSqft',
+  'minYearBuilt', 'maxYearBuilt',
+  'minPricePerSqft', 'maxPricePerSqft'
+];
+
+const SORT_FIELDS = ['relevance', 'price', 'pricePerSqft', 'sqft', 'bedrooms', 'yearBuilt', 'createdAt'];
+
+// Price facet bucket boundaries; anything above the last goes in 'Other'
+const PRICE_BOUNDARIES = [0, 100000, 250000, 500000, 750000, 1000000, 2000000];
+
+// Most feature values returned in the features facet
+const FEATURE_FACET_LIMIT = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const list = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Adds { $gte, $lte } for whichever bounds are set
+const range = (min, max) => {
+  const condition = {};
+  if (min !== undefined) condition.$gte = min;
+  if (max !== undefined) condition.$lte = max;
+  return Object.keys(condition).length > 0 ? condition : null;
+};
+
+// Full-text and faceted property search in a single aggregation.
+// pricePerSqft is computed in the pipeline so it can be filtered and sorted on.
+class PropertySearchService {
+  // Validate query parameters. Returns { criteria } or { errors }
+  parseQuery(query = {}) {
+    const criteria = {};
+    const errors = [];
+
+    if (query.q && String(query.q).trim()) criteria.text = String(query.q).trim();
+
+    for (const param of NUMBER_PARAMS) {
+      if (query[param] === undefined || query[param] === '') continue;
+      const value = Number(query[param]);
+      if (isNaN(value) || value < 0) {
+        errors.push(`${param} must be a non-negative number`);
+      } else {
+        criteria[param] = value;
+      }
+    }
+
+    const statuses = Property.schema.path('status').enumValues;
+    const types = Property.schema.path('propertyType').enumValues;
+    for (const [param, allowed] of [['status', statuses], ['propertyType', types]]) {
+      if (!query[param]) continue;
+      const values = list(query[param]);
+      const unknown = values.filter(value => !allowed.includes(value));
+      if (unknown.length > 0) {
+        errors.push(`Unknown ${param}: ${unknown.join(', ')}`);
+      } else {
+        criteria[param] = values;
+      }
+    }
+
+    if (query.features) criteria.features = list(query.features);
+
+    for (const [min, max] of [['minPrice', 'maxPrice'], ['minSqft', 'maxSqft'], ['minYearBuilt', 'maxYearBuilt'], ['minPricePerSqft', 'maxPricePerSqft']]) {
+      if (criteria[min] !== undefined && criteria[max] !== undefined && criteria[min] > criteria[max]) {
+        errors.push(`${min} cannot be greater than ${max}`);
+      }
+    }
+
+    const sortBy = query.sortBy || (criteria.text ? 'relevance' : 'createdAt');
+    if (!SORT_FIELDS.includes(sortBy)) {
+      errors.push(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`);
+    } else if (sortBy === 'relevance' && !criteria.text) {
+      errors.push('Sorting by relevance needs a search query (q)');
+    }
+    criteria.sortBy = sortBy;
+    criteria.sortOrder = query.sortOrder === 'asc' ? 'asc' : 'desc';
+
+    criteria.page = Math.max(1, parseInt(query.page) || 1);
+    criteria.limit = Math.min(100, Math.max(1, parseInt(query.limit) || 10));
+
+    return errors.length > 0 ? { errors } : { criteria };
+  }
+
+  // Stages narrowing properties to the criteria, ending with pricePerSqft available
+  buildMatchStages(criteria) {
+    // $text has to sit in the first stage of the pipeline
+    const match = {};
+    if (criteria.text) match.$text = { $search: criteria.text };
+    if (criteria.status) match.status = { $in: criteria.status };
+    if (criteria.propertyType) match.propertyType = { $in: criteria.propertyType };
+
+    const price = range(criteria.minPrice, criteria.maxPrice);
+    if (price) match.price = price;
+    const sqft = range(criteria.minSqft, criteria.maxSqft);
+    if (sqft) match.sqft = sqft;
+    const yearBuilt = range(criteria.minYearBuilt, criteria.maxYearBuilt);
+    if (yearBuilt) match.yearBuilt = yearBuilt;
+
+    if (criteria.minBedrooms !== undefined) match.bedrooms = { $gte: criteria.minBedrooms };
+    if (criteria.minBathrooms !== undefined) match.bathrooms = { $gte: criteria.minBathrooms };
+
+    // Contains all, ignoring case
+    if (criteria.features && criteria.features.length > 0) {
+      match.features = { $all: criteria.features.map(feature => new RegExp(`^${escapeRegex(feature)}$`, 'i')) };
+    }
+
+    const stages = [
+      { $match: match },
+      {
+        $addFields: {
+          pricePerSqft: {
+            $cond: [
+              { $gt: ['$sqft', 0] },
+              { $round: [{ $divide: ['$price', '$sqft'] }, 2] },
+              null
+            ]
+          },
+          ...(criteria.text ? { relevance: { $meta: 'textScore' } } : {})
+        }
+      }
+    ];
+
+    const pricePerSqft = range(criteria.minPricePerSqft, criteria.maxPricePerSqft);
+    if (pricePerSqft) stages.push({ $match: { pricePerSqft } });
+
+    return stages;
+  }
+
+  // Counts for building filter UIs, over the properties matching every filter
+  buildFacets() {
+    return {
+      propertyType: [{ $sortByCount: '$propertyType' }],
+      status: [{ $sortByCount: '$status' }],
+      bedrooms: [{ $match: { bedrooms: { $ne: null } } }, { $sortByCount: '$bedrooms' }],
+      bathrooms: [{ $match: { bathrooms: { $ne: null } } }, { $sortByCount: '$bathrooms' }],
+      features: [
+        { $unwind: '$features' },
+        { $sortByCount: { $toLower: '$features' } },
+        { $limit: FEATURE_FACET_LIMIT }
+      ],
+      price: [{ $bucket: { groupBy: '$price', boundaries: PRICE_BOUNDARIES, default: 'Other', output: { count: { $sum: 1 } } } }],
+      ranges: [{
+        $group: {
+          _id: null,
+          minPrice: { $min: '$price' },
+          maxPrice: { $max: '$price' },
+          minSqft: { $min: '$sqft' },
+          maxSqft: { $max: '$sqft' },
+          minYearBuilt: { $min: '$yearBuilt' },
+          maxYearBuilt: { $max: '$yearBuilt' },
+          minPricePerSqft: { $min: '$pricePerSqft' },
+          maxPricePerSqft: { $max: '$pricePerSqft' }
+        }
+      }, { $project: { _id: 0 } }]
+    };
+  }
+
+  buildPipeline(criteria) {
+    const direction = criteria.sortOrder === 'asc' ? 1 : -1;
+    const sort = criteria.sortBy === 'relevance'
+      ? { relevance: -1, _id: 1 }
+      : { [criteria.sortBy]: direction, _id: 1 };
+
+    return [
+      ...this.buildMatchStages(criteria),
+      {
+        $facet: {
+          results: [
+            { $sort: sort },
+            { $skip: (criteria.page - 1) * criteria.limit },
+            { $limit: criteria.limit },
+            { $addFields: { id: '$_id' } },
+            { $project: { __v: 0 } }
+          ],
+          total: [{ $count: 'count' }],
+          ...this.buildFacets()
+        }
+      }
+    ];
+  }
+
+  // Returns { properties, total, facets }
+  async search(criteria) {
+    const [result] = await Property.aggregate(this.buildPipeline(criteria));
+
+    const { results, total, ranges, ...counts } = result;
+    const facets = {};
+    for (const [name, buckets] of Object.entries(counts)) {
+      facets[name] = buckets.map(({ _id, count }) => ({ value: _id, count }));
+    }
+    facets.ranges = ranges[0] || null;
+
+    return {
+      properties: results,
+      total: total.length > 0 ? total[0].count : 0,
+      facets
+    };
+  }
+}
+
+module.exports = new PropertySearchService();
@@ -0,0 +1,262 @@
+const Meeting = require('../models/Meeting');
+const ReminderJob = require('../models/ReminderJob');
+const notificationService = require('./notificationService');
+const { runEvery } = require('../utils/scheduler');
+
+const MINUTE_MS = 60 * 1000;
+
+// 24 hours and 30 minutes before, unless REMINDER_OFFSETS_MINUTES says otherwise
+const DEFAULT_OFFSETS = [24 * 60, 30];
+
+// Sends a failed email is retried before the reminder is given up on
+const MAX_ATTEMPTS = 3;
+const RETRY_MINUTES = 5;
+
+// A job left 'sending' this long was interrupted (e.g. by a restart). It may already have
+// gone out, so it is marked failed rather than sent again
+const STALE_SENDING_MINUTES = 10;
+
+// Most reminders sent per scheduler run
+const BATCH_SIZE = 50;
+
+const MEETING_POPULATE = [
+  { path: 'lead', select: 'name email phone' },
+  { path: 'agent', select: 'name email phone' },
+  { path: 'property', select: 'address' }
+];
+
+// Queues email and SMS reminders for scheduled meetings and sends them when due. Jobs live in
+// MongoDB, so reminders survive restarts; call scheduleForMeeting whenever a meeting is
+// created or changed and cancelForMeeting when it is deleted.
+class ReminderService {
+  constructor() {
+    this.scheduler = null;
+  }
+
+  // Minutes before a meeting that reminders go out, e.g. REMINDER_OFFSETS_MINUTES=1440,30
+  get offsets() {
+    const configured = String(process.env.REMINDER_OFFSETS_MINUTES || '')
+      .split(',')
+      .map(value => parseInt(value))
+      .filter(value => value > 0);
+    const offsets = configured.length > 0 ? configured : DEFAULT_OFFSETS;
+    return [...new Set(offsets)].sort((a, b) => b - a);
+  }
+
+  get checkIntervalSeconds() {
+    return parseInt(process.env.REMINDER_CHECK_INTERVAL_SECONDS) || 60;
+  }
+
+  // Bring a meeting's reminders in line with its time and status. Reminders already sent for
+  // the current meeting time are left alone; a moved meeting gets fresh ones. Never throws;
+  // returns the number of reminders queued
+  async scheduleForMeeting(meeting, now = new Date()) {
+    try {
+      if (meeting.status !== 'Scheduled') {
+        await this.cancelForMeeting(meeting._id, `Meeting ${meeting.status.toLowerCase()}`);
+        return 0;
+      }
+
+      const meetingTime = new Date(meeting.dateTime);
+      const offsets = this.offsets;
+
+      await ReminderJob.updateMany(
+        { meeting: meeting._id, status: 'pending', offsetMinutes: { $nin: offsets } },
+        { status: 'cancelled', cancelReason: 'Reminder offset no longer configured' }
+      );
+
+      let queued = 0;
+      for (const offsetMinutes of offsets) {
+        const runAt = new Date(meetingTime.getTime() - offsetMinutes * MINUTE_MS);
+        const filter = { meeting: meeting._id, offsetMinutes };
+
+        // Too late for this one; drop a pending job left from an earlier meeting time
+        if (runAt <= now) {
+          await ReminderJob.updateMany(
+            { ...filter, status: 'pending' },
+            { status: 'cancelled', cancelReason: 'Meeting is closer than the reminder offset' }
+          );
+          continue;
+        }
+
+        try {
+          await ReminderJob.updateOne(
+            {
+              ...filter,
+              $or: [
+                { status: 'cancelled' },
+                { meetingTime: { $ne: meetingTime } }
+              ]
+            },
+            {
+              $set: { meetingTime, runAt, status: 'pending', attempts: 0 },
+              $unset: { lockedAt: '', sentAt: '', email: '', sms: '', lastError: '', cancelReason: '' }
+            },
+            { upsert: true }
+          );
+          queued += 1;
+        } catch (error) {
+          // Already queued, sent or failed for this meeting time
+          if (error.code !== 11000) throw error;
+        }
+      }
+
+      return queued;
+    } catch (error) {
+      console.error(`Failed to schedule reminders for meeting ${meeting._id}:`, error.message);
+      return 0;
+    }
+  }
+
+  // Cancel a meeting's pending reminders. Never throws; returns the number cancelled
+  async cancelForMeeting(meetingId, reason = 'Meeting cancelled') {
+    try {
+      const result = await ReminderJob.updateMany(
+        { meeting: meetingId, status: 'pending' },
+        { status: 'cancelled', cancelReason: reason }
+      );
+      return result.modifiedCount || 0;
+    } catch (error) {
+      console.error(`Failed to cancel reminders for meeting ${meetingId}:`, error.message);
+      return 0;
+    }
+  }
+
+  // Queue reminders for upcoming meetings that have none yet, e.g. booked before reminders
+  // were switched on. Returns the number of reminders queued
+  async backfill(now = new Date()) {
+    const meetings = await Meeting.find({ status: 'Scheduled', dateTime: { $gt: now } }).select('dateTime status');
+    let queued = 0;
+    for (const meeting of meetings) {
+      queued += await this.scheduleForMeeting(meeting, now);
+    }
+    return queued;
+  }
+
+  // Claim the next due reminder so no other run sends it too
+  claimNext(now = new Date()) {
+    return ReminderJob.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: now } },
+      { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Record how a claimed job ended, unless the meeting was rescheduled meanwhile
+  finish(job, updates) {
+    return ReminderJob.updateOne({ _id: job._id, status: 'sending' }, updates);
+  }
+
+  // Send one claimed reminder. Returns 'sent', 'retry', 'failed', 'cancelled' or 'rescheduled'
+  async send(job, now = new Date()) {
+    const meeting = await Meeting.findById(job.meeting).populate(MEETING_POPULATE);
+
+    const cancel = async (reason) => {
+      await this.finish(job, { status: 'cancelled', cancelReason: reason });
+      return 'cancelled';
+    };
+
+    if (!meeting) return cancel('Meeting deleted');
+    if (meeting.status !== 'Scheduled') return cancel(`Meeting ${meeting.status.toLowerCase()}`);
+    if (meeting.dateTime.getTime() !== new Date(job.meetingTime).getTime()) {
+      // Normally re-queues this job; if the new time is too close, it is dropped instead
+      await this.scheduleForMeeting(meeting, now);
+      await this.finish(job, { status: 'cancelled', cancelReason: 'Meeting moved' });
+      return 'rescheduled';
+    }
+    if (meeting.dateTime <= now) return cancel('Meeting already started');
+    if (!meeting.lead || !meeting.property) return cancel('Lead or property no longer exists');
+
+    const minutesUntil = Math.max(1, Math.round((meeting.dateTime - now) / MINUTE_MS));
+
+    try {
+      await notificationService.sendMeetingReminder(meeting.lead, meeting.agent || {}, meeting, meeting.property, minutesUntil);
+    } catch (error) {
+      const retryAt = new Date(now.getTime() + RETRY_MINUTES * job.attempts * MINUTE_MS);
+      if (job.attempts < MAX_ATTEMPTS && retryAt < meeting.dateTime) {
+        await this.finish(job, { status: 'pending', runAt: retryAt, email: 'failed', lastError: error.message });
+        return 'retry';
+      }
+      await this.finish(job, { status: 'failed', email: 'failed', lastError: error.message });
+      return 'failed';
+    }
+
+    // The email is out, so an SMS problem no longer makes the reminder worth retrying
+    let sms = 'skipped';
+    let lastError;
+    if (meeting.lead.phone) {
+      try {
+        const result = await notificationService.sendSMSReminder(meeting.lead, meeting, meeting.property, minutesUntil);
+        sms = result && result.success ? 'sent' : 'skipped';
+      } catch (error) {
+        sms = 'failed';
+        lastError = error.message;
+      }
+    }
+
+    await this.finish(job, {
+      $set: { status: 'sent', sentAt: now, email: 'sent', sms, ...(lastError ? { lastError } : {}) },
+      ...(lastError ? {} : { $unset: { lastError: '' } })
+    });
+    return 'sent';
+  }
+
+  // Send every reminder that has come due. Returns counts per outcome
+  async runDue(now = new Date()) {
+    const summary = { sent: 0, retry: 0, failed: 0, cancelled: 0, rescheduled: 0 };
+
+    const stale = await ReminderJob.updateMany(
+      { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_SENDING_MINUTES * MINUTE_MS) } },
+      { status: 'failed', lastError: 'Interrupted while sending; not retried in case it went out' }
+    );
+    summary.failed += stale.modifiedCount || 0;
+
+    for (let count = 0; count < BATCH_SIZE; count++) {
+      const job = await this.claimNext(now);
+      if (!job) break;
+
+      try {
+        summary[await this.send(job, now)] += 1;
+      } catch (error) {
+        console.error(`Failed to send reminder ${job._id}:`, error.message);
+        await this.finish(job, { status: 'failed', lastError: error.message });
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  // A meeting's reminders, soonest first
+  getJobs(meetingId) {
+    return ReminderJob.find({ meeting: meetingId }).sort({ runAt: 1 });
+  }
+
+  startScheduler() {
+    if (this.scheduler) return;
+
+    this.scheduler = runEvery('Meeting reminder run', this.checkIntervalSeconds * 1000, async () => {
+      const summary = await this.runDue();
+      if (summary.sent || summary.failed || summary.retry) {
+        console.log(`Meeting reminders: ${summary.sent} sent, ${summary.retry} to retry, ${summary.failed} failed`);
+      }
+    });
+
+    // Catch up on meetings booked while reminders weren't being queued
+    this.backfill()
+      .then(queued => {
+        if (queued) console.log(`Meeting reminders: queued ${queued} for upcoming meetings`);
+      })
+      .catch(error => console.error('Meeting reminder backfill failed:', error.message))
+      .finally(this.scheduler.tick);
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      this.scheduler.stop();
+      this.scheduler = null;
+    }
+  }
+}
+
+module.exports = new ReminderService();
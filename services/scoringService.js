@@ -0,0 +1,227 @@
+const Lead = require('../models/Lead');
+const Meeting = require('../models/Meeting');
+const Property = require('../models/Property');
+const Activity = require('../models/Activity');
+const ScoringRules = require('../models/ScoringRules');
+const { loadDefaultSettings } = require('../utils/settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rules used until an admin saves their own
+const DEFAULT_RULES = {
+  budgetMatch: { weight: 25, belowPercent: 30, abovePercent: 10, targetMatches: 3 },
+  timeline: {
+    weight: 20,
+    // Word-bounded, so "don't know" isn't read as "now" or "11 months" as "1 month"
+    keywords: [
+      { pattern: '\\b(asap|immediate(ly)?|urgent|now|0-3 months|30 days|1 month)\\b', value: 1 },
+      { pattern: '\\b(3-6 months|few months|this season)\\b', value: 0.7 },
+      { pattern: '\\b(6-12 months|this year|next year)\\b', value: 0.4 },
+      { pattern: "\\b(just looking|browsing|not sure|don'?t know|someday)\\b|\\b12\\+", value: 0.1 }
+    ],
+    defaultValue: 0.3
+  },
+  sourceQuality: {
+    weight: 15,
+    values: { Referral: 1, Website: 0.7, Zillow: 0.6, 'Realtor.com': 0.6, Organic: 0.5, Other: 0.3 },
+    defaultValue: 0.4
+  },
+  meetingAttendance: { weight: 20, completedValue: 1, scheduledValue: 0.6, missedPenalty: 0.4 },
+  recency: { weight: 10, halfLifeDays: 14 },
+  activity: { weight: 10, windowDays: 30, saturation: 10 },
+  priorityThresholds: { hot: 80, high: 60, medium: 35 }
+};
+
+const RULE_KEYS = Object.keys(DEFAULT_RULES);
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+// Stored rules over the defaults, one rule group at a time
+const mergeRules = (stored = {}) => {
+  const rules = {};
+  for (const key of RULE_KEYS) {
+    const value = stored[key] && typeof stored[key].toObject === 'function' ? stored[key].toObject() : stored[key];
+    rules[key] = { ...DEFAULT_RULES[key], ...(value || {}) };
+  }
+
+  // Maps come back from mongoose as Map instances
+  if (rules.sourceQuality.values instanceof Map) {
+    rules.sourceQuality.values = Object.fromEntries(rules.sourceQuality.values);
+  }
+  return rules;
+};
+
+// Computes Lead.score, Lead.priority and Lead.engagementScore from configurable rules
+class ScoringService {
+  constructor() {
+    this.rules = mergeRules();
+  }
+
+  get defaultRules() {
+    return mergeRules();
+  }
+
+  async load() {
+    const stored = await loadDefaultSettings(ScoringRules, 'scoring rules');
+    if (stored) this.rules = mergeRules(stored.toObject());
+    return this.rules;
+  }
+
+  setRules(stored) {
+    this.rules = mergeRules(stored);
+  }
+
+  // Each rule's 0..1 value for a lead, given the signals gathered for it
+  evaluate(lead, signals, rules = this.rules) {
+    const values = {};
+
+    values.budgetMatch = lead.budget
+      ? clamp(signals.matchingProperties / rules.budgetMatch.targetMatches)
+      : 0;
+
+    const timeline = (lead.timeline || '').toString();
+    const keyword = timeline && rules.timeline.keywords.find(entry => new RegExp(entry.pattern, 'i').test(timeline));
+    values.timeline = keyword ? keyword.value : (timeline ? rules.timeline.defaultValue : 0);
+
+    const sourceValue = rules.sourceQuality.values[lead.source];
+    values.sourceQuality = sourceValue !== undefined ? sourceValue : rules.sourceQuality.defaultValue;
+
+    const { completed = 0, scheduled = 0, missed = 0 } = signals.meetings || {};
+    const attendance = rules.meetingAttendance;
+    values.meetingAttendance = clamp(
+      Math.min(1, completed * attendance.completedValue + scheduled * attendance.scheduledValue) -
+      missed * attendance.missedPenalty
+    );
+
+    const lastContacted = lead.lastContacted ? new Date(lead.lastContacted) : null;
+    const daysSinceContact = lastContacted ? Math.max(0, (signals.now - lastContacted) / DAY_MS) : null;
+    values.recency = daysSinceContact === null ? 0 : Math.pow(0.5, daysSinceContact / rules.recency.halfLifeDays);
+
+    values.activity = clamp(signals.recentActivities / rules.activity.saturation);
+
+    return values;
+  }
+
+  priorityFor(score, rules = this.rules) {
+    const { hot, high, medium } = rules.priorityThresholds;
+    if (score >= hot) return 'hot';
+    if (score >= high) return 'high';
+    if (score >= medium) return 'medium';
+    return 'low';
+  }
+
+  // Returns { score, priority, engagementScore, breakdown }
+  computeScore(lead, signals, rules = this.rules) {
+    const values = this.evaluate(lead, signals, rules);
+
+    let totalWeight = 0;
+    let weighted = 0;
+    const breakdown = {};
+
+    for (const [key, value] of Object.entries(values)) {
+      const weight = rules[key].weight;
+      totalWeight += weight;
+      weighted += weight * value;
+      breakdown[key] = { value: Math.round(value * 100) / 100, weight, points: Math.round(weight * value * 10) / 10 };
+    }
+
+    const score = totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0;
+
+    // Engagement only looks at how the lead has interacted with us
+    const engagementScore = Math.round(
+      ((values.meetingAttendance + values.recency + values.activity) / 3) * 100
+    );
+
+    return { score, priority: this.priorityFor(score, rules), engagementScore, breakdown };
+  }
+
+  // Database lookups the rules depend on
+  async gatherSignals(lead, rules = this.rules) {
+    const now = new Date();
+    const signals = { now, matchingProperties: 0, meetings: {}, recentActivities: 0 };
+
+    const [meetingCounts, recentActivities] = await Promise.all([
+      Meeting.aggregate([
+        { $match: { lead: lead._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Activity.countDocuments({
+        lead: lead._id,
+        createdAt: { $gte: new Date(now.getTime() - rules.activity.windowDays * DAY_MS) }
+      })
+    ]);
+
+    for (const { _id: status, count } of meetingCounts) {
+      signals.meetings[(status || '').toLowerCase()] = count;
+    }
+    signals.recentActivities = recentActivities;
+
+    if (lead.budget) {
+      const filter = {
+        status: 'Available',
+        price: {
+          $gte: Math.round(lead.budget * (1 - rules.budgetMatch.belowPercent / 100)),
+          $lte: Math.round(lead.budget * (1 + rules.budgetMatch.abovePercent / 100))
+        }
+      };
+      const propertyTypes = Property.schema.path('propertyType').enumValues;
+      if (propertyTypes.includes(lead.preferredPropertyType)) {
+        filter.propertyType = lead.preferredPropertyType;
+      }
+      signals.matchingProperties = await Property.countDocuments(filter);
+    }
+
+    return signals;
+  }
+
+  // Recalculate and store a lead's scores, copying the new values onto the document.
+  // Never throws; returns the result or null
+  async rescoreLead(lead) {
+    try {
+      const signals = await this.gatherSignals(lead);
+      const result = this.computeScore(lead, signals);
+      const { score, priority, engagementScore } = result;
+
+      // updateOne skips the save hooks and leaves updatedAt alone
+      await Lead.updateOne({ _id: lead._id }, { score, priority, engagementScore }, { timestamps: false });
+
+      if (typeof lead.set === 'function') {
+        lead.set({ score, priority, engagementScore });
+      } else {
+        Object.assign(lead, { score, priority, engagementScore });
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Failed to score lead ${lead._id}:`, error.message);
+      return null;
+    }
+  }
+
+  // For callers holding only an id, e.g. a meeting's lead reference
+  async rescoreLeadById(leadId) {
+    try {
+      const lead = await Lead.findById(leadId && leadId._id ? leadId._id : leadId);
+      return lead ? this.rescoreLead(lead) : null;
+    } catch (error) {
+      console.error(`Failed to score lead ${leadId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Rescore every lead, one at a time to keep memory flat. Returns { scored, failed }
+  async rescoreAll() {
+    const summary = { scored: 0, failed: 0 };
+    const cursor = Lead.find({}).select('budget preferredPropertyType timeline source lastContacted status').cursor();
+
+    for await (const lead of cursor) {
+      const result = await this.rescoreLead(lead);
+      if (result) summary.scored += 1;
+      else summary.failed += 1;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new ScoringService();
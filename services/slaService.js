@@ -0,0 +1,361 @@
+const Lead = require('../models/Lead');
+const Agent = require('../models/Agent');
+const User = require('../models/User');
+const SlaConfig = require('../models/SlaConfig');
+const SlaBreach = require('../models/SlaBreach');
+const pipelineService = require('./pipelineService');
+const assignmentService = require('./assignmentService');
+const socketService = require('./socketService');
+const notificationService = require('./notificationService');
+const { loadDefaultSettings } = require('../utils/settings');
+const { runEvery } = require('../utils/scheduler');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Used until an admin saves a configuration
+const DEFAULT_CONFIG = {
+  enabled: true,
+  defaultMinutes: 60,
+  sources: [
+    { source: 'Zillow', minutes: 5 },
+    { source: 'Realtor.com', minutes: 5 },
+    { source: 'Website', minutes: 15 }
+  ],
+  escalation: [
+    { action: 'notifyAgent', afterMinutes: 0 },
+    { action: 'emailAgent', afterMinutes: 15 },
+    { action: 'reassign', afterMinutes: 30 },
+    { action: 'notifyAdmins', afterMinutes: 60 }
+  ],
+  maxAgeHours: 72
+};
+
+const toConfig = (stored = {}) => ({
+  enabled: stored.enabled !== undefined ? stored.enabled : DEFAULT_CONFIG.enabled,
+  defaultMinutes: stored.defaultMinutes || DEFAULT_CONFIG.defaultMinutes,
+  sources: (stored.sources || DEFAULT_CONFIG.sources).map(({ source, minutes }) => ({ source, minutes })),
+  escalation: (stored.escalation || DEFAULT_CONFIG.escalation)
+    .map(({ action, afterMinutes }) => ({ action, afterMinutes })),
+  maxAgeHours: stored.maxAgeHours || DEFAULT_CONFIG.maxAgeHours
+});
+
+// A lead counts as contacted once lastContacted moves past its creation time. Only outreach
+// by an agent moves it (see activityService); inbound submissions and automated emails don't.
+// Webhook leads created before that were stamped with lastContacted on arrival, which is not
+// a contact.
+const UNCONTACTED = {
+  $or: [
+    { lastContacted: null },
+    { $expr: { $lte: ['$lastContacted', '$createdAt'] } }
+  ]
+};
+
+const LEAD_FIELDS = 'name email phone source sourceSystem agent status createdAt lastContacted';
+
+// Tracks response times for new leads. A background check opens a breach for each lead left
+// uncontacted in the first pipeline stage past its source's target, runs the configured
+// escalation steps, and resolves the breach once the lead is contacted or moved on.
+class SlaService {
+  constructor() {
+    this.config = toConfig();
+    this.scheduler = null;
+  }
+
+  // Seconds between background checks
+  get checkIntervalSeconds() {
+    return parseInt(process.env.SLA_CHECK_INTERVAL_SECONDS) || 60;
+  }
+
+  async load() {
+    const stored = await loadDefaultSettings(SlaConfig, 'SLA config');
+    if (stored) this.config = toConfig(stored);
+    return this.config;
+  }
+
+  setConfig(stored) {
+    this.config = toConfig(stored);
+  }
+
+  // Response time for a lead, from its source or the default
+  targetMinutesFor(lead, config = this.config) {
+    const entry = config.sources.find(({ source }) =>
+      [lead.source, lead.sourceSystem].filter(Boolean).includes(source)
+    );
+    return entry ? entry.minutes : config.defaultMinutes;
+  }
+
+  isContacted(lead) {
+    return Boolean(lead.lastContacted) && new Date(lead.lastContacted) > new Date(lead.createdAt);
+  }
+
+  // Open a breach for every tracked lead past its deadline. Returns the new breaches
+  async findNewBreaches(now = new Date()) {
+    const config = this.config;
+    const shortest = Math.min(config.defaultMinutes, ...config.sources.map(entry => entry.minutes));
+
+    const leads = await Lead.find({
+      status: pipelineService.initialStage(),
+      createdAt: {
+        $gte: new Date(now.getTime() - config.maxAgeHours * HOUR_MS),
+        $lte: new Date(now.getTime() - shortest * MINUTE_MS)
+      },
+      ...UNCONTACTED
+    }).select(LEAD_FIELDS);
+
+    if (leads.length === 0) return [];
+
+    const tracked = new Set(
+      (await SlaBreach.find({ lead: { $in: leads.map(lead => lead._id) } }).distinct('lead'))
+        .map(id => id.toString())
+    );
+
+    const breaches = [];
+    for (const lead of leads) {
+      if (tracked.has(lead._id.toString())) continue;
+
+      const targetMinutes = this.targetMinutesFor(lead, config);
+      const dueAt = new Date(new Date(lead.createdAt).getTime() + targetMinutes * MINUTE_MS);
+      if (dueAt > now) continue;
+
+      try {
+        const breach = await SlaBreach.create({
+          lead: lead._id,
+          source: lead.source,
+          agent: lead.agent,
+          targetMinutes,
+          dueAt
+        });
+        breaches.push(breach);
+      } catch (error) {
+        // Another check got there first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return breaches;
+  }
+
+  // Close breaches whose lead has been contacted, moved on or deleted.
+  // Returns the breaches still open, each with its lead attached
+  async resolveOpen(now = new Date()) {
+    const breaches = await SlaBreach.find({ status: 'open' });
+    if (breaches.length === 0) return { open: [], resolved: 0 };
+
+    const leads = await Lead.find({ _id: { $in: breaches.map(breach => breach.lead) } }).select(LEAD_FIELDS);
+    const leadsById = new Map(leads.map(lead => [lead._id.toString(), lead]));
+
+    const open = [];
+    let resolved = 0;
+
+    for (const breach of breaches) {
+      const lead = leadsById.get(breach.lead.toString());
+
+      let resolution = null;
+      if (!lead) resolution = 'lead_deleted';
+      else if (this.isContacted(lead)) resolution = 'contacted';
+      else if (lead.status !== pipelineService.initialStage()) resolution = 'stage_changed';
+
+      if (!resolution) {
+        open.push({ breach, lead });
+        continue;
+      }
+
+      const resolvedAt = resolution === 'contacted' ? new Date(lead.lastContacted) : now;
+      breach.status = 'resolved';
+      breach.resolution = resolution;
+      breach.resolvedAt = resolvedAt;
+      if (lead) {
+        breach.responseMinutes = Math.round((resolvedAt - new Date(lead.createdAt)) / MINUTE_MS);
+      }
+      await breach.save();
+      resolved += 1;
+    }
+
+    return { open, resolved };
+  }
+
+  // Run every escalation step that has come due since the last check.
+  // Returns the number of steps run
+  async escalate(breach, lead, now = new Date()) {
+    const overdueMinutes = (now - new Date(breach.dueAt)) / MINUTE_MS;
+    const steps = this.config.escalation;
+    let ran = 0;
+
+    while (breach.escalations.length < steps.length && steps[breach.escalations.length].afterMinutes <= overdueMinutes) {
+      const { action } = steps[breach.escalations.length];
+
+      let outcome;
+      try {
+        outcome = await this.runAction(action, breach, lead);
+      } catch (error) {
+        outcome = { result: 'failed', detail: error.message };
+      }
+
+      breach.escalations.push({ action, at: now, ...outcome });
+      ran += 1;
+    }
+
+    if (ran > 0) await breach.save();
+    return ran;
+  }
+
+  // Returns { result, detail, agent }
+  async runAction(action, breach, lead) {
+    const waitingMinutes = Math.round((Date.now() - new Date(lead.createdAt).getTime()) / MINUTE_MS);
+    const notification = {
+      type: 'sla_breach',
+      title: 'Lead Response Overdue',
+      message: `${lead.name} from ${lead.source} has waited ${waitingMinutes} minutes without contact`,
+      data: {
+        id: lead._id,
+        breachId: breach._id,
+        name: lead.name,
+        source: lead.source,
+        targetMinutes: breach.targetMinutes,
+        dueAt: breach.dueAt
+      },
+      timestamp: new Date()
+    };
+
+    switch (action) {
+      case 'notifyAgent': {
+        if (!lead.agent) return { result: 'skipped', detail: 'Lead has no agent' };
+
+        const delivered = socketService.notifyUser(lead.agent.toString(), 'slaBreach', notification);
+        return delivered
+          ? { result: 'sent', agent: lead.agent }
+          : { result: 'skipped', detail: 'Agent not connected', agent: lead.agent };
+      }
+
+      case 'emailAgent': {
+        const agent = lead.agent ? await Agent.findById(lead.agent).select('name email') : null;
+        if (!agent) return { result: 'skipped', detail: 'Lead has no agent' };
+
+        await notificationService.sendSlaBreachNotice(agent.email, lead, breach);
+        return { result: 'sent', agent: agent._id };
+      }
+
+      case 'reassign': {
+        const { agent } = await assignmentService.selectAgent(lead, { exclude: [lead.agent] });
+        if (!agent) return { result: 'skipped', detail: 'No other agent available' };
+
+        await Lead.updateOne({ _id: lead._id }, { agent: agent._id });
+        await Agent.updateOne({ _id: agent._id }, { lastAssignedAt: new Date() });
+        lead.agent = agent._id;
+
+        socketService.notifyUser(agent._id.toString(), 'slaBreach', {
+          ...notification,
+          title: 'Overdue Lead Reassigned to You'
+        });
+
+        return { result: 'sent', detail: `Reassigned to ${agent.name}`, agent: agent._id };
+      }
+
+      case 'notifyAdmins': {
+        socketService.notifyUserType('admin', 'slaBreach', notification);
+
+        const admins = await User.find({ role: 'admin', isActive: true }).select('email');
+        const emails = await Promise.allSettled(
+          admins.map(admin => notificationService.sendSlaBreachNotice(admin.email, lead, breach))
+        );
+        const failed = emails.filter(email => email.status === 'rejected').length;
+
+        return {
+          result: 'sent',
+          detail: `Emailed ${admins.length - failed} of ${admins.length} admin(s)`
+        };
+      }
+
+      default:
+        return { result: 'skipped', detail: `Unknown action ${action}` };
+    }
+  }
+
+  // One pass of the background check. Returns { breached, escalated, resolved }
+  async check(now = new Date()) {
+    const { open, resolved } = await this.resolveOpen(now);
+    const summary = { breached: 0, escalated: 0, resolved };
+
+    // Existing breaches still close out while tracking is switched off
+    if (!this.config.enabled) return summary;
+
+    const breaches = await this.findNewBreaches(now);
+    summary.breached = breaches.length;
+
+    if (breaches.length > 0) {
+      const leads = await Lead.find({ _id: { $in: breaches.map(breach => breach.lead) } }).select(LEAD_FIELDS);
+      const leadsById = new Map(leads.map(lead => [lead._id.toString(), lead]));
+      for (const breach of breaches) {
+        const lead = leadsById.get(breach.lead.toString());
+        if (lead) open.push({ breach, lead });
+      }
+    }
+
+    for (const { breach, lead } of open) {
+      summary.escalated += await this.escalate(breach, lead, now);
+    }
+
+    return summary;
+  }
+
+  // Breach counts and response times per source and per agent between from and to
+  async getReport({ from, to } = {}) {
+    const match = {};
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lte = to;
+    }
+
+    const group = (key) => [
+      { $match: match },
+      {
+        $group: {
+          _id: key,
+          breaches: { $sum: 1 },
+          open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+          escalations: { $sum: { $size: '$escalations' } },
+          averageResponseMinutes: { $avg: '$responseMinutes' }
+        }
+      },
+      { $sort: { breaches: -1 } }
+    ];
+
+    const [bySource, byAgent] = await Promise.all([
+      SlaBreach.aggregate(group('$source')),
+      SlaBreach.aggregate([
+        ...group('$agent'),
+        { $lookup: { from: 'agents', localField: '_id', foreignField: '_id', as: 'agent' } },
+        { $addFields: { agent: { $arrayElemAt: ['$agent.name', 0] } } }
+      ])
+    ]);
+
+    const round = (rows) => rows.map(row => ({
+      ...row,
+      averageResponseMinutes: row.averageResponseMinutes === null ? null : Math.round(row.averageResponseMinutes)
+    }));
+
+    return { bySource: round(bySource), byAgent: round(byAgent) };
+  }
+
+  startScheduler() {
+    if (this.scheduler) return;
+
+    this.scheduler = runEvery('Lead SLA check', this.checkIntervalSeconds * 1000, async () => {
+      const { breached, escalated, resolved } = await this.check();
+      if (breached || escalated || resolved) {
+        console.log(`Lead SLA check: ${breached} breached, ${escalated} escalation(s), ${resolved} resolved`);
+      }
+    });
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      this.scheduler.stop();
+      this.scheduler = null;
+    }
+  }
+}
+
+module.exports = new SlaService();
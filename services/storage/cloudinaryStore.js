@@ -0,0 +1,45 @@
+// Production media store on Cloudinary, configured in server.js
+const cloudinary = require('cloudinary').v2;
+
+const FOLDER = 'realtyflow/properties';
+
+// Asset id inside a Cloudinary delivery URL, e.g.
+// https://res.cloudinary.com/demo/image/upload/c_limit,w_1200/v1712/realtyflow/properties/abc.jpg
+const URL_PATTERN = /\/(?:image|video)\/upload\/(?:.*?\/)?v\d+\/(.+?)(?:\.[^./]+)?$/;
+
+class CloudinaryStore {
+  constructor() {
+    this.name = 'cloudinary';
+  }
+
+  async upload(filePath, { publicId } = {}) {
+    const result = await cloudinary.uploader.upload(filePath, {
+      folder: FOLDER,
+      resource_type: 'auto', // Auto-detect image/video
+      public_id: publicId,
+      transformation: [
+        { width: 1200, height: 800, crop: 'limit' }, // Resize for web
+        { quality: 'auto' } // Auto quality optimization
+      ]
+    });
+    return { url: result.secure_url, publicId: result.public_id };
+  }
+
+  // Assets that are already gone count as deleted
+  async destroy(publicId, { resourceType = 'image' } = {}) {
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      invalidate: true
+    });
+    if (result && (result.result === 'ok' || result.result === 'not found')) return true;
+    throw new Error(`Cloudinary refused to delete ${publicId}: ${result && result.result}`);
+  }
+
+  // For items stored before their public_id was kept
+  publicIdFromUrl(url) {
+    const match = String(url || '').match(URL_PATTERN);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+}
+
+module.exports = new CloudinaryStore();
@@ -0,0 +1,34 @@
+const cloudinaryStore = require('./cloudinaryStore');
+const localStore = require('./localStore');
+
+// Media stores keyed by name; each exposes
+// upload(filePath, { publicId, resourceType }) resolving to { url, publicId }, and
+// destroy(publicId, { resourceType }) resolving to true once the file is gone
+const stores = new Map([
+  ['cloudinary', cloudinaryStore],
+  ['local', localStore]
+]);
+
+// Register (or replace) a store, e.g. one backed by object storage
+const registerStore = (name, store) => {
+  if (!store || typeof store.upload !== 'function' || typeof store.destroy !== 'function') {
+    throw new Error('Media store must implement upload(filePath, options) and destroy(publicId, options)');
+  }
+  stores.set(name, store);
+};
+
+// Store by name. Unknown names throw rather than quietly using another store, so a
+// misspelt MEDIA_STORAGE can't send development uploads to Cloudinary
+const getStore = (name) => {
+  const store = stores.get(name);
+  if (!store) {
+    throw new Error(`Unknown media store "${name}" (expected one of: ${[...stores.keys()].join(', ')})`);
+  }
+  return store;
+};
+
+module.exports = {
+  registerStore,
+  getStore,
+  defaultStore: cloudinaryStore
+};
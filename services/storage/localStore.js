@@ -0,0 +1,42 @@
+// Media store on local disk, for development and tests. Files are written to
+// MEDIA_LOCAL_DIR (default uploads/media, which server.js serves under /uploads/media)
+// and linked through MEDIA_LOCAL_URL (default /uploads/media).
+const fs = require('fs');
+const path = require('path');
+
+class LocalStore {
+  constructor() {
+    this.name = 'local';
+  }
+
+  get directory() {
+    return process.env.MEDIA_LOCAL_DIR || path.join(__dirname, '../../uploads/media');
+  }
+
+  get baseUrl() {
+    return (process.env.MEDIA_LOCAL_URL || '/uploads/media').replace(/\/$/, '');
+  }
+
+  // Public ids are plain file names, keeping the source extension
+  fileFor(publicId) {
+    return path.join(this.directory, path.basename(publicId));
+  }
+
+  async upload(filePath, { publicId } = {}) {
+    const name = path.basename(`${publicId || path.basename(filePath, path.extname(filePath))}${path.extname(filePath)}`);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.copyFile(filePath, this.fileFor(name));
+    return { url: `${this.baseUrl}/${encodeURIComponent(name)}`, publicId: name };
+  }
+
+  async destroy(publicId) {
+    try {
+      await fs.promises.unlink(this.fileFor(publicId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return true;
+  }
+}
+
+module.exports = new LocalStore();
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Issues and verifies access tokens (JWT), opaque refresh tokens and the signed links
+// leads use to manage a booked meeting
+class TokenService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  }
+
+  // Secret is read lazily so tests and scripts can set it after require
+  get secret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return secret;
+  }
+
+  // Create a signed access token for a user
+  signAccessToken(user) {
+    return jwt.sign(
+      {
+        sub: user._id.toString(),
+        role: user.role,
+        agent: user.agent ? user.agent.toString() : undefined
+      },
+      this.secret,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  // Verify an access token and return its payload (throws if invalid or expired)
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.secret);
+  }
+
+  // Meeting links are signed with their own key, so they can never pass as access tokens
+  get meetingLinkSecret() {
+    return process.env.MEETING_LINK_SECRET ||
+      crypto.createHmac('sha256', this.secret).update('meeting-links').digest('hex');
+  }
+
+  // Token for a lead's reschedule/cancel links. It expires when the meeting starts and is
+  // tied to the meeting's current time, so links from before a reschedule stop working
+  signMeetingToken(meeting) {
+    const dateTime = new Date(meeting.dateTime);
+    return jwt.sign(
+      { sub: meeting._id.toString(), at: dateTime.getTime() },
+      this.meetingLinkSecret,
+      { expiresIn: Math.max(1, Math.floor((dateTime.getTime() - Date.now()) / 1000)) }
+    );
+  }
+
+  // Verify a meeting token and return its payload (throws if invalid or expired)
+  verifyMeetingToken(token) {
+    return jwt.verify(token, this.meetingLinkSecret);
+  }
+
+  // Create a random refresh token; only its hash is persisted
+  generateRefreshToken() {
+    const token = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    return { token, tokenHash: this.hashToken(token), expiresAt };
+  }
+
+  // Hash a refresh token for storage and lookup
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new TokenService();
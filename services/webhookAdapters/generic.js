@@ -0,0 +1,25 @@
+const {
+  normalizeSource,
+  normalizePropertyType,
+  normalizePhone,
+  parseBudget,
+  joinName
+} = require('../../utils/normalize');
+
+// Generic form post: our own field names plus the common alternatives form builders use
+const toLead = (payload, { defaultSource = 'Other' } = {}) => ({
+  name: payload.name || payload.fullName || joinName(payload.firstName, payload.lastName),
+  email: payload.email || payload.emailAddress,
+  phone: normalizePhone(payload.phone || payload.phoneNumber || payload.mobile),
+  source: normalizeSource(payload.source, defaultSource),
+  budget: parseBudget(payload.budget || payload.maxPrice),
+  zipCode: payload.zipCode || payload.zip || payload.postalCode,
+  preferredPropertyType: normalizePropertyType(payload.preferredPropertyType || payload.propertyType),
+  timeline: payload.timeline || payload.timeframe,
+  notes: payload.notes || payload.message || payload.comments,
+  externalId: payload.externalId || payload.id,
+  propertyId: payload.propertyId,
+  preferredDateTime: payload.preferredDateTime
+});
+
+module.exports = { name: 'generic', toLead };
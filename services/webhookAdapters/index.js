@@ -0,0 +1,38 @@
+const generic = require('./generic');
+const zillow = require('./zillow');
+const rea = require('./rea');
+const zapier = require('./zapier');
+
+// Adapters keyed by Lead.sourceSystem; each exposes toLead(payload) returning Lead fields
+const adapters = new Map([
+  ['zillow', zillow],
+  ['REA', rea],
+  ['zapier', zapier],
+  ['website', { name: 'website', toLead: (payload) => generic.toLead(payload, { defaultSource: 'Website' }) }]
+]);
+
+// Register (or replace) the adapter for a source system
+const registerAdapter = (sourceSystem, adapter) => {
+  if (!adapter || typeof adapter.toLead !== 'function') {
+    throw new Error('Webhook adapter must implement toLead(payload)');
+  }
+  adapters.set(sourceSystem, adapter);
+};
+
+// Adapter for a source system; unknown systems use the generic form mapping
+const getAdapter = (sourceSystem) => adapters.get(sourceSystem) || generic;
+
+// Translate a native payload into Lead fields, dropping empty values
+const toLead = (sourceSystem, payload = {}) => {
+  const fields = getAdapter(sourceSystem).toLead(payload);
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+};
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  toLead
+};
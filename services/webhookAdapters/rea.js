@@ -0,0 +1,34 @@
+const {
+  normalizePropertyType,
+  normalizePhone,
+  parseBudget,
+  joinName
+} = require('../../utils/normalize');
+
+// Realtor.com / REA enquiry: `contactDetails` for the person, `listing` for the property
+const toLead = (payload) => {
+  const contact = payload.contactDetails || payload.contact || {};
+  const listing = payload.listing || {};
+
+  const requested = Array.isArray(payload.requestedInformation) && payload.requestedInformation.length > 0
+    ? `Requested: ${payload.requestedInformation.join(', ')}`
+    : null;
+  const listingNote = listing.address ? `Enquired about ${listing.address}` : null;
+
+  return {
+    name: contact.fullName || contact.name || joinName(contact.firstName, contact.lastName),
+    email: contact.email,
+    // REA enquiries use Australian national numbers (0412 345 678)
+    phone: normalizePhone(contact.phoneNumber || contact.phone, process.env.REA_PHONE_COUNTRY_CODE || '61'),
+    source: 'Realtor.com',
+    budget: parseBudget(payload.budget || listing.price || listing.priceDisplay),
+    preferredPropertyType: normalizePropertyType(listing.propertyType),
+    timeline: payload.buyingTimeframe || payload.timeline,
+    notes: [payload.comments || payload.message, requested, listingNote].filter(Boolean).join('\n') || undefined,
+    externalId: payload.enquiryId || payload.id,
+    propertyId: payload.propertyId,
+    preferredDateTime: payload.preferredDateTime
+  };
+};
+
+module.exports = { name: 'rea', toLead };
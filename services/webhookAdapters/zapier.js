@@ -0,0 +1,46 @@
+const {
+  normalizeSource,
+  normalizePropertyType,
+  normalizePhone,
+  parseBudget,
+  joinName
+} = require('../../utils/normalize');
+
+// Zapier flattens nested fields into keys like "contact__email" or "Contact Email".
+// Reduce every key to lowercase alphanumerics so "Phone_Number" and "phone number" match.
+const flattenKeys = (payload) => {
+  const flat = {};
+  for (const [key, value] of Object.entries(payload)) {
+    const simpleKey = key.toLowerCase().split('__').pop().replace(/[^a-z0-9]/g, '');
+    if (flat[simpleKey] === undefined) flat[simpleKey] = value;
+  }
+  return flat;
+};
+
+// First present value among the given (simplified) keys
+const pick = (flat, ...keys) => {
+  for (const key of keys) {
+    if (flat[key] !== undefined && flat[key] !== '') return flat[key];
+  }
+  return undefined;
+};
+
+const toLead = (payload) => {
+  const flat = flattenKeys(payload);
+
+  return {
+    name: pick(flat, 'name', 'fullname') || joinName(pick(flat, 'firstname'), pick(flat, 'lastname')),
+    email: pick(flat, 'email', 'emailaddress'),
+    phone: normalizePhone(pick(flat, 'phone', 'phonenumber', 'mobile')),
+    source: normalizeSource(pick(flat, 'source', 'leadsource'), 'Other'),
+    budget: parseBudget(pick(flat, 'budget', 'maxprice', 'pricerange')),
+    preferredPropertyType: normalizePropertyType(pick(flat, 'preferredpropertytype', 'propertytype')),
+    timeline: pick(flat, 'timeline', 'timeframe'),
+    notes: pick(flat, 'notes', 'message', 'comments'),
+    externalId: pick(flat, 'externalid', 'id', 'leadid'),
+    propertyId: pick(flat, 'propertyid'),
+    preferredDateTime: pick(flat, 'preferreddatetime')
+  };
+};
+
+module.exports = { name: 'zapier', toLead };
@@ -0,0 +1,31 @@
+const {
+  normalizePropertyType,
+  normalizePhone,
+  parseBudget,
+  joinName
+} = require('../../utils/normalize');
+
+// Zillow lead feed: contact details nested under `contact`, listing under `listing`
+const toLead = (payload) => {
+  const contact = payload.contact || payload.contactInfo || {};
+  const listing = payload.listing || payload.property || {};
+
+  const listingNote = listing.address ? `Enquired about ${listing.address}${listing.zpid ? ` (zpid ${listing.zpid})` : ''}` : null;
+
+  return {
+    name: contact.name || joinName(contact.firstName, contact.lastName),
+    email: contact.email,
+    phone: normalizePhone(contact.phone),
+    source: 'Zillow',
+    // Buyers rarely state a budget; the listing price is the best signal we get
+    budget: parseBudget(payload.budget || listing.price),
+    preferredPropertyType: normalizePropertyType(listing.propertyType || listing.homeType),
+    timeline: payload.timeFrame || payload.timeline,
+    notes: [payload.message, listingNote].filter(Boolean).join('\n') || undefined,
+    externalId: payload.leadId || payload.id,
+    propertyId: payload.propertyId,
+    preferredDateTime: payload.tourDateTime || payload.preferredDateTime
+  };
+};
+
+module.exports = { name: 'zillow', toLead };
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const Lead = require('../models/Lead');
+const WebhookNonce = require('../models/WebhookNonce');
+
+// HMAC verification and replay protection for inbound lead webhooks.
+//
+// Senders sign `${timestamp}.${rawBody}` with HMAC-SHA256 using the secret for their
+// source system and send:
+//   X-Webhook-Source     one of Lead.sourceSystem (falls back to body.sourceSystem)
+//   X-Webhook-Timestamp  unix time in seconds
+//   X-Webhook-Signature  hex digest, optionally prefixed with "sha256="
+//   X-Webhook-Id         unique delivery id (falls back to body.nonce, then body.externalId,
+//                        then a digest of the raw body)
+//
+// Delivery ids are remembered for the replay window, which is kept separate from the
+// timestamp tolerance: providers retry for hours, re-signing each attempt with a fresh
+// timestamp but the same id.
+class WebhookVerifier {
+  get toleranceSeconds() {
+    return parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+  }
+
+  get replayWindowHours() {
+    return parseInt(process.env.WEBHOOK_REPLAY_WINDOW_HOURS) || 24;
+  }
+
+  get sourceSystems() {
+    return Lead.schema.path('sourceSystem').enumValues;
+  }
+
+  // Secret for a source system, e.g. WEBHOOK_SECRET_REA, falling back to WEBHOOK_SECRET
+  getSecret(sourceSystem) {
+    return process.env[`WEBHOOK_SECRET_${sourceSystem.toUpperCase()}`] || process.env.WEBHOOK_SECRET || null;
+  }
+
+  // Compute the expected signature for a payload
+  sign(secret, timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+  }
+
+  // Constant-time comparison of two hex signatures
+  signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received, 'hex');
+
+    return expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  // Delivery id for payloads that carry none: retries resend the same body
+  bodyDigest(rawBody) {
+    if (!rawBody || rawBody.length === 0) return null;
+    return `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+  }
+
+  // Check a request's signature and timestamp.
+  // Returns { valid, verified, sourceSystem, nonce, reason, statusCode }
+  verify(req) {
+    const body = req.body || {};
+    const sourceSystem = req.get('x-webhook-source') || body.sourceSystem || 'other';
+    const nonce = req.get('x-webhook-id') || body.nonce || body.externalId || this.bodyDigest(req.rawBody);
+    const result = { valid: false, verified: false, sourceSystem, nonce, reason: null, statusCode: 401 };
+
+    if (!this.sourceSystems.includes(sourceSystem)) {
+      return { ...result, statusCode: 400, reason: `Unknown source system: ${sourceSystem}` };
+    }
+
+    const secret = this.getSecret(sourceSystem);
+    if (!secret) {
+      // Unsigned deliveries are only tolerated outside production
+      if (process.env.NODE_ENV === 'production') {
+        return { ...result, reason: `No webhook secret configured for ${sourceSystem}` };
+      }
+      return { ...result, valid: true, statusCode: 200, reason: 'Signature not checked (no secret configured)' };
+    }
+
+    const signatureHeader = req.get('x-webhook-signature') || '';
+    const signature = signatureHeader.replace(/^sha256=/, '');
+    const timestamp = req.get('x-webhook-timestamp');
+
+    if (!signature || !timestamp) {
+      return { ...result, reason: 'Missing webhook signature or timestamp' };
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (!Number.isFinite(timestampSeconds) ||
+        Math.abs(Date.now() / 1000 - timestampSeconds) > this.toleranceSeconds) {
+      return { ...result, reason: 'Webhook timestamp outside tolerance window' };
+    }
+
+    if (!req.rawBody) {
+      return { ...result, statusCode: 400, reason: 'Raw request body unavailable for verification' };
+    }
+
+    const expected = this.sign(secret, timestamp, req.rawBody.toString('utf8'));
+    if (!/^[0-9a-f]+$/i.test(signature) || !this.signaturesMatch(expected, signature)) {
+      return { ...result, reason: 'Invalid webhook signature' };
+    }
+
+    return { ...result, valid: true, verified: true, statusCode: 200 };
+  }
+
+  // Record a delivery id; returns false if it was already seen within the replay window
+  async claimNonce(sourceSystem, nonce) {
+    if (!nonce) return true;
+
+    try {
+      await WebhookNonce.create({
+        sourceSystem,
+        nonce: String(nonce),
+        expiresAt: new Date(Date.now() + this.replayWindowHours * 60 * 60 * 1000)
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  // Forget a claimed delivery id so a failed delivery can be retried
+  async releaseNonce(sourceSystem, nonce) {
+    if (!nonce) return;
+    await WebhookNonce.deleteOne({ sourceSystem, nonce: String(nonce) });
+  }
+}
+
+module.exports = new WebhookVerifier();
@@ -0,0 +1,110 @@
+jest.mock('../../models/User', () => ({
+  findById: jest.fn()
+}));
+
+const User = require('../../models/User');
+const tokenService = require('../../services/tokenService');
+const { authMiddleware, authorize } = require('../../middleware/auth');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockUser = {
+  _id: '507f1f77bcf86cd799439011',
+  role: 'agent',
+  agent: '507f1f77bcf86cd799439022',
+  isActive: true
+};
+
+describe('Auth Middleware', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('authMiddleware', () => {
+    it('should reject requests without a bearer token', async () => {
+      const req = { headers: {} };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid token', async () => {
+      const req = { headers: { authorization: 'Bearer not-a-token' } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].message).toContain('invalid token');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should attach the user for a valid token', async () => {
+      User.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(mockUser) });
+      const token = tokenService.signAccessToken(mockUser);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authMiddleware(req, res, next);
+
+      expect(User.findById).toHaveBeenCalledWith(mockUser._id);
+      expect(req.user).toBe(mockUser);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject tokens for inactive users', async () => {
+      User.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ ...mockUser, isActive: false })
+      });
+      const token = tokenService.signAccessToken(mockUser);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authorize', () => {
+    it('should allow permitted roles', () => {
+      const next = jest.fn();
+      authorize('admin', 'agent')({ user: mockUser }, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should forbid agent accounts without a linked agent', () => {
+      const res = mockResponse();
+      const next = jest.fn();
+      authorize('admin', 'agent')({ user: { ...mockUser, agent: null } }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].message).toBe('Your account is not linked to an agent profile');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should forbid other roles', () => {
+      const res = mockResponse();
+      const next = jest.fn();
+      authorize('admin')({ user: { role: 'agent' } }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
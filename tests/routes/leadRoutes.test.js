@@ -8,15 +8,80 @@ jest.mock('../../config/database', () => jest.fn());
 jest.mock('../../models/Lead', () => ({
   find: jest.fn(),
   findById: jest.fn(),
+  findOne: jest.fn(),
   create: jest.fn(),
   findByIdAndUpdate: jest.fn(),
   countDocuments: jest.fn(),
   getLeadsByStatus: jest.fn(),
   deleteMany: jest.fn(),
-  insertMany: jest.fn()
+  insertMany: jest.fn(),
+  updateOne: jest.fn()
 }));
 
+jest.mock('../../models/Activity', () => ({
+  TYPES: ['status_change', 'note', 'call', 'email_sent', 'sms_sent', 'meeting_booked', 'meeting_completed', 'meeting_missed', 'webhook_update'],
+  create: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+jest.mock('../../models/WebhookLog', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+jest.mock('../../services/scoringService', () => ({
+  rescoreLead: jest.fn(),
+  rescoreLeadById: jest.fn()
+}));
+
+jest.mock('../../services/insightService', () => ({
+  refreshLead: jest.fn(),
+  refreshLeadById: jest.fn()
+}));
+
+jest.mock('../../services/assignmentService', () => ({
+  assignLead: jest.fn()
+}));
+
+jest.mock('../../services/matchingService', () => ({
+  findMatchesForLead: jest.fn()
+}));
+
+// Authenticate every request as mockCurrentUser (an admin unless a test overrides it)
+const mockAdmin = { _id: '507f1f77bcf86cd799439099', role: 'admin' };
+let mockCurrentUser = mockAdmin;
+
+jest.mock('../../middleware/auth', () => {
+  const passThrough = (req, res, next) => next();
+  return {
+    ...jest.requireActual('../../middleware/auth'),
+    authMiddleware: (req, res, next) => {
+      req.user = mockCurrentUser;
+      next();
+    },
+    authorize: () => passThrough,
+    adminOnly: passThrough,
+    agentOrAdmin: passThrough
+  };
+});
+
 const Lead = require('../../models/Lead');
+const WebhookLog = require('../../models/WebhookLog');
+const Activity = require('../../models/Activity');
+const scoringService = require('../../services/scoringService');
+const matchingService = require('../../services/matchingService');
+
+// Chainable query mock that resolves to the given value
+const mockChain = (value) => {
+  const query = Promise.resolve(value);
+  query.populate = jest.fn().mockReturnValue(query);
+  query.select = jest.fn().mockReturnValue(query);
+  query.sort = jest.fn().mockReturnValue(query);
+  query.limit = jest.fn().mockReturnValue(query);
+  return query;
+};
 
 beforeAll(async () => {
   // Create test app
@@ -49,6 +114,7 @@ describe('Lead API Routes', () => {
         sort: jest.fn().mockReturnThis(),
         skip: jest.fn().mockReturnThis(),
         limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
         select: jest.fn().mockResolvedValue([])
       };
       Lead.find.mockReturnValue(mockQuery);
@@ -69,6 +135,7 @@ describe('Lead API Routes', () => {
         sort: jest.fn().mockReturnThis(),
         skip: jest.fn().mockReturnThis(),
         limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
         select: jest.fn().mockResolvedValue([])
       };
       Lead.find.mockReturnValue(mockQuery);
@@ -88,6 +155,7 @@ describe('Lead API Routes', () => {
     it('should return leads for valid status', async () => {
       const mockQuery = {
         sort: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
         select: jest.fn().mockResolvedValue([])
       };
       Lead.find.mockReturnValue(mockQuery);
@@ -118,7 +186,7 @@ describe('Lead API Routes', () => {
         email: 'test@example.com',
         status: 'New',
         source: 'Website',
-        assignedTo: 'Test Agent'
+        agent: '507f1f77bcf86cd799439022'
       };
 
       const mockLead = { _id: '507f1f77bcf86cd799439011', ...leadData };
@@ -133,6 +201,7 @@ describe('Lead API Routes', () => {
       expect(response.body.data).toHaveProperty('_id');
       expect(response.body.data.name).toBe(leadData.name);
       expect(Lead.create).toHaveBeenCalledWith(leadData);
+      expect(scoringService.rescoreLead).toHaveBeenCalledWith(mockLead);
     });
 
     it('should reject invalid lead data', async () => {
@@ -157,7 +226,10 @@ describe('Lead API Routes', () => {
   });
 
   describe('PATCH /api/leads/:id/status', () => {
-    it('should update lead status', async () => {
+    it('should update lead status and record the change', async () => {
+      Lead.findById.mockResolvedValue({ _id: '507f1f77bcf86cd799439011', status: 'New', agent: '507f1f77bcf86cd799439022' });
+      Activity.create.mockResolvedValue({ _id: 'activity-1' });
+
       // Mock the findByIdAndUpdate method
       const mockUpdatedLead = {
         _id: '507f1f77bcf86cd799439011',
@@ -165,9 +237,11 @@ describe('Lead API Routes', () => {
         email: 'status@example.com',
         status: 'Contacted',
         source: 'Website',
-        assignedTo: 'Test Agent'
+        agent: '507f1f77bcf86cd799439022'
       };
-      Lead.findByIdAndUpdate.mockResolvedValue(mockUpdatedLead);
+      Lead.findByIdAndUpdate.mockReturnValue(mockChain(mockUpdatedLead));
+      // Current top card of the Contacted column
+      Lead.findOne.mockReturnValue(mockChain({ _id: '507f1f77bcf86cd799439012', position: 100 }));
 
       const response = await request(server)
         .patch('/api/leads/507f1f77bcf86cd799439011/status')
@@ -178,9 +252,38 @@ describe('Lead API Routes', () => {
       expect(response.body.data.status).toBe('Contacted');
       expect(Lead.findByIdAndUpdate).toHaveBeenCalledWith(
         '507f1f77bcf86cd799439011',
-        { status: 'Contacted', lastContacted: expect.any(Date) },
+        { status: 'Contacted', position: 100 - 1024 },
+        { new: true, runValidators: true }
+      );
+      expect(Activity.create).toHaveBeenCalledWith(expect.objectContaining({
+        lead: '507f1f77bcf86cd799439011',
+        type: 'status_change',
+        details: { from: 'New', to: 'Contacted' }
+      }));
+      // Moving a card is not contact with the lead
+      expect(Lead.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should reorder a card between two neighbours in the same column', async () => {
+      Lead.findById.mockResolvedValue({ _id: '507f1f77bcf86cd799439011', status: 'New', position: 5000 });
+      Lead.find.mockReturnValue(mockChain([
+        { _id: '507f1f77bcf86cd799439012', status: 'New', position: 1024 },
+        { _id: '507f1f77bcf86cd799439013', status: 'New', position: 2048 }
+      ]));
+      Lead.findByIdAndUpdate.mockReturnValue(mockChain({ _id: '507f1f77bcf86cd799439011', status: 'New', position: 1536 }));
+
+      await request(server)
+        .patch('/api/leads/507f1f77bcf86cd799439011/status')
+        .send({ status: 'New', afterId: '507f1f77bcf86cd799439012', beforeId: '507f1f77bcf86cd799439013' })
+        .expect(200);
+
+      expect(Lead.findByIdAndUpdate).toHaveBeenCalledWith(
+        '507f1f77bcf86cd799439011',
+        { status: 'New', position: 1536 },
         { new: true, runValidators: true }
       );
+      // Reordering within a column is not a status change
+      expect(Activity.create).not.toHaveBeenCalled();
     });
 
     it('should reject invalid status update', async () => {
@@ -194,8 +297,56 @@ describe('Lead API Routes', () => {
     });
   });
 
+  describe('GET /api/leads/board', () => {
+    it('should return every stage with counts and a capped page of cards', async () => {
+      const cards = [
+        { _id: '507f1f77bcf86cd799439011', position: 1 },
+        { _id: '507f1f77bcf86cd799439012', position: 2 },
+        { _id: '507f1f77bcf86cd799439013', position: 3 }
+      ];
+      Lead.countDocuments.mockResolvedValue(3);
+      Lead.find.mockImplementation(() => mockChain(cards));
+
+      const response = await request(server)
+        .get('/api/leads/board?limit=2')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(8);
+      const [firstColumn] = response.body.data;
+      expect(firstColumn).toMatchObject({ name: 'New', count: 3 });
+      expect(firstColumn.leads).toHaveLength(2);
+      expect(firstColumn.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should load the next page of a single column from a cursor', async () => {
+      const cursor = Buffer.from(JSON.stringify({ p: 2, id: '507f1f77bcf86cd799439012' })).toString('base64url');
+      Lead.find.mockReturnValue(mockChain([{ _id: '507f1f77bcf86cd799439013', position: 3 }]));
+
+      const response = await request(server)
+        .get(`/api/leads/board?stage=New&cursor=${cursor}`)
+        .expect(200);
+
+      expect(response.body.data.nextCursor).toBeNull();
+      expect(Lead.find).toHaveBeenCalledWith({
+        status: 'New',
+        $or: [
+          { position: { $gt: 2 } },
+          { position: 2, _id: { $gt: expect.anything() } }
+        ]
+      });
+    });
+
+    it('should reject malformed cursors', async () => {
+      await request(server)
+        .get('/api/leads/board?stage=New&cursor=not-a-cursor')
+        .expect(400);
+    });
+  });
+
   describe('GET /api/leads/:id', () => {
     it('should return 404 for non-existent lead', async () => {
+      Lead.findById.mockReturnValue(mockChain(null));
+
       const response = await request(server)
         .get('/api/leads/507f1f77bcf86cd799439011')
         .expect(404);
@@ -207,7 +358,7 @@ describe('Lead API Routes', () => {
 
   describe('PUT /api/leads/:id', () => {
     it('should return 404 for non-existent lead update', async () => {
-      Lead.findByIdAndUpdate.mockResolvedValue(null);
+      Lead.findById.mockResolvedValue(null);
 
       const response = await request(server)
         .put('/api/leads/507f1f77bcf86cd799439011')
@@ -229,4 +380,166 @@ describe('Lead API Routes', () => {
       expect(response.body.message).toBe('Lead not found');
     });
   });
-});
\ No newline at end of file
+
+  describe('GET /api/leads/webhook/logs', () => {
+    it('should return filtered, paginated delivery logs', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        select: jest.fn().mockResolvedValue([{ _id: 'log1', action: 'rejected' }])
+      };
+      WebhookLog.find.mockReturnValue(mockQuery);
+      WebhookLog.countDocuments.mockResolvedValue(1);
+
+      const response = await request(server)
+        .get('/api/leads/webhook/logs?sourceSystem=zapier&action=rejected&verified=false&page=2&limit=5')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.total).toBe(1);
+      expect(WebhookLog.find).toHaveBeenCalledWith({
+        sourceSystem: 'zapier',
+        action: 'rejected',
+        'verification.verified': false
+      });
+      expect(mockQuery.skip).toHaveBeenCalledWith(5);
+    });
+  });
+
+  describe('POST /api/leads/webhook/logs/:logId/replay', () => {
+    it('should refuse to replay deliveries that failed verification', async () => {
+      WebhookLog.findById.mockResolvedValue({
+        _id: 'log1',
+        verification: { valid: false, verified: false }
+      });
+
+      const response = await request(server)
+        .post('/api/leads/webhook/logs/507f1f77bcf86cd799439012/replay')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/leads/:id/activities', () => {
+    it('should return a paginated timeline', async () => {
+      const mockActivities = [
+        { _id: 'activity-2', type: 'note', summary: 'Note added' },
+        { _id: 'activity-1', type: 'status_change', summary: 'Status changed from New to Contacted' }
+      ];
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        then: (resolve) => resolve(mockActivities)
+      };
+      Lead.findById.mockResolvedValue({ _id: '507f1f77bcf86cd799439011', agent: '507f1f77bcf86cd799439022' });
+      Activity.find.mockReturnValue(mockQuery);
+      Activity.countDocuments.mockResolvedValue(12);
+
+      const response = await request(server)
+        .get('/api/leads/507f1f77bcf86cd799439011/activities?type=note,status_change&page=2&limit=2')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.total).toBe(12);
+      expect(response.body.totalPages).toBe(6);
+      expect(Activity.find).toHaveBeenCalledWith({
+        lead: '507f1f77bcf86cd799439011',
+        type: { $in: ['note', 'status_change'] }
+      });
+      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(mockQuery.skip).toHaveBeenCalledWith(2);
+    });
+
+    it('should reject unknown activity types', async () => {
+      Lead.findById.mockResolvedValue({ _id: '507f1f77bcf86cd799439011' });
+
+      const response = await request(server)
+        .get('/api/leads/507f1f77bcf86cd799439011/activities?type=fax')
+        .expect(400);
+
+      expect(response.body.message).toContain('fax');
+    });
+  });
+
+  describe('GET /api/leads/:id/matches', () => {
+    it('should rank properties using query parameters as refinements', async () => {
+      const lead = { _id: '507f1f77bcf86cd799439011', budget: 500000 };
+      Lead.findById.mockResolvedValue(lead);
+      matchingService.findMatchesForLead.mockResolvedValue({
+        criteria: { minPrice: 350000, maxPrice: 550000, minBedrooms: 3 },
+        matches: [{ property: { address: '1 Main St' }, score: 92, reasons: ['Priced 4% under budget'] }]
+      });
+
+      const response = await request(server)
+        .get('/api/leads/507f1f77bcf86cd799439011/matches?minBedrooms=3&propertyType=House,Condo&limit=5')
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].score).toBe(92);
+      expect(matchingService.findMatchesForLead).toHaveBeenCalledWith(lead, {
+        criteria: { minBedrooms: 3, propertyTypes: ['House', 'Condo'] },
+        limit: 5
+      });
+    });
+
+    it('should reject non-numeric criteria', async () => {
+      Lead.findById.mockResolvedValue({ _id: '507f1f77bcf86cd799439011' });
+
+      const response = await request(server)
+        .get('/api/leads/507f1f77bcf86cd799439011/matches?maxPrice=lots')
+        .expect(400);
+
+      expect(response.body.message).toBe('maxPrice must be a non-negative number');
+      expect(matchingService.findMatchesForLead).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Agent scoping', () => {
+    beforeEach(() => {
+      mockCurrentUser = {
+        _id: '507f1f77bcf86cd799439098',
+        role: 'agent',
+        agent: { _id: '507f1f77bcf86cd799439022', name: 'Jane Agent' }
+      };
+    });
+
+    afterEach(() => {
+      mockCurrentUser = mockAdmin;
+    });
+
+    it('should limit GET /api/leads to the agent\'s own leads', async () => {
+      const mockQuery = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        select: jest.fn().mockResolvedValue([])
+      };
+      Lead.find.mockReturnValue(mockQuery);
+      Lead.countDocuments.mockResolvedValue(0);
+
+      await request(server)
+        .get('/api/leads?agent=507f1f77bcf86cd799439033')
+        .expect(200);
+
+      expect(Lead.find).toHaveBeenCalledWith({ agent: '507f1f77bcf86cd799439022' });
+    });
+
+    it('should forbid updating another agent\'s lead', async () => {
+      Lead.findById.mockResolvedValue({ _id: '507f1f77bcf86cd799439011', agent: '507f1f77bcf86cd799439033' });
+
+      const response = await request(server)
+        .put('/api/leads/507f1f77bcf86cd799439011')
+        .send({ name: 'Updated Name' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(Lead.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
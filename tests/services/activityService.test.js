@@ -0,0 +1,47 @@
+jest.mock('../../models/Activity', () => ({ create: jest.fn() }));
+jest.mock('../../models/Lead', () => ({ updateOne: jest.fn() }));
+
+const Activity = require('../../models/Activity');
+const Lead = require('../../models/Lead');
+const activityService = require('../../services/activityService');
+
+describe('Activity Service', () => {
+  const createdAt = new Date('2025-06-01T12:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Activity.create.mockImplementation(async (fields) => ({ ...fields, createdAt }));
+    Lead.updateOne.mockResolvedValue({});
+  });
+
+  describe('record', () => {
+    it('should mark the lead contacted for outreach by an agent', async () => {
+      await activityService.record('email_sent', { lead: 'l1', details: { to: 'a@example.com' } });
+
+      expect(Lead.updateOne).toHaveBeenCalledWith({ _id: 'l1' }, { lastContacted: createdAt });
+    });
+
+    it('should not mark the lead contacted for automated emails and texts', async () => {
+      await activityService.record('email_sent', { lead: 'l1', details: { automated: true } });
+      await activityService.record('sms_sent', { lead: 'l1', details: { automated: true } });
+
+      expect(Activity.create).toHaveBeenCalledTimes(2);
+      expect(Lead.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should not mark the lead contacted for other activity', async () => {
+      await activityService.record('status_change', { lead: 'l1' });
+
+      expect(Lead.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should return null instead of throwing when the write fails', async () => {
+      Activity.create.mockRejectedValue(new Error('down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(activityService.record('call', { lead: 'l1' })).resolves.toBeNull();
+
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+jest.mock('../../models/Agent', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../models/Lead', () => ({ aggregate: jest.fn() }));
+jest.mock('../../models/AssignmentConfig', () => ({ findOne: jest.fn() }));
+
+const Agent = require('../../models/Agent');
+const Lead = require('../../models/Lead');
+const assignmentService = require('../../services/assignmentService');
+
+const agent = (id, fields = {}) => ({
+  _id: { toString: () => id },
+  name: `Agent ${id}`,
+  territories: [],
+  specialties: [],
+  ...fields
+});
+
+// Agent.find(...).select(...) resolves to the given agents
+const mockAgents = (agents) => {
+  Agent.find.mockReturnValue({ select: jest.fn().mockResolvedValue(agents) });
+};
+
+// Open lead counts per agent id
+const mockOpenLeads = (counts = {}) => {
+  Lead.aggregate.mockResolvedValue(
+    Object.entries(counts).map(([id, count]) => ({ _id: { toString: () => id }, count }))
+  );
+};
+
+describe('Assignment Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    assignmentService.setConfig({});
+    mockOpenLeads();
+  });
+
+  describe('selectAgent', () => {
+    it('should prefer the longest matching territory', async () => {
+      mockAgents([
+        agent('a1', { territories: ['941'] }),
+        agent('a2', { territories: ['94110'] }),
+        agent('a3', { territories: ['100'] })
+      ]);
+
+      const { agent: selected, trace } = await assignmentService.selectAgent({ zipCode: '94110' });
+
+      expect(selected.name).toBe('Agent a2');
+      expect(trace.find(step => step.step === 'territory').result).toContain('Agent a2');
+    });
+
+    it('should accept a ZIP code stored as a number', async () => {
+      mockAgents([agent('a1', { territories: ['100'] }), agent('a2', { territories: ['941'] })]);
+
+      const { agent: selected } = await assignmentService.selectAgent({ zipCode: 94110 });
+
+      expect(selected.name).toBe('Agent a2');
+    });
+
+    it('should read the ZIP code from the property address when the lead has none', async () => {
+      mockAgents([agent('a1', { territories: ['100'] }), agent('a2', { territories: ['941'] })]);
+
+      const { agent: selected } = await assignmentService.selectAgent(
+        {},
+        { property: { address: '12 Valencia St, San Francisco, CA 94110' } }
+      );
+
+      expect(selected.name).toBe('Agent a2');
+    });
+
+    it('should match property type specialties case-insensitively', async () => {
+      mockAgents([agent('a1', { specialties: ['Condo'] }), agent('a2', { specialties: ['House'] })]);
+
+      const { agent: selected } = await assignmentService.selectAgent({ preferredPropertyType: 'house' });
+
+      expect(selected.name).toBe('Agent a2');
+    });
+
+    it('should route by source before other filters', async () => {
+      assignmentService.setConfig({ sourceRoutes: [{ source: 'Zillow', agents: ['a3'] }] });
+      mockAgents([
+        agent('a1', { territories: ['941'] }),
+        agent('a3', { territories: ['100'] })
+      ]);
+
+      const { agent: selected } = await assignmentService.selectAgent({ source: 'Zillow', zipCode: '94110' });
+
+      expect(selected.name).toBe('Agent a3');
+    });
+
+    it('should skip filters that match nobody', async () => {
+      mockAgents([agent('a1'), agent('a2')]);
+      mockOpenLeads({ a1: 4, a2: 1 });
+
+      const { agent: selected, trace } = await assignmentService.selectAgent({ zipCode: '94110' });
+
+      expect(selected.name).toBe('Agent a2');
+      expect(trace.find(step => step.step === 'territory').result).toMatch(/^Skipped/);
+    });
+
+    it('should pick the agent with the fewest open leads', async () => {
+      mockAgents([agent('a1'), agent('a2'), agent('a3')]);
+      mockOpenLeads({ a1: 3, a2: 5 });
+
+      const { agent: selected } = await assignmentService.selectAgent({});
+
+      expect(selected.name).toBe('Agent a3');
+    });
+
+    it('should pick the agent assigned least recently for round-robin', async () => {
+      assignmentService.setConfig({ picker: 'roundRobin' });
+      mockAgents([
+        agent('a1', { lastAssignedAt: new Date('2025-06-02') }),
+        agent('a2', { lastAssignedAt: new Date('2025-06-01') }),
+        agent('a3', { lastAssignedAt: new Date('2025-06-03') })
+      ]);
+
+      const { agent: selected } = await assignmentService.selectAgent({});
+
+      expect(selected.name).toBe('Agent a2');
+    });
+
+    it('should skip agents at capacity', async () => {
+      mockAgents([agent('a1', { maxOpenLeads: 2 }), agent('a2')]);
+      mockOpenLeads({ a1: 2, a2: 10 });
+
+      const { agent: selected } = await assignmentService.selectAgent({});
+
+      expect(selected.name).toBe('Agent a2');
+    });
+
+    it('should return no agent when none are active', async () => {
+      mockAgents([]);
+
+      const { agent: selected } = await assignmentService.selectAgent({});
+
+      expect(selected).toBeNull();
+    });
+  });
+
+  describe('assignLead', () => {
+    it('should assign and save a lead without an agent', async () => {
+      mockAgents([agent('a1')]);
+      const lead = { _id: 'lead1', save: jest.fn() };
+
+      const selected = await assignmentService.assignLead(lead);
+
+      expect(selected.name).toBe('Agent a1');
+      expect(lead.agent).toBe(selected._id);
+      expect(lead.save).toHaveBeenCalled();
+      expect(Agent.updateOne).toHaveBeenCalledWith(
+        { _id: selected._id },
+        { lastAssignedAt: expect.any(Date) },
+        { session: undefined }
+      );
+    });
+
+    it('should leave leads that already have an agent alone', async () => {
+      const lead = { _id: 'lead1', agent: 'a9', save: jest.fn() };
+
+      const selected = await assignmentService.assignLead(lead);
+
+      expect(selected).toBeNull();
+      expect(Agent.find).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when assignment is disabled', async () => {
+      assignmentService.setConfig({ enabled: false });
+      const lead = { _id: 'lead1', save: jest.fn() };
+
+      expect(await assignmentService.assignLead(lead)).toBeNull();
+      expect(lead.agent).toBeUndefined();
+    });
+
+    it('should not throw when the lookup fails', async () => {
+      Agent.find.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('db down')) });
+      const lead = { _id: 'lead1', save: jest.fn() };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await assignmentService.assignLead(lead)).toBeNull();
+
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../../models/Meeting', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../models/CalendarSyncJob', () => ({ find: jest.fn(), updateOne: jest.fn(), deleteOne: jest.fn() }));
+jest.mock('../../services/googleCalendar', () => ({
+  createEvent: jest.fn(),
+  updateEvent: jest.fn(),
+  deleteEvent: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Meeting = require('../../models/Meeting');
+const CalendarSyncJob = require('../../models/CalendarSyncJob');
+const googleCalendar = require('../../services/googleCalendar');
+const calendarSyncService = require('../../services/calendarSyncService');
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date('2025-06-01T12:00:00Z');
+const agentId = new mongoose.Types.ObjectId();
+const otherAgentId = new mongoose.Types.ObjectId();
+
+const meetingFor = (overrides = {}) => ({
+  _id: 'm1',
+  status: 'Scheduled',
+  dateTime: new Date('2025-06-03T15:00:00Z'),
+  lead: { name: 'Jane', email: 'jane@example.com' },
+  agent: { _id: agentId, name: 'Alex', email: 'alex@example.com', timezone: 'America/Chicago', meetingDuration: 45, googleCalendarId: 'primary' },
+  property: { address: '12 Main St' },
+  ...overrides
+});
+
+const populated = (meeting) => ({ populate: jest.fn().mockResolvedValue(meeting) });
+
+describe('Calendar Sync Service', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    Meeting.updateOne.mockResolvedValue({});
+    CalendarSyncJob.updateOne.mockResolvedValue({});
+    CalendarSyncJob.deleteOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  describe('syncMeeting', () => {
+    it('should create an event for a scheduled meeting and store its ID and link', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor()));
+      googleCalendar.createEvent.mockResolvedValue({ eventId: 'evt-1', htmlLink: 'https://calendar/evt-1' });
+
+      await expect(calendarSyncService.syncMeeting('m1')).resolves.toBe(true);
+
+      const [calendarAgent, details] = googleCalendar.createEvent.mock.calls[0];
+      expect(calendarAgent).toBe(agentId);
+      expect(details).toMatchObject({ title: 'Property Viewing - 12 Main St', timezone: 'America/Chicago' });
+      expect(details.end - details.start).toBe(45 * MINUTE_MS);
+      expect(Meeting.updateOne).toHaveBeenCalledWith(
+        { _id: 'm1' },
+        { $set: { calendarEventId: 'evt-1', calendarHtmlLink: 'https://calendar/evt-1', calendarAgent: agentId }, $unset: { calendarFlag: '' } }
+      );
+      expect(CalendarSyncJob.deleteOne).toHaveBeenCalledWith({ meeting: 'm1' });
+    });
+
+    it('should update an existing event and label finished meetings', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor({ status: 'Completed', calendarEventId: 'evt-1', calendarAgent: agentId })));
+      googleCalendar.updateEvent.mockResolvedValue({ eventId: 'evt-1', htmlLink: 'https://calendar/evt-1' });
+
+      await calendarSyncService.syncMeeting('m1');
+
+      expect(googleCalendar.updateEvent).toHaveBeenCalledWith(agentId, 'evt-1', expect.objectContaining({
+        title: 'Property Viewing - 12 Main St (Completed)'
+      }));
+      expect(googleCalendar.createEvent).not.toHaveBeenCalled();
+    });
+
+    it('should remove the event of a cancelled meeting', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor({ status: 'Cancelled', calendarEventId: 'evt-1', calendarAgent: agentId })));
+
+      await calendarSyncService.syncMeeting('m1');
+
+      expect(googleCalendar.deleteEvent).toHaveBeenCalledWith(agentId, 'evt-1');
+      expect(Meeting.updateOne).toHaveBeenCalledWith(
+        { _id: 'm1' },
+        { $unset: { calendarEventId: '', calendarHtmlLink: '', calendarAgent: '', calendarFlag: '' } }
+      );
+      expect(googleCalendar.createEvent).not.toHaveBeenCalled();
+    });
+
+    it('should move the event to the new agent after a reassignment', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor({ calendarEventId: 'evt-1', calendarAgent: otherAgentId })));
+      googleCalendar.createEvent.mockResolvedValue({ eventId: 'evt-2', htmlLink: 'https://calendar/evt-2' });
+
+      await calendarSyncService.syncMeeting('m1');
+
+      expect(googleCalendar.deleteEvent).toHaveBeenCalledWith(otherAgentId, 'evt-1');
+      expect(googleCalendar.createEvent.mock.calls[0][0]).toBe(agentId);
+    });
+
+    it('should recreate a scheduled meeting\'s event deleted from the calendar', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor({ calendarEventId: 'evt-1', calendarAgent: agentId })));
+      googleCalendar.updateEvent.mockRejectedValue(Object.assign(new Error('Failed to update calendar event'), { code: 404 }));
+      googleCalendar.createEvent.mockResolvedValue({ eventId: 'evt-2', htmlLink: 'https://calendar/evt-2' });
+
+      await expect(calendarSyncService.syncMeeting('m1')).resolves.toBe(true);
+      expect(googleCalendar.createEvent).toHaveBeenCalled();
+    });
+
+    it('should leave meetings of agents without a calendar alone', async () => {
+      const meeting = meetingFor();
+      meeting.agent.googleCalendarId = undefined;
+      Meeting.findById.mockReturnValue(populated(meeting));
+
+      await expect(calendarSyncService.syncMeeting('m1')).resolves.toBe(true);
+      expect(googleCalendar.createEvent).not.toHaveBeenCalled();
+    });
+
+    it('should record a failure for retry', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor()));
+      googleCalendar.createEvent.mockRejectedValue(
+        Object.assign(new Error('Failed to create calendar event'), { cause: new Error('Rate limit exceeded') })
+      );
+
+      await expect(calendarSyncService.syncMeeting('m1', { now })).resolves.toBe(false);
+
+      const [filter, update, options] = CalendarSyncJob.updateOne.mock.calls[0];
+      expect(filter).toEqual({ meeting: 'm1' });
+      expect(update.$set).toEqual({
+        action: 'sync',
+        attempts: 1,
+        status: 'pending',
+        lastError: 'Failed to create calendar event: Rate limit exceeded',
+        nextAttemptAt: new Date(now.getTime() + 5 * MINUTE_MS)
+      });
+      expect(options).toEqual({ upsert: true });
+      expect(CalendarSyncJob.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should give up after the last attempt', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor()));
+      googleCalendar.createEvent.mockRejectedValue(new Error('Failed to create calendar event'));
+
+      await calendarSyncService.syncMeeting('m1', { retryOf: { attempts: 5 }, now });
+
+      const update = CalendarSyncJob.updateOne.mock.calls[0][1];
+      expect(update.$set).toMatchObject({ attempts: 6, status: 'failed' });
+      expect(update.$unset).toHaveProperty('nextAttemptAt');
+    });
+  });
+
+  describe('removeEvent', () => {
+    it('should record a failed delete with the event to remove', async () => {
+      googleCalendar.deleteEvent.mockRejectedValue(new Error('Failed to delete calendar event'));
+
+      const removed = await calendarSyncService.removeEvent(meetingFor({ calendarEventId: 'evt-1', calendarAgent: agentId }), { now });
+
+      expect(removed).toBe(false);
+      expect(CalendarSyncJob.updateOne.mock.calls[0][1].$set).toMatchObject({ action: 'delete', agent: agentId, eventId: 'evt-1' });
+    });
+  });
+
+  describe('retryDue', () => {
+    it('should retry due syncs and deletes', async () => {
+      const jobs = [
+        { meeting: 'm1', action: 'sync', attempts: 1 },
+        { meeting: 'm2', action: 'delete', agent: agentId, eventId: 'evt-9', attempts: 2 }
+      ];
+      CalendarSyncJob.find.mockReturnValue({ sort: () => ({ limit: jest.fn().mockResolvedValue(jobs) }) });
+      Meeting.findById.mockReturnValue(populated(null));
+      googleCalendar.deleteEvent.mockRejectedValue(new Error('Failed to delete calendar event'));
+
+      const summary = await calendarSyncService.retryDue(now);
+
+      expect(summary).toEqual({ synced: 1, failed: 1 });
+      expect(googleCalendar.deleteEvent).toHaveBeenCalledWith(agentId, 'evt-9');
+      expect(CalendarSyncJob.updateOne.mock.calls[0][1].$set).toMatchObject({ action: 'delete', attempts: 3 });
+    });
+  });
+});
@@ -0,0 +1,250 @@
+jest.mock('../../models/Agent', () => ({ findById: jest.fn(), findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../models/Lead', () => ({ findById: jest.fn() }));
+jest.mock('../../models/Meeting', () => ({ findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../models/CalendarSyncJob', () => ({ exists: jest.fn() }));
+jest.mock('../../services/googleCalendar', () => ({
+  listEventChanges: jest.fn(),
+  watchEvents: jest.fn(),
+  stopChannel: jest.fn()
+}));
+jest.mock('../../services/reminderService', () => ({ scheduleForMeeting: jest.fn() }));
+jest.mock('../../services/activityService', () => ({ record: jest.fn() }));
+jest.mock('../../services/socketService', () => ({ notifyUser: jest.fn() }));
+jest.mock('../../services/insightService', () => ({ refreshLeadById: jest.fn() }));
+jest.mock('../../services/notificationService', () => ({ sendMeetingConfirmation: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Agent = require('../../models/Agent');
+const Lead = require('../../models/Lead');
+const Meeting = require('../../models/Meeting');
+const CalendarSyncJob = require('../../models/CalendarSyncJob');
+const googleCalendar = require('../../services/googleCalendar');
+const reminderService = require('../../services/reminderService');
+const activityService = require('../../services/activityService');
+const socketService = require('../../services/socketService');
+const notificationService = require('../../services/notificationService');
+const calendarWatchService = require('../../services/calendarWatchService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2025-06-01T12:00:00Z');
+const agentId = new mongoose.Types.ObjectId();
+
+const selected = (doc) => ({ select: jest.fn().mockResolvedValue(doc) });
+const withProperty = (doc) => ({ populate: jest.fn().mockResolvedValue(doc) });
+
+const meetingFor = (overrides = {}) => ({
+  _id: 'm1',
+  lead: 'lead-1',
+  agent: agentId,
+  calendarAgent: agentId,
+  calendarEventId: 'evt-1',
+  status: 'Scheduled',
+  dateTime: new Date(now.getTime() + 48 * HOUR_MS),
+  property: { address: '12 Main St' },
+  calendarFlag: {},
+  ...overrides
+});
+
+describe('Calendar Watch Service', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    delete process.env.GOOGLE_WEBHOOK_URL;
+    delete process.env.BASE_URL;
+    Agent.updateOne.mockResolvedValue({});
+    Meeting.updateOne.mockResolvedValue({});
+    CalendarSyncJob.exists.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  describe('applyEvent', () => {
+    const agent = { _id: agentId };
+
+    it('should move the meeting to the event\'s new time', async () => {
+      const meeting = meetingFor();
+      const start = new Date(now.getTime() + 72 * HOUR_MS);
+      Meeting.findOne.mockReturnValue(withProperty(meeting));
+
+      const outcome = await calendarWatchService.applyEvent(agent, { id: 'evt-1', status: 'confirmed', start: { dateTime: start.toISOString() } }, now);
+
+      expect(outcome).toBe('moved');
+      expect(Meeting.updateOne).toHaveBeenCalledWith({ _id: 'm1' }, { $set: { dateTime: start }, $unset: { calendarFlag: '' } });
+      expect(reminderService.scheduleForMeeting).toHaveBeenCalledWith(expect.objectContaining({ dateTime: start }));
+      expect(activityService.record).toHaveBeenCalledWith('meeting_rescheduled', expect.objectContaining({
+        details: expect.objectContaining({ via: 'google_calendar' })
+      }));
+    });
+
+    it('should send the lead a fresh confirmation after a move', async () => {
+      const meeting = meetingFor();
+      const lead = { _id: 'lead-1', name: 'Jane Buyer', email: 'jane@example.com' };
+      const agentDoc = { _id: agentId, name: 'Alex Agent', email: 'alex@example.com' };
+      const start = new Date(now.getTime() + 72 * HOUR_MS);
+      Meeting.findOne.mockReturnValue(withProperty(meeting));
+      Lead.findById.mockReturnValue(selected(lead));
+      Agent.findById.mockReturnValue(selected(agentDoc));
+
+      await calendarWatchService.applyEvent(agent, { id: 'evt-1', start: { dateTime: start.toISOString() } }, now);
+
+      expect(notificationService.sendMeetingConfirmation).toHaveBeenCalledWith(
+        lead, agentDoc, expect.objectContaining({ dateTime: start }), meeting.property, { rescheduled: true }
+      );
+    });
+
+    it('should ignore events that match their meeting', async () => {
+      const meeting = meetingFor();
+      Meeting.findOne.mockReturnValue(withProperty(meeting));
+
+      const outcome = await calendarWatchService.applyEvent(agent, { id: 'evt-1', start: { dateTime: meeting.dateTime.toISOString() } }, now);
+
+      expect(outcome).toBeNull();
+      expect(Meeting.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should flag a scheduled meeting whose event was deleted', async () => {
+      Meeting.findOne.mockReturnValue(withProperty(meetingFor()));
+
+      const outcome = await calendarWatchService.applyEvent(agent, { id: 'evt-1', status: 'cancelled' }, now);
+
+      expect(outcome).toBe('flagged');
+      const update = Meeting.updateOne.mock.calls[0][1];
+      expect(update.$set.calendarFlag).toMatchObject({ reason: 'event_deleted', flaggedAt: now });
+      expect(update.$unset).toHaveProperty('calendarEventId');
+      expect(socketService.notifyUser).toHaveBeenCalledWith(agentId.toString(), 'meetingFlagged', expect.any(Object));
+    });
+
+    it('should flag moves it cannot apply', async () => {
+      Meeting.findOne.mockReturnValue(withProperty(meetingFor({ status: 'Completed' })));
+
+      const outcome = await calendarWatchService.applyEvent(
+        agent,
+        { id: 'evt-1', start: { dateTime: new Date(now.getTime() + 72 * HOUR_MS).toISOString() } },
+        now
+      );
+
+      expect(outcome).toBe('flagged');
+      expect(Meeting.updateOne.mock.calls[0][1].$set.calendarFlag.reason).toBe('event_moved');
+      expect(reminderService.scheduleForMeeting).not.toHaveBeenCalled();
+    });
+
+    it('should leave meetings alone while their own change is waiting to reach Google', async () => {
+      Meeting.findOne.mockReturnValue(withProperty(meetingFor()));
+      CalendarSyncJob.exists.mockResolvedValue({ _id: 'job-1' });
+
+      const outcome = await calendarWatchService.applyEvent(agent, { id: 'evt-1', status: 'cancelled' }, now);
+
+      expect(outcome).toBeNull();
+      expect(Meeting.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should ignore events held on another agent\'s calendar', async () => {
+      Meeting.findOne.mockReturnValue(withProperty(meetingFor({ calendarAgent: new mongoose.Types.ObjectId() })));
+
+      await expect(calendarWatchService.applyEvent(agent, { id: 'evt-1', status: 'cancelled' }, now)).resolves.toBeNull();
+    });
+  });
+
+  describe('runSync', () => {
+    it('should page through changes and store the next sync token', async () => {
+      Agent.findById.mockReturnValue(selected({ _id: agentId, googleCalendarId: 'primary', calendarSync: { syncToken: 'token-1' } }));
+      Meeting.findOne.mockReturnValue(withProperty(null));
+      googleCalendar.listEventChanges
+        .mockResolvedValueOnce({ items: [{ id: 'a' }], nextPageToken: 'page-2' })
+        .mockResolvedValueOnce({ items: [{ id: 'b' }], nextSyncToken: 'token-2' });
+
+      const summary = await calendarWatchService.runSync(agentId, now);
+
+      expect(summary).toEqual({ full: false, events: 2, moved: 0, flagged: 0 });
+      expect(googleCalendar.listEventChanges.mock.calls[1][1]).toEqual({ syncToken: 'token-1', pageToken: 'page-2' });
+      expect(Agent.updateOne.mock.calls[0][1].$set).toEqual({
+        'calendarSync.lastSyncedAt': now,
+        'calendarSync.lastSyncStatus': 'ok',
+        'calendarSync.syncToken': 'token-2'
+      });
+    });
+
+    it('should fall back to a full sync when Google expires the sync token', async () => {
+      Agent.findById.mockReturnValue(selected({ _id: agentId, googleCalendarId: 'primary', calendarSync: { syncToken: 'stale' } }));
+      googleCalendar.listEventChanges
+        .mockRejectedValueOnce(Object.assign(new Error('Failed to list calendar changes'), { code: 410 }))
+        .mockResolvedValueOnce({ items: [], nextSyncToken: 'fresh' });
+
+      const summary = await calendarWatchService.runSync(agentId, now);
+
+      expect(summary.full).toBe(true);
+      expect(googleCalendar.listEventChanges.mock.calls[1][1]).toEqual({ syncToken: undefined, pageToken: undefined });
+      expect(Agent.updateOne.mock.calls[0][1].$set).toMatchObject({ 'calendarSync.syncToken': 'fresh', 'calendarSync.lastFullSyncAt': now });
+    });
+
+    it('should record a failed sync on the agent', async () => {
+      Agent.findById.mockReturnValue(selected({ _id: agentId, googleCalendarId: 'primary', calendarSync: { syncToken: 'token-1' } }));
+      googleCalendar.listEventChanges.mockRejectedValue(new Error('Failed to list calendar changes'));
+
+      await expect(calendarWatchService.runSync(agentId, now)).resolves.toBeNull();
+      expect(Agent.updateOne.mock.calls[0][1].$set).toEqual({
+        'calendarSync.lastSyncStatus': 'failed',
+        'calendarSync.lastError': 'Failed to list calendar changes'
+      });
+    });
+  });
+
+  describe('handleNotification', () => {
+    const channelAgent = { _id: agentId, calendarSync: { channelId: 'ch-1', channelToken: 'secret', resourceId: 'res-1' } };
+
+    it('should reject unknown channels and wrong tokens', async () => {
+      Agent.findOne.mockReturnValueOnce(selected(null));
+      await expect(calendarWatchService.handleNotification({ channelId: 'ch-x', token: 'secret' })).resolves.toMatchObject({ statusCode: 404 });
+
+      Agent.findOne.mockReturnValueOnce(selected(channelAgent));
+      await expect(calendarWatchService.handleNotification({ channelId: 'ch-1', token: 'guess', resourceId: 'res-1' })).resolves.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should sync the agent after a change notification', async () => {
+      Agent.findOne.mockReturnValue(selected(channelAgent));
+      const syncAgent = jest.spyOn(calendarWatchService, 'syncAgent').mockResolvedValue(null);
+
+      const result = await calendarWatchService.handleNotification(
+        { channelId: 'ch-1', token: 'secret', resourceId: 'res-1', state: 'exists' },
+        now
+      );
+
+      expect(result.statusCode).toBe(200);
+      expect(syncAgent).toHaveBeenCalledWith(agentId);
+      expect(Agent.updateOne).toHaveBeenCalledWith({ _id: agentId }, { $set: { 'calendarSync.lastNotificationAt': now } });
+      syncAgent.mockRestore();
+    });
+  });
+
+  describe('ensureWatch', () => {
+    it('should not watch without an HTTPS webhook address', async () => {
+      process.env.BASE_URL = 'http://localhost:5000';
+
+      await expect(calendarWatchService.ensureWatch(agentId, now)).resolves.toBe(false);
+      expect(googleCalendar.watchEvents).not.toHaveBeenCalled();
+    });
+
+    it('should replace a channel that is about to expire', async () => {
+      process.env.BASE_URL = 'https://crm.example.com';
+      Agent.findById.mockReturnValue(selected({
+        _id: agentId,
+        googleCalendarId: 'primary',
+        calendarSync: { channelId: 'old', resourceId: 'res-old', channelExpiresAt: new Date(now.getTime() + HOUR_MS) }
+      }));
+      googleCalendar.watchEvents.mockResolvedValue({ resourceId: 'res-new', expiresAt: new Date(now.getTime() + 7 * 24 * HOUR_MS) });
+      googleCalendar.stopChannel.mockResolvedValue({ success: true });
+
+      await expect(calendarWatchService.ensureWatch(agentId, now)).resolves.toBe(true);
+
+      expect(googleCalendar.watchEvents.mock.calls[0][1]).toMatchObject({
+        address: 'https://crm.example.com/api/auth/google/notifications'
+      });
+      expect(Agent.updateOne.mock.calls[0][1].$set).toMatchObject({ 'calendarSync.resourceId': 'res-new' });
+      expect(googleCalendar.stopChannel).toHaveBeenCalledWith(agentId, 'old', 'res-old');
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockUploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunked-'));
+
+jest.mock('../../middleware/upload', () => ({
+  uploadsDir: mockUploadsDir,
+  MAX_FILE_SIZE: 50 * 1024 * 1024
+}));
+jest.mock('../../models/UploadSession', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../../services/mediaService', () => ({ uploadFiles: jest.fn() }));
+
+const UploadSession = require('../../models/UploadSession');
+const mediaService = require('../../services/mediaService');
+const chunkedUploadService = require('../../services/chunkedUploadService');
+
+const KB = 1024;
+
+const sessionFor = (overrides = {}) => ({
+  _id: '64b000000000000000000001',
+  filename: 'tour.mp4',
+  mimetype: 'video/mp4',
+  size: 600 * KB,
+  chunkSize: 256 * KB,
+  totalChunks: 3,
+  receivedChunks: [],
+  ...overrides
+});
+
+describe('Chunked Upload Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.rmSync(mockUploadsDir, { recursive: true, force: true });
+    fs.mkdirSync(mockUploadsDir, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(mockUploadsDir, { recursive: true, force: true });
+  });
+
+  describe('parseSession', () => {
+    it('should default the chunk size and strip directories from the filename', () => {
+      const { fields } = chunkedUploadService.parseSession({ filename: '../../tour.mp4', mimetype: 'video/mp4', size: 1000 });
+      expect(fields).toEqual({ filename: 'tour.mp4', mimetype: 'video/mp4', size: 1000, chunkSize: 5 * 1024 * KB });
+    });
+
+    it('should reject other file types, oversized files and odd chunk sizes', () => {
+      const { errors } = chunkedUploadService.parseSession({
+        filename: 'a.pdf',
+        mimetype: 'application/pdf',
+        size: 51 * 1024 * KB,
+        chunkSize: 10
+      });
+      expect(errors).toEqual([
+        'Only image and video files are allowed',
+        'size cannot be more than 50MB',
+        `chunkSize must be between ${256 * KB} and ${10 * 1024 * KB} bytes`
+      ]);
+    });
+  });
+
+  describe('createSession', () => {
+    it('should split the file into chunks', async () => {
+      UploadSession.create.mockImplementation(async (fields) => fields);
+
+      const { session } = await chunkedUploadService.createSession(
+        { _id: 'p1' },
+        { filename: 'tour.mp4', mimetype: 'video/mp4', size: 600 * KB, chunkSize: 256 * KB },
+        { user: { _id: 'u1' } }
+      );
+
+      expect(session).toMatchObject({ property: 'p1', totalChunks: 3, createdBy: 'u1' });
+      expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('writeChunk', () => {
+    it('should only accept chunks of the expected size', async () => {
+      const session = sessionFor();
+
+      await expect(chunkedUploadService.writeChunk(session, 3, Buffer.alloc(10)))
+        .resolves.toEqual({ error: 'Chunk index must be between 0 and 2' });
+      await expect(chunkedUploadService.writeChunk(session, 2, Buffer.alloc(256 * KB)))
+        .resolves.toEqual({ error: `Chunk 2 must be ${88 * KB} bytes` });
+      expect(UploadSession.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should store the chunk and mark it received', async () => {
+      const session = sessionFor();
+      UploadSession.findByIdAndUpdate.mockResolvedValue({ ...session, receivedChunks: [1] });
+
+      const { session: updated } = await chunkedUploadService.writeChunk(session, 1, Buffer.alloc(256 * KB, 1));
+
+      expect(fs.statSync(path.join(chunkedUploadService.sessionDir(session), '1')).size).toBe(256 * KB);
+      expect(UploadSession.findByIdAndUpdate.mock.calls[0][1].$addToSet).toEqual({ receivedChunks: 1 });
+      expect(chunkedUploadService.missingChunks(updated)).toEqual([0, 2]);
+    });
+  });
+
+  describe('complete', () => {
+    beforeEach(() => {
+      UploadSession.findOneAndUpdate.mockImplementation(async (filter) => ({ _id: filter._id }));
+    });
+
+    it('should assemble the chunks, upload the file and clean up', async () => {
+      const session = sessionFor({ size: 600 * KB, receivedChunks: [0, 1, 2] });
+      const dir = chunkedUploadService.sessionDir(session);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, '0'), Buffer.alloc(256 * KB, 'a'));
+      fs.writeFileSync(path.join(dir, '1'), Buffer.alloc(256 * KB, 'b'));
+      fs.writeFileSync(path.join(dir, '2'), Buffer.alloc(88 * KB, 'c'));
+
+      let assembled;
+      mediaService.uploadFiles.mockImplementation(async ([file]) => {
+        assembled = fs.readFileSync(file.path);
+        return {
+          uploaded: [{ url: 'https://cdn/tour.mp4', public_id: 'tour', type: 'video' }],
+          results: [{ filename: file.originalname, status: 'succeeded' }]
+        };
+      });
+      const property = { _id: 'p1', images: [], save: jest.fn() };
+
+      const { item, result } = await chunkedUploadService.complete(session, property);
+
+      expect(assembled.length).toBe(600 * KB);
+      expect(assembled[256 * KB]).toBe('b'.charCodeAt(0));
+      expect(item).toMatchObject({ url: 'https://cdn/tour.mp4' });
+      expect(result).toEqual({ filename: 'tour.mp4', status: 'succeeded' });
+      expect(property.save).toHaveBeenCalled();
+      expect(UploadSession.deleteOne).toHaveBeenCalledWith({ _id: session._id });
+      expect(fs.existsSync(dir)).toBe(false);
+    });
+
+    it('should keep the chunks when the store rejects the file', async () => {
+      const session = sessionFor({ size: 10, totalChunks: 1, receivedChunks: [0] });
+      const dir = chunkedUploadService.sessionDir(session);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, '0'), Buffer.alloc(10));
+      mediaService.uploadFiles.mockResolvedValue({
+        uploaded: [],
+        results: [{ filename: 'tour.mp4', status: 'failed', reason: 'timeout' }]
+      });
+
+      const { item, result } = await chunkedUploadService.complete(session, { _id: 'p1', images: [] });
+
+      expect(item).toBeUndefined();
+      expect(result.reason).toBe('timeout');
+      expect(fs.existsSync(path.join(dir, '0'))).toBe(true);
+      expect(UploadSession.deleteOne).not.toHaveBeenCalled();
+      expect(UploadSession.updateOne).toHaveBeenCalledWith({ _id: session._id }, { $unset: { completingAt: '' } });
+    });
+
+    it('should leave an upload another request is completing alone', async () => {
+      const session = sessionFor({ size: 10, totalChunks: 1, receivedChunks: [0] });
+      UploadSession.findOneAndUpdate.mockResolvedValue(null);
+
+      const outcome = await chunkedUploadService.complete(session, { _id: 'p1', images: [] });
+
+      expect(outcome).toEqual({ busy: true });
+      expect(mediaService.uploadFiles).not.toHaveBeenCalled();
+      expect(fs.existsSync(path.join(mockUploadsDir, `chunked-${session._id}.mp4`))).toBe(false);
+    });
+  });
+
+  describe('sweep', () => {
+    it('should remove expired uploads, orphaned chunks and stale temporary files', async () => {
+      const now = new Date();
+      const live = '64b000000000000000000002';
+      const orphan = '64b000000000000000000003';
+      for (const id of [live, orphan]) {
+        fs.mkdirSync(path.join(chunkedUploadService.chunksDir, id), { recursive: true });
+      }
+      const stale = path.join(mockUploadsDir, 'files-1.jpg');
+      const fresh = path.join(mockUploadsDir, 'files-2.jpg');
+      fs.writeFileSync(stale, 'x');
+      fs.writeFileSync(fresh, 'x');
+      const twoHoursAgo = new Date(now.getTime() - 2 * 60 * 60 * 1000);
+      fs.utimesSync(stale, twoHoursAgo, twoHoursAgo);
+
+      UploadSession.find
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue([{ _id: '64b000000000000000000004' }]) })
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue([{ _id: live }]) });
+
+      const result = await chunkedUploadService.sweep(now);
+
+      expect(result).toEqual({ sessions: 1, chunkDirs: 1, tempFiles: 1 });
+      expect(fs.readdirSync(chunkedUploadService.chunksDir)).toEqual([live]);
+      expect(fs.existsSync(stale)).toBe(false);
+      expect(fs.existsSync(fresh)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+jest.mock('../../models/Lead', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../../models/LeadMerge', () => ({ create: jest.fn() }));
+jest.mock('../../models/Meeting', () => ({ updateMany: jest.fn() }));
+jest.mock('../../models/WebhookLog', () => ({ updateMany: jest.fn() }));
+jest.mock('../../models/Activity', () => ({ updateMany: jest.fn() }));
+jest.mock('../../models/SavedSearch', () => ({ updateMany: jest.fn() }));
+
+const Lead = require('../../models/Lead');
+const LeadMerge = require('../../models/LeadMerge');
+const Meeting = require('../../models/Meeting');
+const dedupeService = require('../../services/dedupeService');
+const { normalizeEmail } = require('../../utils/normalize');
+
+// Lead-like document with the bits mergeLeads touches
+const mockLead = (fields) => ({
+  createdAt: new Date('2024-01-01'),
+  aiInsights: [],
+  save: jest.fn().mockResolvedValue(true),
+  toObject() { return { ...fields }; },
+  ...fields
+});
+
+describe('Dedupe Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeEmail', () => {
+    it('should fold case, plus tags and gmail dots', () => {
+      expect(normalizeEmail(' Jane.Buyer+zillow@GMail.com ')).toBe('janebuyer@gmail.com');
+      expect(normalizeEmail('jane.buyer@googlemail.com')).toBe('janebuyer@gmail.com');
+      expect(normalizeEmail('jane.buyer+x@example.com')).toBe('jane.buyer@example.com');
+    });
+  });
+
+  describe('scorePair', () => {
+    it('should score an email match with a similar name as a duplicate', () => {
+      const { score, reasons } = dedupeService.scorePair(
+        { name: 'Jane Buyer', email: 'jane.buyer@gmail.com' },
+        { name: 'Buyer, Jane', email: 'janebuyer+rea@gmail.com' }
+      );
+
+      expect(score).toBe(85);
+      expect(reasons.map(reason => reason.field)).toEqual(['email', 'name']);
+    });
+
+    it('should match phones regardless of formatting', () => {
+      const { reasons } = dedupeService.scorePair(
+        { name: 'Sam', phone: '(555) 012-3456' },
+        { name: 'Pat', phoneE164: '+15550123456' }
+      );
+
+      expect(reasons).toEqual([expect.objectContaining({ field: 'phone' })]);
+    });
+
+    it('should only match external IDs from the same source system', () => {
+      const same = dedupeService.scorePair(
+        { externalId: 'z-1', sourceSystem: 'zillow' },
+        { externalId: 'z-1', sourceSystem: 'zillow' }
+      );
+      const other = dedupeService.scorePair(
+        { externalId: 'z-1', sourceSystem: 'zillow' },
+        { externalId: 'z-1', sourceSystem: 'REA' }
+      );
+
+      expect(same.score).toBe(60);
+      expect(other.score).toBe(0);
+    });
+
+    it('should not treat different people as duplicates', () => {
+      const { score } = dedupeService.scorePair(
+        { name: 'Jane Buyer', email: 'jane@example.com' },
+        { name: 'Robert Smith', email: 'rob@example.com' }
+      );
+
+      expect(score).toBe(0);
+    });
+  });
+
+  describe('findCandidates', () => {
+    it('should also match leads saved before their normalized email was backfilled', async () => {
+      Lead.find.mockReturnValue({ limit: jest.fn().mockResolvedValue([]) });
+
+      await dedupeService.findCandidates({ name: 'Jane Buyer', email: ' Jane.Buyer@Example.com' });
+
+      const [filter] = Lead.find.mock.calls[0];
+      expect(filter.$or).toEqual(expect.arrayContaining([
+        { emailNormalized: 'jane.buyer@example.com' },
+        { email: 'jane.buyer@example.com' }
+      ]));
+    });
+  });
+
+  describe('findMatchForIncoming', () => {
+    const existing = { _id: 'lead-1', name: 'Jane Buyer', email: 'jane@example.com', phoneE164: '+15550123456' };
+
+    beforeEach(() => {
+      Lead.find.mockReturnValue({ limit: jest.fn().mockResolvedValue([existing]) });
+    });
+
+    it('should not match on phone and name without the email', async () => {
+      const match = await dedupeService.findMatchForIncoming({
+        name: 'Jane Buyer', email: 'someone.else@example.com', phone: '(555) 012-3456'
+      });
+
+      expect(match).toBeNull();
+    });
+
+    it('should match a returning visitor by email', async () => {
+      const match = await dedupeService.findMatchForIncoming({ name: 'Jane B', email: 'Jane@Example.com' });
+
+      expect(match).toBe(existing);
+    });
+  });
+
+  describe('applyIncoming', () => {
+    it('should fill blanks and append notes without overwriting', () => {
+      const lead = { phone: '+15550123456', notes: 'First enquiry' };
+
+      dedupeService.applyIncoming(lead, { phone: '+15559999999', budget: 500000, notes: 'Second enquiry' });
+
+      expect(lead.phone).toBe('+15550123456');
+      expect(lead.budget).toBe(500000);
+      expect(lead.notes).toBe('First enquiry\n---\nSecond enquiry');
+    });
+  });
+
+  describe('mergeLeads', () => {
+    it('should combine data, move meetings and record an audit entry', async () => {
+      const survivor = mockLead({ _id: 'lead-1', name: 'Jane Buyer', notes: 'Keen', aiInsights: ['Hot lead'] });
+      const duplicate = mockLead({ _id: 'lead-2', name: 'Jane Buyer', phone: '+15550123456', notes: 'Call after 5', aiInsights: ['Hot lead', 'Prefers houses'] });
+
+      Meeting.updateMany.mockResolvedValue({ modifiedCount: 2 });
+      LeadMerge.create.mockImplementation(async (doc) => ({ _id: 'merge-1', ...doc }));
+
+      const merge = await dedupeService.mergeLeads(survivor, [duplicate], { mergedBy: 'user-1' });
+
+      expect(survivor.phone).toBe('+15550123456');
+      expect(survivor.notes).toBe('Keen\n---\nCall after 5');
+      expect(survivor.aiInsights).toEqual(['Hot lead', 'Prefers houses']);
+      expect(Meeting.updateMany).toHaveBeenCalledWith({ lead: { $in: ['lead-2'] } }, { lead: 'lead-1' });
+      expect(Lead.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['lead-2'] } });
+      expect(survivor.save).toHaveBeenCalled();
+      expect(merge).toMatchObject({
+        survivor: 'lead-1',
+        meetingsMoved: 2,
+        mergedBy: 'user-1',
+        fieldsTaken: [{ field: 'phone', from: 'lead-2', value: '+15550123456' }]
+      });
+    });
+
+    it('should keep the duplicates when the survivor fails to save', async () => {
+      const survivor = mockLead({ _id: 'lead-1', name: 'Jane Buyer' });
+      const duplicate = mockLead({ _id: 'lead-2', name: 'Jane Buyer', notes: 'Call after 5' });
+      survivor.save.mockRejectedValue(new Error('Validation failed'));
+
+      await expect(dedupeService.mergeLeads(survivor, [duplicate])).rejects.toThrow('Validation failed');
+
+      expect(Meeting.updateMany).not.toHaveBeenCalled();
+      expect(Lead.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
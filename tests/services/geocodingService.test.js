@@ -0,0 +1,109 @@
+const geocoders = require('../../services/geocoders');
+const staticProvider = require('../../services/geocoders/staticProvider');
+const geocodingService = require('../../services/geocodingService');
+
+describe('Geocoding Service', () => {
+  beforeEach(() => {
+    delete process.env.GEOCODER_PROVIDER;
+    staticProvider.clear();
+    staticProvider.add('12 Main St, Springfield, IL 62704', {
+      lat: 39.7817,
+      lng: -89.6501,
+      components: { country: 'USA' }
+    });
+  });
+
+  describe('parseAddress', () => {
+    it('should split a US-style address', () => {
+      expect(geocodingService.parseAddress('12 Main St, Springfield, IL 62704, USA')).toEqual({
+        street: '12 Main St',
+        city: 'Springfield',
+        state: 'IL',
+        postalCode: '62704',
+        country: 'USA'
+      });
+    });
+
+    it('should fall back to city and state without a postal code', () => {
+      expect(geocodingService.parseAddress('9 Elm Rd, Portland, Oregon')).toEqual({
+        street: '9 Elm Rd',
+        city: 'Portland',
+        state: 'Oregon'
+      });
+    });
+
+    it('should leave single-part addresses alone', () => {
+      expect(geocodingService.parseAddress('Lot 7')).toEqual({});
+    });
+  });
+
+  describe('formatAddress', () => {
+    it('should join the parts that are set', () => {
+      expect(geocodingService.formatAddress({ street: '12 Main St', city: 'Springfield', state: 'IL', postalCode: '62704' }))
+        .toBe('12 Main St, Springfield, IL 62704');
+    });
+  });
+
+  describe('locate', () => {
+    it('should resolve coordinates through the static provider, ignoring case and punctuation', async () => {
+      const updates = await geocodingService.locate({ address: '12 main st springfield il 62704' });
+
+      expect(updates.location).toEqual({ type: 'Point', coordinates: [-89.6501, 39.7817] });
+      expect(updates.geocodedAt).toBeInstanceOf(Date);
+      expect(updates.addressDetails).toEqual({ country: 'USA' });
+    });
+
+    it('should build the address from parts and keep given parts', async () => {
+      const updates = await geocodingService.locate({
+        addressDetails: { street: '12 Main St', city: 'Springfield', state: 'IL', postalCode: '62704', country: 'United States' }
+      });
+
+      expect(updates.address).toBe('12 Main St, Springfield, IL 62704, United States');
+      expect(updates.addressDetails.country).toBe('United States');
+    });
+
+    it('should keep an explicit location without geocoding', async () => {
+      const provider = { geocode: jest.fn() };
+      geocoders.registerProvider('spy', provider);
+      process.env.GEOCODER_PROVIDER = 'spy';
+
+      const updates = await geocodingService.locate({
+        address: '12 Main St, Springfield, IL 62704',
+        location: { coordinates: [-89, 39] }
+      });
+
+      expect(provider.geocode).not.toHaveBeenCalled();
+      expect(updates.location).toBeUndefined();
+      expect(updates.addressDetails.postalCode).toBe('62704');
+    });
+
+    it('should clear the old location for an unknown address when asked', async () => {
+      const updates = await geocodingService.locate({ address: '1 Nowhere Ln, Atlantis' }, { clearOnMiss: true });
+
+      expect(updates.location).toBeNull();
+      expect(updates.addressDetails).toEqual({ street: '1 Nowhere Ln', city: 'Atlantis' });
+    });
+
+    it('should treat a failing provider as no result', async () => {
+      geocoders.registerProvider('broken', { geocode: jest.fn().mockRejectedValue(new Error('quota exceeded')) });
+      process.env.GEOCODER_PROVIDER = 'broken';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const updates = await geocodingService.locate({ address: '12 Main St, Springfield, IL 62704' });
+
+      expect(updates.location).toBeUndefined();
+      console.error.mockRestore();
+    });
+  });
+
+  it('should reject an unknown provider instead of falling back', async () => {
+    process.env.GEOCODER_PROVIDER = 'googel';
+
+    expect(() => geocoders.getProvider('googel')).toThrow('Unknown geocoding provider "googel"');
+    await expect(geocodingService.geocode('12 Main St, Springfield, IL 62704')).rejects.toThrow('Unknown geocoding provider');
+  });
+
+  it('should reject providers without geocode()', () => {
+    expect(() => geocoders.registerProvider('bad', {})).toThrow('Geocoding provider must implement geocode(address)');
+  });
+});
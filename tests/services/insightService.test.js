@@ -0,0 +1,96 @@
+jest.mock('../../models/Lead', () => ({ updateOne: jest.fn(), findById: jest.fn(), find: jest.fn() }));
+jest.mock('../../models/Meeting', () => ({ aggregate: jest.fn(), findOne: jest.fn() }));
+jest.mock('../../models/Activity', () => ({ countDocuments: jest.fn() }));
+jest.mock('../../models/WebhookLog', () => ({ aggregate: jest.fn() }));
+jest.mock('../../models/ScoringRules', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/Property', () => ({
+  countDocuments: jest.fn(),
+  schema: { path: () => ({ enumValues: ['House', 'Condo', 'Apartment'] }) }
+}));
+
+const Lead = require('../../models/Lead');
+const Meeting = require('../../models/Meeting');
+const Activity = require('../../models/Activity');
+const WebhookLog = require('../../models/WebhookLog');
+const Property = require('../../models/Property');
+const insights = require('../../services/insights');
+const insightService = require('../../services/insightService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chainable findOne mock
+const mockFindOne = (value) => ({
+  sort: jest.fn().mockReturnThis(),
+  select: jest.fn().mockResolvedValue(value)
+});
+
+describe('Insight Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.INSIGHT_PROVIDER;
+
+    Meeting.aggregate.mockResolvedValue([{ _id: 'Missed', count: 2 }]);
+    Meeting.findOne.mockReturnValue(mockFindOne(null));
+    WebhookLog.aggregate.mockResolvedValue([{ _id: 'zillow', count: 2 }, { _id: 'website', count: 1 }]);
+    Activity.countDocuments.mockResolvedValue(1);
+    Property.countDocuments.mockResolvedValue(4);
+  });
+
+  const lead = {
+    _id: 'lead-1',
+    budget: 450000,
+    preferredPropertyType: 'Condo',
+    lastContacted: new Date(Date.now() - 14 * DAY_MS)
+  };
+
+  it('should explain a lead from its property, meeting and delivery data', async () => {
+    const result = await insightService.generate(lead);
+
+    expect(result).toEqual([
+      'Budget fits 4 available Condos',
+      'No contact in 14 days',
+      'Missed 2 viewings',
+      'Came via Zillow twice'
+    ]);
+  });
+
+  it('should be deterministic for the same data', async () => {
+    const first = await insightService.generate(lead);
+    const second = await insightService.generate(lead);
+
+    expect(second).toEqual(first);
+  });
+
+  it('should use a registered provider and fall back to the rules when it fails', async () => {
+    const remote = { name: 'remote', generate: jest.fn().mockRejectedValue(new Error('offline')) };
+    insights.registerProvider('remote', remote);
+    process.env.INSIGHT_PROVIDER = 'remote';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await insightService.generate(lead);
+
+    expect(remote.generate).toHaveBeenCalledWith(expect.objectContaining({
+      matchingProperties: { total: 4, propertyType: 'Condo' },
+      daysSinceContact: 14
+    }));
+    expect(result).toContain('Missed 2 viewings');
+    console.error.mockRestore();
+  });
+
+  it('should store insights with a refresh timestamp', async () => {
+    const doc = { ...lead };
+
+    const result = await insightService.refreshLead(doc);
+
+    expect(Lead.updateOne).toHaveBeenCalledWith(
+      { _id: 'lead-1' },
+      { aiInsights: result, aiInsightsUpdatedAt: expect.any(Date) },
+      { timestamps: false }
+    );
+    expect(doc.aiInsights).toEqual(result);
+  });
+
+  it('should reject providers without generate', () => {
+    expect(() => insights.registerProvider('broken', {})).toThrow();
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../../models/Lead', () => ({ create: jest.fn(), find: jest.fn() }));
+jest.mock('../../models/SlaBreach', () => ({ find: jest.fn() }));
+jest.mock('../../services/socketService', () => ({ notifyUser: jest.fn(), notifyUserType: jest.fn() }));
+jest.mock('../../services/dedupeService', () => ({
+  findMatchForIncoming: jest.fn(),
+  applyIncoming: jest.fn((lead) => lead)
+}));
+jest.mock('../../services/activityService', () => ({ record: jest.fn() }));
+jest.mock('../../services/scoringService', () => ({ rescoreLead: jest.fn() }));
+jest.mock('../../services/assignmentService', () => ({ assignLead: jest.fn(), selectAgent: jest.fn() }));
+jest.mock('../../services/notificationService', () => ({ sendSlaBreachNotice: jest.fn() }));
+
+const Lead = require('../../models/Lead');
+const SlaBreach = require('../../models/SlaBreach');
+const dedupeService = require('../../services/dedupeService');
+const leadIngestion = require('../../services/leadIngestion');
+const slaService = require('../../services/slaService');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Lead Ingestion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('ingestWebhookLead', () => {
+    it('should not treat a re-submission as contacting the lead', async () => {
+      const createdAt = new Date(Date.now() - 30 * MINUTE_MS);
+      const existing = {
+        _id: { toString: () => 'lead1' },
+        name: 'Jane Buyer',
+        email: 'jane@example.com',
+        source: 'Website',
+        status: 'New',
+        createdAt,
+        save: jest.fn()
+      };
+      dedupeService.findMatchForIncoming.mockResolvedValue(existing);
+
+      const result = await leadIngestion.ingestWebhookLead(
+        { name: 'Jane Buyer', email: 'jane@example.com', notes: 'Still interested' },
+        { sourceSystem: 'zapier' }
+      );
+
+      expect(result.action).toBe('updated');
+      expect(existing.save).toHaveBeenCalled();
+      expect(existing.lastContacted).toBeUndefined();
+
+      // The lead's open response-time breach stays open
+      const breach = { lead: existing._id, status: 'open', escalations: [], save: jest.fn() };
+      SlaBreach.find.mockResolvedValue([breach]);
+      Lead.find.mockReturnValue({ select: jest.fn().mockResolvedValue([existing]) });
+
+      const { open, resolved } = await slaService.resolveOpen(new Date());
+
+      expect(resolved).toBe(0);
+      expect(open).toHaveLength(1);
+      expect(breach.save).not.toHaveBeenCalled();
+    });
+
+    it('should not stamp new webhook leads as contacted', async () => {
+      dedupeService.findMatchForIncoming.mockResolvedValue(null);
+      Lead.create.mockImplementation(async (fields) => ({ _id: 'lead2', ...fields }));
+
+      await leadIngestion.ingestWebhookLead(
+        { name: 'Sam Seller', email: 'sam@example.com' },
+        { sourceSystem: 'zapier' }
+      );
+
+      expect(Lead.create.mock.calls[0][0]).not.toHaveProperty('lastContacted');
+    });
+  });
+});
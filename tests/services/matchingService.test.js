@@ -0,0 +1,128 @@
+jest.mock('../../models/Lead', () => ({ find: jest.fn() }));
+jest.mock('../../models/Property', () => ({
+  find: jest.fn(),
+  schema: { path: () => ({ enumValues: ['House', 'Condo', 'Apartment'] }) }
+}));
+jest.mock('../../models/SavedSearch', () => ({ find: jest.fn() }));
+jest.mock('../../models/ScoringRules', () => ({ findOne: jest.fn() }));
+jest.mock('../../services/socketService', () => ({ notifyUser: jest.fn(), notifyUserType: jest.fn() }));
+jest.mock('../../services/notificationService', () => ({ sendPropertyMatch: jest.fn() }));
+
+const Property = require('../../models/Property');
+const SavedSearch = require('../../models/SavedSearch');
+const socketService = require('../../services/socketService');
+const notificationService = require('../../services/notificationService');
+const scoringService = require('../../services/scoringService');
+const matchingService = require('../../services/matchingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-06-01T12:00:00Z');
+
+const id = (value) => ({ toString: () => value });
+
+describe('Matching Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scoringService.setRules({});
+  });
+
+  describe('criteriaForLead', () => {
+    it('should turn budget and a known property type into criteria', () => {
+      expect(matchingService.criteriaForLead({ budget: 500000, preferredPropertyType: 'Condo' })).toEqual({
+        minPrice: 350000,
+        maxPrice: 550000,
+        propertyTypes: ['Condo']
+      });
+    });
+
+    it('should ignore property types properties do not use', () => {
+      expect(matchingService.criteriaForLead({ preferredPropertyType: 'Castle' })).toEqual({});
+    });
+  });
+
+  describe('propertyFilter', () => {
+    it('should only include criteria that are set', () => {
+      expect(matchingService.propertyFilter({ maxPrice: 400000, minBedrooms: 2, propertyTypes: [] })).toEqual({
+        status: 'Available',
+        price: { $lte: 400000 },
+        bedrooms: { $gte: 2 }
+      });
+    });
+  });
+
+  describe('rankProperties', () => {
+    it('should rank properties closest to budget first', async () => {
+      const listed = new Date(now.getTime() - 60 * DAY_MS);
+      Property.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([
+          { address: 'Far', price: 360000, createdAt: listed },
+          { address: 'Close', price: 490000, createdAt: listed },
+          { address: 'Over', price: 540000, createdAt: listed }
+        ])
+      });
+
+      const matches = await matchingService.rankProperties({}, { budget: 500000 }, { limit: 2 });
+
+      expect(matches.map(match => match.property.address)).toEqual(['Close', 'Over']);
+      expect(matches[0].reasons).toContain('Priced 2% under budget');
+    });
+  });
+
+  describe('notifySavedSearches', () => {
+    const property = { _id: id('prop1'), address: '1 Main St', price: 450000, status: 'Available' };
+
+    const search = (fields = {}) => ({
+      _id: 'search1',
+      name: 'Downtown condos',
+      lead: { _id: 'lead1', name: 'Jane', agent: id('agent1') },
+      notified: [],
+      notifyLead: false,
+      save: jest.fn(),
+      ...fields
+    });
+
+    const mockSearches = (searches) => {
+      SavedSearch.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(searches) });
+    };
+
+    it('should notify the agent and remember the price', async () => {
+      const match = search();
+      mockSearches([match]);
+
+      const notified = await matchingService.notifySavedSearches(property);
+
+      expect(notified).toBe(1);
+      expect(socketService.notifyUser).toHaveBeenCalledWith('agent1', 'savedSearchMatch', expect.objectContaining({
+        title: 'New Property Match'
+      }));
+      expect(notificationService.sendPropertyMatch).not.toHaveBeenCalled();
+      expect(match.notified).toEqual([{ property: property._id, price: 450000 }]);
+    });
+
+    it('should only notify again when the price changes', async () => {
+      const seen = search({ notified: [{ property: id('prop1'), price: 450000 }] });
+      mockSearches([seen]);
+
+      expect(await matchingService.notifySavedSearches(property)).toBe(0);
+
+      const repriced = { ...property, price: 420000 };
+      expect(await matchingService.notifySavedSearches(repriced, { previousPrice: 450000 })).toBe(1);
+      expect(seen.notified[0].price).toBe(420000);
+    });
+
+    it('should email the lead when they opted in', async () => {
+      const match = search({ notifyLead: true });
+      mockSearches([match]);
+
+      await matchingService.notifySavedSearches(property, { previousPrice: 480000 });
+
+      expect(notificationService.sendPropertyMatch).toHaveBeenCalledWith(match.lead, property, match, 480000);
+    });
+
+    it('should skip properties that are not available', async () => {
+      expect(await matchingService.notifySavedSearches({ ...property, status: 'Sold' })).toBe(0);
+      expect(SavedSearch.find).not.toHaveBeenCalled();
+    });
+  });
+});
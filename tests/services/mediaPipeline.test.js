@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+jest.mock('child_process', () => ({
+  ...jest.requireActual('child_process'),
+  execFile: jest.fn()
+}));
+
+const { execFile } = require('child_process');
+const mediaPipeline = require('../../services/mediaPipeline');
+
+describe('Media Pipeline', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+    process.env.MEDIA_DERIVATIVES_DIR = path.join(dir, 'derivatives');
+  });
+
+  afterEach(() => {
+    delete process.env.MEDIA_DERIVATIVES_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A 2000x1000 JPEG with camera metadata, stored sideways (EXIF orientation 6)
+  const writePhoto = async (name = 'upload.jpg') => {
+    const filePath = path.join(dir, name);
+    await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#336699' } })
+      .jpeg()
+      .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'PhoneCo', Copyright: 'Seller' } } })
+      .toFile(filePath);
+    return filePath;
+  };
+
+  describe('process (photos)', () => {
+    it('should strip metadata, turn the photo upright and record its size', async () => {
+      const filePath = await writePhoto();
+      expect((await sharp(filePath).metadata()).exif).toBeDefined();
+
+      const { uploadPath, tempPaths, fields } = await mediaPipeline.process(
+        { path: filePath, mimetype: 'image/jpeg', filename: 'upload.jpg' },
+        { baseName: 'p1_1_upload' }
+      );
+
+      const cleaned = await sharp(uploadPath).metadata();
+      expect(cleaned.exif).toBeUndefined();
+      expect(cleaned.orientation).toBeUndefined();
+      expect(tempPaths).toEqual([uploadPath]);
+      expect(fields).toMatchObject({ width: 1000, height: 2000 });
+    });
+
+    it('should make responsive derivatives that fit their box', async () => {
+      const filePath = await writePhoto();
+
+      const { fields } = await mediaPipeline.process(
+        { path: filePath, mimetype: 'image/jpeg', filename: 'upload.jpg' },
+        { baseName: 'p1_1_upload' }
+      );
+
+      expect(fields.derivatives).toEqual({
+        thumbnail: { url: '/uploads/derivatives/p1_1_upload-thumbnail.webp', width: 120, height: 240 },
+        card: { url: '/uploads/derivatives/p1_1_upload-card.webp', width: 240, height: 480 },
+        full: { url: '/uploads/derivatives/p1_1_upload-full.webp', width: 400, height: 800 }
+      });
+      const thumbnail = await sharp(path.join(dir, 'derivatives', 'p1_1_upload-thumbnail.webp')).metadata();
+      expect(thumbnail.format).toBe('webp');
+      expect(thumbnail.exif).toBeUndefined();
+    });
+
+    it('should reject files that are not readable images', async () => {
+      const filePath = path.join(dir, 'fake.jpg');
+      fs.writeFileSync(filePath, 'not an image');
+
+      await expect(mediaPipeline.process(
+        { path: filePath, mimetype: 'image/jpeg', filename: 'fake.jpg' },
+        { baseName: 'p1_1_fake' }
+      )).rejects.toThrow('Could not process image');
+    });
+  });
+
+  describe('process (videos)', () => {
+    it('should record the video size and make a poster with derivatives', async () => {
+      execFile.mockImplementation((command, args, options, callback) => {
+        if (command === 'ffprobe') {
+          return callback(null, JSON.stringify({ streams: [{ width: 1920, height: 1080 }], format: { duration: '12.345' } }));
+        }
+        sharp({ create: { width: 1920, height: 1080, channels: 3, background: '#000000' } })
+          .jpeg()
+          .toFile(args[args.length - 1])
+          .then(() => callback(null, ''), callback);
+      });
+
+      const filePath = path.join(dir, 'tour.mp4');
+      fs.writeFileSync(filePath, 'video');
+
+      const { uploadPath, fields } = await mediaPipeline.process(
+        { path: filePath, mimetype: 'video/mp4', filename: 'tour.mp4' },
+        { baseName: 'p1_1_tour' }
+      );
+
+      expect(uploadPath).toBe(filePath);
+      expect(execFile.mock.calls[1][1]).toEqual(expect.arrayContaining(['-ss', '1', '-frames:v', '1']));
+      expect(fields).toMatchObject({
+        width: 1920,
+        height: 1080,
+        duration: 12.3,
+        poster: { url: '/uploads/derivatives/p1_1_tour-poster.jpg', width: 1920, height: 1080 },
+        derivatives: { full: { width: 1200, height: 675 } }
+      });
+    });
+
+    it('should keep the video when no poster can be made', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      execFile.mockImplementation((command, args, options, callback) => callback(new Error('spawn ffprobe ENOENT')));
+
+      const filePath = path.join(dir, 'tour.mp4');
+      fs.writeFileSync(filePath, 'video');
+
+      const { uploadPath, fields } = await mediaPipeline.process(
+        { path: filePath, mimetype: 'video/mp4', filename: 'tour.mp4' },
+        { baseName: 'p1_1_tour' }
+      );
+
+      expect(uploadPath).toBe(filePath);
+      expect(fields).toEqual({});
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('removeDerivatives', () => {
+    it('should delete the files behind an entry', async () => {
+      const filePath = await writePhoto();
+      const { fields } = await mediaPipeline.process(
+        { path: filePath, mimetype: 'image/jpeg', filename: 'upload.jpg' },
+        { baseName: 'p1_1_upload' }
+      );
+      expect(fs.readdirSync(path.join(dir, 'derivatives'))).toHaveLength(3);
+
+      await mediaPipeline.removeDerivatives(fields);
+
+      expect(fs.readdirSync(path.join(dir, 'derivatives'))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock('cloudinary', () => ({
+  v2: { uploader: { upload: jest.fn(), destroy: jest.fn() } }
+}));
+jest.mock('../../services/mediaPipeline', () => ({
+  process: jest.fn(async (file) => ({ uploadPath: file.path, tempPaths: [], fields: {} })),
+  removeFiles: jest.fn(),
+  removeDerivatives: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const mediaPipeline = require('../../services/mediaPipeline');
+const mediaService = require('../../services/mediaService');
+
+describe('Media Service', () => {
+  let consoleSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  describe('uploadFiles', () => {
+    it('should report each file and keep the public_id of those uploaded', async () => {
+      cloudinary.uploader.upload
+        .mockResolvedValueOnce({ secure_url: 'https://cdn/a.jpg', public_id: 'realtyflow/properties/a' })
+        .mockRejectedValueOnce(new Error('File size too large'));
+
+      const { uploaded, results } = await mediaService.uploadFiles([
+        { path: '/tmp/missing-a', filename: 'a.jpg', originalname: 'kitchen.jpg', mimetype: 'image/jpeg', size: 10 },
+        { path: '/tmp/missing-b', filename: 'b.mp4', originalname: 'tour.mp4', mimetype: 'video/mp4', size: 20 }
+      ], { prefix: 'p1' });
+
+      expect(uploaded).toHaveLength(1);
+      expect(uploaded[0]).toMatchObject({
+        url: 'https://cdn/a.jpg',
+        public_id: 'realtyflow/properties/a',
+        storage: 'cloudinary',
+        type: 'image'
+      });
+      expect(cloudinary.uploader.upload.mock.calls[0][1].public_id).toMatch(/^p1_\d+_a$/);
+      expect(results).toEqual([
+        { filename: 'kitchen.jpg', status: 'succeeded' },
+        { filename: 'tour.mp4', status: 'failed', reason: 'File size too large' }
+      ]);
+    });
+
+    it('should store the processed file with its derivatives', async () => {
+      mediaPipeline.process.mockResolvedValueOnce({
+        uploadPath: '/tmp/missing-a-clean.jpg',
+        tempPaths: ['/tmp/missing-a-clean.jpg'],
+        fields: { width: 4000, height: 3000, derivatives: { thumbnail: { url: '/uploads/derivatives/a-thumbnail.webp' } } }
+      });
+      cloudinary.uploader.upload.mockResolvedValueOnce({ secure_url: 'https://cdn/a.jpg', public_id: 'a' });
+
+      const { uploaded } = await mediaService.uploadFiles([
+        { path: '/tmp/missing-a', filename: 'a.jpg', mimetype: 'image/jpeg', size: 10 }
+      ]);
+
+      expect(cloudinary.uploader.upload.mock.calls[0][0]).toBe('/tmp/missing-a-clean.jpg');
+      expect(uploaded[0]).toMatchObject({ width: 4000, height: 3000, derivatives: { thumbnail: { url: '/uploads/derivatives/a-thumbnail.webp' } } });
+    });
+
+    it('should not upload photos that could not be processed', async () => {
+      mediaPipeline.process.mockRejectedValueOnce(new Error('Could not process image: unsupported format'));
+
+      const { uploaded, results } = await mediaService.uploadFiles([
+        { path: '/tmp/missing-a', filename: 'a.heic', originalname: 'a.heic', mimetype: 'image/heic', size: 10 }
+      ]);
+
+      expect(uploaded).toEqual([]);
+      expect(results).toEqual([{ filename: 'a.heic', status: 'failed', reason: 'Could not process image: unsupported format' }]);
+      expect(cloudinary.uploader.upload).not.toHaveBeenCalled();
+    });
+
+    it('should remove temporary files whether or not they uploaded', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+      const files = ['a.jpg', 'b.jpg'].map(name => {
+        fs.writeFileSync(path.join(dir, name), 'data');
+        return { path: path.join(dir, name), filename: name, mimetype: 'image/jpeg', size: 4 };
+      });
+      cloudinary.uploader.upload
+        .mockResolvedValueOnce({ secure_url: 'https://cdn/a.jpg', public_id: 'a' })
+        .mockRejectedValueOnce(new Error('timeout'));
+
+      await mediaService.uploadFiles(files);
+
+      expect(fs.readdirSync(dir)).toEqual([]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should fail every file rather than use another store when the store is unknown', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+      process.env.MEDIA_STORAGE = 'locla';
+      fs.writeFileSync(path.join(dir, 'a.jpg'), 'data');
+
+      try {
+        const { uploaded, results } = await mediaService.uploadFiles([
+          { path: path.join(dir, 'a.jpg'), filename: 'a.jpg', mimetype: 'image/jpeg', size: 4 }
+        ]);
+
+        expect(uploaded).toEqual([]);
+        expect(results[0]).toMatchObject({ status: 'failed', reason: expect.stringContaining('Unknown media store "locla"') });
+        expect(cloudinary.uploader.upload).not.toHaveBeenCalled();
+        expect(fs.existsSync(path.join(dir, 'a.jpg'))).toBe(false);
+      } finally {
+        delete process.env.MEDIA_STORAGE;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should use the configured store', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+      process.env.MEDIA_STORAGE = 'local';
+      process.env.MEDIA_LOCAL_DIR = path.join(dir, 'store');
+      fs.writeFileSync(path.join(dir, 'a.jpg'), 'data');
+
+      try {
+        const { uploaded } = await mediaService.uploadFiles([
+          { path: path.join(dir, 'a.jpg'), filename: 'a.jpg', mimetype: 'image/jpeg', size: 4 }
+        ], { prefix: 'p1' });
+
+        expect(cloudinary.uploader.upload).not.toHaveBeenCalled();
+        expect(uploaded[0].storage).toBe('local');
+        expect(uploaded[0].url).toBe(`/uploads/media/${uploaded[0].public_id}`);
+        expect(fs.readdirSync(path.join(dir, 'store'))).toEqual([uploaded[0].public_id]);
+
+        await expect(mediaService.destroy(uploaded[0])).resolves.toBe(true);
+        expect(fs.readdirSync(path.join(dir, 'store'))).toEqual([]);
+      } finally {
+        delete process.env.MEDIA_STORAGE;
+        delete process.env.MEDIA_LOCAL_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('publicIdFor', () => {
+    it('should prefer the stored public_id', () => {
+      expect(mediaService.publicIdFor({ public_id: 'realtyflow/properties/a', url: 'https://x' })).toBe('realtyflow/properties/a');
+    });
+
+    it('should read the id from older Cloudinary URLs', () => {
+      const url = 'https://res.cloudinary.com/demo/image/upload/c_limit,w_1200/v1712345/realtyflow/properties/property_1_a.jpg';
+      expect(mediaService.publicIdFor({ url })).toBe('realtyflow/properties/property_1_a');
+    });
+
+    it('should return null for other URLs', () => {
+      expect(mediaService.publicIdFor({ url: 'https://example.com/a.jpg' })).toBeNull();
+    });
+  });
+
+  describe('destroy', () => {
+    it('should delete videos as video resources', async () => {
+      cloudinary.uploader.destroy.mockResolvedValue({ result: 'ok' });
+
+      await expect(mediaService.destroy({ public_id: 'v1', type: 'video' })).resolves.toBe(true);
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('v1', { resource_type: 'video', invalidate: true });
+      expect(mediaPipeline.removeDerivatives).toHaveBeenCalled();
+    });
+
+    it('should treat assets already gone as deleted', async () => {
+      cloudinary.uploader.destroy.mockResolvedValue({ result: 'not found' });
+      await expect(mediaService.destroy({ public_id: 'a', type: 'image' })).resolves.toBe(true);
+    });
+
+    it('should report failures without throwing', async () => {
+      cloudinary.uploader.destroy.mockRejectedValue(new Error('network'));
+      await expect(mediaService.destroy({ public_id: 'a', type: 'image' })).resolves.toBe(false);
+      expect(mediaPipeline.removeDerivatives).not.toHaveBeenCalled();
+    });
+
+    it('should not call Cloudinary for items it does not host', async () => {
+      await expect(mediaService.destroy({ url: 'https://example.com/a.jpg' })).resolves.toBe(true);
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('destroyAll', () => {
+    it('should return the items left behind', async () => {
+      cloudinary.uploader.destroy
+        .mockResolvedValueOnce({ result: 'ok' })
+        .mockResolvedValueOnce({ result: 'error' });
+
+      const failed = await mediaService.destroyAll([{ public_id: 'a' }, { public_id: 'b' }]);
+      expect(failed).toEqual([{ public_id: 'b' }]);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+jest.mock('../../models/Meeting', () => ({ findById: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../../services/calendarSyncService', () => ({ syncMeeting: jest.fn() }));
+jest.mock('../../services/availabilityService', () => ({ getSlots: jest.fn() }));
+jest.mock('../../services/notificationService', () => ({
+  notifyAgentOfMeetingChange: jest.fn(),
+  sendMeetingConfirmation: jest.fn()
+}));
+jest.mock('../../services/socketService', () => ({ notifyUser: jest.fn() }));
+jest.mock('../../services/activityService', () => ({ record: jest.fn() }));
+jest.mock('../../services/reminderService', () => ({ scheduleForMeeting: jest.fn(), cancelForMeeting: jest.fn() }));
+jest.mock('../../services/scoringService', () => ({ rescoreLeadById: jest.fn() }));
+jest.mock('../../services/insightService', () => ({ refreshLeadById: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const Meeting = require('../../models/Meeting');
+const tokenService = require('../../services/tokenService');
+const calendarSyncService = require('../../services/calendarSyncService');
+const availabilityService = require('../../services/availabilityService');
+const notificationService = require('../../services/notificationService');
+const socketService = require('../../services/socketService');
+const reminderService = require('../../services/reminderService');
+const meetingLinkService = require('../../services/meetingLinkService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MEETING_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const meetingFor = (overrides = {}) => ({
+  _id: MEETING_ID,
+  status: 'Scheduled',
+  dateTime: new Date(Date.now() + 48 * HOUR_MS),
+  calendarEventId: 'evt-1',
+  lead: { _id: 'lead-1', name: 'Jane', email: 'jane@example.com' },
+  agent: { _id: 'agent-1', name: 'Alex', email: 'alex@example.com', timezone: 'America/New_York' },
+  property: { address: '12 Main St' },
+  ...overrides
+});
+
+const populated = (meeting) => ({ populate: jest.fn().mockResolvedValue(meeting) });
+
+describe('Meeting Link Service', () => {
+  const originalSecret = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Meeting.findOneAndUpdate.mockImplementation(async (filter, { $set }) => ({ _id: filter._id, ...$set }));
+  });
+
+  describe('resolve', () => {
+    it('should find the meeting a token was signed for', async () => {
+      const meeting = meetingFor();
+      Meeting.findById.mockReturnValue(populated(meeting));
+
+      const result = await meetingLinkService.resolve(tokenService.signMeetingToken(meeting));
+
+      expect(result).toEqual({ meeting });
+      expect(Meeting.findById).toHaveBeenCalledWith(MEETING_ID);
+    });
+
+    it('should reject tokens from before the meeting was moved', async () => {
+      const meeting = meetingFor();
+      const token = tokenService.signMeetingToken(meeting);
+      Meeting.findById.mockReturnValue(populated({ ...meeting, dateTime: new Date(Date.now() + 72 * HOUR_MS) }));
+
+      const result = await meetingLinkService.resolve(token);
+
+      expect(result.statusCode).toBe(410);
+    });
+
+    it('should reject expired and forged tokens', async () => {
+      const expired = jwt.sign({ sub: MEETING_ID, at: 0 }, tokenService.meetingLinkSecret, { expiresIn: -10 });
+      await expect(meetingLinkService.resolve(expired)).resolves.toMatchObject({ statusCode: 410 });
+
+      const forged = jwt.sign({ sub: MEETING_ID, at: 0 }, 'someone-else', { expiresIn: 60 });
+      await expect(meetingLinkService.resolve(forged)).resolves.toMatchObject({ statusCode: 401 });
+
+      expect(Meeting.findById).not.toHaveBeenCalled();
+    });
+
+    it('should not accept meeting tokens as access tokens', () => {
+      const token = tokenService.signMeetingToken(meetingFor());
+
+      expect(() => tokenService.verifyAccessToken(token)).toThrow();
+    });
+  });
+
+  describe('describe', () => {
+    it('should leave out internal notes', () => {
+      const description = meetingLinkService.describe(meetingFor({ notes: 'Lead is price sensitive' }));
+
+      expect(description).not.toHaveProperty('notes');
+      expect(description).toMatchObject({ canChange: true, property: { address: '12 Main St' } });
+    });
+  });
+
+  describe('reschedule', () => {
+    it('should move the meeting, its calendar event and reminders to an open slot', async () => {
+      const meeting = meetingFor();
+      const previous = meeting.dateTime;
+      const start = new Date(Date.now() + 72 * HOUR_MS);
+      const end = new Date(start.getTime() + HOUR_MS);
+      availabilityService.getSlots.mockResolvedValue([{ start, end, agent: { id: 'agent-1' } }]);
+
+      const result = await meetingLinkService.reschedule(meeting, start.toISOString());
+
+      expect(result).toEqual({ meeting });
+      expect(meeting.dateTime).toEqual(start);
+      expect(Meeting.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: MEETING_ID, status: 'Scheduled', dateTime: previous },
+        { $set: { dateTime: start } },
+        expect.any(Object)
+      );
+      expect(availabilityService.getSlots).toHaveBeenCalledWith([meeting.agent], start);
+      expect(calendarSyncService.syncMeeting).toHaveBeenCalledWith(MEETING_ID);
+      expect(reminderService.scheduleForMeeting).toHaveBeenCalledWith(meeting);
+      expect(socketService.notifyUser).toHaveBeenCalledWith('agent-1', 'meetingRescheduled', expect.objectContaining({
+        data: expect.objectContaining({ previousDateTime: previous })
+      }));
+      expect(notificationService.notifyAgentOfMeetingChange).toHaveBeenCalledWith(
+        meeting.agent, meeting.lead, meeting, meeting.property, { previousDateTime: previous, reason: undefined }
+      );
+      expect(notificationService.sendMeetingConfirmation).toHaveBeenCalledWith(
+        meeting.lead, meeting.agent, meeting, meeting.property, { rescheduled: true }
+      );
+    });
+
+    it('should refuse times that are not open', async () => {
+      const meeting = meetingFor();
+      availabilityService.getSlots.mockResolvedValue([]);
+
+      const result = await meetingLinkService.reschedule(meeting, new Date(Date.now() + 72 * HOUR_MS));
+
+      expect(result.statusCode).toBe(409);
+      expect(Meeting.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse when the meeting was changed since it was loaded', async () => {
+      const meeting = meetingFor();
+      const previous = meeting.dateTime;
+      const start = new Date(Date.now() + 72 * HOUR_MS);
+      availabilityService.getSlots.mockResolvedValue([{ start, end: new Date(start.getTime() + HOUR_MS) }]);
+      Meeting.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await meetingLinkService.reschedule(meeting, start);
+
+      expect(result.statusCode).toBe(409);
+      expect(meeting.dateTime).toBe(previous);
+      expect(calendarSyncService.syncMeeting).not.toHaveBeenCalled();
+      expect(socketService.notifyUser).not.toHaveBeenCalled();
+    });
+
+    it('should keep the new time when the calendar cannot be updated', async () => {
+      const meeting = meetingFor();
+      const start = new Date(Date.now() + 72 * HOUR_MS);
+      availabilityService.getSlots.mockResolvedValue([{ start, end: new Date(start.getTime() + HOUR_MS) }]);
+      calendarSyncService.syncMeeting.mockResolvedValue(false);
+
+      const result = await meetingLinkService.reschedule(meeting, start);
+
+      expect(result).toEqual({ meeting });
+      expect(reminderService.scheduleForMeeting).toHaveBeenCalled();
+    });
+
+    it('should still tell the agent when saving a follow-up fails', async () => {
+      const meeting = meetingFor();
+      const start = new Date(Date.now() + 72 * HOUR_MS);
+      availabilityService.getSlots.mockResolvedValue([{ start, end: new Date(start.getTime() + HOUR_MS) }]);
+      calendarSyncService.syncMeeting.mockRejectedValue(new Error('calendar down'));
+      reminderService.scheduleForMeeting.mockRejectedValue(new Error('queue down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await meetingLinkService.reschedule(meeting, start);
+
+      expect(result).toEqual({ meeting });
+      expect(socketService.notifyUser).toHaveBeenCalledWith('agent-1', 'meetingRescheduled', expect.any(Object));
+      console.error.mockRestore();
+    });
+  });
+
+  describe('cancel', () => {
+    it('should cancel the meeting, its calendar event and reminders', async () => {
+      const meeting = meetingFor();
+
+      const result = await meetingLinkService.cancel(meeting, 'Found another place');
+
+      expect(result).toEqual({ meeting });
+      expect(meeting).toMatchObject({ status: 'Cancelled', cancelReason: 'Found another place' });
+      expect(Meeting.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: MEETING_ID, status: 'Scheduled', dateTime: meeting.dateTime });
+      expect(calendarSyncService.syncMeeting).toHaveBeenCalledWith(MEETING_ID);
+      expect(reminderService.cancelForMeeting).toHaveBeenCalledWith(MEETING_ID, 'Meeting cancelled by the lead');
+      expect(socketService.notifyUser).toHaveBeenCalledWith('agent-1', 'meetingCancelled', expect.any(Object));
+      expect(notificationService.sendMeetingConfirmation).not.toHaveBeenCalled();
+    });
+
+    it('should not change meetings that are over or already cancelled', async () => {
+      await expect(meetingLinkService.cancel(meetingFor({ status: 'Cancelled' }))).resolves.toMatchObject({ statusCode: 409 });
+      await expect(meetingLinkService.cancel(meetingFor({ dateTime: new Date(Date.now() - HOUR_MS) }))).resolves.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should not cancel twice when two requests arrive together', async () => {
+      Meeting.findOneAndUpdate.mockResolvedValue(null);
+      const meeting = meetingFor();
+
+      await expect(meetingLinkService.cancel(meeting)).resolves.toMatchObject({ statusCode: 409 });
+      expect(meeting.status).toBe('Scheduled');
+      expect(reminderService.cancelForMeeting).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+jest.mock('nodemailer', () => ({ createTransport: jest.fn(() => ({ sendMail: jest.fn() })) }));
+jest.mock('twilio', () => jest.fn());
+jest.mock('../../services/activityService', () => ({ record: jest.fn() }));
+
+const notificationService = require('../../services/notificationService');
+
+describe('Notification Service', () => {
+  describe('notifyAgentOfMeetingChange', () => {
+    const agent = { name: 'Alex Agent', email: 'alex@example.com' };
+    const property = { address: '12 Main St' };
+    const meeting = { status: 'Cancelled', dateTime: new Date('2025-06-03T10:00:00Z') };
+
+    let sendEmail;
+    let consoleLog;
+
+    beforeEach(() => {
+      consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      sendEmail = jest.spyOn(notificationService, 'sendEmail').mockResolvedValue({ success: true });
+    });
+
+    afterEach(() => {
+      sendEmail.mockRestore();
+      consoleLog.mockRestore();
+    });
+
+    it('should escape what the lead typed before putting it in the email', async () => {
+      const lead = { name: '<b>Jane</b>', email: 'jane@example.com' };
+
+      await notificationService.notifyAgentOfMeetingChange(agent, lead, meeting, property, {
+        reason: '<a href="https://evil.example">Click here</a> & more'
+      });
+
+      const [, , html] = sendEmail.mock.calls[0];
+      expect(html).toContain('&lt;b&gt;Jane&lt;/b&gt;');
+      expect(html).toContain('&lt;a href=&quot;https://evil.example&quot;&gt;Click here&lt;/a&gt; &amp; more');
+      expect(html).not.toContain('<a href="https://evil.example">');
+    });
+  });
+
+  describe('sendSlaBreachNotice', () => {
+    it('should escape the lead details submitted through the public form', async () => {
+      const sendEmail = jest.spyOn(notificationService, 'sendEmail').mockResolvedValue({ success: true });
+      const lead = {
+        name: '<img src=x onerror=alert(1)>',
+        email: 'jane@example.com',
+        phone: '<script>',
+        source: 'Website',
+        createdAt: new Date()
+      };
+
+      await notificationService.sendSlaBreachNotice('admin@example.com', lead, { targetMinutes: 15 });
+
+      const [, , html] = sendEmail.mock.calls[0];
+      expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<img');
+      sendEmail.mockRestore();
+    });
+  });
+});
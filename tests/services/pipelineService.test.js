@@ -0,0 +1,75 @@
+jest.mock('../../models/Pipeline', () => ({ findOne: jest.fn() }));
+
+const Pipeline = require('../../models/Pipeline');
+const pipelineService = require('../../services/pipelineService');
+
+describe('Pipeline Service', () => {
+  afterEach(() => {
+    pipelineService.setStages(pipelineService.defaultStages);
+  });
+
+  it('should start with the default stages in order', () => {
+    expect(pipelineService.getStageNames()).toEqual([
+      'New', 'Contacted', 'Nurturing', 'Qualified', 'Showing Scheduled', 'Offer Made', 'Closed Won', 'Closed Lost'
+    ]);
+    expect(pipelineService.initialStage()).toBe('New');
+    expect(pipelineService.isClosed('Closed Lost')).toBe(true);
+    expect(pipelineService.isValidStage('Closed')).toBe(false);
+  });
+
+  it('should load stages from the default pipeline', async () => {
+    Pipeline.findOne.mockResolvedValue({
+      _id: 'pipeline-1',
+      stages: [
+        { name: 'Won', order: 2, outcome: 'won' },
+        { name: 'Inquiry', order: 1, outcome: 'open' }
+      ]
+    });
+
+    await pipelineService.load();
+
+    expect(pipelineService.getStageNames()).toEqual(['Inquiry', 'Won']);
+    expect(pipelineService.initialStage()).toBe('Inquiry');
+  });
+
+  it('should keep cached stages when loading fails', async () => {
+    Pipeline.findOne.mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await pipelineService.load();
+
+    expect(pipelineService.getStageNames()).toContain('Offer Made');
+    console.error.mockRestore();
+  });
+
+  describe('canTransition', () => {
+    beforeEach(() => {
+      pipelineService.setStages([
+        { name: 'New', order: 0, allowedTransitions: ['Qualified', 'Lost'] },
+        { name: 'Qualified', order: 1 },
+        { name: 'Lost', order: 2, outcome: 'lost' }
+      ]);
+    });
+
+    it('should allow listed transitions and stages without restrictions', () => {
+      expect(pipelineService.canTransition('New', 'Qualified').allowed).toBe(true);
+      expect(pipelineService.canTransition('Qualified', 'New').allowed).toBe(true);
+    });
+
+    it('should reject transitions that are not listed', () => {
+      pipelineService.setStages([
+        { name: 'New', order: 0, allowedTransitions: ['Lost'] },
+        { name: 'Qualified', order: 1 },
+        { name: 'Lost', order: 2 }
+      ]);
+
+      const blocked = pipelineService.canTransition('New', 'Qualified');
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.reason).toContain('Allowed: Lost');
+    });
+
+    it('should reject unknown target stages', () => {
+      expect(pipelineService.canTransition('New', 'Closed').allowed).toBe(false);
+    });
+  });
+});
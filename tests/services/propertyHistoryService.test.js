@@ -0,0 +1,139 @@
+jest.mock('../../models/PropertyHistory', () => ({
+  TRACKED_FIELDS: ['price', 'status'],
+  insertMany: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+const PropertyHistory = require('../../models/PropertyHistory');
+const propertyHistoryService = require('../../services/propertyHistoryService');
+
+const now = new Date('2025-06-01T12:00:00Z');
+
+describe('Property History Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('statusUpdates', () => {
+    it('should take a property off market when it leaves Available', () => {
+      expect(propertyHistoryService.statusUpdates('Available', 'Pending', now)).toEqual({
+        status: 'Pending',
+        statusChangedAt: now,
+        offMarketAt: now
+      });
+    });
+
+    it('should resume the listing when a pending sale falls through', () => {
+      expect(propertyHistoryService.statusUpdates('Pending', 'Available', now)).toEqual({
+        status: 'Available',
+        statusChangedAt: now,
+        offMarketAt: null
+      });
+    });
+
+    it('should start a new listing when a sold property is relisted', () => {
+      expect(propertyHistoryService.statusUpdates('Sold', 'Available', now)).toEqual({
+        status: 'Available',
+        statusChangedAt: now,
+        offMarketAt: null,
+        listedAt: now
+      });
+    });
+
+    it('should keep the off market date between closed statuses', () => {
+      expect(propertyHistoryService.statusUpdates('Pending', 'Sold', now)).toEqual({
+        status: 'Sold',
+        statusChangedAt: now
+      });
+    });
+
+    it('should change nothing when the status is unchanged', () => {
+      expect(propertyHistoryService.statusUpdates('Sold', 'Sold', now)).toEqual({});
+    });
+  });
+
+  describe('changesFor', () => {
+    it('should record listing values with an empty from', () => {
+      expect(propertyHistoryService.changesFor({ price: 400000, status: 'Available' })).toEqual([
+        { field: 'price', from: null, to: 400000 },
+        { field: 'status', from: null, to: 'Available' }
+      ]);
+    });
+
+    it('should only include fields that changed', () => {
+      const changes = propertyHistoryService.changesFor(
+        { price: 380000, status: 'Available' },
+        { price: 400000, status: 'Available' }
+      );
+      expect(changes).toEqual([{ field: 'price', from: 400000, to: 380000 }]);
+    });
+
+    it('should skip fields missing from before', () => {
+      const changes = propertyHistoryService.changesFor(
+        { price: 400000, status: 'Sold' },
+        { status: 'Pending' }
+      );
+      expect(changes).toEqual([{ field: 'status', from: 'Pending', to: 'Sold' }]);
+    });
+  });
+
+  describe('recordChanges', () => {
+    it('should write one entry per change with the actor', async () => {
+      PropertyHistory.insertMany.mockImplementation(async (entries) => entries);
+
+      const entries = await propertyHistoryService.recordChanges(
+        { _id: 'p1', price: 380000, status: 'Pending' },
+        { price: 400000, status: 'Available' },
+        { actor: { _id: 'u1' } }
+      );
+
+      expect(PropertyHistory.insertMany).toHaveBeenCalledWith([
+        { field: 'price', from: 400000, to: 380000, property: 'p1', actor: 'u1' },
+        { field: 'status', from: 'Available', to: 'Pending', property: 'p1', actor: 'u1' }
+      ]);
+      expect(entries).toHaveLength(2);
+    });
+
+    it('should not write anything when nothing changed', async () => {
+      const entries = await propertyHistoryService.recordChanges(
+        { _id: 'p1', price: 400000, status: 'Available' },
+        { price: 400000, status: 'Available' }
+      );
+
+      expect(entries).toEqual([]);
+      expect(PropertyHistory.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should log failures instead of throwing', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      PropertyHistory.insertMany.mockRejectedValue(new Error('write failed'));
+
+      const entries = await propertyHistoryService.recordChanges({ _id: 'p1', price: 400000, status: 'Available' });
+
+      expect(entries).toEqual([]);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('getHistory', () => {
+    it('should filter by field and paginate newest first', async () => {
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue([{ field: 'price' }])
+      };
+      PropertyHistory.find.mockReturnValue(query);
+      PropertyHistory.countDocuments.mockResolvedValue(21);
+
+      const result = await propertyHistoryService.getHistory('p1', { fields: ['price'], page: 2, limit: 20 });
+
+      expect(PropertyHistory.find).toHaveBeenCalledWith({ property: 'p1', field: { $in: ['price'] } });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(query.skip).toHaveBeenCalledWith(20);
+      expect(result).toEqual({ entries: [{ field: 'price' }], total: 21 });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../../models/Property', () => {
+  const enums = {
+    status: ['Available', 'Pending', 'Sold', 'Off Market'],
+    propertyType: ['House', 'Condo', 'Townhouse', 'Apartment', 'Land', 'Commercial', 'Other']
+  };
+  return {
+    aggregate: jest.fn(),
+    schema: { path: (name) => ({ enumValues: enums[name] }) }
+  };
+});
+
+const Property = require('../../models/Property');
+const propertySearchService = require('../../services/propertySearchService');
+
+describe('Property Search Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseQuery', () => {
+    it('should parse text, lists and numeric ranges', () => {
+      const { criteria } = propertySearchService.parseQuery({
+        q: ' ocean view ',
+        propertyType: 'House,Condo',
+        features: 'Pool, garage',
+        minBedrooms: '3',
+        minPricePerSqft: '200',
+        maxPricePerSqft: '450'
+      });
+
+      expect(criteria).toMatchObject({
+        text: 'ocean view',
+        propertyType: ['House', 'Condo'],
+        features: ['Pool', 'garage'],
+        minBedrooms: 3,
+        minPricePerSqft: 200,
+        maxPricePerSqft: 450,
+        sortBy: 'relevance',
+        page: 1,
+        limit: 10
+      });
+    });
+
+    it('should collect every problem with the query', () => {
+      const { errors } = propertySearchService.parseQuery({
+        minSqft: 'big',
+        propertyType: 'Castle',
+        minPrice: '500000',
+        maxPrice: '100000',
+        sortBy: 'relevance'
+      });
+
+      expect(errors).toEqual([
+        'minSqft must be a non-negative number',
+        'Unknown propertyType: Castle',
+        'minPrice cannot be greater than maxPrice',
+        'Sorting by relevance needs a search query (q)'
+      ]);
+    });
+  });
+
+  describe('buildPipeline', () => {
+    it('should filter price per square foot after computing it', () => {
+      const { criteria } = propertySearchService.parseQuery({
+        q: 'garden',
+        features: 'pool',
+        maxPricePerSqft: '300'
+      });
+
+      const [first, computed, perSqft, facet] = propertySearchService.buildPipeline(criteria);
+
+      expect(first.$match.$text).toEqual({ $search: 'garden' });
+      expect(first.$match.features.$all[0].test('Pool')).toBe(true);
+      expect(computed.$addFields).toHaveProperty('pricePerSqft');
+      expect(perSqft).toEqual({ $match: { pricePerSqft: { $lte: 300 } } });
+      expect(facet.$facet.results[0]).toEqual({ $sort: { relevance: -1, _id: 1 } });
+    });
+
+    it('should skip the price per square foot stage when not filtering on it', () => {
+      const { criteria } = propertySearchService.parseQuery({ sortBy: 'price', sortOrder: 'asc' });
+
+      const pipeline = propertySearchService.buildPipeline(criteria);
+
+      expect(pipeline).toHaveLength(3);
+      expect(pipeline[2].$facet.results[0]).toEqual({ $sort: { price: 1, _id: 1 } });
+    });
+  });
+
+  describe('search', () => {
+    it('should return results, total and facet counts', async () => {
+      Property.aggregate.mockResolvedValue([{
+        results: [{ _id: 'p1', address: '1 Main St' }],
+        total: [{ count: 1 }],
+        propertyType: [{ _id: 'House', count: 1 }],
+        features: [{ _id: 'pool', count: 1 }],
+        ranges: [{ minPrice: 400000, maxPrice: 400000 }]
+      }]);
+
+      const { criteria } = propertySearchService.parseQuery({});
+      const result = await propertySearchService.search(criteria);
+
+      expect(result.total).toBe(1);
+      expect(result.properties).toHaveLength(1);
+      expect(result.facets.propertyType).toEqual([{ value: 'House', count: 1 }]);
+      expect(result.facets.features).toEqual([{ value: 'pool', count: 1 }]);
+      expect(result.facets.ranges).toEqual({ minPrice: 400000, maxPrice: 400000 });
+    });
+  });
+});
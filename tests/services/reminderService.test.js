@@ -0,0 +1,185 @@
+jest.mock('../../models/Meeting', () => ({ find: jest.fn(), findById: jest.fn() }));
+jest.mock('../../models/ReminderJob', () => ({
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  find: jest.fn()
+}));
+jest.mock('../../services/notificationService', () => ({
+  sendMeetingReminder: jest.fn(),
+  sendSMSReminder: jest.fn()
+}));
+
+const Meeting = require('../../models/Meeting');
+const ReminderJob = require('../../models/ReminderJob');
+const notificationService = require('../../services/notificationService');
+const reminderService = require('../../services/reminderService');
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date('2025-06-01T12:00:00Z');
+const inHours = (hours) => new Date(now.getTime() + hours * 60 * MINUTE_MS);
+
+const populated = (meeting) => ({ populate: jest.fn().mockResolvedValue(meeting) });
+
+describe('Reminder Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REMINDER_OFFSETS_MINUTES;
+    ReminderJob.updateOne.mockResolvedValue({});
+    ReminderJob.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  describe('offsets', () => {
+    it('should default to a day and half an hour before', () => {
+      expect(reminderService.offsets).toEqual([1440, 30]);
+    });
+
+    it('should read configured offsets, largest first', () => {
+      process.env.REMINDER_OFFSETS_MINUTES = '15, 120,nonsense,15';
+      expect(reminderService.offsets).toEqual([120, 15]);
+    });
+  });
+
+  describe('scheduleForMeeting', () => {
+    it('should queue a job per offset for the meeting time', async () => {
+      const meeting = { _id: 'm1', status: 'Scheduled', dateTime: inHours(48) };
+
+      const queued = await reminderService.scheduleForMeeting(meeting, now);
+
+      expect(queued).toBe(2);
+      const [filter, update, options] = ReminderJob.updateOne.mock.calls[0];
+      expect(filter).toMatchObject({ meeting: 'm1', offsetMinutes: 1440 });
+      expect(update.$set).toMatchObject({ status: 'pending', runAt: inHours(24), meetingTime: inHours(48) });
+      expect(options).toEqual({ upsert: true });
+      expect(ReminderJob.updateOne.mock.calls[1][1].$set.runAt).toEqual(new Date(inHours(48).getTime() - 30 * MINUTE_MS));
+    });
+
+    it('should skip reminders whose time has passed', async () => {
+      const meeting = { _id: 'm1', status: 'Scheduled', dateTime: inHours(2) };
+
+      const queued = await reminderService.scheduleForMeeting(meeting, now);
+
+      expect(queued).toBe(1);
+      expect(ReminderJob.updateOne.mock.calls[0][0].offsetMinutes).toBe(30);
+      expect(ReminderJob.updateMany).toHaveBeenCalledWith(
+        { meeting: 'm1', offsetMinutes: 1440, status: 'pending' },
+        expect.objectContaining({ status: 'cancelled' })
+      );
+    });
+
+    it('should leave reminders already queued or sent for the same time alone', async () => {
+      ReminderJob.updateOne.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      const queued = await reminderService.scheduleForMeeting({ _id: 'm1', status: 'Scheduled', dateTime: inHours(48) }, now);
+
+      expect(queued).toBe(0);
+    });
+
+    it('should cancel pending reminders for meetings no longer scheduled', async () => {
+      await reminderService.scheduleForMeeting({ _id: 'm1', status: 'Missed', dateTime: inHours(48) }, now);
+
+      expect(ReminderJob.updateOne).not.toHaveBeenCalled();
+      expect(ReminderJob.updateMany).toHaveBeenCalledWith(
+        { meeting: 'm1', status: 'pending' },
+        { status: 'cancelled', cancelReason: 'Meeting missed' }
+      );
+    });
+  });
+
+  describe('send', () => {
+    const job = { _id: 'j1', meeting: 'm1', meetingTime: inHours(1), attempts: 1 };
+    const meetingFor = (overrides = {}) => ({
+      _id: 'm1',
+      status: 'Scheduled',
+      dateTime: inHours(1),
+      lead: { name: 'Jane', email: 'jane@example.com', phone: '+15550001111' },
+      agent: { name: 'Alex' },
+      property: { address: '12 Main St' },
+      ...overrides
+    });
+
+    it('should send the email and SMS and mark the job sent', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor()));
+      notificationService.sendMeetingReminder.mockResolvedValue({ success: true });
+      notificationService.sendSMSReminder.mockResolvedValue({ success: true });
+
+      await expect(reminderService.send(job, now)).resolves.toBe('sent');
+
+      expect(notificationService.sendMeetingReminder.mock.calls[0][4]).toBe(60);
+      expect(ReminderJob.updateOne).toHaveBeenCalledWith(
+        { _id: 'j1', status: 'sending' },
+        expect.objectContaining({ $set: expect.objectContaining({ status: 'sent', email: 'sent', sms: 'sent' }) })
+      );
+    });
+
+    it('should retry a failed email while there is time', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor()));
+      notificationService.sendMeetingReminder.mockRejectedValue(new Error('Failed to send email notification'));
+
+      await expect(reminderService.send(job, now)).resolves.toBe('retry');
+
+      const update = ReminderJob.updateOne.mock.calls[0][1];
+      expect(update).toMatchObject({ status: 'pending', email: 'failed' });
+      expect(update.runAt).toEqual(new Date(now.getTime() + 5 * MINUTE_MS));
+      expect(notificationService.sendSMSReminder).not.toHaveBeenCalled();
+    });
+
+    it('should give up after the last attempt', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor()));
+      notificationService.sendMeetingReminder.mockRejectedValue(new Error('Failed to send email notification'));
+
+      await expect(reminderService.send({ ...job, attempts: 3 }, now)).resolves.toBe('failed');
+      expect(ReminderJob.updateOne.mock.calls[0][1]).toMatchObject({ status: 'failed' });
+    });
+
+    it('should not fail a sent email because of the SMS', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor()));
+      notificationService.sendMeetingReminder.mockResolvedValue({ success: true });
+      notificationService.sendSMSReminder.mockRejectedValue(new Error('Failed to send SMS notification'));
+
+      await expect(reminderService.send(job, now)).resolves.toBe('sent');
+      expect(ReminderJob.updateOne.mock.calls[0][1].$set).toMatchObject({
+        status: 'sent',
+        sms: 'failed',
+        lastError: 'Failed to send SMS notification'
+      });
+    });
+
+    it('should cancel reminders for deleted or missed meetings', async () => {
+      Meeting.findById.mockReturnValueOnce(populated(null));
+      await expect(reminderService.send(job, now)).resolves.toBe('cancelled');
+
+      Meeting.findById.mockReturnValueOnce(populated(meetingFor({ status: 'Missed' })));
+      await expect(reminderService.send(job, now)).resolves.toBe('cancelled');
+
+      expect(notificationService.sendMeetingReminder).not.toHaveBeenCalled();
+    });
+
+    it('should reschedule when the meeting has moved', async () => {
+      Meeting.findById.mockReturnValue(populated(meetingFor({ dateTime: inHours(30) })));
+
+      await expect(reminderService.send(job, now)).resolves.toBe('rescheduled');
+
+      expect(notificationService.sendMeetingReminder).not.toHaveBeenCalled();
+      expect(ReminderJob.updateOne.mock.calls[0][1].$set.meetingTime).toEqual(inHours(30));
+    });
+  });
+
+  describe('runDue', () => {
+    it('should fail interrupted sends and work through due jobs', async () => {
+      ReminderJob.updateMany.mockResolvedValueOnce({ modifiedCount: 1 });
+      ReminderJob.findOneAndUpdate
+        .mockResolvedValueOnce({ _id: 'j1', meeting: 'm1', meetingTime: inHours(1), attempts: 1 })
+        .mockResolvedValueOnce(null);
+      Meeting.findById.mockReturnValue(populated(null));
+
+      const summary = await reminderService.runDue(now);
+
+      expect(ReminderJob.updateMany.mock.calls[0][0]).toEqual({
+        status: 'sending',
+        lockedAt: { $lte: new Date(now.getTime() - 10 * MINUTE_MS) }
+      });
+      expect(summary).toEqual({ sent: 0, retry: 0, failed: 1, cancelled: 1, rescheduled: 0 });
+    });
+  });
+});
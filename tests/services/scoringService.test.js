@@ -0,0 +1,122 @@
+jest.mock('../../models/Lead', () => ({ updateOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../models/Meeting', () => ({ aggregate: jest.fn() }));
+jest.mock('../../models/Activity', () => ({ countDocuments: jest.fn() }));
+jest.mock('../../models/ScoringRules', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/Property', () => ({
+  countDocuments: jest.fn(),
+  schema: { path: () => ({ enumValues: ['House', 'Condo', 'Apartment'] }) }
+}));
+
+const Lead = require('../../models/Lead');
+const Meeting = require('../../models/Meeting');
+const Activity = require('../../models/Activity');
+const Property = require('../../models/Property');
+const scoringService = require('../../services/scoringService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-06-01T12:00:00Z');
+
+// Signals for a lead with no history
+const quietSignals = { now, matchingProperties: 0, meetings: {}, recentActivities: 0 };
+
+describe('Scoring Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scoringService.setRules({});
+  });
+
+  describe('computeScore', () => {
+    it('should rank an engaged, ready-to-buy referral as hot', () => {
+      const lead = {
+        source: 'Referral',
+        budget: 500000,
+        timeline: 'ASAP',
+        lastContacted: now
+      };
+      const signals = { now, matchingProperties: 4, meetings: { completed: 1 }, recentActivities: 12 };
+
+      const result = scoringService.computeScore(lead, signals);
+
+      expect(result.score).toBe(100);
+      expect(result.priority).toBe('hot');
+      expect(result.engagementScore).toBe(100);
+    });
+
+    it('should rank a cold lead with no budget or timeline as low', () => {
+      const lead = {
+        source: 'Other',
+        lastContacted: new Date(now.getTime() - 60 * DAY_MS)
+      };
+
+      const result = scoringService.computeScore(lead, quietSignals);
+
+      expect(result.priority).toBe('low');
+      expect(result.breakdown.budgetMatch.value).toBe(0);
+      expect(result.breakdown.timeline.value).toBe(0);
+      expect(result.breakdown.recency.value).toBeLessThan(0.1);
+    });
+
+    it('should only match timeline keywords as whole words', () => {
+      const valueFor = (timeline) =>
+        scoringService.computeScore({ source: 'Other', timeline }, quietSignals).breakdown.timeline.value;
+
+      expect(valueFor("Don't know yet")).toBe(0.1);
+      expect(valueFor('11 months')).toBe(0.3);
+      expect(valueFor('Within 1 month')).toBe(1);
+      expect(valueFor('Immediately')).toBe(1);
+    });
+
+    it('should penalise missed meetings', () => {
+      const lead = { source: 'Website', lastContacted: now };
+
+      const attended = scoringService.computeScore(lead, { ...quietSignals, meetings: { completed: 1 } });
+      const missed = scoringService.computeScore(lead, { ...quietSignals, meetings: { completed: 1, missed: 2 } });
+
+      expect(missed.breakdown.meetingAttendance.value).toBeCloseTo(0.2);
+      expect(missed.score).toBeLessThan(attended.score);
+    });
+
+    it('should apply edited rules', () => {
+      scoringService.setRules({
+        timeline: { keywords: [{ pattern: 'spring', value: 1 }] },
+        priorityThresholds: { hot: 90, high: 10, medium: 5 }
+      });
+
+      const result = scoringService.computeScore({ source: 'Other', timeline: 'Next spring' }, quietSignals);
+
+      expect(result.breakdown.timeline.value).toBe(1);
+      expect(result.priority).toBe('high');
+    });
+  });
+
+  describe('rescoreLead', () => {
+    it('should gather signals, store the scores and update the document', async () => {
+      Meeting.aggregate.mockResolvedValue([{ _id: 'Completed', count: 1 }, { _id: 'Missed', count: 1 }]);
+      Activity.countDocuments.mockResolvedValue(3);
+      Property.countDocuments.mockResolvedValue(2);
+
+      const lead = { _id: 'lead-1', source: 'Zillow', budget: 400000, preferredPropertyType: 'Condo', lastContacted: new Date() };
+      const result = await scoringService.rescoreLead(lead);
+
+      expect(Property.countDocuments).toHaveBeenCalledWith({
+        status: 'Available',
+        propertyType: 'Condo',
+        price: { $gte: 280000, $lte: 440000 }
+      });
+      expect(Lead.updateOne).toHaveBeenCalledWith(
+        { _id: 'lead-1' },
+        { score: result.score, priority: result.priority, engagementScore: result.engagementScore },
+        { timestamps: false }
+      );
+      expect(lead.score).toBe(result.score);
+    });
+
+    it('should not throw when scoring fails', async () => {
+      Meeting.aggregate.mockRejectedValue(new Error('connection lost'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(scoringService.rescoreLead({ _id: 'lead-1' })).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock('../../models/Lead', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../models/Agent', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../models/User', () => ({ find: jest.fn() }));
+jest.mock('../../models/SlaConfig', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/SlaBreach', () => ({ find: jest.fn(), create: jest.fn() }));
+jest.mock('../../services/socketService', () => ({ notifyUser: jest.fn(), notifyUserType: jest.fn() }));
+jest.mock('../../services/notificationService', () => ({ sendSlaBreachNotice: jest.fn() }));
+jest.mock('../../services/assignmentService', () => ({ selectAgent: jest.fn() }));
+
+const Lead = require('../../models/Lead');
+const Agent = require('../../models/Agent');
+const SlaBreach = require('../../models/SlaBreach');
+const socketService = require('../../services/socketService');
+const notificationService = require('../../services/notificationService');
+const assignmentService = require('../../services/assignmentService');
+const slaService = require('../../services/slaService');
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date('2025-06-01T12:00:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * MINUTE_MS);
+
+const id = (value) => ({ toString: () => value });
+
+const lead = (fields = {}) => ({
+  _id: id('lead1'),
+  name: 'Jane Buyer',
+  source: 'Website',
+  status: 'New',
+  createdAt: minutesAgo(30),
+  ...fields
+});
+
+const breach = (fields = {}) => ({
+  _id: 'breach1',
+  lead: id('lead1'),
+  targetMinutes: 15,
+  dueAt: minutesAgo(15),
+  status: 'open',
+  escalations: [],
+  save: jest.fn(),
+  ...fields
+});
+
+// Lead.find(...).select(...) resolves to the given leads
+const mockLeads = (leads) => {
+  Lead.find.mockReturnValue({ select: jest.fn().mockResolvedValue(leads) });
+};
+
+describe('SLA Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    slaService.setConfig({});
+  });
+
+  describe('targetMinutesFor', () => {
+    it('should use the source target, falling back to the default', () => {
+      slaService.setConfig({ defaultMinutes: 45, sources: [{ source: 'Zillow', minutes: 5 }] });
+
+      expect(slaService.targetMinutesFor({ source: 'Zillow' })).toBe(5);
+      expect(slaService.targetMinutesFor({ source: 'Other', sourceSystem: 'Zillow' })).toBe(5);
+      expect(slaService.targetMinutesFor({ source: 'Referral' })).toBe(45);
+    });
+  });
+
+  describe('isContacted', () => {
+    it('should ignore a lastContacted stamped when the lead arrived', () => {
+      const createdAt = minutesAgo(10);
+
+      expect(slaService.isContacted({ createdAt })).toBe(false);
+      expect(slaService.isContacted({ createdAt, lastContacted: createdAt })).toBe(false);
+      expect(slaService.isContacted({ createdAt, lastContacted: minutesAgo(5) })).toBe(true);
+    });
+  });
+
+  describe('findNewBreaches', () => {
+    it('should open breaches only for untracked leads past their deadline', async () => {
+      slaService.setConfig({ defaultMinutes: 60, sources: [{ source: 'Zillow', minutes: 5 }] });
+      mockLeads([
+        lead({ _id: id('late'), source: 'Zillow', createdAt: minutesAgo(10) }),
+        lead({ _id: id('early'), source: 'Website', createdAt: minutesAgo(10) }),
+        lead({ _id: id('tracked'), source: 'Zillow', createdAt: minutesAgo(20) })
+      ]);
+      SlaBreach.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([id('tracked')]) });
+      SlaBreach.create.mockImplementation(async (fields) => fields);
+
+      const breaches = await slaService.findNewBreaches(now);
+
+      expect(breaches).toHaveLength(1);
+      expect(SlaBreach.create).toHaveBeenCalledWith(expect.objectContaining({
+        targetMinutes: 5,
+        dueAt: minutesAgo(5)
+      }));
+      expect(breaches[0].lead.toString()).toBe('late');
+    });
+  });
+
+  describe('resolveOpen', () => {
+    it('should resolve contacted and moved leads and keep the rest open', async () => {
+      const contacted = breach({ lead: id('contacted') });
+      const moved = breach({ lead: id('moved') });
+      const waiting = breach({ lead: id('waiting') });
+      SlaBreach.find.mockResolvedValue([contacted, moved, waiting]);
+      mockLeads([
+        lead({ _id: id('contacted'), createdAt: minutesAgo(40), lastContacted: minutesAgo(10) }),
+        lead({ _id: id('moved'), status: 'Qualified' }),
+        lead({ _id: id('waiting') })
+      ]);
+
+      const { open, resolved } = await slaService.resolveOpen(now);
+
+      expect(resolved).toBe(2);
+      expect(contacted.resolution).toBe('contacted');
+      expect(contacted.responseMinutes).toBe(30);
+      expect(moved.resolution).toBe('stage_changed');
+      expect(open.map(entry => entry.lead._id.toString())).toEqual(['waiting']);
+    });
+  });
+
+  describe('escalate', () => {
+    it('should run each due step once, in order', async () => {
+      socketService.notifyUser.mockReturnValue(true);
+      Agent.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: id('agent1'), email: 'agent@example.com' })
+      });
+      const openBreach = breach({ dueAt: minutesAgo(20) });
+      const overdueLead = lead({ agent: id('agent1') });
+
+      const ran = await slaService.escalate(openBreach, overdueLead, now);
+
+      expect(ran).toBe(2);
+      expect(openBreach.escalations.map(step => step.action)).toEqual(['notifyAgent', 'emailAgent']);
+      expect(notificationService.sendSlaBreachNotice).toHaveBeenCalledWith('agent@example.com', overdueLead, openBreach);
+
+      // Nothing new is due on the next pass
+      expect(await slaService.escalate(openBreach, overdueLead, now)).toBe(0);
+      expect(openBreach.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reassign to a different agent', async () => {
+      slaService.setConfig({ escalation: [{ action: 'reassign', afterMinutes: 0 }] });
+      assignmentService.selectAgent.mockResolvedValue({ agent: { _id: id('agent2'), name: 'Sam' } });
+      const overdueLead = lead({ agent: id('agent1') });
+      const openBreach = breach();
+
+      await slaService.escalate(openBreach, overdueLead, now);
+
+      expect(assignmentService.selectAgent).toHaveBeenCalledWith(overdueLead, { exclude: [expect.anything()] });
+      expect(Lead.updateOne).toHaveBeenCalledWith({ _id: overdueLead._id }, { agent: openBreach.escalations[0].agent });
+      expect(openBreach.escalations[0]).toMatchObject({ result: 'sent', detail: 'Reassigned to Sam' });
+    });
+
+    it('should record a failed step and carry on', async () => {
+      slaService.setConfig({
+        escalation: [{ action: 'emailAgent', afterMinutes: 0 }, { action: 'notifyAgent', afterMinutes: 0 }]
+      });
+      Agent.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: id('agent1'), email: 'a@b.co' }) });
+      notificationService.sendSlaBreachNotice.mockRejectedValue(new Error('Failed to send email notification'));
+      socketService.notifyUser.mockReturnValue(false);
+      const openBreach = breach();
+
+      await slaService.escalate(openBreach, lead({ agent: id('agent1') }), now);
+
+      expect(openBreach.escalations.map(step => step.result)).toEqual(['failed', 'skipped']);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const webhookAdapters = require('../../services/webhookAdapters');
+const { normalizePhone, parseBudget, normalizeSource } = require('../../utils/normalize');
+
+describe('Webhook Adapters', () => {
+  describe('normalization helpers', () => {
+    it('should parse budget strings', () => {
+      expect(parseBudget('$450k')).toBe(450000);
+      expect(parseBudget('1.2M')).toBe(1200000);
+      expect(parseBudget('450,000')).toBe(450000);
+      expect(parseBudget('$400k - $500k')).toBe(500000);
+      expect(parseBudget(325000)).toBe(325000);
+      expect(parseBudget('flexible')).toBeUndefined();
+    });
+
+    it('should format phone numbers as E.164', () => {
+      expect(normalizePhone('(555) 012-3456')).toBe('+15550123456');
+      expect(normalizePhone('1-555-012-3456')).toBe('+15550123456');
+      expect(normalizePhone('+44 20 7946 0958')).toBe('+442079460958');
+      expect(normalizePhone('0412 345 678', '61')).toBe('+61412345678');
+      expect(normalizePhone('123')).toBeUndefined();
+    });
+
+    it('should map sources onto the Lead.source enum', () => {
+      expect(normalizeSource('zillow')).toBe('Zillow');
+      expect(normalizeSource('REA')).toBe('Realtor.com');
+      expect(normalizeSource('Webhook')).toBe('Other');
+    });
+  });
+
+  describe('zillow', () => {
+    it('should map a Zillow lead feed payload', () => {
+      const lead = webhookAdapters.toLead('zillow', {
+        leadId: 'z-123',
+        contact: { firstName: 'Jane', lastName: 'Buyer', email: 'jane@example.com', phone: '555.012.3456' },
+        listing: { zpid: '998877', address: '12 Elm St', price: '$450k', homeType: 'Single Family' },
+        message: 'Is this still available?',
+        timeFrame: '0-3 months'
+      });
+
+      expect(lead).toEqual({
+        name: 'Jane Buyer',
+        email: 'jane@example.com',
+        phone: '+15550123456',
+        source: 'Zillow',
+        budget: 450000,
+        preferredPropertyType: 'House',
+        timeline: '0-3 months',
+        notes: 'Is this still available?\nEnquired about 12 Elm St (zpid 998877)',
+        externalId: 'z-123'
+      });
+    });
+  });
+
+  describe('REA', () => {
+    it('should map a Realtor.com/REA enquiry', () => {
+      const lead = webhookAdapters.toLead('REA', {
+        enquiryId: 'rea-9',
+        contactDetails: { fullName: 'Sam Smith', email: 'sam@example.com', phoneNumber: '0412 345 678' },
+        listing: { address: '4/20 Beach Rd', propertyType: 'unit' },
+        requestedInformation: ['Price guide', 'Inspection times'],
+        comments: 'Keen to inspect'
+      });
+
+      expect(lead.source).toBe('Realtor.com');
+      expect(lead.phone).toBe('+61412345678');
+      expect(lead.preferredPropertyType).toBe('Apartment');
+      expect(lead.notes).toContain('Requested: Price guide, Inspection times');
+      expect(lead.externalId).toBe('rea-9');
+    });
+  });
+
+  describe('zapier', () => {
+    it('should map flattened Zapier keys', () => {
+      const lead = webhookAdapters.toLead('zapier', {
+        'First Name': 'Alex',
+        'Last Name': 'Lee',
+        contact__email_address: 'alex@example.com',
+        Phone_Number: '555 222 3333',
+        Budget: '$600K',
+        'Lead Source': 'referral'
+      });
+
+      expect(lead).toMatchObject({
+        name: 'Alex Lee',
+        email: 'alex@example.com',
+        phone: '+15552223333',
+        budget: 600000,
+        source: 'Referral'
+      });
+    });
+  });
+
+  describe('generic', () => {
+    it('should map a website form post and default the source', () => {
+      const lead = webhookAdapters.toLead('website', {
+        name: 'Pat Doe',
+        email: 'pat@example.com',
+        message: 'Call me'
+      });
+
+      expect(lead).toEqual({
+        name: 'Pat Doe',
+        email: 'pat@example.com',
+        source: 'Website',
+        notes: 'Call me'
+      });
+    });
+
+    it('should fall back to the generic adapter for other systems', () => {
+      const lead = webhookAdapters.toLead('crm', { name: 'Kim', email: 'kim@example.com', source: 'Webhook' });
+      expect(lead.source).toBe('Other');
+    });
+  });
+
+  describe('registerAdapter', () => {
+    it('should reject adapters without toLead', () => {
+      expect(() => webhookAdapters.registerAdapter('api', {})).toThrow();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../../models/WebhookNonce', () => ({
+  create: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const WebhookNonce = require('../../models/WebhookNonce');
+const webhookVerifier = require('../../services/webhookVerifier');
+
+// Build a minimal Express-like request
+const mockRequest = (body, headers = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  return {
+    body,
+    rawBody,
+    get: (name) => lowerHeaders[name.toLowerCase()]
+  };
+};
+
+// Sign a body the way a provider would
+const signedRequest = (body, secret, overrides = {}) => {
+  const timestamp = overrides.timestamp || Math.floor(Date.now() / 1000).toString();
+  const rawBody = JSON.stringify(body);
+  const signature = webhookVerifier.sign(secret, timestamp, rawBody);
+
+  return mockRequest(body, {
+    'X-Webhook-Source': 'zapier',
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${signature}`,
+    'X-Webhook-Id': 'delivery-1',
+    ...overrides.headers
+  });
+};
+
+describe('Webhook Verifier', () => {
+  const payload = { name: 'Jane Buyer', email: 'jane@example.com' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.WEBHOOK_SECRET_ZAPIER = 'zapier-secret';
+    delete process.env.WEBHOOK_SECRET;
+  });
+
+  describe('verify', () => {
+    it('should accept a correctly signed delivery', () => {
+      const result = webhookVerifier.verify(signedRequest(payload, 'zapier-secret'));
+
+      expect(result.valid).toBe(true);
+      expect(result.verified).toBe(true);
+      expect(result.sourceSystem).toBe('zapier');
+      expect(result.nonce).toBe('delivery-1');
+    });
+
+    it('should reject a signature made with another source\'s secret', () => {
+      const result = webhookVerifier.verify(signedRequest(payload, 'rea-secret'));
+
+      expect(result.valid).toBe(false);
+      expect(result.statusCode).toBe(401);
+      expect(result.reason).toBe('Invalid webhook signature');
+    });
+
+    it('should reject a tampered body', () => {
+      const req = signedRequest(payload, 'zapier-secret');
+      req.rawBody = Buffer.from(JSON.stringify({ ...payload, budget: 1 }));
+
+      expect(webhookVerifier.verify(req).valid).toBe(false);
+    });
+
+    it('should reject timestamps outside the tolerance window', () => {
+      const stale = Math.floor(Date.now() / 1000 - 3600).toString();
+      const result = webhookVerifier.verify(signedRequest(payload, 'zapier-secret', { timestamp: stale }));
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('tolerance');
+    });
+
+    it('should reject unknown source systems', () => {
+      const req = signedRequest(payload, 'zapier-secret', { headers: { 'X-Webhook-Source': 'myspace' } });
+      const result = webhookVerifier.verify(req);
+
+      expect(result.valid).toBe(false);
+      expect(result.statusCode).toBe(400);
+    });
+
+    it('should identify deliveries without an id by their body', () => {
+      const req = signedRequest(payload, 'zapier-secret', { headers: { 'X-Webhook-Id': undefined } });
+      const retry = signedRequest(payload, 'zapier-secret', { headers: { 'X-Webhook-Id': undefined } });
+
+      const { nonce } = webhookVerifier.verify(req);
+
+      expect(nonce).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(webhookVerifier.verify(retry).nonce).toBe(nonce);
+    });
+
+    it('should require a signature when a secret is configured', () => {
+      const result = webhookVerifier.verify(mockRequest(payload, { 'X-Webhook-Source': 'zapier' }));
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('Missing');
+    });
+  });
+
+  describe('claimNonce', () => {
+    it('should accept a new delivery id', async () => {
+      WebhookNonce.create.mockResolvedValue({});
+
+      await expect(webhookVerifier.claimNonce('zapier', 'delivery-1')).resolves.toBe(true);
+      expect(WebhookNonce.create).toHaveBeenCalledWith(
+        expect.objectContaining({ sourceSystem: 'zapier', nonce: 'delivery-1' })
+      );
+    });
+
+    it('should remember delivery ids for the replay window, not the timestamp tolerance', async () => {
+      WebhookNonce.create.mockResolvedValue({});
+      process.env.WEBHOOK_REPLAY_WINDOW_HOURS = '48';
+      const before = Date.now();
+
+      await webhookVerifier.claimNonce('zapier', 'delivery-1');
+
+      const { expiresAt } = WebhookNonce.create.mock.calls[0][0];
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 48 * 60 * 60 * 1000);
+      delete process.env.WEBHOOK_REPLAY_WINDOW_HOURS;
+    });
+
+    it('should reject a delivery id that was already seen', async () => {
+      const duplicateError = new Error('E11000 duplicate key');
+      duplicateError.code = 11000;
+      WebhookNonce.create.mockRejectedValue(duplicateError);
+
+      await expect(webhookVerifier.claimNonce('zapier', 'delivery-1')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const geo = require('../../utils/geo');
+
+describe('Geo helpers', () => {
+  describe('parsePoint', () => {
+    it('should return [lng, lat] for valid coordinates', () => {
+      expect(geo.parsePoint('40.7128', '-74.006')).toEqual([-74.006, 40.7128]);
+    });
+
+    it('should reject missing or out of range values', () => {
+      expect(geo.parsePoint('40.7', undefined)).toBeNull();
+      expect(geo.parsePoint('91', '0')).toBeNull();
+      expect(geo.parsePoint('abc', '0')).toBeNull();
+    });
+  });
+
+  describe('parseBbox', () => {
+    it('should parse minLng,minLat,maxLng,maxLat', () => {
+      expect(geo.parseBbox('-74.1, 40.6, -73.9, 40.9')).toEqual([-74.1, 40.6, -73.9, 40.9]);
+    });
+
+    it('should reject malformed boxes', () => {
+      expect(geo.parseBbox('1,2,3')).toBeNull();
+      expect(geo.parseBbox('0,50,10,40')).toBeNull();
+    });
+
+    it('should reject boxes enclosing no area', () => {
+      expect(geo.parseBbox('0,40,10,40')).toBeNull();
+      expect(geo.parseBbox('10,40,10,50')).toBeNull();
+      expect(geo.parseBbox('180,40,-180,50')).toBeNull();
+    });
+
+    it('should accept a fully zoomed-out viewport', () => {
+      expect(geo.parseBbox('-180,-85,180,85')).toEqual([-180, -85, 180, 85]);
+    });
+  });
+
+  describe('withinBbox', () => {
+    const ringOf = (filter) => filter.location.$geoWithin.$geometry.coordinates[0];
+
+    it('should use a single closed polygon for a normal viewport', () => {
+      const filter = geo.withinBbox([-74.1, 40.6, -73.9, 40.9]);
+      const ring = ringOf(filter);
+
+      expect(filter.location.$geoWithin.$geometry.type).toBe('Polygon');
+      expect(ring[0]).toEqual([-74.1, 40.6]);
+      expect(ring[ring.length - 1]).toEqual(ring[0]);
+      expect(ring).toEqual(expect.arrayContaining([[-73.9, 40.6], [-73.9, 40.9], [-74.1, 40.9]]));
+    });
+
+    it('should split a viewport crossing the antimeridian', () => {
+      const filter = geo.withinBbox([170, -20, -170, 10]);
+
+      expect(filter.$or).toHaveLength(2);
+      const lngs = filter.$or.flatMap(part => ringOf(part).map(([lng]) => lng));
+      expect(Math.min(...lngs)).toBe(-180);
+      expect(Math.max(...lngs)).toBe(180);
+    });
+
+    it('should only limit latitude when the viewport spans every longitude', () => {
+      expect(geo.withinBbox([-180, -85, 180, 85])).toEqual({
+        'location.coordinates.1': { $gte: -85, $lte: 85 }
+      });
+    });
+
+    it('should split wide viewports into polygons smaller than a hemisphere', () => {
+      const filter = geo.withinBbox([-170, -85, 170, 85]);
+
+      expect(filter.$or).toHaveLength(4);
+      for (const part of filter.$or) {
+        const lngs = ringOf(part).map(([lng]) => lng);
+        expect(Math.max(...lngs) - Math.min(...lngs)).toBeLessThanOrEqual(90);
+      }
+    });
+
+    it('should break edges along parallels into short segments', () => {
+      const ring = ringOf(geo.withinBbox([0, 50, 60, 60]));
+
+      for (let i = 1; i < ring.length; i++) {
+        expect(Math.abs(ring[i][0] - ring[i - 1][0])).toBeLessThanOrEqual(1);
+      }
+    });
+
+    it('should keep polygons off the poles', () => {
+      const filter = geo.withinBbox([-10, -90, 10, 90]);
+      const lats = ringOf(filter).map(([, lat]) => lat);
+
+      expect(Math.max(...lats)).toBeLessThan(90);
+      expect(Math.min(...lats)).toBeGreaterThan(-90);
+    });
+  });
+
+  describe('withinRadius', () => {
+    it('should convert kilometres to radians', () => {
+      const filter = geo.withinRadius([0, 0], geo.EARTH_RADIUS_KM);
+
+      expect(filter.$geoWithin.$centerSphere).toEqual([[0, 0], 1]);
+    });
+  });
+
+  describe('distanceKm', () => {
+    it('should measure great-circle distance', () => {
+      // New York to London is roughly 5570 km
+      const distance = geo.distanceKm([-74.006, 40.7128], [-0.1278, 51.5074]);
+
+      expect(distance).toBeGreaterThan(5500);
+      expect(distance).toBeLessThan(5650);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const { runEvery } = require('../../utils/scheduler');
+
+describe('Scheduler', () => {
+  describe('runEvery', () => {
+    let job;
+
+    afterEach(() => {
+      if (job) job.stop();
+      job = null;
+    });
+
+    it('should skip a run while the previous one is still going', async () => {
+      let finish;
+      const task = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+      job = runEvery('Test job', 60 * 1000, task);
+
+      const first = job.tick();
+      await job.tick();
+      expect(task).toHaveBeenCalledTimes(1);
+
+      finish();
+      await first;
+      const second = job.tick();
+      finish();
+      await second;
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('should log a failed run and keep going', async () => {
+      const task = jest.fn().mockRejectedValueOnce(new Error('down')).mockResolvedValue();
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      job = runEvery('Test job', 60 * 1000, task);
+
+      await job.tick();
+      await job.tick();
+
+      expect(consoleError).toHaveBeenCalledWith('Test job failed:', 'down');
+      expect(task).toHaveBeenCalledTimes(2);
+      consoleError.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// Helpers for GeoJSON point queries on Property.location ([longitude, latitude])
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Number within [min, max], or null
+const parseCoordinate = (value, min, max) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return !isNaN(number) && number >= min && number <= max ? number : null;
+};
+
+// [lng, lat] from separate values, or null when either is missing or out of range
+const parsePoint = (lat, lng) => {
+  const latitude = parseCoordinate(lat, -90, 90);
+  const longitude = parseCoordinate(lng, -180, 180);
+  return latitude === null || longitude === null ? null : [longitude, latitude];
+};
+
+// Degrees of longitude from minLng east to maxLng, crossing the antimeridian when minLng > maxLng
+const lngSpan = (minLng, maxLng) => (minLng <= maxLng ? maxLng - minLng : maxLng - minLng + 360);
+
+// 'minLng,minLat,maxLng,maxLat' (GeoJSON bbox order) to numbers, or null when malformed or
+// enclosing no area
+const parseBbox = (value) => {
+  const parts = String(value).split(',');
+  if (parts.length !== 4) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts.map((part, index) =>
+    parseCoordinate(part.trim(), index % 2 === 0 ? -180 : -90, index % 2 === 0 ? 180 : 90)
+  );
+  if ([minLng, minLat, maxLng, maxLat].includes(null) || minLat >= maxLat || lngSpan(minLng, maxLng) === 0) return null;
+
+  return [minLng, minLat, maxLng, maxLat];
+};
+
+// Points within radiusKm of center, unordered (usable with countDocuments)
+const withinRadius = (center, radiusKm) => ({
+  $geoWithin: { $centerSphere: [center, radiusKm / EARTH_RADIUS_KM] }
+});
+
+// Points within radiusKm of center, nearest first (find only)
+const nearest = (center, radiusKm) => ({
+  $nearSphere: {
+    $geometry: { type: 'Point', coordinates: center },
+    $maxDistance: radiusKm * 1000
+  }
+});
+
+// Widest polygon built for a viewport; wider ones are split so none nears a hemisphere
+const MAX_BOX_SPAN_DEGREES = 90;
+
+// Longest edge along a parallel. GeoJSON edges are great circles, which bow towards the
+// pole, so edges are broken up to keep the box close to the rectangle drawn on the map
+const MAX_EDGE_DEGREES = 1;
+
+// All meridians meet at the poles, which would give the polygon repeated vertices
+const MAX_POLYGON_LATITUDE = 89.9999;
+
+// Points from fromLng to toLng along a parallel, no more than MAX_EDGE_DEGREES apart
+const alongParallel = (fromLng, toLng, lat) => {
+  const steps = Math.max(1, Math.ceil(Math.abs(toLng - fromLng) / MAX_EDGE_DEGREES));
+  return Array.from({ length: steps + 1 }, (_, i) => [fromLng + ((toLng - fromLng) * i) / steps, lat]);
+};
+
+// Rectangle (minLng <= maxLng, at most MAX_BOX_SPAN_DEGREES wide) as a polygon
+const boxPolygon = (minLng, minLat, maxLng, maxLat) => {
+  const south = Math.max(minLat, -MAX_POLYGON_LATITUDE);
+  const north = Math.min(maxLat, MAX_POLYGON_LATITUDE);
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      ...alongParallel(minLng, maxLng, south),
+      ...alongParallel(maxLng, minLng, north),
+      [minLng, south]
+    ]]
+  };
+};
+
+// Polygons covering minLng..maxLng (minLng < maxLng), split into strips no wider than
+// MAX_BOX_SPAN_DEGREES
+const boxPolygons = (minLng, minLat, maxLng, maxLat) => {
+  const strips = Math.ceil((maxLng - minLng) / MAX_BOX_SPAN_DEGREES);
+  const width = (maxLng - minLng) / strips;
+  return Array.from({ length: strips }, (_, i) =>
+    boxPolygon(minLng + width * i, minLat, i === strips - 1 ? maxLng : minLng + width * (i + 1), maxLat)
+  );
+};
+
+// Points inside a map viewport. A viewport crossing the antimeridian (minLng > maxLng) or
+// wider than MAX_BOX_SPAN_DEGREES is split into several polygons, and one spanning every
+// longitude is only limited by latitude. Returns a filter for the location field, or an
+// $or for the whole query
+const withinBbox = ([minLng, minLat, maxLng, maxLat]) => {
+  if (lngSpan(minLng, maxLng) >= 360) {
+    return { 'location.coordinates.1': { $gte: minLat, $lte: maxLat } };
+  }
+
+  const polygons = minLng <= maxLng
+    ? boxPolygons(minLng, minLat, maxLng, maxLat)
+    : [
+      ...(minLng < 180 ? boxPolygons(minLng, minLat, 180, maxLat) : []),
+      ...(maxLng > -180 ? boxPolygons(-180, minLat, maxLng, maxLat) : [])
+    ];
+
+  const filters = polygons.map(polygon => ({ location: { $geoWithin: { $geometry: polygon } } }));
+  return filters.length === 1 ? filters[0] : { $or: filters };
+};
+
+// Great-circle distance between two [lng, lat] points
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  parsePoint,
+  parseBbox,
+  withinRadius,
+  nearest,
+  withinBbox,
+  distanceKm
+};
@@ -0,0 +1,128 @@
+// Normalization helpers for lead data arriving from forms and external systems
+
+// Lead.source values keyed by the lowercase spellings we see in the wild
+const SOURCE_ALIASES = {
+  zillow: 'Zillow',
+  trulia: 'Zillow',
+  'realtor.com': 'Realtor.com',
+  realtor: 'Realtor.com',
+  rea: 'Realtor.com',
+  'realestate.com.au': 'Realtor.com',
+  website: 'Website',
+  web: 'Website',
+  form: 'Website',
+  'contact form': 'Website',
+  referral: 'Referral',
+  organic: 'Organic',
+  seo: 'Organic',
+  google: 'Organic'
+};
+
+// Property.propertyType values keyed by common listing-feed spellings
+const PROPERTY_TYPE_ALIASES = {
+  house: 'House',
+  'single family': 'House',
+  'single-family': 'House',
+  'single family residential': 'House',
+  singlefamily: 'House',
+  condo: 'Condo',
+  condominium: 'Condo',
+  townhouse: 'Townhouse',
+  townhome: 'Townhouse',
+  apartment: 'Apartment',
+  unit: 'Apartment',
+  flat: 'Apartment',
+  land: 'Land',
+  lot: 'Land',
+  'lots/land': 'Land',
+  commercial: 'Commercial'
+};
+
+// Map a free-text source onto the Lead.source enum ('Other' when unknown)
+const normalizeSource = (value, fallback = 'Other') => {
+  if (!value) return fallback;
+  return SOURCE_ALIASES[String(value).trim().toLowerCase()] || fallback;
+};
+
+// Map a free-text property type onto the Property.propertyType enum (unknown types pass through)
+const normalizePropertyType = (value) => {
+  if (!value) return undefined;
+  const trimmed = String(value).trim();
+  return PROPERTY_TYPE_ALIASES[trimmed.toLowerCase()] || trimmed || undefined;
+};
+
+// Convert a phone number to E.164 (+<country><number>); returns undefined if it can't be parsed.
+// National numbers are prefixed with defaultCountryCode (trunk "0" dropped, e.g. AU 0412... -> +61412...)
+const normalizePhone = (value, defaultCountryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '1') => {
+  if (!value) return undefined;
+
+  const raw = String(value).trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return undefined;
+
+  if (raw.startsWith('+')) {
+    // Already international
+  } else if (raw.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+    // North American number written with its country code
+  } else {
+    digits = defaultCountryCode + digits.replace(/^0/, '');
+  }
+
+  // E.164 allows at most 15 digits; anything under 8 is not a dialable number
+  if (digits.length < 8 || digits.length > 15) return undefined;
+  return `+${digits}`;
+};
+
+// Parse budget strings such as "$450k", "1.2M", "450,000" or "$400k - $500k" (upper bound wins)
+const parseBudget = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : undefined;
+
+  const amounts = String(value)
+    .toLowerCase()
+    .replace(/,/g, '')
+    .match(/\d+(\.\d+)?\s*(k|m|mil|million|thousand)?/g);
+
+  if (!amounts) return undefined;
+
+  const parsed = amounts.map(amount => {
+    const number = parseFloat(amount);
+    if (/(m|mil|million)$/.test(amount.trim())) return number * 1000000;
+    if (/(k|thousand)$/.test(amount.trim())) return number * 1000;
+    return number;
+  });
+
+  return Math.round(Math.max(...parsed));
+};
+
+// Canonical form of an email for duplicate matching: lowercase, no +tags,
+// and no dots in Gmail local parts (j.doe+zillow@gmail.com -> jdoe@gmail.com)
+const normalizeEmail = (value) => {
+  if (!value) return undefined;
+
+  const email = String(value).trim().toLowerCase();
+  const at = email.lastIndexOf('@');
+  if (at < 1) return email;
+
+  let local = email.slice(0, at).split('+')[0];
+  let domain = email.slice(at + 1);
+
+  if (domain === 'googlemail.com') domain = 'gmail.com';
+  if (domain === 'gmail.com') local = local.replace(/\./g, '');
+
+  return `${local}@${domain}`;
+};
+
+// Join name parts, ignoring blanks
+const joinName = (...parts) => parts.filter(part => part && String(part).trim()).join(' ').trim() || undefined;
+
+module.exports = {
+  normalizeSource,
+  normalizePropertyType,
+  normalizePhone,
+  parseBudget,
+  normalizeEmail,
+  joinName
+};
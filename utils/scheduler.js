@@ -0,0 +1,28 @@
+// Background jobs started from server.js (reminders, SLA checks, calendar sync and similar)
+
+// Run task every intervalMs. A run still going when the next is due is skipped rather than
+// overlapped, and a failed run is logged as "<label> failed". The timer doesn't keep the
+// process alive. Returns { tick, stop }; tick() runs the task now under the same guard.
+const runEvery = (label, intervalMs, task) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${label} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  return { tick, stop: () => clearInterval(timer) };
+};
+
+module.exports = { runEvery };
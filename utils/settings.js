@@ -0,0 +1,15 @@
+// Settings that services cache in memory (pipeline stages, scoring rules, assignment and SLA
+// config). Each such service calls load() at startup and again after its settings are edited.
+
+// The stored default settings document for a model, or null when there is none. A failed read
+// is logged and also gives null, so the service carries on with what it has cached
+const loadDefaultSettings = async (Model, label) => {
+  try {
+    return await Model.findOne({ isDefault: true });
+  } catch (error) {
+    console.error(`Failed to load ${label}, using cached ${label}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = { loadDefaultSettings };
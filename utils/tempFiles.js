@@ -0,0 +1,46 @@
+// Helpers for the temporary files uploads pass through on their way to the media store
+const fs = require('fs');
+const path = require('path');
+
+// Delete a file that may already be gone; never throws
+const removeFile = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.promises.rm(filePath, { recursive: true, force: true });
+  } catch (error) {
+    console.error(`Failed to remove temporary file ${filePath}:`, error.message);
+  }
+};
+
+// Remove entries of a directory last modified before the cutoff. Names in keep are left alone.
+// Returns the number removed
+const removeOlderThan = async (directory, cutoff, { keep = [] } = {}) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let removed = 0;
+  for (const name of entries) {
+    if (keep.includes(name)) continue;
+    const entryPath = path.join(directory, name);
+    try {
+      const stats = await fs.promises.stat(entryPath);
+      if (stats.mtime < cutoff) {
+        await removeFile(entryPath);
+        removed += 1;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Failed to check ${entryPath}:`, error.message);
+    }
+  }
+  return removed;
+};
+
+module.exports = {
+  removeFile,
+  removeOlderThan
+};